@@ -0,0 +1,64 @@
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+/**
+ * Route déclarée (/potions/:id/history) plutôt que l’URL, pour limiter le nombre de séries.
+ * req.baseUrl est déjà réinitialisé à la fin de la réponse : le préfixe de montage est
+ * retrouvé dans l’URL en retirant autant de segments que le chemin de la route en compte.
+ */
+function routeOf(req) {
+  if (!req.route) return 'unmatched';
+  const routePath = String(req.route.path);
+  const parts = req.originalUrl.split('?')[0].replace(/\/+$/, '').split('/');
+  const depth = routePath === '/' ? 0 : routePath.split('/').length - 1;
+  const base = parts.slice(0, parts.length - depth).join('/').replace(/\/[0-9a-f]{24}(?=\/|$)/gi, '/:id');
+  return `${base}${routePath === '/' ? '' : routePath}` || '/';
+}
+
+/**
+ * Log d’accès et métriques HTTP : une entrée par requête à la fin de la réponse
+ * (méthode, URL, route, statut, durée, taille, utilisateur) ; `aborted` si le client a coupé avant.
+ * Compte aussi les échecs d’authentification (code d’erreur noté par sendProblem).
+ */
+function accessLog(req, res, next) {
+  const start = process.hrtime.bigint();
+  metrics.httpRequestsInFlight.inc();
+  let done = false;
+
+  const finish = aborted => {
+    if (done) return;
+    done = true;
+    metrics.httpRequestsInFlight.dec();
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = routeOf(req);
+    const status = aborted ? 499 : res.statusCode;
+    metrics.httpRequestDuration.observe({ method: req.method, route, status }, seconds);
+
+    const code = res.locals.problemCode;
+    if (code && (status === 401 || code === 'account-locked')) metrics.authFailures.inc({ reason: code });
+
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      route,
+      status,
+      durationMs: Math.round(seconds * 1e4) / 10,
+      bytes: Number(res.get('Content-Length')) || undefined,
+      userId: req.user?.id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      ...(code && { code }),
+      ...(aborted && { aborted: true })
+    };
+    // Sondes /health appelées en boucle par l’orchestrateur : visibles seulement en debug
+    const level = route.startsWith('/health/') ? 'debug' : status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    logger.log(level, 'requête', fields);
+  };
+
+  res.on('finish', () => finish(false));
+  res.on('close', () => finish(!res.writableFinished));
+  next();
+}
+
+module.exports = { accessLog, routeOf };
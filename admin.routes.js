@@ -0,0 +1,137 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administration des utilisateurs (rôle admin requis)
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('./user.model');
+const { ValidationFailedError, NotFoundError, ConflictError, assertObjectId } = require('./errors');
+const authMiddleware = require('./middleware');
+const { requirePermission } = authMiddleware;
+const { ROLES } = require('./roles');
+
+const router = express.Router();
+
+router.use(authMiddleware, requirePermission('users:manage'));
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: Lister les utilisateurs et leur rôle
+ *     description: "Rôle requis : `admin`."
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Liste des utilisateurs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     example: 660bceefa25c4f1234abcd12
+ *                   name:
+ *                     type: string
+ *                     example: harrypotter
+ *                   role:
+ *                     type: string
+ *                     enum: [admin, vendor, reader]
+ *                   vendor_id:
+ *                     type: string
+ *                     example: 660bceefa25c4f1234abcd12
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Rôle insuffisant
+ */
+router.get('/users', async (req, res) => {
+  const users = await User.find({}, 'name role vendor_id').sort({ name: 1 });
+  res.json(users);
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   patch:
+ *     summary: Promouvoir ou rétrograder un utilisateur
+ *     description: |
+ *       Rôle requis : `admin`. Le nouveau rôle est pris en compte au prochain renouvellement
+ *       du JWT de l’utilisateur (`POST /auth/refresh`). Le dernier administrateur ne peut pas être rétrogradé.
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de l’utilisateur
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, vendor, reader]
+ *                 example: vendor
+ *               vendor_id:
+ *                 type: string
+ *                 description: ID du vendeur représenté (rôle vendor)
+ *                 example: 660bceefa25c4f1234abcd12
+ *     responses:
+ *       200:
+ *         description: Rôle mis à jour
+ *       400:
+ *         description: Rôle ou vendeur invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       409:
+ *         description: Impossible de rétrograder le dernier administrateur
+ */
+router.patch('/users/:id/role', [
+  body('role').isIn(ROLES).withMessage((value, { req }) => req.t('Le rôle doit être l’un de : {roles}.', { roles: ROLES.join(', ') })),
+  body('vendor_id').optional({ values: 'null' })
+    .isMongoId().withMessage('vendor_id doit être l’ID d’un vendeur.')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) throw new ValidationFailedError(errors.array());
+  const { role, vendor_id } = req.body;
+
+  assertObjectId(req.params.id, 'Utilisateur non trouvé', { code: 'user-not-found' });
+  const user = await User.findById(req.params.id);
+  if (!user) throw new NotFoundError('Utilisateur non trouvé', { code: 'user-not-found' });
+
+  if (user.role === 'admin' && role !== 'admin') {
+    const admins = await User.countDocuments({ role: 'admin' });
+    if (admins <= 1) {
+      throw new ConflictError('Impossible de rétrograder le dernier administrateur.', { code: 'last-admin' });
+    }
+  }
+
+  user.role = role;
+  if (vendor_id !== undefined) user.vendor_id = vendor_id ?? undefined;
+  await user.save();
+
+  res.json({ _id: user._id, name: user.name, role: user.role, vendor_id: user.vendor_id });
+});
+
+module.exports = router;
@@ -2,12 +2,22 @@
  * @swagger
  * tags:
  *   name: Analytics
- *   description: Statistiques et agrégations sur les potions
+ *   description: |
+ *     Statistiques et agrégations sur les potions, en accès libre.
+ *     Une clé d’API présentée doit avoir la portée `analytics:read` ; la limite de débit est alors comptée par clé.
  */
 
 const express = require('express');
 const analytics = express.Router();
 const Potion = require('./potion.model');
+const Vendor = require('./vendor.model');
+const { buildSearchPipeline } = require('./analytics.query');
+const { computeTrends } = require('./analytics.trends');
+const { bayesianPrior, bayesianScore, topRated, REVIEW_SCORE_SUM } = require('./analytics.reviews');
+const { stockValue } = require('./analytics.stock');
+const { activeRules } = require('./potion.pricing');
+const authMiddleware = require('./middleware');
+const { requirePermission } = authMiddleware;
 
 /**
  * @swagger
@@ -34,18 +44,17 @@ const Potion = require('./potion.model');
  */
 
 analytics.get('/distinct-categories', async (req, res) => {
-    try {
-      const categories = await Potion.distinct('categories');
-      res.json({ count: categories.length, categories });
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+    const categories = await Potion.distinct('categories');
+    res.json({ count: categories.length, categories });
   });
 /**
  * @swagger
  * /analytics/average-score-by-vendor:
  *   get:
- *     summary: Score moyen des potions par vendeur
+ *     summary: Score moyen et nombre de potions par vendeur
+ *     description: |
+ *       `bayesianScore` pondère le score des avis du vendeur par la moyenne générale,
+ *       pour ne pas favoriser un vendeur n’ayant reçu que quelques avis.
  *     tags: [Analytics]
  *     responses:
  *       200:
@@ -60,25 +69,50 @@ analytics.get('/distinct-categories', async (req, res) => {
  *                   _id:
  *                     type: string
  *                     example: 6437b61e5db11573cfe933b0
+ *                   name:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Mystic Waters
+ *                   potionCount:
+ *                     type: number
+ *                     example: 12
  *                   averageScore:
  *                     type: number
  *                     example: 4.7
+ *                   reviewCount:
+ *                     type: number
+ *                     example: 85
+ *                   bayesianScore:
+ *                     type: number
+ *                     nullable: true
+ *                     example: 4.52
  */
 
   analytics.get('/average-score-by-vendor', async (req, res) => {
-    try {
-      const result = await Potion.aggregate([
-        {
-          $group: {
-            _id: '$vendor_id',
-            averageScore: { $avg: '$score' }
-          }
+    const prior = await bayesianPrior();
+    const result = await Potion.aggregate([
+      {
+        $group: {
+          _id: '$vendor_id',
+          potionCount: { $sum: 1 },
+          averageScore: { $avg: '$score' },
+          reviewCount: { $sum: { $ifNull: ['$reviewCount', 0] } },
+          reviewScoreSum: { $sum: REVIEW_SCORE_SUM }
+        }
+      },
+      { $lookup: { from: Vendor.collection.name, localField: '_id', foreignField: '_id', as: 'vendor' } },
+      {
+        $project: {
+          name: { $first: '$vendor.name' },
+          potionCount: 1,
+          averageScore: 1,
+          reviewCount: 1,
+          bayesianScore: bayesianScore(prior, '$reviewScoreSum', '$reviewCount')
         }
-      ]);
-      res.json(result);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+      },
+      { $sort: { averageScore: -1 } }
+    ]);
+    res.json(result);
   });
 
   /**
@@ -106,20 +140,16 @@ analytics.get('/distinct-categories', async (req, res) => {
  */
 
   analytics.get('/average-score-by-category', async (req, res) => {
-    try {
-      const result = await Potion.aggregate([
-        { $unwind: '$categories' },
-        {
-          $group: {
-            _id: '$categories',
-            averageScore: { $avg: '$score' }
-          }
+    const result = await Potion.aggregate([
+      { $unwind: '$categories' },
+      {
+        $group: {
+          _id: '$categories',
+          averageScore: { $avg: '$score' }
         }
-      ]);
-      res.json(result);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+      }
+    ]);
+    res.json(result);
   });
 /**
  * @swagger
@@ -146,58 +176,95 @@ analytics.get('/distinct-categories', async (req, res) => {
  */
 
   analytics.get('/strength-flavor-ratio', async (req, res) => {
-    try {
-      const result = await Potion.aggregate([
-        {
-          $project: {
-            name: 1,
-            strengthFlavorRatio: {
-              $cond: [
-                { $eq: ['$ratings.flavor', 0] },
-                null,
-                { $divide: ['$ratings.strength', '$ratings.flavor'] }
-              ]
-            }
+    const result = await Potion.aggregate([
+      {
+        $project: {
+          name: 1,
+          strengthFlavorRatio: {
+            $cond: [
+              { $eq: ['$ratings.flavor', 0] },
+              null,
+              { $divide: ['$ratings.strength', '$ratings.flavor'] }
+            ]
           }
         }
-      ]);
-      res.json(result);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+      }
+    ]);
+    res.json(result);
   });
 /**
  * @swagger
  * /analytics/search:
  *   get:
- *     summary: Recherche personnalisée via agrégation dynamique
+ *     summary: Agrégation déclarative sur des dimensions et mesures autorisées
+ *     description: |
+ *       Regroupe les potions selon des dimensions en liste blanche et calcule des mesures.
+ *       Les autres paramètres sont des filtres appliqués avant l’agrégation, avec la même grammaire
+ *       que `GET /potions` (ex. `price[gte]=10`, `categories[contains]=soin`).
+ *       Toute combinaison invalide est détaillée dans une réponse 400.
+ *       L’ancienne forme `groupBy=vendor_id&metric=avg&field=score` reste acceptée.
  *     tags: [Analytics]
  *     parameters:
  *       - in: query
  *         name: groupBy
  *         schema:
  *           type: string
- *         required: true
- *         example: vendor_id
- *         description: Champ pour grouper (ex: vendor_id, categories)
+ *         required: false
+ *         example: vendor_id,tryDate:month
+ *         description: "Dimensions séparées par des virgules : vendor_id, categories (dépliées automatiquement), tryDate:day|week|month|year, priceBand"
+ *       - in: query
+ *         name: measures
+ *         schema:
+ *           type: string
+ *         example: count,avg:score,p90:price
+ *         description: "Mesures op:champ parmi count, avg, sum, min, max, median, stdDev, p1 à p99 ; champs : price, score, ratings.strength, ratings.flavor, reviewCount. Défaut : count"
+ *       - in: query
+ *         name: having
+ *         schema:
+ *           type: string
+ *         example: count>=3
+ *         description: Seuils sur les mesures calculées (alias op_champ, ex. avg_score>4)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         example: -avg_score
+ *         description: Tri sur une dimension ou une mesure, préfixé par `-` pour un tri décroissant
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *         description: Nombre maximum de groupes retournés (top N)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         example: Europe/Paris
+ *         description: Fuseau horaire utilisé pour découper tryDate
+ *       - in: query
+ *         name: priceBands
+ *         schema:
+ *           type: string
+ *         example: 0,20,50,100
+ *         description: Bornes des tranches de prix pour la dimension priceBand
+ *       - $ref: '#/components/parameters/PriceBasis'
  *       - in: query
  *         name: metric
  *         schema:
  *           type: string
- *           enum: [avg, sum, count]
- *         required: true
- *         example: avg
- *         description: Type d'agrégation
+ *         deprecated: true
+ *         description: Ancienne forme (avg, sum, count...), remplacée par measures
  *       - in: query
  *         name: field
  *         schema:
  *           type: string
- *         required: false
- *         example: score
- *         description: Champ à utiliser pour l'agrégation (non requis pour count)
+ *         deprecated: true
+ *         description: Ancienne forme, champ mesuré avec metric
  *     responses:
  *       200:
- *         description: Résultat de l'agrégation dynamique
+ *         description: Un objet par groupe (_id vaut la dimension, ou un objet si plusieurs dimensions)
  *         content:
  *           application/json:
  *             schema:
@@ -205,39 +272,320 @@ analytics.get('/distinct-categories', async (req, res) => {
  *               items:
  *                 type: object
  *                 additionalProperties: true
+ *               example:
+ *                 - _id: { vendor_id: 660bceefa25c4f1234abcd12, tryDate: '2025-04-01T00:00:00.000Z' }
+ *                   vendorName: Mystic Waters
+ *                   count: 4
+ *                   avg_score: 4.25
+ *                   p90_price: 120
+ *       400:
+ *         description: Dimension, mesure, filtre ou combinaison invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
 
   analytics.get('/search', async (req, res) => {
-    const { groupBy, metric, field } = req.query;
-  
-    const allowedMetrics = {
-      avg: '$avg',
-      sum: '$sum',
-      count: '$count'
-    };
-  
-    const mongoMetric = allowedMetrics[metric];
-  
-    if (!mongoMetric || !groupBy || (!field && metric !== 'count')) {
-      return res.status(400).json({ error: 'Paramètres invalides' });
-    }
-  
-    try {
-      const groupStage = {
-        _id: `$${groupBy}`
-      };
-  
-      if (metric === 'count') {
-        groupStage.count = { $sum: 1 };
-      } else {
-        groupStage.result = { [mongoMetric]: `$${field}` };
-      }
-  
-      const result = await Potion.aggregate([{ $group: groupStage }]);
-      res.json(result);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+    const rules = req.query.priceBasis === 'effective' ? await activeRules() : [];
+    const result = await Potion.aggregate(buildSearchPipeline(req.query, { rules }));
+    res.json(result);
+  });
+
+/**
+ * @swagger
+ * /analytics/top-rated:
+ *   get:
+ *     summary: Potions les mieux notées (moyenne bayésienne des avis)
+ *     description: |
+ *       Classe les potions par `bayesianScore = (C × m + Σ scores) / (C + nombre d’avis)`,
+ *       où `m` est le score moyen de tous les avis et `C` le poids de cet a priori
+ *       (par défaut, le nombre moyen d’avis par potion notée).
+ *       Les autres paramètres filtrent les potions avec la grammaire de `GET /potions`.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: minReviews
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 1
+ *         description: Nombre minimum d’avis pour figurer au classement
+ *       - in: query
+ *         name: prior
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Poids C de la moyenne générale (nombre d’avis « virtuels »)
+ *     responses:
+ *       200:
+ *         description: Classement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prior:
+ *                   type: object
+ *                   properties:
+ *                     mean:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 3.8
+ *                     weight:
+ *                       type: number
+ *                       example: 6.5
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                         example: Potion de soin ultime
+ *                       vendor_id:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                         example: 4.9
+ *                       reviewCount:
+ *                         type: number
+ *                         example: 42
+ *                       bayesianScore:
+ *                         type: number
+ *                         example: 4.78
+ *       400:
+ *         description: Paramètre invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+
+  analytics.get('/top-rated', async (req, res) => {
+    res.json(await topRated(req.query));
+  });
+
+/**
+ * @swagger
+ * /analytics/trends:
+ *   get:
+ *     summary: Évolution des potions testées dans le temps (tryDate)
+ *     description: |
+ *       Séries par période : nombre d’essais, score moyen, prix moyen, force et arôme moyens,
+ *       avec variations par rapport à la période précédente et moyennes mobiles optionnelles.
+ *       Les autres paramètres filtrent les potions avec la grammaire de `GET /potions`
+ *       (ex. `vendor_id=Mystic Waters`, `categories=soin`).
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, year]
+ *           default: month
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         example: Europe/Paris
+ *         description: Fuseau horaire IANA utilisé pour découper les périodes
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Début de l’intervalle (inclus)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fin de l’intervalle (exclue)
+ *       - in: query
+ *         name: fill
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Ajoute les périodes sans essai (count à 0, moyennes nulles)
+ *       - $ref: '#/components/parameters/PriceBasis'
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           minimum: 2
+ *           maximum: 52
+ *         description: Taille de la moyenne mobile, en nombre de périodes
+ *     responses:
+ *       200:
+ *         description: Série temporelle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 granularity:
+ *                   type: string
+ *                   example: month
+ *                 timezone:
+ *                   type: string
+ *                   example: Europe/Paris
+ *                 window:
+ *                   type: integer
+ *                   nullable: true
+ *                   example: 3
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: string
+ *                         format: date-time
+ *                         example: '2025-03-31T22:00:00.000Z'
+ *                       label:
+ *                         type: string
+ *                         example: 2025-04
+ *                       count:
+ *                         type: number
+ *                         example: 12
+ *                       avgScore:
+ *                         type: number
+ *                         nullable: true
+ *                         example: 4.1
+ *                       avgPrice:
+ *                         type: number
+ *                         nullable: true
+ *                       avgStrength:
+ *                         type: number
+ *                         nullable: true
+ *                       avgFlavor:
+ *                         type: number
+ *                         nullable: true
+ *                       movingAverage:
+ *                         type: object
+ *                         description: Moyennes mobiles des mêmes indicateurs (si window est fourni)
+ *                       delta:
+ *                         type: object
+ *                         description: "Variation par indicateur vs période précédente : { change, percent }"
+ *       400:
+ *         description: Paramètres invalides
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+
+  analytics.get('/trends', async (req, res) => {
+    res.json(await computeTrends(req.query));
+  });
+
+  /**
+ * @swagger
+ * /analytics/stock-value-by-vendor:
+ *   get:
+ *     summary: Valeur du stock par vendeur
+ *     description: |
+ *       Rôles : `admin` (toutes les potions), `vendor` (ses propres potions) ; contrairement aux autres
+ *       statistiques, authentification requise. Valeur = unités en stock × prix, potions en stock uniquement ;
+ *       les plus grosses valeurs d’abord.
+ *     tags: [Analytics]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Valeur du stock de chaque vendeur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     nullable: true
+ *                     example: 6437b61e5db11573cfe933b0
+ *                   name:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Mystic Waters
+ *                   potionCount:
+ *                     type: number
+ *                     example: 8
+ *                   units:
+ *                     type: number
+ *                     description: Unités en stock
+ *                     example: 140
+ *                   reserved:
+ *                     type: number
+ *                     description: Unités réservées
+ *                     example: 6
+ *                   stockValue:
+ *                     type: number
+ *                     example: 2315.5
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Rôle insuffisant
+ */
+  analytics.get('/stock-value-by-vendor', authMiddleware, requirePermission('stock:manage'), async (req, res) => {
+    res.json(await stockValue(req.user, 'vendor'));
+  });
+
+  /**
+ * @swagger
+ * /analytics/stock-value-by-category:
+ *   get:
+ *     summary: Valeur du stock par catégorie
+ *     description: |
+ *       Mêmes règles que `/analytics/stock-value-by-vendor` ; une potion compte dans chacune
+ *       de ses catégories.
+ *     tags: [Analytics]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Valeur du stock de chaque catégorie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     example: Soin
+ *                   potionCount:
+ *                     type: number
+ *                   units:
+ *                     type: number
+ *                   reserved:
+ *                     type: number
+ *                   stockValue:
+ *                     type: number
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Rôle insuffisant
+ */
+  analytics.get('/stock-value-by-category', authMiddleware, requirePermission('stock:manage'), async (req, res) => {
+    res.json(await stockValue(req.user, 'category'));
   });
 
  module.exports = analytics;
\ No newline at end of file
@@ -0,0 +1,287 @@
+const Potion = require('./potion.model');
+const Vendor = require('./vendor.model');
+const { parseFilter, QueryError } = require('./potion.query');
+const { parsePriceBasis, effectivePriceExpr } = require('./potion.pricing');
+
+/**
+ * Requêtes analytiques déclaratives pour `/analytics/search`.
+ * Seules les dimensions et mesures listées ici peuvent être utilisées :
+ * aucun chemin fourni par le client n’est interpolé tel quel dans le pipeline.
+ */
+
+const DATE_UNITS = ['day', 'week', 'month', 'year'];
+const DEFAULT_PRICE_BANDS = [0, 10, 25, 50, 100, 250];
+
+const DIMENSIONS = {
+  vendor_id: { expr: () => '$vendor_id' },
+  categories: { expr: () => '$categories', unwind: '$categories' },
+  tryDate: {
+    expr: ({ unit = 'month', timezone }) => ({
+      $dateTrunc: {
+        date: '$tryDate',
+        unit,
+        ...(timezone ? { timezone } : {}),
+        ...(unit === 'week' ? { startOfWeek: 'monday' } : {})
+      }
+    }),
+    units: DATE_UNITS
+  },
+  priceBand: {
+    expr: ({ bands }) => ({
+      $switch: {
+        branches: bands.map((low, i) => {
+          const high = bands[i + 1];
+          return {
+            case: high === undefined ? { $gte: ['$price', low] } : { $and: [{ $gte: ['$price', low] }, { $lt: ['$price', high] }] },
+            then: high === undefined ? `${low}+` : `${low}-${high}`
+          };
+        }),
+        default: null
+      }
+    })
+  }
+};
+
+const MEASURE_FIELDS = ['price', 'score', 'ratings.strength', 'ratings.flavor', 'reviewCount'];
+
+// op -> construction de l’accumulateur $group (les percentiles sont traités à part)
+const MEASURES = {
+  count: () => ({ $sum: 1 }),
+  avg: field => ({ $avg: `$${field}` }),
+  sum: field => ({ $sum: `$${field}` }),
+  min: field => ({ $min: `$${field}` }),
+  max: field => ({ $max: `$${field}` }),
+  stdDev: field => ({ $stdDevPop: `$${field}` }),
+  median: field => ({ $median: { input: `$${field}`, method: 'approximate' } })
+};
+
+// Paramètres propres à /analytics/search (tout le reste est un filtre sur les potions)
+const RESERVED_PARAMS = ['groupBy', 'measures', 'metric', 'field', 'sort', 'limit', 'having', 'timezone', 'priceBands', 'priceBasis'];
+
+const HAVING_PATTERN = /^([A-Za-z_]\w*)(>=|<=|!=|=|>|<)(-?\d+(?:\.\d+)?)$/;
+const HAVING_OPERATORS = { '>=': '$gte', '<=': '$lte', '!=': '$ne', '=': '$eq', '>': '$gt', '<': '$lt' };
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+function list(raw) {
+  return [].concat(raw ?? []).flatMap(v => String(v).split(',')).map(s => s.trim()).filter(Boolean);
+}
+
+function isValidTimezone(tz) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseDimensions(query, errors) {
+  const dimensions = [];
+  const timezone = query.timezone;
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    errors.push(queryError('timezone', timezone, 'Fuseau horaire inconnu : {timezone}', { timezone }));
+  }
+
+  let bands = DEFAULT_PRICE_BANDS;
+  if (query.priceBands !== undefined) {
+    bands = list(query.priceBands).map(Number);
+    const ascending = bands.every((b, i) => Number.isFinite(b) && b >= 0 && (i === 0 || b > bands[i - 1]));
+    if (bands.length < 2 || !ascending) {
+      errors.push(queryError('priceBands', query.priceBands, 'priceBands doit être une liste croissante d’au moins deux bornes positives'));
+      bands = DEFAULT_PRICE_BANDS;
+    }
+  }
+
+  for (const token of list(query.groupBy)) {
+    const [name, unit] = token.split(':');
+    const dimension = Object.hasOwn(DIMENSIONS, name) ? DIMENSIONS[name] : undefined;
+    if (!dimension) {
+      errors.push(queryError('groupBy', query.groupBy,
+        'Dimension non autorisée : {name} (autorisées : {allowed})', { name, allowed: Object.keys(DIMENSIONS).join(', ') }));
+      continue;
+    }
+    if (unit !== undefined && !dimension.units) {
+      errors.push(queryError('groupBy', query.groupBy, 'La dimension {name} n’accepte pas de granularité', { name }));
+      continue;
+    }
+    if (dimension.units && unit !== undefined && !dimension.units.includes(unit)) {
+      errors.push(queryError('groupBy', query.groupBy,
+        'Granularité inconnue pour {name} : {unit} (autorisées : {allowed})', { name, unit, allowed: dimension.units.join(', ') }));
+      continue;
+    }
+    if (dimensions.some(d => d.name === name)) {
+      errors.push(queryError('groupBy', query.groupBy, 'Dimension répétée : {name}', { name }));
+      continue;
+    }
+    dimensions.push({ name, expr: dimension.expr({ unit, timezone, bands }), unwind: dimension.unwind });
+  }
+  return dimensions;
+}
+
+function measureAlias(op, field) {
+  return field ? `${op}_${field.replace(/\./g, '_')}` : op;
+}
+
+function parseMeasures(query, errors) {
+  let tokens = list(query.measures);
+
+  // Compatibilité avec l’ancienne forme ?metric=avg&field=score
+  const legacy = tokens.length === 0 && query.metric !== undefined;
+  if (legacy) tokens = [query.metric === 'count' ? 'count' : `${query.metric}:${query.field ?? ''}`];
+  if (tokens.length === 0) tokens = ['count'];
+
+  const measures = [];
+  for (const token of tokens) {
+    const [op, field] = token.split(':');
+    const percentile = /^p(\d{1,2})$/.exec(op);
+
+    if (!Object.hasOwn(MEASURES, op) && !percentile) {
+      errors.push(queryError(legacy ? 'metric' : 'measures', token,
+        'Mesure inconnue : {op} (autorisées : {allowed}, p1…p99)', { op, allowed: Object.keys(MEASURES).join(', ') }));
+      continue;
+    }
+    if (op === 'count') {
+      if (field) errors.push(queryError('measures', token, 'count ne prend pas de champ'));
+      else measures.push({ alias: 'count', accumulator: MEASURES.count() });
+      continue;
+    }
+    if (!field) {
+      errors.push(queryError(legacy ? 'field' : 'measures', token, 'La mesure {op} nécessite un champ (ex. {op}:score)', { op }));
+      continue;
+    }
+    if (!MEASURE_FIELDS.includes(field)) {
+      errors.push(queryError(legacy ? 'field' : 'measures', token,
+        'Champ non mesurable : {field} (autorisés : {allowed})', { field, allowed: MEASURE_FIELDS.join(', ') }));
+      continue;
+    }
+
+    const alias = legacy ? 'result' : measureAlias(op, field);
+    if (measures.some(m => m.alias === alias)) continue;
+
+    if (percentile) {
+      const p = Number(percentile[1]);
+      if (p < 1 || p > 99) {
+        errors.push(queryError('measures', token, 'Le percentile doit être compris entre p1 et p99'));
+        continue;
+      }
+      measures.push({
+        alias,
+        accumulator: { $percentile: { input: `$${field}`, p: [p / 100], method: 'approximate' } },
+        // $percentile renvoie un tableau : on n’en garde que la valeur
+        project: { $arrayElemAt: [`$${alias}`, 0] }
+      });
+    } else {
+      measures.push({ alias, accumulator: MEASURES[op](field) });
+    }
+  }
+  return measures;
+}
+
+function parseHaving(raw, measures, errors) {
+  const conditions = {};
+  for (const token of list(raw)) {
+    const match = HAVING_PATTERN.exec(token.replace(/\s+/g, ''));
+    if (!match) {
+      errors.push(queryError('having', raw, 'Condition invalide : {token} (ex. having=count>=3)', { token }));
+      continue;
+    }
+    const [, alias, op, value] = match;
+    if (!measures.some(m => m.alias === alias)) {
+      errors.push(queryError('having', raw, 'having porte sur une mesure non demandée : {alias}', { alias }));
+      continue;
+    }
+    conditions[alias] = { ...(conditions[alias] || {}), [HAVING_OPERATORS[op]]: Number(value) };
+  }
+  return conditions;
+}
+
+function parseSort(raw, dimensions, measures, errors) {
+  const sort = {};
+  for (const token of list(raw)) {
+    const dir = token.startsWith('-') ? -1 : 1;
+    const key = token.replace(/^[-+]/, '');
+    if (measures.some(m => m.alias === key)) {
+      sort[key] = dir;
+    } else if (dimensions.some(d => d.name === key)) {
+      sort[dimensions.length === 1 ? '_id' : `_id.${key}`] = dir;
+    } else {
+      errors.push(queryError('sort', raw, 'Tri impossible sur {key} (dimension ou mesure demandée attendue)', { key }));
+    }
+  }
+  return sort;
+}
+
+function parseLimit(raw, errors) {
+  if (raw === undefined) return null;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    errors.push(queryError('limit', raw, 'limit doit être un entier entre 1 et 1000'));
+    return null;
+  }
+  return limit;
+}
+
+/**
+ * Construit le pipeline d’agrégation à partir des paramètres de requête.
+ * Avec `priceBasis=effective`, `price` (filtres, mesures, priceBand) désigne le prix effectif
+ * selon les promotions `rules` en cours.
+ * Lève une QueryError (400) listant toutes les incohérences.
+ */
+function buildSearchPipeline(query, { rules = [] } = {}) {
+  const errors = [];
+  const priceBasis = parsePriceBasis(query.priceBasis, errors);
+
+  let filter = {};
+  try {
+    filter = parseFilter(query, Potion, { reserved: RESERVED_PARAMS });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+
+  const dimensions = parseDimensions(query, errors);
+  const measures = parseMeasures(query, errors);
+  const having = parseHaving(query.having, measures, errors);
+  const sort = parseSort(query.sort, dimensions, measures, errors);
+  const limit = parseLimit(query.limit, errors);
+
+  if (errors.length) throw new QueryError(errors);
+
+  const pipeline = [];
+  if (priceBasis === 'effective') pipeline.push({ $set: { price: effectivePriceExpr(rules) } });
+  if (Object.keys(filter).length) pipeline.push({ $match: filter });
+  for (const d of dimensions) {
+    if (d.unwind) pipeline.push({ $unwind: d.unwind });
+  }
+
+  let groupId = null;
+  if (dimensions.length === 1) groupId = dimensions[0].expr;
+  if (dimensions.length > 1) groupId = Object.fromEntries(dimensions.map(d => [d.name, d.expr]));
+  pipeline.push({ $group: { _id: groupId, ...Object.fromEntries(measures.map(m => [m.alias, m.accumulator])) } });
+
+  const projections = measures.filter(m => m.project);
+  if (projections.length) {
+    pipeline.push({ $set: Object.fromEntries(projections.map(m => [m.alias, m.project])) });
+  }
+  // Nom du vendeur à côté de son identifiant
+  if (dimensions.some(d => d.name === 'vendor_id')) {
+    const localField = dimensions.length === 1 ? '_id' : '_id.vendor_id';
+    pipeline.push(
+      { $lookup: { from: Vendor.collection.name, localField, foreignField: '_id', as: 'vendor' } },
+      { $set: { vendorName: { $first: '$vendor.name' } } },
+      { $unset: 'vendor' }
+    );
+  }
+  if (Object.keys(having).length) pipeline.push({ $match: having });
+  // _id en dernière clé pour un ordre stable
+  if (!('_id' in sort)) sort._id = 1;
+  pipeline.push({ $sort: sort });
+  if (limit) pipeline.push({ $limit: limit });
+
+  return pipeline;
+}
+
+module.exports = { buildSearchPipeline, DIMENSIONS, MEASURES, MEASURE_FIELDS, DATE_UNITS, DEFAULT_PRICE_BANDS, RESERVED_PARAMS };
@@ -0,0 +1,128 @@
+const { parseFilter, QueryError } = require('./potion.query');
+const Potion = require('./potion.model');
+
+/**
+ * Moyennes bayésiennes des scores issus des avis.
+ *
+ *   bayes = (C × m + Σ score × reviewCount) / (C + Σ reviewCount)
+ *
+ * m est le score moyen de tous les avis (potions filtrées) et C le poids de cet a priori,
+ * par défaut le nombre moyen d’avis par potion notée : une potion avec peu d’avis
+ * est ramenée vers la moyenne générale.
+ */
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const RESERVED_PARAMS = ['limit', 'minReviews', 'prior'];
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+}
+
+// Somme des scores des avis, reconstituée à partir de la moyenne stockée sur chaque potion
+const REVIEW_SCORE_SUM = { $multiply: [{ $ifNull: ['$score', 0] }, { $ifNull: ['$reviewCount', 0] }] };
+
+/**
+ * Calcule l’a priori { mean, weight } sur les potions correspondant au filtre.
+ * `weight` fourni par le client remplace le poids par défaut.
+ */
+async function bayesianPrior(filter = {}, weight) {
+  const [stats] = await Potion.aggregate([
+    { $match: { ...filter, reviewCount: { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        reviews: { $sum: '$reviewCount' },
+        scoreSum: { $sum: REVIEW_SCORE_SUM },
+        potions: { $sum: 1 }
+      }
+    }
+  ]);
+  if (!stats) return { mean: null, weight: weight ?? 0 };
+  return {
+    mean: stats.scoreSum / stats.reviews,
+    weight: weight ?? stats.reviews / stats.potions
+  };
+}
+
+/**
+ * Expression d’agrégation de la moyenne bayésienne, à partir de la somme des scores
+ * et du nombre d’avis (champs d’un document ou accumulateurs d’un $group).
+ */
+function bayesianScore(prior, scoreSum, reviewCount) {
+  if (prior.mean === null) return { $literal: null };
+  const denominator = { $add: [prior.weight, reviewCount] };
+  return {
+    $cond: [
+      { $gt: [denominator, 0] },
+      { $divide: [{ $add: [prior.weight * prior.mean, scoreSum] }, denominator] },
+      null
+    ]
+  };
+}
+
+function parseTopRatedQuery(query) {
+  const errors = [];
+
+  let filter = {};
+  try {
+    filter = parseFilter(query, Potion, { reserved: RESERVED_PARAMS });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(queryError('limit', query.limit, 'limit doit être un entier entre 1 et {max}', { max: MAX_LIMIT }));
+  }
+
+  const minReviews = query.minReviews === undefined ? 1 : Number(query.minReviews);
+  if (!Number.isInteger(minReviews) || minReviews < 0) {
+    errors.push(queryError('minReviews', query.minReviews, 'minReviews doit être un entier positif'));
+  }
+
+  let weight;
+  if (query.prior !== undefined) {
+    weight = Number(query.prior);
+    if (!Number.isFinite(weight) || weight < 0) {
+      errors.push(queryError('prior', query.prior, 'prior doit être un nombre positif'));
+    }
+  }
+
+  if (errors.length) throw new QueryError(errors);
+  return { filter, limit, minReviews, weight };
+}
+
+// Classement des potions par moyenne bayésienne (`/analytics/top-rated`)
+async function topRated(query) {
+  const { filter, limit, minReviews, weight } = parseTopRatedQuery(query);
+  const prior = await bayesianPrior(filter, weight);
+
+  const data = await Potion.aggregate([
+    { $match: { ...filter, ...(minReviews > 0 ? { reviewCount: { $gte: minReviews } } : {}) } },
+    {
+      $project: {
+        name: 1,
+        vendor_id: 1,
+        score: 1,
+        reviewCount: { $ifNull: ['$reviewCount', 0] },
+        bayesianScore: bayesianScore(prior, REVIEW_SCORE_SUM, { $ifNull: ['$reviewCount', 0] })
+      }
+    },
+    { $sort: { bayesianScore: -1, reviewCount: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return {
+    prior: { mean: round(prior.mean), weight: round(prior.weight) },
+    data: data.map(row => ({ ...row, bayesianScore: round(row.bayesianScore) }))
+  };
+}
+
+module.exports = { bayesianPrior, bayesianScore, topRated, REVIEW_SCORE_SUM };
@@ -0,0 +1,47 @@
+const Potion = require('./potion.model');
+const Vendor = require('./vendor.model');
+const { managedPotionsFilter } = require('./roles');
+
+/**
+ * Valeur du stock (unités en stock × prix) pour `/analytics/stock-value-by-vendor`
+ * et `/analytics/stock-value-by-category`, limitée aux potions gérées par l’utilisateur.
+ * Les potions sans stock ou sans prix ne sont pas comptées.
+ */
+
+const ON_HAND = { $ifNull: ['$stock.onHand', 0] };
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// dimension : 'vendor' ou 'category' (une potion compte dans chacune de ses catégories)
+async function stockValue(user, dimension) {
+  const match = { 'stock.onHand': { $gt: 0 } };
+  const mine = managedPotionsFilter(user);
+  if (mine) Object.assign(match, mine);
+
+  const pipeline = [{ $match: match }];
+  if (dimension === 'category') pipeline.push({ $unwind: '$categories' });
+  pipeline.push({
+    $group: {
+      _id: dimension === 'category' ? '$categories' : '$vendor_id',
+      potionCount: { $sum: 1 },
+      units: { $sum: ON_HAND },
+      reserved: { $sum: { $ifNull: ['$stock.reserved', 0] } },
+      stockValue: { $sum: { $multiply: [ON_HAND, { $ifNull: ['$price', 0] }] } }
+    }
+  });
+  if (dimension === 'vendor') {
+    pipeline.push(
+      { $lookup: { from: Vendor.collection.name, localField: '_id', foreignField: '_id', as: 'vendor' } },
+      { $set: { name: { $first: '$vendor.name' } } },
+      { $unset: 'vendor' }
+    );
+  }
+  pipeline.push({ $sort: { stockValue: -1, _id: 1 } });
+
+  const rows = await Potion.aggregate(pipeline);
+  return rows.map(row => ({ ...row, stockValue: round(row.stockValue) }));
+}
+
+module.exports = { stockValue };
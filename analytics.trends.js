@@ -0,0 +1,239 @@
+const { parseFilter, QueryError } = require('./potion.query');
+const Potion = require('./potion.model');
+const { activeRules, parsePriceBasis, effectivePriceExpr } = require('./potion.pricing');
+
+/**
+ * Séries temporelles sur tryDate pour `/analytics/trends` :
+ * agrégation par période dans un fuseau donné, comblement des périodes vides,
+ * moyennes mobiles et variations d’une période à l’autre.
+ */
+
+const GRANULARITIES = ['day', 'week', 'month', 'year'];
+const MAX_PERIODS = 1000;
+const MAX_WINDOW = 52;
+
+const METRICS = {
+  count: { $sum: 1 },
+  avgScore: { $avg: '$score' },
+  avgPrice: { $avg: '$price' },
+  avgStrength: { $avg: '$ratings.strength' },
+  avgFlavor: { $avg: '$ratings.flavor' }
+};
+
+const RESERVED_PARAMS = ['granularity', 'timezone', 'from', 'to', 'fill', 'window', 'priceBasis'];
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+// --- Calendrier dans un fuseau horaire (sans dépendance externe) ---
+
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    weekday: 'short', hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    // 0 = lundi ... 6 = dimanche
+    weekday: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(get('weekday'))
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = localParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant correspondant à minuit (heure locale) ; Date.UTC normalise les jours/mois hors bornes
+function zonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  let ts = guess - offsetMs(new Date(guess), timeZone);
+  ts = guess - offsetMs(new Date(ts), timeZone);
+  return new Date(ts);
+}
+
+// Même découpage que $dateTrunc (semaines commençant le lundi)
+function truncate(date, unit, timeZone) {
+  const p = localParts(date, timeZone);
+  switch (unit) {
+    case 'day': return zonedMidnight(p.year, p.month, p.day, timeZone);
+    case 'week': return zonedMidnight(p.year, p.month, p.day - p.weekday, timeZone);
+    case 'month': return zonedMidnight(p.year, p.month, 1, timeZone);
+    default: return zonedMidnight(p.year, 1, 1, timeZone);
+  }
+}
+
+function nextPeriod(date, unit, timeZone) {
+  const p = localParts(date, timeZone);
+  switch (unit) {
+    case 'day': return zonedMidnight(p.year, p.month, p.day + 1, timeZone);
+    case 'week': return zonedMidnight(p.year, p.month, p.day + 7, timeZone);
+    case 'month': return zonedMidnight(p.year, p.month + 1, 1, timeZone);
+    default: return zonedMidnight(p.year + 1, 1, 1, timeZone);
+  }
+}
+
+function periodLabel(date, unit, timeZone) {
+  const p = localParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  if (unit === 'year') return String(p.year);
+  if (unit === 'month') return `${p.year}-${pad(p.month)}`;
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// --- Analyse des paramètres ---
+
+function parseTrendQuery(query) {
+  const errors = [];
+
+  let filter = {};
+  try {
+    filter = parseFilter(query, Potion, { reserved: RESERVED_PARAMS });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+
+  const granularity = query.granularity ?? 'month';
+  if (!GRANULARITIES.includes(granularity)) {
+    errors.push(queryError('granularity', granularity, 'Granularité inconnue (autorisées : {allowed})', { allowed: GRANULARITIES.join(', ') }));
+  }
+
+  const timezone = query.timezone ?? 'UTC';
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    errors.push(queryError('timezone', timezone, 'Fuseau horaire inconnu : {timezone}', { timezone }));
+  }
+
+  const dates = {};
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) errors.push(queryError(key, query[key], 'Date invalide pour {key}', { key }));
+    else dates[key] = date;
+  }
+  if (dates.from && dates.to && dates.from >= dates.to) {
+    errors.push(queryError('to', query.to, 'to doit être postérieur à from'));
+  }
+
+  let window = null;
+  if (query.window !== undefined) {
+    window = Number(query.window);
+    if (!Number.isInteger(window) || window < 2 || window > MAX_WINDOW) {
+      errors.push(queryError('window', query.window, 'window doit être un entier entre 2 et {max}', { max: MAX_WINDOW }));
+    }
+  }
+
+  const fill = query.fill !== 'false';
+  const priceBasis = parsePriceBasis(query.priceBasis, errors);
+
+  if (errors.length) throw new QueryError(errors);
+  return { filter, granularity, timezone, from: dates.from, to: dates.to, window, fill, priceBasis };
+}
+
+// Avec priceBasis=effective, `price` (filtres et avgPrice) est le prix effectif selon les promotions `rules`
+function buildTrendPipeline({ filter, granularity, timezone, from, to, priceBasis }, rules = []) {
+  const tryDate = { $type: 'date' };
+  if (from) tryDate.$gte = from;
+  if (to) tryDate.$lt = to;
+
+  return [
+    ...(priceBasis === 'effective' ? [{ $set: { price: effectivePriceExpr(rules) } }] : []),
+    { $match: { ...filter, tryDate: { ...(filter.tryDate || {}), ...tryDate } } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: '$tryDate',
+            unit: granularity,
+            timezone,
+            ...(granularity === 'week' ? { startOfWeek: 'monday' } : {})
+          }
+        },
+        ...METRICS
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+// --- Post-traitement des séries ---
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+}
+
+function fillGaps(rows, { granularity, timezone, from, to, fill }) {
+  const byPeriod = new Map(rows.map(r => [r._id.getTime(), r]));
+  const empty = period => ({ _id: period, count: 0, avgScore: null, avgPrice: null, avgStrength: null, avgFlavor: null });
+  if (!fill || (rows.length === 0 && (!from || !to))) return rows;
+
+  const start = from ? truncate(from, granularity, timezone) : rows[0]._id;
+  // `to` est exclusif : la dernière période est celle qui contient l’instant précédent
+  const end = to ? truncate(new Date(to.getTime() - 1), granularity, timezone) : rows[rows.length - 1]._id;
+
+  const series = [];
+  for (let period = start; period <= end; period = nextPeriod(period, granularity, timezone)) {
+    if (series.length >= MAX_PERIODS) {
+      throw new QueryError([queryError('granularity', granularity,
+        'Plus de {max} périodes : réduisez l’intervalle ou choisissez une granularité plus large', { max: MAX_PERIODS })]);
+    }
+    series.push(byPeriod.get(period.getTime()) || empty(period));
+  }
+  return series;
+}
+
+function decorate(series, { granularity, timezone, window }) {
+  const names = Object.keys(METRICS);
+  return series.map((row, i) => {
+    const point = {
+      period: row._id,
+      label: periodLabel(row._id, granularity, timezone),
+      ...Object.fromEntries(names.map(n => [n, round(row[n])]))
+    };
+
+    if (window) {
+      const slice = series.slice(Math.max(0, i - window + 1), i + 1);
+      point.movingAverage = Object.fromEntries(names.map(n => {
+        const values = slice.map(r => r[n]).filter(v => v !== null && v !== undefined);
+        return [n, values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : null];
+      }));
+    }
+
+    const previous = series[i - 1];
+    point.delta = Object.fromEntries(names.map(n => {
+      const current = row[n];
+      const before = previous?.[n];
+      if (current == null || before == null) return [n, null];
+      return [n, { change: round(current - before), percent: before === 0 ? null : round(((current - before) / before) * 100) }];
+    }));
+
+    return point;
+  });
+}
+
+async function computeTrends(query) {
+  const params = parseTrendQuery(query);
+  const rules = params.priceBasis === 'effective' ? await activeRules() : [];
+  const rows = await Potion.aggregate(buildTrendPipeline(params, rules));
+  const series = decorate(fillGaps(rows, params), params);
+  return {
+    granularity: params.granularity,
+    timezone: params.timezone,
+    window: params.window,
+    series
+  };
+}
+
+module.exports = { computeTrends, parseTrendQuery, buildTrendPipeline, truncate, nextPeriod, GRANULARITIES };
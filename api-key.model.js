@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('./roles');
+
+const TOKEN_PREFIX = 'pk_';
+// lastUsedAt n’est réécrit qu’une fois par minute pour limiter les écritures
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Clé d’API d’un utilisateur (scripts, intégrations) : seul le hash du secret est stocké
+const apiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  label: {
+    type: String,
+    required: [true, 'Le libellé de la clé est requis.'],
+    trim: true,
+    maxlength: [100, 'Le libellé ne doit pas dépasser 100 caractères.']
+  },
+  scopes: {
+    type: [{ type: String, enum: { values: API_KEY_SCOPES, message: 'Portée inconnue : {VALUE}.' } }],
+    validate: { validator: scopes => scopes.length > 0, message: 'Au moins une portée est requise.' }
+  },
+  tokenHash: { type: String, required: true },
+  // 4 derniers caractères, pour reconnaître la clé dans la liste
+  hint: String,
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.id;
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.virtual('status').get(function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// La clé a la forme "pk_<id>.<secret>"
+function parseApiKey(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+  const [id, secret] = token.slice(TOKEN_PREFIX.length).split('.');
+  if (!secret || !mongoose.isValidObjectId(id)) return null;
+  return { id, secret };
+}
+
+// Crée une clé et renvoie { apiKey, token } : le token n’est plus récupérable ensuite
+apiKeySchema.statics.issue = async function (user, { label, scopes, expiresAt }) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const apiKey = new this({ user: user._id, label, scopes, expiresAt, tokenHash: hashToken(secret), hint: secret.slice(-4) });
+  await apiKey.save();
+  return { apiKey, token: `${TOKEN_PREFIX}${apiKey._id}.${secret}` };
+};
+
+// Clé correspondant au token (même expirée), ou null si inconnue, révoquée ou si le secret diffère
+apiKeySchema.statics.findByToken = async function (token) {
+  const parsed = parseApiKey(token);
+  if (!parsed) return null;
+  const apiKey = await this.findOne({ _id: parsed.id, revokedAt: null });
+  if (!apiKey) return null;
+  const expected = Buffer.from(apiKey.tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(parsed.secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+apiKeySchema.methods.touch = function (ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return Promise.resolve();
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+};
+
+apiKeySchema.methods.revoke = function () {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.parseApiKey = parseApiKey;
@@ -0,0 +1,250 @@
+/**
+ * @swagger
+ * tags:
+ *   name: API keys
+ *   description: Clés d’API pour les scripts et intégrations (alternative au cookie de session)
+ */
+
+const express = require('express');
+const ApiKey = require('./api-key.model');
+const authMiddleware = require('./middleware');
+const { requireSession } = authMiddleware;
+const { auditContext, recordEvent } = require('./audit');
+const { ValidationFailedError, NotFoundError, assertObjectId } = require('./errors');
+
+// Monté sur /auth/api-keys : gestion réservée aux sessions (une clé ne crée pas d’autres clés)
+const router = express.Router();
+router.use(authMiddleware, requireSession);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 6710a1b2c3d4e5f601234567
+ *         label:
+ *           type: string
+ *           example: Import nocturne du catalogue
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [potions:read, potions:write, analytics:read]
+ *         hint:
+ *           type: string
+ *           description: 4 derniers caractères de la clé
+ *           example: x9Qz
+ *         status:
+ *           type: string
+ *           enum: [active, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+function parseExpiry(value) {
+  if (value == null) return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw new ValidationFailedError([{
+      type: 'field', value, msg: 'La date d’expiration doit être une date future.', path: 'expiresAt', location: 'body'
+    }]);
+  }
+  return date;
+}
+
+async function findOwnKey(req) {
+  assertObjectId(req.params.id, 'Clé d’API non trouvée', { code: 'api-key-not-found' });
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+  if (!apiKey) throw new NotFoundError('Clé d’API non trouvée', { code: 'api-key-not-found' });
+  return apiKey;
+}
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   post:
+ *     summary: Créer une clé d’API
+ *     description: |
+ *       La clé (`pk_...`) n’est renvoyée qu’une fois : seul son hash est conservé.
+ *       Elle s’envoie dans `Authorization: Bearer <clé>` ou `X-API-Key: <clé>` et agit au nom de
+ *       l’utilisateur, avec son rôle, dans la limite de ses portées.
+ *     tags: [API keys]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - label
+ *               - scopes
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: Import nocturne du catalogue
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [potions:read, potions:write, analytics:read]
+ *                 example: [potions:read, potions:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Date d’expiration (facultative)
+ *     responses:
+ *       201:
+ *         description: Clé créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: pk_6710a1b2c3d4e5f601234567.Zk3...x9Qz
+ *       400:
+ *         description: Libellé, portées ou date d’expiration invalides
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Requête authentifiée par une clé d’API
+ */
+router.post('/', async (req, res) => {
+  const { apiKey, token } = await ApiKey.issue(
+    { _id: req.user.id },
+    { label: req.body?.label, scopes: req.body?.scopes, expiresAt: parseExpiry(req.body?.expiresAt) }
+  );
+  await recordEvent(auditContext(req), 'auth.api-key-create', {
+    entity: { type: 'user', id: req.user.id },
+    meta: { apiKey: apiKey._id, label: apiKey.label, scopes: apiKey.scopes }
+  });
+  res.status(201).json({ ...apiKey.toJSON(), key: token });
+});
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   get:
+ *     summary: Lister ses clés d’API non révoquées
+ *     tags: [API keys]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Clés de l’utilisateur, les plus récentes d’abord
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Non authentifié
+ */
+router.get('/', async (req, res) => {
+  const apiKeys = await ApiKey.find({ user: req.user.id, revokedAt: null }).sort({ createdAt: -1 });
+  res.json(apiKeys);
+});
+
+/**
+ * @swagger
+ * /auth/api-keys/{id}:
+ *   patch:
+ *     summary: Renommer une clé d’API ou changer ses portées
+ *     tags: [API keys]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [potions:read, potions:write, analytics:read]
+ *     responses:
+ *       200:
+ *         description: Clé mise à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Libellé ou portées invalides
+ *       404:
+ *         description: Clé d’API non trouvée
+ */
+router.patch('/:id', async (req, res) => {
+  const apiKey = await findOwnKey(req);
+  if (req.body?.label !== undefined) apiKey.label = req.body.label;
+  if (req.body?.scopes !== undefined) apiKey.scopes = req.body.scopes;
+  await apiKey.save();
+  res.json(apiKey);
+});
+
+/**
+ * @swagger
+ * /auth/api-keys/{id}:
+ *   delete:
+ *     summary: Révoquer une clé d’API
+ *     description: La clé est refusée dès la requête suivante.
+ *     tags: [API keys]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clé révoquée
+ *       404:
+ *         description: Clé d’API non trouvée
+ */
+router.delete('/:id', async (req, res) => {
+  const apiKey = await findOwnKey(req);
+  await apiKey.revoke();
+  await recordEvent(auditContext(req), 'auth.api-key-revoke', {
+    entity: { type: 'user', id: req.user.id },
+    meta: { apiKey: apiKey._id, label: apiKey.label }
+  });
+  res.json({ message: req.t('Clé d’API révoquée') });
+});
+
+module.exports = router;
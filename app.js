@@ -1,8 +1,334 @@
+const path = require('path');
 const express = require('express');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const swaggerUi = require('swagger-ui-express');
+const swaggerJsdoc = require('swagger-jsdoc');
+const routes = require('./router');
+const analytics = require('./analytics');
+const { UNITS, RARITIES } = require('./potion.model');
+const { requestId, notFound, errorHandler } = require('./errors');
+const { localize, localeOf, translateSpec } = require('./i18n');
+const { requestContext } = require('./logger');
+const { accessLog } = require('./access-log');
+const { metricsHandler } = require('./metrics');
+const { rateLimit, policies } = require('./rate-limit');
+const { requireDatabase, closeConnectionsWhenDraining } = require('./lifecycle');
+const { config } = require('./config');
+const { createPaymentAdapter } = require('./payment');
+const { optionalApiKey, requireScope } = require('./middleware');
 
-const app = express();
-app.use((req, res) => {
-   res.status(200).json({ message: 'Votre requête a bien été reçue !' }); 
-});
+const swaggerOptions = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'API Auth & Potions',
+      version: '1.0.0',
+      description: 'Doc de l’API pour l’authentification et gestion des potions 🧪',
+    },
+    servers: [
+      {
+        url: config.publicUrl,
+      },
+    ],
+    components: {
+      securitySchemes: {
+        cookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: config.cookies.accessName,
+          description: 'JWT obtenu via /auth/login. Il porte le rôle de l’utilisateur : '
+            + '`admin` (tous les droits), `vendor` (gestion de ses propres potions), `reader` (lecture seule).'
+        },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Clé d’API (`pk_...`) créée via POST /auth/api-keys, avec le rôle de son propriétaire. '
+            + 'Portées : `potions:read` (corbeille, historique), `potions:write` (création, modification, '
+            + 'suppression, import), `analytics:read` (limite de débit propre à la clé).'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'La même clé d’API, dans l’en-tête X-API-Key.'
+        }
+      },
+      responses: {
+        TooManyRequests: {
+          description: 'Trop de requêtes (limite de débit ou compte temporairement verrouillé)',
+          headers: {
+            'Retry-After': {
+              description: 'Délai en secondes avant de réessayer',
+              schema: { type: 'integer', example: 60 }
+            }
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                allOf: [
+                  { $ref: '#/components/schemas/Problem' },
+                  {
+                    type: 'object',
+                    properties: {
+                      retryAfter: { type: 'integer', example: 60 }
+                    }
+                  }
+                ]
+              }
+            }
+          }
+        }
+      },
+      schemas: {
+        Potion: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            _id: {
+              type: 'string',
+              example: '660bcf5fca6e9f06b8a2eecd'
+            },
+            name: {
+              type: 'string',
+              example: 'Potion de soin ultime'
+            },
+            price: {
+              type: 'number',
+              minimum: 0,
+              description: 'Prix de base',
+              example: 99.99
+            },
+            priceSince: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true,
+              description: 'Date d’effet du prix de base (historique : GET /potions/{id}/price-history)'
+            },
+            effectivePrice: {
+              type: 'number',
+              readOnly: true,
+              description: 'Prix après la meilleure promotion en cours (égal au prix de base sans promotion)',
+              example: 89.99
+            },
+            promotion: {
+              type: 'object',
+              nullable: true,
+              readOnly: true,
+              description: 'Promotion appliquée au prix effectif',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string', example: 'Soldes d’hiver' },
+                kind: { type: 'string', enum: ['percentage', 'fixed'] },
+                value: { type: 'number', example: 10 },
+                endsAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
+            score: {
+              type: 'number',
+              minimum: 0,
+              maximum: 5,
+              readOnly: true,
+              description: 'Moyenne des scores des avis',
+              example: 4.5
+            },
+            ingredients: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Ingredient' }
+            },
+            ratings: {
+              type: 'object',
+              readOnly: true,
+              description: 'Moyennes de force et d’arôme des avis',
+              properties: {
+                strength: { type: 'number', minimum: 0, maximum: 10, example: 4 },
+                flavor: { type: 'number', minimum: 0, maximum: 10, example: 3 }
+              }
+            },
+            reviewCount: {
+              type: 'integer',
+              readOnly: true,
+              example: 8
+            },
+            tryDate: {
+              type: 'string',
+              format: 'date',
+              example: '2025-04-02'
+            },
+            categories: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['soin', 'rare']
+            },
+            vendor_id: {
+              type: 'string',
+              description: 'ID d’un vendeur existant',
+              example: '660bceefa25c4f1234abcd12'
+            },
+            vendor: {
+              allOf: [{ $ref: '#/components/schemas/Vendor' }],
+              description: 'Détails du vendeur, présents uniquement avec ?expand=vendor'
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              readOnly: true,
+              description: 'Date de mise à la corbeille (null pour une potion active)'
+            },
+            deletedBy: {
+              type: 'string',
+              readOnly: true,
+              description: 'Utilisateur ayant mis la potion à la corbeille'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Ingredient: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', example: 'larmes de phénix' },
+            quantity: { type: 'number', minimum: 0, default: 1, example: 3 },
+            unit: {
+              type: 'string',
+              enum: UNITS,
+              default: 'unité',
+              example: 'goutte'
+            },
+            rarity: {
+              type: 'string',
+              enum: RARITIES,
+              example: 'légendaire'
+            }
+          }
+        },
+        Problem: {
+          type: 'object',
+          description: 'Erreur au format RFC 7807 (application/problem+json)',
+          properties: {
+            type: { type: 'string', example: 'urn:potions:problem:validation-failed' },
+            title: { type: 'string', example: 'Bad Request' },
+            status: { type: 'integer', example: 400 },
+            detail: { type: 'string', example: 'Données invalides' },
+            instance: { type: 'string', example: '/potions/660bcf5fca6e9f06b8a2eecd' },
+            code: {
+              type: 'string',
+              description: 'Identifiant stable de l’erreur',
+              example: 'validation-failed'
+            },
+            requestId: {
+              type: 'string',
+              description: 'Identique à l’en-tête X-Request-Id de la réponse',
+              example: '0b3c5a8e-3f4e-4c7a-9d55-1b2f3c4d5e6f'
+            },
+            errors: {
+              type: 'array',
+              description: 'Détail champ par champ (erreurs de validation)',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', example: 'field' },
+                  value: { example: -5 },
+                  msg: { type: 'string', example: 'Le prix ne peut pas être négatif.' },
+                  path: { type: 'string', example: 'price' },
+                  location: { type: 'string', example: 'body' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+     
+  },
+  apis: [path.join(__dirname, '*.js')],
+};
 
-module.exports = app;
\ No newline at end of file
+// Spec construite au premier appel (lecture des commentaires @swagger de tous les fichiers), puis réutilisée
+let swaggerSpecs;
+function getSwaggerSpecs() {
+  if (!swaggerSpecs) {
+    const fr = swaggerJsdoc(swaggerOptions);
+    swaggerSpecs = { fr, en: translateSpec(fr, require('./swagger.en')) };
+  }
+  return swaggerSpecs;
+}
+
+// CORS_ORIGINS : '*' sans cookies, liste d’origines avec cookies (credentials), vide : pas d’en-têtes CORS
+function corsOptions(origins) {
+  const exposedHeaders = ['ETag', 'Deprecation', 'Link'];
+  if (origins === '*') return { origin: '*', exposedHeaders };
+  return { origin: origins.length ? origins : false, credentials: true, exposedHeaders };
+}
+
+/**
+ * Construit l’application Express, sans connexion à MongoDB ni port d’écoute
+ * (server.js s’en charge ; les tests la montent sur une base en mémoire).
+ *   rateLimit : limitation de débit (true par défaut, false la désactive pour toute l’app)
+ *   docs      : documentation Swagger sur /api-docs (true par défaut)
+ *   payments  : passerelle de paiement des commandes (par défaut celle de PAYMENT_PROVIDER, voir payment.js)
+ */
+function createApp({ rateLimit: limits = true, docs = true, payments = createPaymentAdapter(config.payments.provider) } = {}) {
+  const app = express();
+  // Lu par les limiteurs de rate-limit.js, y compris ceux déclarés dans les routeurs
+  app.locals.rateLimit = limits;
+  // Lue par les routes /orders
+  app.locals.payments = payments;
+
+  // ID de requête (X-Request-Id) repris dans les réponses d’erreur
+  app.use(requestId);
+  // Log d’accès JSON et métriques HTTP (voir access-log.js)
+  app.use(accessLog);
+  // Langue des messages : req.t() selon le compte ou Accept-Language (voir i18n.js)
+  app.use(localize);
+  // Import en masse : corps brut (JSON, NDJSON, CSV) avec sa propre limite de taille
+  app.use('/potions/import', require('./potion.import').importBodyParser);
+  // application/json et variantes +json (merge-patch, json-patch pour PATCH /potions/:id)
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+  app.use(cors(corsOptions(config.cors.origins)));
+  app.use(cookieParser());
+  app.use(require('sanitize').middleware);
+  // Contexte de la requête pour les logs (après la lecture des corps)
+  app.use(requestContext);
+  // Connexions keep-alive fermées pendant l’arrêt (voir lifecycle.js)
+  app.use(closeConnectionsWhenDraining);
+  app.get('/metrics', metricsHandler);
+  // Sondes de vie et de disponibilité, servies même sans base de données
+  app.use('/health', require('./health.routes'));
+
+  // 503 tant que MongoDB n’est pas connecté (démarrage ou coupure)
+  app.use(['/auth', '/potions', '/analytics', '/admin', '/audit', '/vendors', '/cart', '/orders', '/pricing-rules'], requireDatabase);
+  app.use('/auth', rateLimit(policies.auth), require('./auth.routes'));
+  app.use('/potions', rateLimit(policies.potionWrites), routes);
+  app.use('/analytics', optionalApiKey, requireScope('analytics:read'), rateLimit(policies.analytics), analytics);
+  app.use('/admin', require('./admin.routes'));
+  app.use('/audit', require('./audit.routes'));
+  app.use('/vendors', rateLimit(policies.vendorWrites), require('./vendor.routes'));
+  app.use('/cart', require('./cart.routes'));
+  app.use('/orders', rateLimit(policies.orderWrites), require('./order.routes'));
+  app.use('/pricing-rules', rateLimit(policies.pricingWrites), require('./pricing-rule.routes'));
+
+  if (docs) {
+    // Documentation en français (/api-docs) et en anglais (/api-docs/en) ; JSON brut négocié par Accept-Language
+    const specs = getSwaggerSpecs();
+    app.get('/api-docs.json', (req, res) => res.json(specs[localeOf(req)]));
+    app.use('/api-docs/en', swaggerUi.serveFiles(specs.en), swaggerUi.setup(specs.en));
+    app.use('/api-docs', swaggerUi.serveFiles(specs.fr), swaggerUi.setup(specs.fr));
+  }
+
+  // Erreurs : réponses application/problem+json (voir errors.js)
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp, getSwaggerSpecs };
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const AuditLog = require('./audit.model');
+const { logger } = require('./logger');
+
+/**
+ * Journal d’audit : qui a fait quoi, quand, depuis quelle adresse, et quels champs ont changé.
+ * L’écriture est « au mieux » : une erreur d’audit est journalisée mais n’annule pas
+ * l’action déjà effectuée.
+ */
+
+// Champs techniques jamais comparés
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Tentatives d’écriture d’une version de potion déjà prise par une modification simultanée
+const VERSION_ATTEMPTS = 5;
+
+// Tâches internes (purge planifiée...)
+const SYSTEM = { actor: undefined, ip: undefined, userAgent: undefined };
+
+// Auteur et origine d’une requête
+function auditContext(req, user = req.user) {
+  return {
+    actor: user ? { id: user.id ?? user._id, name: user.name, role: user.role, apiKey: req.apiKey?._id } : undefined,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(value);
+}
+
+// { ratings: { strength: 4 } } -> { 'ratings.strength': 4 } (les tableaux restent des valeurs)
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix + key;
+    if (!prefix && IGNORED_PATHS.includes(key)) continue;
+    if (isPlainObject(value) && Object.keys(value).length) flatten(value, `${path}.`, out);
+    else out[path] = value;
+  }
+  return out;
+}
+
+function comparable(value) {
+  return JSON.stringify(value ?? null);
+}
+
+// Différence champ par champ entre deux états (objets simples)
+function diff(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const changes = [];
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (comparable(a[path]) !== comparable(b[path])) changes.push({ path, from: a[path], to: b[path] });
+  }
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+}
+
+function plain(doc) {
+  if (!doc) return undefined;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+}
+
+async function safely(work) {
+  try {
+    return await work();
+  } catch (err) {
+    logger.error('erreur d’audit', { err });
+    return null;
+  }
+}
+
+// Événement simple (authentification...)
+function recordEvent(ctx, action, { entity, meta } = {}) {
+  return safely(() => AuditLog.create({ ...ctx, action, entity, meta }));
+}
+
+// Même action sur plusieurs objets : [{ entity, meta }]
+function recordEvents(ctx, action, events) {
+  if (!events.length) return Promise.resolve(null);
+  return safely(() => AuditLog.insertMany(events.map(({ entity, meta }) => ({ ...ctx, action, entity, meta }))));
+}
+
+async function lastPotionVersion(potionId) {
+  const last = await AuditLog.findOne({ 'entity.type': 'potion', 'entity.id': potionId, version: { $ne: null } })
+    .sort({ version: -1 })
+    .select('version');
+  return last?.version ?? 0;
+}
+
+/**
+ * Construit les entrées d’audit d’une modification de potion.
+ * Une potion antérieure au journal reçoit d’abord une version « snapshot » de son état initial,
+ * pour que cet état reste consultable et restaurable.
+ */
+async function potionEntries(ctx, action, before, after, meta) {
+  const previous = plain(before);
+  const current = plain(after);
+  const id = (current || previous)._id;
+  let version = await lastPotionVersion(id);
+  const entries = [];
+
+  if (!version && previous && action !== 'potion.create') {
+    entries.push({ action: 'potion.snapshot', entity: { type: 'potion', id }, version: ++version, snapshot: previous });
+  }
+
+  const changes = diff(previous, current);
+  if (!changes.length && action === 'potion.update') return [];
+  entries.push({
+    ...ctx,
+    action,
+    entity: { type: 'potion', id },
+    changes,
+    version: current ? ++version : undefined,
+    snapshot: current,
+    meta
+  });
+  return entries;
+}
+
+/**
+ * Inscrit les entrées d’une modification de potion. Les versions sont uniques par potion :
+ * si une modification simultanée a pris le même numéro (E11000), on relit la dernière version
+ * et on recommence. L’insertion est ordonnée, donc une version « snapshot » déjà inscrite
+ * n’est pas reprise à la tentative suivante.
+ */
+async function insertPotionEntries(ctx, action, before, after, meta) {
+  for (let attempt = 1; ; attempt++) {
+    const entries = await potionEntries(ctx, action, before, after, meta);
+    if (!entries.length) return entries;
+    try {
+      return await AuditLog.insertMany(entries);
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// Création, modification, corbeille... d’une potion (before / after : documents ou objets)
+function recordPotionChange(ctx, action, before, after, meta) {
+  return safely(() => insertPotionEntries(ctx, action, before, after, meta));
+}
+
+// Variante en lot (import) : [{ action, before, after }], potion par potion pour numéroter chacune sans conflit
+function recordPotionChanges(ctx, changes, meta) {
+  return safely(async () => {
+    for (const { action, before, after } of changes) await insertPotionEntries(ctx, action, before, after, meta);
+  });
+}
+
+module.exports = { auditContext, recordEvent, recordEvents, recordPotionChange, recordPotionChanges, diff, SYSTEM };
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+  'potion.create', 'potion.update', 'potion.delete', 'potion.restore', 'potion.purge', 'potion.revert',
+  'potion.snapshot',
+  'auth.register', 'auth.login', 'auth.login-failed', 'auth.logout', 'auth.api-key-create', 'auth.api-key-revoke'
+];
+
+// Modification d’un champ (chemin pointé, ex. ratings.strength)
+const changeSchema = new mongoose.Schema({
+  path: String,
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  // Objet concerné (une potion, ou le compte pour les événements d’authentification)
+  entity: {
+    type: { type: String, enum: ['potion', 'user'] },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  // Auteur de l’action ; absent pour les tâches système (purge) et les connexions échouées
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    role: String,
+    // Clé d’API utilisée, si l’action n’a pas été faite depuis une session
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }
+  },
+  ip: String,
+  userAgent: String,
+  changes: {
+    type: [changeSchema],
+    default: undefined
+  },
+  // Potions : numéro de version et état complet après l’action (consultable et restaurable)
+  version: Number,
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    filterable: false
+  },
+  // Informations complémentaires (ex. nom tenté lors d’un échec de connexion)
+  meta: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, version: -1 });
+// Un numéro de version par potion, même entre deux modifications simultanées (voir audit.js)
+auditLogSchema.index({ 'entity.id': 1, version: 1 }, { unique: true, partialFilterExpression: { version: { $type: 'number' } } });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Le journal est en ajout seul
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function () {
+  throw new Error('Le journal d’audit ne peut pas être modifié');
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,172 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Journal d’audit (rôle admin requis)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('./audit.model');
+const { ACTIONS } = AuditLog;
+const authMiddleware = require('./middleware');
+const { requirePermission } = authMiddleware;
+const { parseListQuery, findPage, pageLinkBuilder, QueryError } = require('./potion.query');
+const { ValidationFailedError } = require('./errors');
+
+const router = express.Router();
+
+router.use(authMiddleware, requirePermission('audit:read'));
+
+// Paramètres propres à /audit, traités avant les filtres génériques
+const AUDIT_PARAMS = ['actor', 'action', 'from', 'to'];
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+/**
+ * actor : ID ou nom d’utilisateur ; action : liste séparée par des virgules,
+ * « auth.* » pour toute une famille ; from (inclus) / to (exclu) : dates ISO.
+ */
+function parseAuditFilter(query) {
+  const errors = [];
+  const filter = {};
+
+  if (query.actor !== undefined) {
+    if (typeof query.actor !== 'string' || !query.actor.trim()) {
+      errors.push(queryError('actor', query.actor, 'actor doit être un ID ou un nom d’utilisateur'));
+    } else {
+      const actor = query.actor.trim();
+      filter[mongoose.isValidObjectId(actor) ? 'actor.id' : 'actor.name'] = actor;
+    }
+  }
+
+  if (query.action !== undefined) {
+    const actions = new Set();
+    for (const name of [].concat(query.action).flatMap(v => String(v).split(',')).map(s => s.trim()).filter(Boolean)) {
+      const matches = name.endsWith('.*')
+        ? ACTIONS.filter(a => a.startsWith(name.slice(0, -1)))
+        : ACTIONS.filter(a => a === name);
+      if (!matches.length) errors.push(queryError('action', name, 'Action inconnue (autorisées : {allowed})', { allowed: ACTIONS.join(', ') }));
+      matches.forEach(a => actions.add(a));
+    }
+    if (actions.size) filter.action = { $in: [...actions] };
+  }
+
+  const dates = {};
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) errors.push(queryError(key, query[key], 'Date invalide pour {key}', { key }));
+    else dates[key] = date;
+  }
+  if (dates.from && dates.to && dates.from >= dates.to) {
+    errors.push(queryError('to', query.to, 'to doit être postérieur à from'));
+  }
+  if (dates.from || dates.to) {
+    filter.createdAt = {};
+    if (dates.from) filter.createdAt.$gte = dates.from;
+    if (dates.to) filter.createdAt.$lt = dates.to;
+  }
+
+  if (errors.length) throw new QueryError(errors);
+  return filter;
+}
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Consulter le journal d’audit
+ *     description: |
+ *       Rôle requis : `admin`. Les plus récentes d’abord ; pagination par curseur et
+ *       filtres génériques (`entity.type`, `entity.id`, `version[gte]`...) comme `GET /potions`.
+ *       L’état complet des potions (`snapshot`) n’est renvoyé que par `GET /potions/{id}/history/{version}`.
+ *     tags: [Audit]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID ou nom de l’auteur
+ *         example: damien
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Actions séparées par des virgules ; `auth.*` pour toutes les actions d’une famille
+ *         example: potion.update,potion.revert
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Date de début (incluse)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Date de fin (exclue)
+ *     responses:
+ *       200:
+ *         description: Page d’entrées du journal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 paging:
+ *                   type: object
+ *       400:
+ *         description: Paramètres invalides
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Rôle insuffisant
+ */
+router.get('/', async (req, res) => {
+  const query = { sort: '-createdAt', ...req.query };
+  const generic = Object.fromEntries(Object.entries(query).filter(([key]) => !AUDIT_PARAMS.includes(key)));
+
+  let parsed;
+  let auditFilter;
+  const errors = [];
+  try {
+    auditFilter = parseAuditFilter(query);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+  try {
+    parsed = parseListQuery(generic, AuditLog);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+  if (errors.length) throw new ValidationFailedError(errors, { code: 'invalid-query' });
+
+  const conditions = [parsed.filter, auditFilter].filter(f => Object.keys(f).length);
+  parsed.filter = conditions.length > 1 ? { $and: conditions } : conditions[0] || {};
+
+  const page = await findPage(AuditLog, parsed, pageLinkBuilder(req, query));
+  page.data = page.data.map(entry => {
+    const json = typeof entry.toJSON === 'function' ? entry.toJSON() : { ...entry };
+    delete json.snapshot;
+    return json;
+  });
+  res.json(page);
+});
+
+module.exports = router;
@@ -1,11 +1,68 @@
 
+const crypto = require('crypto');
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('./user.model');
+const Potion = require('./potion.model');
+const Session = require('./session.model');
+const Review = require('./review.model');
+const ApiKey = require('./api-key.model');
+const Cart = require('./cart.model');
+const { hardDeletePotions } = require('./potion.purge');
+const { auditContext, recordEvent } = require('./audit');
+const { sendMail } = require('./mailer');
+const { rateLimit, policies, tooManyRequests } = require('./rate-limit');
+const { LOCALES, translate, localeOf } = require('./i18n');
+const { parseRefreshToken } = Session;
+const authMiddleware = require('./middleware');
+const { requireSession } = authMiddleware;
+const { config } = require('./config');
+const { signAccessToken } = require('./auth.tokens');
+const {
+  BadRequestError, ValidationFailedError, UnauthorizedError, NotFoundError, ConflictError, assertObjectId
+} = require('./errors');
 const {body, validationResult } = require('express-validator');
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
-const COOKIE_NAME = process.env.COOKIE_NAME || 'demo_node+mongo_token';
+const { accessName: COOKIE_NAME, refreshName: REFRESH_COOKIE_NAME } = config.cookies;
+const ACCESS_TOKEN_TTL = config.jwt.accessTokenTtl; // secondes
+const { refreshTokenTtl: REFRESH_TOKEN_TTL, passwordResetTtl: PASSWORD_RESET_TTL, passwordResetUrl: PASSWORD_RESET_URL } = config.auth;
+
+// secure, sameSite et domain selon la configuration (secure par défaut en production)
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: config.cookies.sameSite,
+  secure: config.cookies.secure,
+  ...(config.cookies.domain && { domain: config.cookies.domain })
+};
+// Le refresh token n’est envoyé qu’aux routes /auth
+const refreshCookieOptions = { ...cookieOptions, path: '/auth' };
+
+function requestMeta(req) {
+  return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+// Access token (JWT court) : porte le rôle et la langue préférée de l’utilisateur
+function setAccessCookie(res, user, session) {
+  const token = signAccessToken(
+    { id: user._id, name: user.name, role: user.role, vendor_id: user.vendor_id, locale: user.locale, sid: session._id }
+  );
+  res.cookie(COOKIE_NAME, token, { ...cookieOptions, maxAge: ACCESS_TOKEN_TTL * 1000 });
+}
+
+// Pose le couple access token + refresh token (opaque, stocké haché en base)
+function setAuthCookies(res, user, session, refreshToken) {
+  setAccessCookie(res, user, session);
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, { ...refreshCookieOptions, maxAge: REFRESH_TOKEN_TTL * 1000 });
+}
+
+// Nom ou e-mail déjà pris : 409 plutôt qu’une erreur d’index brute
+function nameOrEmailTaken(err) {
+  return err.code === 11000 ? new ConflictError('Nom ou e-mail déjà utilisé', { code: 'user-exists', cause: err }) : err;
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie(COOKIE_NAME, cookieOptions);
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+}
 
 /**
  * @swagger
@@ -31,6 +88,15 @@ const COOKIE_NAME = process.env.COOKIE_NAME || 'demo_node+mongo_token';
  *                 type: string
  *                 description: Mot de passe (au moins 6 caractères)
  *                 example: azkaban123
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Adresse e-mail (facultative, nécessaire pour réinitialiser le mot de passe)
+ *                 example: harry@poudlard.fr
+ *               locale:
+ *                 type: string
+ *                 enum: [fr, en]
+ *                 description: Langue des messages de l’API (facultative, sinon selon Accept-Language)
  *     responses:
  *       201:
  *         description: Utilisateur créé avec succès
@@ -45,34 +111,15 @@ const COOKIE_NAME = process.env.COOKIE_NAME || 'demo_node+mongo_token';
  *       400:
  *         description: Données invalides ou incomplètes
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       msg:
- *                         type: string
- *                         example: Le nom d’utilisateur est requis.
- *                       param:
- *                         type: string
- *                         example: name
- *                       location:
- *                         type: string
- *                         example: body
- *       500:
- *         description: Erreur système ou utilisateur déjà existant
+ *               $ref: '#/components/schemas/Problem'
+ *       409:
+ *         description: Nom ou e-mail déjà utilisé
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Erreur système
+ *               $ref: '#/components/schemas/Problem'
  */
 router.post('/register', [
     body('name').trim().escape()
@@ -80,20 +127,20 @@ router.post('/register', [
       .isLength({ min: 3, max: 30 }).withMessage('Doit faire entre 3 et 30 caractères.'),
     body('password').trim().escape()
       .notEmpty().withMessage('Le mot de passe est requis.')
-      .isLength({ min: 6 }).withMessage('Minimum 6 caractères.')
+      .isLength({ min: 6 }).withMessage('Minimum 6 caractères.'),
+    body('email').optional().trim()
+      .isEmail().withMessage('Adresse e-mail invalide.')
+      .normalizeEmail(),
+    body('locale').optional().isIn(LOCALES).withMessage('Langue non prise en charge (fr ou en).')
   ], async (req, res) => {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-    const { name, password } = req.body;
+    if (!errors.isEmpty()) throw new ValidationFailedError(errors.array());
+    const { name, password, email, locale } = req.body;
   
-    try {
-      const user = new User({ name, password });
-      await user.save();
-      res.status(201).json({ message: 'Utilisateur créé' });
-    } catch (err) {
-      if (err.code === 11000) return res.status(500).json({ error: 'Erreur système' });
-      res.status(400).json({ error: err.message });
-    }
+    const user = new User({ name, password, email, locale });
+    await user.save().catch(err => { throw nameOrEmailTaken(err); });
+    await recordEvent(auditContext(req, user), 'auth.register', { entity: { type: 'user', id: user._id } });
+    res.status(201).json({ message: req.t('Utilisateur créé') });
   });
 
 /**
@@ -120,10 +167,13 @@ router.post('/register', [
  *                 example: azkaban123
  *     responses:
  *       200:
- *         description: Connexion réussie. Le JWT est envoyé dans un cookie HTTP-only.
+ *         description: |
+ *           Connexion réussie. Deux cookies HTTP-only sont posés : un JWT de courte durée (15 min,
+ *           contenant le rôle et le vendor_id de l’utilisateur) et un refresh token (30 jours,
+ *           limité aux routes /auth) à échanger via `POST /auth/refresh`.
  *         headers:
  *           Set-Cookie:
- *             description: Cookie JWT pour authentification
+ *             description: Cookies d’authentification (JWT) et de renouvellement (refresh token)
  *             schema:
  *               type: string
  *               example: demo_node+mongo_token=eyJhbGciOiJIUzI1NiIsInR5cCI6...; HttpOnly; Path=/
@@ -138,42 +188,102 @@ router.post('/register', [
  *       401:
  *         description: Identifiants invalides
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Identifiants invalides
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
 
 
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit(policies.login), rateLimit(policies.loginAccount), async (req, res) => {
     // toujours passer les inputs user au sanitize()
     const name = req.bodyString('name')
     const password = req.bodyString('password')
     const user = await User.findOne({ name });
+    const loginFailed = reason => recordEvent(auditContext(req, null), 'auth.login-failed', {
+      entity: user ? { type: 'user', id: user._id } : undefined,
+      meta: { name, reason }
+    });
+    if (user?.isLocked()) {
+      await loginFailed('locked');
+      throw tooManyRequests(user.lockUntil, 'Compte temporairement verrouillé après plusieurs échecs de connexion.', 'account-locked');
+    }
     if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({ error: 'Identifiants invalides' });
+      if (user) await user.registerFailedLogin();
+      await loginFailed(user ? 'bad-password' : 'unknown-user');
+      throw new UnauthorizedError('Identifiants invalides', { code: 'invalid-credentials' });
     }
+    if (user.failedLoginAttempts) await user.resetLoginFailures();
   
-    const token = jwt.sign({ id: user._id, name: user.name }, JWT_SECRET, { expiresIn: '1d' });
-  
-    res.cookie(COOKIE_NAME, token, {
-      httpOnly: true,
-      sameSite: 'strict',
-      secure: false, // à mettre sur true en prod (https)
-      maxAge: 24 * 60 * 60 * 1000 // durée de vie 24h
+    const { session, refreshToken } = await Session.open(user, {
+      ...requestMeta(req),
+      ttlMs: REFRESH_TOKEN_TTL * 1000
+    });
+    setAuthCookies(res, user, session, refreshToken);
+    await recordEvent(auditContext(req, user), 'auth.login', {
+      entity: { type: 'user', id: user._id },
+      meta: { session: session._id }
     });
   
-    res.json({ message: 'Connecté avec succès' });
+    res.json({ message: req.t('Connecté avec succès') });
   });
   
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Renouveler le JWT à partir du refresh token
+ *     description: |
+ *       Le refresh token est à usage unique : chaque appel en délivre un nouveau.
+ *       Présenter un refresh token déjà utilisé révoque toute la session (détection de vol).
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Nouveaux cookies JWT et refresh token posés
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Jeton renouvelé
+ *       401:
+ *         description: Refresh token absent, expiré, révoqué ou réutilisé
+ */
+router.post('/refresh', async (req, res) => {
+    const parsed = parseRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME]);
+    const session = parsed ? await Session.findById(parsed.sessionId) : null;
+    if (!session || !session.isActive) {
+      clearAuthCookies(res);
+      throw new UnauthorizedError('Session expirée, veuillez vous reconnecter.', { code: 'session-expired' });
+    }
+
+    const refreshToken = await session.rotate(parsed.secret, requestMeta(req));
+    if (!refreshToken) {
+      // Jeton déjà échangé : il a probablement été volé, toute la session est révoquée
+      await session.revoke('reuse-detected');
+      clearAuthCookies(res);
+      throw new UnauthorizedError('Réutilisation de jeton détectée, session révoquée.', { code: 'refresh-token-reused' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      await session.revoke('user-deleted');
+      clearAuthCookies(res);
+      throw new UnauthorizedError('Session expirée, veuillez vous reconnecter.', { code: 'session-expired' });
+    }
+
+    setAuthCookies(res, user, session, refreshToken);
+    res.json({ message: req.t('Jeton renouvelé') });
+  });
+
   /**
  * @swagger
  * /auth/logout:
  *   get:
- *     summary: Déconnecter un utilisateur (supprime le cookie JWT)
+ *     summary: Déconnecter un utilisateur (révoque la session et supprime les cookies)
  *     tags: [Auth]
  *     responses:
  *       200:
@@ -187,9 +297,534 @@ router.post('/login', async (req, res) => {
  *                   type: string
  *                   example: Déconnecté
  */
-  router.get('/logout', (req, res) => {
-    res.clearCookie(COOKIE_NAME);
-    res.json({ message: 'Déconnecté' });
+  router.get('/logout', async (req, res) => {
+    const parsed = parseRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME]);
+    if (parsed) {
+      const session = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+      if (session) {
+        await recordEvent(auditContext(req, { id: session.user }), 'auth.logout', {
+          entity: { type: 'user', id: session.user },
+          meta: { session: session._id }
+        });
+      }
+    }
+    clearAuthCookies(res);
+    res.json({ message: req.t('Déconnecté') });
   });
-  
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: Lister les sessions actives de l’utilisateur connecté
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions actives
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     example: 6610a1f2c3d4e5f6a7b8c9d0
+ *                   userAgent:
+ *                     type: string
+ *                     example: Mozilla/5.0 (X11; Linux x86_64)
+ *                   ip:
+ *                     type: string
+ *                     example: 127.0.0.1
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastSeenAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: Session utilisée pour cette requête
+ *       401:
+ *         description: Non authentifié
+ *   delete:
+ *     summary: Déconnecter tous les appareils
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: others
+ *         schema:
+ *           type: boolean
+ *         description: Conserver la session courante et ne révoquer que les autres
+ *     responses:
+ *       200:
+ *         description: Sessions révoquées
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revoked:
+ *                   type: number
+ *                   example: 3
+ *       401:
+ *         description: Non authentifié
+ */
+router.get('/sessions', authMiddleware, requireSession, async (req, res) => {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map(s => ({
+      _id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastSeenAt: s.lastSeenAt,
+      current: String(s._id) === String(req.authSession._id)
+    })));
+  });
+
+router.delete('/sessions', authMiddleware, requireSession, async (req, res) => {
+    const keepCurrent = req.query.others === 'true';
+    const result = await Session.revokeAllForUser(
+      req.user.id,
+      'logout-everywhere',
+      keepCurrent ? req.authSession._id : undefined
+    );
+    if (!keepCurrent) clearAuthCookies(res);
+    res.json({ revoked: result.modifiedCount });
+  });
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Révoquer une session (déconnecter un appareil)
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la session
+ *     responses:
+ *       200:
+ *         description: Session révoquée
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Session non trouvée
+ */
+router.delete('/sessions/:id', authMiddleware, requireSession, async (req, res) => {
+    assertObjectId(req.params.id, 'Session non trouvée', { code: 'session-not-found' });
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+    if (!session) throw new NotFoundError('Session non trouvée', { code: 'session-not-found' });
+
+    await session.revoke('revoked-by-user');
+    if (String(session._id) === String(req.authSession._id)) clearAuthCookies(res);
+    res.json({ message: req.t('Session révoquée') });
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 660bceefa25c4f1234abcd12
+ *         name:
+ *           type: string
+ *           example: harrypotter
+ *         email:
+ *           type: string
+ *           example: harry@poudlard.fr
+ *         role:
+ *           type: string
+ *           enum: [admin, vendor, reader]
+ *         vendor_id:
+ *           type: string
+ *         locale:
+ *           type: string
+ *           enum: [fr, en]
+ *           description: Langue préférée (absente = selon Accept-Language)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
+ */
+async function currentUser(req) {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('Utilisateur non trouvé', { code: 'user-not-found' });
+  return user;
+}
+
+function profile(user) {
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    vendor_id: user.vendor_id,
+    locale: user.locale,
+    createdAt: user.createdAt,
+    passwordChangedAt: user.passwordChangedAt
+  };
+}
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Profil de l’utilisateur connecté
+ *     description: Accessible aussi avec une clé d’API (profil de son propriétaire).
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Profil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       401:
+ *         description: Non authentifié
+ *   patch:
+ *     summary: Modifier son profil (nom, e-mail, langue)
+ *     description: |
+ *       `locale` fixe la langue des messages de l’API pour ce compte, quel que soit l’en-tête
+ *       Accept-Language ; `null` revient à la négociation par Accept-Language.
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: harrypotter
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: harry@poudlard.fr
+ *               locale:
+ *                 type: string
+ *                 enum: [fr, en]
+ *                 nullable: true
+ *                 example: en
+ *     responses:
+ *       200:
+ *         description: Profil mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       400:
+ *         description: Données invalides
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       409:
+ *         description: Nom ou e-mail déjà utilisé
+ *   delete:
+ *     summary: Supprimer son compte
+ *     description: |
+ *       Nécessite le mot de passe actuel. `mode=anonymize` (défaut) conserve les potions créées
+ *       et les avis mais efface les données personnelles du compte ; `mode=delete` supprime le compte,
+ *       ses potions et ses avis (les scores des potions concernées sont recalculés).
+ *       Toutes les sessions sont révoquées.
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [anonymize, delete]
+ *           default: anonymize
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: azkaban123
+ *     responses:
+ *       200:
+ *         description: Compte supprimé
+ *       400:
+ *         description: Mode invalide
+ *       401:
+ *         description: Non authentifié ou mot de passe incorrect
+ *       409:
+ *         description: Le dernier administrateur ne peut pas supprimer son compte
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+    res.json(profile(await currentUser(req)));
+  });
+
+router.patch('/me', authMiddleware, requireSession, [
+    body('name').optional().trim().escape()
+      .isLength({ min: 3, max: 30 }).withMessage('Doit faire entre 3 et 30 caractères.'),
+    body('email').optional().trim()
+      .isEmail().withMessage('Adresse e-mail invalide.')
+      .normalizeEmail(),
+    body('locale').optional({ values: 'null' }).isIn(LOCALES).withMessage('Langue non prise en charge (fr ou en).')
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new ValidationFailedError(errors.array());
+
+    const user = await currentUser(req);
+    if (req.body.name !== undefined) user.name = req.body.name;
+    if (req.body.email !== undefined) user.email = req.body.email;
+    if (req.body.locale !== undefined) user.locale = req.body.locale ?? undefined;
+    const localeChanged = user.isModified('locale');
+    await user.save().catch(err => { throw nameOrEmailTaken(err); });
+    // La langue est lue dans le JWT : nouveau jeton pour l’appliquer sans attendre le renouvellement
+    if (localeChanged) setAccessCookie(res, user, req.authSession);
+    res.json(profile(user));
+  });
+
+router.delete('/me', authMiddleware, requireSession, async (req, res) => {
+    const mode = req.query.mode || 'anonymize';
+    if (!['anonymize', 'delete'].includes(mode)) {
+      throw new ValidationFailedError(
+        [{ type: 'field', value: mode, msg: 'Mode invalide (anonymize ou delete)', path: 'mode', location: 'query' }],
+        { code: 'invalid-query' }
+      );
+    }
+
+    const user = await currentUser(req);
+    if (!(await user.comparePassword(req.bodyString('password') || ''))) {
+      throw new UnauthorizedError('Mot de passe incorrect', { code: 'invalid-password' });
+    }
+    if (user.role === 'admin' && (await User.countDocuments({ role: 'admin' })) <= 1) {
+      throw new ConflictError('Le dernier administrateur ne peut pas supprimer son compte.', { code: 'last-admin' });
+    }
+
+    await Session.revokeAllForUser(user._id, 'account-deleted');
+    await ApiKey.deleteMany({ user: user._id });
+    await Cart.deleteMany({ user: user._id });
+
+    if (mode === 'delete') {
+      await hardDeletePotions({ owner: user._id }, auditContext(req));
+      await Review.removeForUser(user._id);
+      await Session.deleteMany({ user: user._id });
+      await user.deleteOne();
+    } else {
+      // Les potions restent au catalogue mais ne sont plus rattachées au compte
+      await Potion.updateMany({ owner: user._id }, { $unset: { owner: 1 } }).withDeleted();
+      user.name = `utilisateur-supprime-${user._id}`;
+      user.email = undefined;
+      user.vendor_id = undefined;
+      user.role = 'reader';
+      user.password = crypto.randomBytes(32).toString('hex');
+      user.deletedAt = new Date();
+      await user.save();
+    }
+
+    clearAuthCookies(res);
+    res.json({ message: req.t('Compte supprimé') });
+  });
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Changer son mot de passe
+ *     description: Les autres sessions de l’utilisateur sont révoquées ; la session courante reste active.
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: azkaban123
+ *               newPassword:
+ *                 type: string
+ *                 description: Nouveau mot de passe (au moins 6 caractères)
+ *                 example: expelliarmus42
+ *     responses:
+ *       200:
+ *         description: Mot de passe modifié
+ *       400:
+ *         description: Nouveau mot de passe invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié ou mot de passe actuel incorrect
+ */
+router.post('/change-password', authMiddleware, requireSession, [
+    body('currentPassword')
+      .notEmpty().withMessage('Le mot de passe actuel est requis.'),
+    body('newPassword')
+      .isLength({ min: 6 }).withMessage('Minimum 6 caractères.')
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new ValidationFailedError(errors.array());
+
+    const user = await User.findById(req.user.id);
+    if (!user || !(await user.comparePassword(req.bodyString('currentPassword')))) {
+      throw new UnauthorizedError('Mot de passe actuel incorrect', { code: 'invalid-password' });
+    }
+
+    user.password = req.bodyString('newPassword');
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password-changed', req.authSession._id);
+
+    res.json({ message: req.t('Mot de passe modifié') });
+  });
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Demander un e-mail de réinitialisation du mot de passe
+ *     description: |
+ *       Répond toujours 200 pour ne pas révéler l’existence d’un compte. Si le compte possède
+ *       une adresse e-mail, un jeton à usage unique valable 1 h y est envoyé.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: harrypotter
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: harry@poudlard.fr
+ *     responses:
+ *       200:
+ *         description: Demande prise en compte
+ */
+router.post('/forgot-password', [
+    body('email').optional().trim().isEmail().withMessage('Adresse e-mail invalide.').normalizeEmail(),
+    body('name').optional().trim().escape()
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new ValidationFailedError(errors.array());
+    const { name, email } = req.body;
+    if (!name && !email) {
+      throw new ValidationFailedError([{ type: 'field', msg: 'Le nom ou l’e-mail est requis.', path: 'email', location: 'body' }]);
+    }
+
+    const user = await User.findOne(email ? { email } : { name });
+    if (user?.email && !user.deletedAt) {
+      const token = user.createPasswordResetToken(PASSWORD_RESET_TTL * 1000);
+      await user.save();
+      const link = PASSWORD_RESET_URL ? `\n\n${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}` : '';
+      // E-mail dans la langue du compte, sinon celle de la demande
+      const locale = user.locale || localeOf(req);
+      await sendMail({
+        to: user.email,
+        subject: translate(locale, 'Réinitialisation de votre mot de passe'),
+        text: translate(locale, 'Bonjour {name},\n\nVoici votre jeton de réinitialisation, valable {minutes} minutes '
+          + 'et utilisable une seule fois via POST /auth/reset-password :\n\n{token}{link}\n\n'
+          + 'Si vous n’êtes pas à l’origine de cette demande, ignorez ce message.',
+        { name: user.name, minutes: PASSWORD_RESET_TTL / 60, token, link })
+      });
+    }
+    res.json({ message: req.t('Si un compte correspond, un e-mail de réinitialisation a été envoyé.') });
+  });
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Réinitialiser le mot de passe avec le jeton reçu par e-mail
+ *     description: Le jeton est à usage unique ; toutes les sessions de l’utilisateur sont révoquées.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Nouveau mot de passe (au moins 6 caractères)
+ *                 example: expelliarmus42
+ *     responses:
+ *       200:
+ *         description: Mot de passe réinitialisé
+ *       400:
+ *         description: Jeton invalide, expiré ou déjà utilisé, ou mot de passe invalide
+ */
+router.post('/reset-password', [
+    body('token').isString().notEmpty().withMessage('Le jeton est requis.'),
+    body('password')
+      .isLength({ min: 6 }).withMessage('Minimum 6 caractères.')
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw new ValidationFailedError(errors.array());
+
+    const user = await User.consumePasswordResetToken(req.bodyString('token'));
+    if (!user) throw new BadRequestError('Jeton invalide ou expiré', { code: 'invalid-reset-token' });
+
+    user.password = req.bodyString('password');
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
+    res.json({ message: req.t('Mot de passe réinitialisé') });
+  });
+
+// Clés d’API de l’utilisateur connecté (voir api-key.routes.js)
+router.use('/api-keys', require('./api-key.routes'));
+
   module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const jwt = require('jsonwebtoken');
+const { config } = require('./config');
+
+/**
+ * Access tokens (JWT) signés avec la clé courante de config.jwt ; l’en-tête `kid` indique
+ * la clé utilisée, pour que les jetons signés avant une rotation restent vérifiables.
+ */
+
+function signAccessToken(payload) {
+  const { algorithm, signingKey, accessTokenTtl } = config.jwt;
+  return jwt.sign(payload, signingKey.secret, { algorithm, keyid: signingKey.kid, expiresIn: accessTokenTtl });
+}
+
+// Lève les erreurs de jsonwebtoken (TokenExpiredError, JsonWebTokenError)
+function verifyAccessToken(token) {
+  const { algorithm, keys, signingKey } = config.jwt;
+  const kid = jwt.decode(token, { complete: true })?.header.kid;
+  // Sans kid (jeton émis avant l’introduction des clés nommées) : clé courante
+  const key = kid === undefined ? signingKey : keys.find(k => k.kid === kid);
+  if (!key) throw new jwt.JsonWebTokenError('clé de signature inconnue');
+  return jwt.verify(token, key.secret, { algorithms: [algorithm] });
+}
+
+module.exports = { signAccessToken, verifyAccessToken };
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Quantité maximale d’une ligne de panier
+const MAX_QUANTITY = 100;
+
+const cartItemSchema = new mongoose.Schema({
+  potion: { type: mongoose.Schema.Types.ObjectId, ref: 'potion', required: true },
+  quantity: {
+    type: Number,
+    required: [true, 'La quantité est requise.'],
+    min: [1, 'La quantité doit être comprise entre 1 et 100.'],
+    max: [MAX_QUANTITY, 'La quantité doit être comprise entre 1 et 100.'],
+    validate: { validator: Number.isInteger, message: 'La quantité doit être un entier.' }
+  }
+}, { _id: false });
+
+/**
+ * Panier d’un utilisateur (un seul par compte). Les prix ne sont pas conservés :
+ * ils sont relus à l’affichage et figés dans la commande au passage de celle-ci.
+ */
+const cartSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [cartItemSchema]
+}, { timestamps: true, optimisticConcurrency: true });
+
+// Panier de l’utilisateur, créé vide au premier accès
+cartSchema.statics.forUser = function (userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
+module.exports.MAX_QUANTITY = MAX_QUANTITY;
@@ -0,0 +1,213 @@
+const express = require('express');
+const Cart = require('./cart.model');
+const { MAX_QUANTITY } = Cart;
+const Potion = require('./potion.model');
+const { activeRules, pricingOf, cents } = require('./potion.pricing');
+const authMiddleware = require('./middleware');
+const { requireSession } = authMiddleware;
+const { NotFoundError, ValidationFailedError, assertObjectId } = require('./errors');
+
+// Panier de l’utilisateur connecté (sessions uniquement)
+const router = express.Router();
+router.use(authMiddleware, requireSession);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               potion:
+ *                 type: object
+ *                 description: Potion au prix actuel (null si elle n’est plus en vente)
+ *                 nullable: true
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   price:
+ *                     type: number
+ *                   effectivePrice:
+ *                     type: number
+ *                     description: Prix après promotion, utilisé pour le total
+ *                   promotion:
+ *                     type: object
+ *                     nullable: true
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               lineTotal:
+ *                 type: number
+ *                 example: 20
+ *         total:
+ *           type: number
+ *           description: Total indicatif ; le prix est figé au passage de la commande
+ *           example: 45
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Panier avec le prix actuel de chaque potion, promotions en cours comprises
+async function presentCart(cart) {
+  await cart.populate({ path: 'items.potion', select: 'name price categories vendor_id' });
+  const rules = await activeRules();
+  let total = 0;
+  const items = cart.items.map(item => {
+    const potion = item.potion && {
+      _id: item.potion._id, name: item.potion.name, price: item.potion.price, ...pricingOf(item.potion, rules)
+    };
+    const price = potion?.effectivePrice;
+    const lineTotal = price == null ? null : cents(price) * item.quantity / 100;
+    if (lineTotal != null) total += cents(lineTotal);
+    return { potion, quantity: item.quantity, lineTotal };
+  });
+  return { items, total: total / 100, updatedAt: cart.updatedAt };
+}
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Consulter son panier
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Panier (vide s’il n’existe pas encore)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Non authentifié
+ */
+router.get('/', async (req, res) => {
+  res.json(await presentCart(await Cart.forUser(req.user.id)));
+});
+
+/**
+ * @swagger
+ * /cart/items/{potionId}:
+ *   put:
+ *     summary: Ajouter une potion au panier ou changer sa quantité
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: potionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Panier mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Quantité invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.put('/items/:potionId', async (req, res) => {
+  assertObjectId(req.params.potionId, 'Potion non trouvée', { code: 'potion-not-found' });
+  if (!await Potion.exists({ _id: req.params.potionId })) {
+    throw new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+  }
+  const quantity = req.body?.quantity;
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+    throw new ValidationFailedError([{
+      type: 'field', value: quantity, msg: 'La quantité doit être comprise entre 1 et 100.', path: 'quantity', location: 'body'
+    }]);
+  }
+
+  const cart = await Cart.forUser(req.user.id);
+  const item = cart.items.find(i => String(i.potion) === req.params.potionId);
+  if (item) item.quantity = quantity;
+  else cart.items.push({ potion: req.params.potionId, quantity });
+  await cart.save();
+  res.json(await presentCart(cart));
+});
+
+/**
+ * @swagger
+ * /cart/items/{potionId}:
+ *   delete:
+ *     summary: Retirer une potion du panier
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: potionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Panier mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.delete('/items/:potionId', async (req, res) => {
+  const cart = await Cart.forUser(req.user.id);
+  cart.items = cart.items.filter(i => String(i.potion) !== req.params.potionId);
+  await cart.save();
+  res.json(await presentCart(cart));
+});
+
+/**
+ * @swagger
+ * /cart:
+ *   delete:
+ *     summary: Vider son panier
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Panier vidé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.delete('/', async (req, res) => {
+  const cart = await Cart.forUser(req.user.id);
+  cart.items = [];
+  await cart.save();
+  res.json(await presentCart(cart));
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+require('dotenv').config();
+const { PAYMENT_PROVIDERS } = require('./payment');
+
+/**
+ * Configuration de l’API, lue une seule fois depuis l’environnement (et .env) puis validée.
+ * NODE_ENV choisit un profil (development par défaut, test, production) qui fixe les valeurs
+ * par défaut ; chaque variable d’environnement les remplace. Une configuration invalide lève une
+ * ConfigError au chargement : en production, le serveur refuse de démarrer avec un secret par défaut.
+ */
+
+const PROFILES = {
+  development: { jwtSecret: 'dev_change_me', cookieSecure: false, corsOrigins: '*', requireMongoUri: true },
+  test: { jwtSecret: 'test_secret', cookieSecure: false, corsOrigins: '*', requireMongoUri: false },
+  production: { jwtSecret: null, cookieSecure: true, corsOrigins: '', requireMongoUri: true }
+};
+
+// Secrets déjà publiés (profils ci-dessus, anciennes valeurs par défaut) : refusés en production
+const KNOWN_SECRETS = ['dev_change_me', 'dev_secret', 'test_secret', 'ma_cle_ultra_secrete'];
+const MIN_SECRET_LENGTH = 32;
+const JWT_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const SAME_SITE = ['strict', 'lax', 'none'];
+// Niveaux de logger.js, du plus bavard au plus silencieux
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const MAIL_TRANSPORTS = ['console', 'file'];
+const RATE_LIMIT_STORES = ['memory', 'mongo'];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Configuration invalide :\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Lecture typée des variables ; les valeurs invalides sont ajoutées à `problems`
+function reader(env, problems) {
+  const raw = name => {
+    const value = env[name]?.trim();
+    return value === undefined || value === '' ? undefined : value;
+  };
+
+  return {
+    string: (name, fallback) => raw(name) ?? fallback,
+
+    integer(name, fallback, { min = 1, max = Infinity } = {}) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        problems.push(`${name} doit être un entier entre ${min} et ${max} (reçu : ${value})`);
+        return fallback;
+      }
+      return number;
+    },
+
+    boolean(name, fallback) {
+      const value = raw(name)?.toLowerCase();
+      if (value === undefined) return fallback;
+      if (['true', '1', 'yes'].includes(value)) return true;
+      if (['false', '0', 'no'].includes(value)) return false;
+      problems.push(`${name} doit valoir true ou false (reçu : ${value})`);
+      return fallback;
+    },
+
+    // Taille en octets : nombre seul ou suffixé (b, kb, mb, gb), ex. 10mb
+    size(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value);
+      const bytes = match && Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+      if (!bytes) {
+        problems.push(`${name} doit être une taille positive (ex. 10mb) (reçu : ${value})`);
+        return fallback;
+      }
+      return bytes;
+    },
+
+    oneOf(name, allowed, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      if (!allowed.includes(value)) {
+        problems.push(`${name} doit valoir ${allowed.join(', ')} (reçu : ${value})`);
+        return fallback;
+      }
+      return value;
+    },
+
+    url(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      try {
+        return new URL(value).href.replace(/\/$/, '');
+      } catch {
+        problems.push(`${name} doit être une URL absolue (reçu : ${value})`);
+        return fallback;
+      }
+    }
+  };
+}
+
+/**
+ * Clés HMAC des access tokens. JWT_KEYS="kid:secret,kid:secret" : la première signe les nouveaux
+ * jetons, toutes restent valables pour la vérification (rotation sans déconnecter les utilisateurs).
+ * JWT_SECRET seul équivaut à une clé unique `default`.
+ */
+function parseJwtKeys(env, profileName, problems, warnings) {
+  const rawKeys = env.JWT_KEYS?.trim();
+  if (rawKeys) {
+    if (env.JWT_SECRET?.trim()) warnings.push('JWT_SECRET est ignoré car JWT_KEYS est défini');
+    const keys = [];
+    rawKeys.split(',').map(s => s.trim()).filter(Boolean).forEach((entry, i) => {
+      const separator = entry.indexOf(':');
+      const kid = separator > 0 ? entry.slice(0, separator) : '';
+      const secret = separator > 0 ? entry.slice(separator + 1) : '';
+      if (!/^[\w.-]+$/.test(kid) || !secret) {
+        // le secret n’est jamais recopié dans le message
+        problems.push(`JWT_KEYS : entrée n°${i + 1} invalide, format attendu kid:secret`);
+      } else if (keys.some(k => k.kid === kid)) {
+        problems.push(`JWT_KEYS : identifiant de clé en double : ${kid}`);
+      } else {
+        keys.push({ kid, secret });
+      }
+    });
+    if (!keys.length) problems.push('JWT_KEYS ne contient aucune clé valide');
+    return keys;
+  }
+
+  const secret = env.JWT_SECRET?.trim() || PROFILES[profileName].jwtSecret;
+  if (!secret) {
+    problems.push('JWT_SECRET (ou JWT_KEYS) est obligatoire');
+    return [];
+  }
+  if (!env.JWT_SECRET?.trim()) warnings.push(`JWT_SECRET absent : secret par défaut du profil ${profileName}`);
+  return [{ kid: 'default', secret }];
+}
+
+function parseCorsOrigins(value, problems) {
+  if (value === '*') return '*';
+  const origins = value.split(',').map(s => s.trim()).filter(Boolean);
+  for (const origin of origins) {
+    let valid = false;
+    try {
+      valid = new URL(origin).origin === origin;
+    } catch {
+      // origine invalide, signalée ci-dessous
+    }
+    if (!valid) problems.push(`CORS_ORIGINS : origine invalide (ex. https://app.example.com) : ${origin}`);
+  }
+  return origins;
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+/**
+ * Construit la configuration à partir de `env`.
+ * Renvoie { config, warnings } ; lève une ConfigError listant tous les problèmes.
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const warnings = [];
+  const read = reader(env, problems);
+  // Écritures d’une ressource : RATE_LIMIT_<RESSOURCE>_WINDOW_MS et RATE_LIMIT_<RESSOURCE>_MAX
+  const writeLimit = resource => ({
+    windowMs: read.integer(`RATE_LIMIT_${resource}_WINDOW_MS`, 60 * 1000),
+    max: read.integer(`RATE_LIMIT_${resource}_MAX`, 30)
+  });
+
+  const name = read.oneOf('NODE_ENV', Object.keys(PROFILES), 'development');
+  const profile = PROFILES[name];
+  const production = name === 'production';
+
+  const port = read.integer('PORT', 3000, { max: 65535 });
+  const config = {
+    env: name,
+    port,
+    // URL publique de l’API (serveur de la doc Swagger, liens)
+    publicUrl: read.url('PUBLIC_URL', `http://localhost:${port}`),
+    mongoUri: read.string('MONGO_URI'),
+    mongo: {
+      // Tentatives de connexion au démarrage (0 : illimité), délai par tentative, attente maximale entre deux
+      connectMaxAttempts: read.integer('MONGO_CONNECT_MAX_ATTEMPTS', 0, { min: 0 }),
+      connectTimeoutMs: read.integer('MONGO_CONNECT_TIMEOUT_MS', 5000),
+      retryMaxDelayMs: read.integer('MONGO_RETRY_MAX_DELAY_MS', 30 * 1000)
+    },
+    // Délai laissé aux requêtes en cours à l’arrêt (voir lifecycle.js)
+    shutdownTimeoutMs: read.integer('SHUTDOWN_TIMEOUT_MS', 10 * 1000, { min: 0 }),
+    // Délai du ping MongoDB de GET /health/ready
+    healthPingTimeoutMs: read.integer('HEALTH_PING_TIMEOUT_MS', 1000),
+    // Pile des erreurs 500 dans les réponses : en développement seulement
+    showErrorStack: name === 'development',
+    log: {
+      level: read.oneOf('LOG_LEVEL', LOG_LEVELS, 'info')
+    },
+    metrics: {
+      // Si défini, GET /metrics exige `Authorization: Bearer <token>`
+      token: read.string('METRICS_TOKEN')
+    },
+    mail: {
+      transport: read.oneOf('MAIL_TRANSPORT', MAIL_TRANSPORTS, 'console'),
+      dir: read.string('MAIL_DIR') // transport file (mail-outbox/ par défaut)
+    },
+    jwt: {
+      algorithm: read.oneOf('JWT_ALGORITHM', JWT_ALGORITHMS, 'HS256'),
+      keys: parseJwtKeys(env, name, problems, warnings),
+      accessTokenTtl: read.integer('ACCESS_TOKEN_TTL', 15 * 60) // secondes
+    },
+    auth: {
+      refreshTokenTtl: read.integer('REFRESH_TOKEN_TTL', 30 * 24 * 60 * 60), // secondes
+      passwordResetTtl: read.integer('PASSWORD_RESET_TTL', 60 * 60), // secondes
+      passwordResetUrl: read.url('PASSWORD_RESET_URL'), // ex. https://app.example.com/reset-password
+      // Échecs de connexion avant le verrouillage progressif du compte
+      lockoutThreshold: read.integer('LOCKOUT_THRESHOLD', 5)
+    },
+    rateLimit: {
+      // memory (par instance) ou mongo (compteurs partagés entre instances)
+      store: read.oneOf('RATE_LIMIT_STORE', RATE_LIMIT_STORES, 'memory'),
+      auth: {
+        windowMs: read.integer('RATE_LIMIT_AUTH_WINDOW_MS', 15 * 60 * 1000),
+        max: read.integer('RATE_LIMIT_AUTH_MAX', 100)
+      },
+      login: {
+        windowMs: read.integer('RATE_LIMIT_LOGIN_WINDOW_MS', 15 * 60 * 1000),
+        max: read.integer('RATE_LIMIT_LOGIN_MAX', 20),
+        accountMax: read.integer('RATE_LIMIT_LOGIN_ACCOUNT_MAX', 10)
+      },
+      potions: writeLimit('POTIONS'),
+      vendors: writeLimit('VENDORS'),
+      orders: writeLimit('ORDERS'),
+      pricing: writeLimit('PRICING'),
+      analytics: {
+        windowMs: read.integer('RATE_LIMIT_ANALYTICS_WINDOW_MS', 60 * 1000),
+        max: read.integer('RATE_LIMIT_ANALYTICS_MAX', 60)
+      }
+    },
+    imports: {
+      maxBytes: read.size('IMPORT_MAX_BYTES', 10 * 1024 ** 2),
+      maxRows: read.integer('IMPORT_MAX_ROWS', 10000)
+    },
+    trash: {
+      // Rétention de la corbeille (jours) et période de la purge (0 : désactivée)
+      retentionDays: read.integer('TRASH_RETENTION_DAYS', 30, { min: 0 }),
+      purgeIntervalMs: read.integer('TRASH_PURGE_INTERVAL_MS', 60 * 60 * 1000, { min: 0 })
+    },
+    cookies: {
+      accessName: read.string('COOKIE_NAME', 'demo_node+mongo_token'),
+      refreshName: read.string('REFRESH_COOKIE_NAME', 'demo_node+mongo_refresh'),
+      secure: read.boolean('COOKIE_SECURE', profile.cookieSecure),
+      sameSite: read.oneOf('COOKIE_SAMESITE', SAME_SITE, 'strict'),
+      domain: read.string('COOKIE_DOMAIN')
+    },
+    cors: {
+      // '*' (toute origine, sans cookies) ou liste d’origines autorisées à envoyer les cookies ; vide : aucune
+      origins: parseCorsOrigins(read.string('CORS_ORIGINS', profile.corsOrigins), problems)
+    },
+    pricing: {
+      // Période d’application des changements de prix programmés (0 : désactivée)
+      scheduleIntervalMs: read.integer('PRICE_SCHEDULE_INTERVAL_MS', 60 * 1000, { min: 0 })
+    },
+    payments: {
+      // Passerelle de paiement des commandes (voir payment.js)
+      provider: read.oneOf('PAYMENT_PROVIDER', PAYMENT_PROVIDERS, 'fake'),
+      currency: read.string('PAYMENT_CURRENCY', 'EUR').toUpperCase()
+    }
+  };
+  config.jwt.signingKey = config.jwt.keys[0];
+
+  if (profile.requireMongoUri && !config.mongoUri) problems.push('MONGO_URI est obligatoire');
+  if (config.cookies.sameSite === 'none' && !config.cookies.secure) {
+    problems.push('COOKIE_SAMESITE=none exige COOKIE_SECURE=true');
+  }
+  if (config.cookies.accessName === config.cookies.refreshName) {
+    problems.push('COOKIE_NAME et REFRESH_COOKIE_NAME doivent être différents');
+  }
+  if (!/^[A-Z]{3}$/.test(config.payments.currency)) {
+    problems.push(`PAYMENT_CURRENCY doit être un code ISO 4217 (ex. EUR) (reçu : ${config.payments.currency})`);
+  }
+
+  if (production) {
+    for (const { kid, secret } of config.jwt.keys) {
+      if (KNOWN_SECRETS.includes(secret)) problems.push(`Clé JWT ${kid} : secret par défaut interdit en production`);
+      else if (secret.length < MIN_SECRET_LENGTH) {
+        problems.push(`Clé JWT ${kid} : au moins ${MIN_SECRET_LENGTH} caractères en production`);
+      }
+    }
+    if (!config.cookies.secure) warnings.push('COOKIE_SECURE=false en production : cookies envoyés aussi en HTTP');
+    if (config.cors.origins === '*') warnings.push('CORS_ORIGINS=* en production : API appelable depuis toute origine');
+    if (config.payments.provider === 'fake') warnings.push('PAYMENT_PROVIDER=fake en production : aucun paiement réel');
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return { config: deepFreeze(config), warnings };
+}
+
+const { config, warnings } = loadConfig();
+
+module.exports = { config, warnings, loadConfig, ConfigError, PROFILES };
@@ -0,0 +1,87 @@
+/**
+ * Lecture / écriture CSV (RFC 4180) : champs entre guillemets, guillemets doublés,
+ * retours à la ligne dans un champ, fins de ligne CRLF ou LF, BOM UTF-8 ignoré.
+ */
+
+// Délimiteur le plus probable d’après la ligne d’en-tête (les exports Excel FR utilisent « ; »)
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const count = char => header.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Découpe un texte CSV en enregistrements.
+ * Chaque enregistrement vaut { line, values } (line : numéro de sa première ligne).
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const endValue = () => {
+    values.push(value);
+    value = '';
+  };
+  const endRecord = () => {
+    endValue();
+    // Lignes vides ignorées
+    if (values.length > 1 || values[0] !== '') records.push({ line: recordLine, values });
+    values = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const char = src[i];
+    if (quoted) {
+      if (char === '"' && src[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endValue();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && src[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || values.length) endRecord();
+  return records;
+}
+
+// Début de cellule qu’un tableur interprète comme une formule
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatValue(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Texte saisi par un utilisateur (nom...) : préfixé par « ' » pour rester du texte dans le tableur
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Inverse du préfixe de formatValue, pour réimporter un export tel quel
+function unescapeFormula(text) {
+  return text.startsWith('\'') && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Une ligne CSV (terminée par CRLF) à partir d’une liste de valeurs
+function formatRow(values, delimiter = ',') {
+  return `${values.map(v => formatValue(v, delimiter)).join(delimiter)}\r\n`;
+}
+
+module.exports = { parseCsv, formatRow, detectDelimiter, unescapeFormula };
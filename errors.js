@@ -0,0 +1,198 @@
+const http = require('http');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { validationErrors } = require('./validation');
+const { QueryError } = require('./potion.query');
+const { PatchError } = require('./json-patch');
+const { interpolate, localeOf, localizeErrors } = require('./i18n');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Erreurs applicatives et réponses RFC 7807 (`application/problem+json`).
+ * Les routes lèvent une AppError (ou laissent remonter une erreur Mongoose) ;
+ * `errorHandler` la traduit en réponse avec un code stable et l’ID de la requête.
+ */
+
+const PROBLEM_TYPE_PREFIX = 'urn:potions:problem:';
+
+class AppError extends Error {
+  /**
+   * status : code HTTP ; code : identifiant stable de l’erreur (ex. potion-not-found) ;
+   * errors : détail champ par champ ; headers : en-têtes à ajouter à la réponse ;
+   * extensions : membres supplémentaires du corps (ex. retryAfter) ;
+   * params : valeurs des `{nom}` du message, qui reste la clé de traduction (voir i18n.js).
+   */
+  constructor(status, code, message, { errors, headers, extensions, params, cause } = {}) {
+    super(interpolate(message, params), { cause });
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.template = message;
+    this.params = params;
+    this.errors = errors;
+    this.headers = headers;
+    this.extensions = extensions;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, { code = 'bad-request', ...options } = {}) {
+    super(400, code, message, options);
+    this.name = 'BadRequestError';
+  }
+}
+
+// 400 avec le détail des champs ({ type, value, msg, path, location })
+class ValidationFailedError extends AppError {
+  constructor(errors, { code = 'validation-failed', message = 'Données invalides', ...options } = {}) {
+    super(400, code, message, { ...options, errors });
+    this.name = 'ValidationFailedError';
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, { code = 'unauthorized', ...options } = {}) {
+    super(401, code, message, options);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, { code = 'forbidden', ...options } = {}) {
+    super(403, code, message, options);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = 'not-found', ...options } = {}) {
+    super(404, code, message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { code = 'conflict', ...options } = {}) {
+    super(409, code, message, options);
+    this.name = 'ConflictError';
+  }
+}
+
+class PreconditionFailedError extends AppError {
+  constructor(message, { code = 'precondition-failed', ...options } = {}) {
+    super(412, code, message, options);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+// Vérification courante des routes : ID de document mal formé = document introuvable
+function assertObjectId(id, message, options) {
+  if (!mongoose.isValidObjectId(id)) throw new NotFoundError(message, options);
+}
+
+// Traduit les erreurs connues (Mongoose, MongoDB, body-parser...) en AppError
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+  if (err instanceof QueryError) return new ValidationFailedError(err.errors, { code: 'invalid-query', message: err.message, cause: err });
+  if (err instanceof PatchError) {
+    return err.status === 409
+      ? new AppError(409, 'patch-test-failed', 'Une opération « test » du patch a échoué', { errors: err.errors, cause: err })
+      : new ValidationFailedError(err.errors, { code: 'invalid-patch', message: err.message, cause: err });
+  }
+
+  const errors = validationErrors(err);
+  if (errors) return new ValidationFailedError(errors, { cause: err });
+  if (err instanceof mongoose.Error.CastError) {
+    if (err.path === '_id') return new NotFoundError('Ressource non trouvée', { cause: err });
+    return new ValidationFailedError([{ type: 'field', value: err.value, msg: 'Valeur invalide pour {path} ({kind} attendu).', params: { path: err.path, kind: err.kind }, path: err.path, location: 'query' }], { cause: err });
+  }
+  if (err instanceof mongoose.Error.VersionError) {
+    return new ConflictError('La ressource a été modifiée entre-temps, veuillez réessayer', { code: 'concurrent-update', cause: err });
+  }
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(fields.length ? 'Valeur déjà utilisée : {fields}' : 'Valeur déjà utilisée', {
+      code: 'duplicate',
+      params: { fields: fields.join(', ') },
+      errors: fields.map(path => ({ type: 'field', value: err.keyValue?.[path], msg: 'Valeur déjà utilisée', path, location: 'body' })),
+      cause: err
+    });
+  }
+
+  // Erreurs de lecture du corps (express.json, express.text)
+  if (err?.type === 'entity.parse.failed') return new BadRequestError('Corps de requête JSON invalide', { code: 'invalid-json', cause: err });
+  if (err?.type === 'entity.too.large') return new AppError(413, 'payload-too-large', 'Corps de requête trop volumineux', { cause: err });
+  const status = err?.status ?? err?.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return new AppError(status, http.STATUS_CODES[status]?.toLowerCase().replace(/\W+/g, '-') || 'client-error', err.message, { cause: err });
+  }
+
+  return new AppError(500, 'internal-error', 'Erreur interne du serveur', { cause: err });
+}
+
+// `detail` et les `errors[].msg` sont traduits dans la langue de la requête
+function problemBody(appError, req) {
+  const body = {
+    type: `${PROBLEM_TYPE_PREFIX}${appError.code}`,
+    title: http.STATUS_CODES[appError.status] || 'Error',
+    status: appError.status,
+    detail: req.t ? req.t(appError.template, appError.params) : appError.message,
+    instance: req.originalUrl,
+    code: appError.code,
+    requestId: req.id,
+    ...appError.extensions
+  };
+  if (appError.errors?.length) body.errors = req.t ? localizeErrors(req, appError.errors) : appError.errors;
+  if (config.showErrorStack && appError.status >= 500) body.stack = (appError.cause || appError).stack;
+  return body;
+}
+
+// Envoie une erreur au format problem+json (utilisable hors du gestionnaire global)
+function sendProblem(req, res, err) {
+  const appError = toAppError(err);
+  if (appError.headers) res.set(appError.headers);
+  // Repris par le log d’accès et les métriques (voir access-log.js)
+  res.locals.problemCode = appError.code;
+  if (req.t) res.set('Content-Language', localeOf(req));
+  return res.status(appError.status).type('application/problem+json').json(problemBody(appError, req));
+}
+
+// X-Request-Id repris du client s’il est raisonnable, généré sinon
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Après toutes les routes : aucune route ne correspond
+function notFound(req, res, next) {
+  next(new NotFoundError('Route inconnue : {method} {path}', { code: 'route-not-found', params: { method: req.method, path: req.path } }));
+}
+
+// Gestionnaire global (4 arguments) : dernière couche de l’application
+function errorHandler(err, req, res, next) {
+  const appError = toAppError(err);
+  // 503 (base indisponible) : attendu pendant une coupure, déjà visible dans le log d’accès
+  if (appError.status >= 500 && appError.status !== 503) logger.error('erreur interne', { requestId: req.id, err: appError.cause || appError });
+  if (res.headersSent) return res.destroy();
+  sendProblem(req, res, appError);
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationFailedError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  assertObjectId,
+  toAppError,
+  sendProblem,
+  requestId,
+  notFound,
+  errorHandler
+};
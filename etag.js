@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * ETag « fort » d’un document Mongoose : empreinte de son état enregistré
+ * (sans les relations chargées par ?expand=), identique en lecture et après une écriture.
+ */
+function entityTag(doc) {
+  const state = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+  return `"${crypto.createHash('sha1').update(JSON.stringify(state)).digest('base64url')}"`;
+}
+
+/**
+ * Précondition If-Match : absente, « * » ou liste contenant l’ETag courant.
+ * Un ETag affaibli (W/) par un proxy intermédiaire est accepté.
+ */
+function ifMatch(req, tag) {
+  const header = req.get('If-Match');
+  if (header === undefined) return true;
+  return header.split(',')
+    .map(t => t.trim().replace(/^W\//, ''))
+    .some(t => t === '*' || t === tag);
+}
+
+module.exports = { entityTag, ifMatch };
@@ -0,0 +1,110 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Health
+ *   description: Sondes de vie et de disponibilité (orchestrateurs, docker-compose)
+ */
+
+const express = require('express');
+const { config } = require('./config');
+const { state, databaseState, pingDatabase } = require('./lifecycle');
+
+const router = express.Router();
+
+// Les sondes ne doivent jamais être servies depuis un cache
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Sonde de vie
+ *     description: Répond 200 tant que le process tourne, même sans base de données (un échec signifie qu’il faut redémarrer le conteneur).
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Process en vie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ *                 uptime:
+ *                   type: number
+ *                   description: Secondes depuis le démarrage
+ *                   example: 3600.5
+ */
+router.get('/live', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime() * 10) / 10 });
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Sonde de disponibilité
+ *     description: Répond 200 si MongoDB est connecté et répond au ping, 503 sinon ou pendant l’arrêt du serveur (le trafic doit alors être dirigé ailleurs).
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Prêt à recevoir du trafic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Base de données indisponible ou arrêt en cours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *
+ * components:
+ *   schemas:
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, unavailable, shutting-down]
+ *         checks:
+ *           type: object
+ *           properties:
+ *             mongo:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [ok, error]
+ *                 state:
+ *                   type: string
+ *                   enum: [connected, connecting, disconnected, disconnecting]
+ *                 latencyMs:
+ *                   type: number
+ *                   example: 1.2
+ *                 error:
+ *                   type: string
+ *                   example: MongoDB disconnected
+ */
+router.get('/ready', async (req, res) => {
+  const mongo = { state: databaseState() };
+  try {
+    mongo.latencyMs = await pingDatabase(config.healthPingTimeoutMs);
+    mongo.status = 'ok';
+  } catch (err) {
+    mongo.status = 'error';
+    mongo.error = err.message;
+  }
+
+  let status = mongo.status === 'ok' ? 'ok' : 'unavailable';
+  if (state.shuttingDown) status = 'shutting-down';
+  res.status(status === 'ok' ? 200 : 503).json({ status, checks: { mongo } });
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const Potion = require('./potion.model');
+const AuditLog = require('./audit.model');
+const authMiddleware = require('./middleware');
+const { requirePermission } = authMiddleware;
+const { canManagePotion, hasPermission } = require('./roles');
+const { parseListQuery, findPage, pageLinkBuilder } = require('./potion.query');
+const { NotFoundError, ForbiddenError, ConflictError, assertObjectId } = require('./errors');
+const { auditContext, recordPotionChange } = require('./audit');
+const { replacePotion } = require('./potion.update');
+const { activeRules, priced, pricedTag, recordPriceChange } = require('./potion.pricing');
+
+// Monté sur /potions/:id/history : req.params.id est l’ID de la potion
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware, requirePermission('potions:update'), async (req, res, next) => {
+  assertObjectId(req.params.id, 'Potion non trouvée', { code: 'potion-not-found' });
+  // L’historique reste consultable pour une potion de la corbeille
+  const potion = await Potion.findById(req.params.id).withDeleted();
+  if (!potion) throw new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+  if (!canManagePotion(req.user, potion)) {
+    throw new ForbiddenError('Cette potion appartient à un autre vendeur.', { code: 'potion-not-owned' });
+  }
+  req.potion = potion;
+  next();
+});
+
+// Adresse IP et navigateur réservés aux administrateurs
+function present(entry, user) {
+  const json = typeof entry.toJSON === 'function' ? entry.toJSON() : { ...entry };
+  if (!hasPermission(user.role, 'audit:read')) {
+    delete json.ip;
+    delete json.userAgent;
+  }
+  return json;
+}
+
+async function findVersion(potionId, raw) {
+  const version = Number(raw);
+  const entry = Number.isInteger(version) && version > 0
+    ? await AuditLog.findOne({ 'entity.type': 'potion', 'entity.id': potionId, version })
+    : null;
+  if (!entry) throw new NotFoundError('Version non trouvée', { code: 'version-not-found' });
+  return entry;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: potion.update
+ *         entity:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [potion, user]
+ *             id:
+ *               type: string
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *               example: damien
+ *             role:
+ *               type: string
+ *               example: vendor
+ *         ip:
+ *           type: string
+ *           description: Administrateurs uniquement
+ *           example: 203.0.113.7
+ *         userAgent:
+ *           type: string
+ *           description: Administrateurs uniquement
+ *         version:
+ *           type: integer
+ *           description: Numéro de version de la potion après l’action
+ *           example: 4
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: price
+ *               from:
+ *                 example: 12
+ *               to:
+ *                 example: 15
+ *         meta:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /potions/{id}/history:
+ *   get:
+ *     summary: Historique des modifications d’une potion
+ *     description: |
+ *       Rôles : `admin`, `vendor` (ses propres potions). Les plus récentes d’abord ;
+ *       pagination par curseur comme `GET /potions`. L’état complet d’une version
+ *       s’obtient avec `GET /potions/{id}/history/{version}`.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page d’entrées d’historique
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 paging:
+ *                   type: object
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.get('/', async (req, res) => {
+  const query = { sort: '-createdAt', ...req.query };
+  const parsed = parseListQuery(query, AuditLog);
+  parsed.filter = { ...parsed.filter, 'entity.type': 'potion', 'entity.id': req.potion._id };
+
+  const page = await findPage(AuditLog, parsed, pageLinkBuilder(req, query));
+  page.data = page.data.map(entry => {
+    const json = present(entry, req.user);
+    delete json.snapshot;
+    return json;
+  });
+  res.json(page);
+});
+
+/**
+ * @swagger
+ * /potions/{id}/history/{version}:
+ *   get:
+ *     summary: Consulter une version passée d’une potion
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Entrée d’historique avec l’état complet de la potion (`snapshot`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AuditEntry'
+ *                 - type: object
+ *                   properties:
+ *                     snapshot:
+ *                       $ref: '#/components/schemas/Potion'
+ *       404:
+ *         description: Potion ou version non trouvée
+ */
+router.get('/:version', async (req, res) => {
+  const entry = await findVersion(req.potion._id, req.params.version);
+  res.json(present(entry, req.user));
+});
+
+/**
+ * @swagger
+ * /potions/{id}/history/{version}/revert:
+ *   post:
+ *     summary: Restaurer une version passée d’une potion
+ *     description: |
+ *       Réapplique les champs modifiables de la version (les champs absents de cette version sont retirés).
+ *       `score`, `ratings` et `reviewCount` restent ceux calculés à partir des avis ; pour un vendeur,
+ *       `vendor_id` n’est pas modifié. La restauration crée elle-même une nouvelle version.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Potion restaurée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: La version n’est plus valide (ex. vendeur supprimé depuis)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Potion ou version non trouvée
+ *       409:
+ *         description: Potion dans la corbeille (la restaurer d’abord) ou modifiée pendant la restauration
+ */
+router.post('/:version/revert', async (req, res) => {
+  const { potion } = req;
+  if (potion.deletedAt) {
+    throw new ConflictError('La potion est dans la corbeille : la restaurer d’abord', { code: 'potion-in-trash' });
+  }
+  const entry = await findVersion(potion._id, req.params.version);
+  if (!entry.snapshot) throw new NotFoundError('Version non trouvée', { code: 'version-not-found' });
+
+  const before = potion.toObject();
+  // Le propriétaire n’est pas repris de la version ; les champs absents de la version sont retirés
+  const { owner, ...snapshot } = entry.snapshot;
+  replacePotion(potion, snapshot, req.user);
+  await potion.save();
+  const ctx = auditContext(req);
+  await recordPotionChange(ctx, 'potion.revert', before, potion, { version: entry.version });
+  await recordPriceChange(ctx, 'revert', before, potion);
+  const rules = await activeRules();
+  res.set('ETag', pricedTag(potion, rules)).json(priced(potion, rules));
+});
+
+module.exports = router;
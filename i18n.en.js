@@ -0,0 +1,258 @@
+/**
+ * Catalogue anglais des messages de l’API : texte français (clé) -> traduction.
+ * Les `{nom}` sont conservés tels quels ; une clé absente laisse le message en français.
+ */
+module.exports = {
+  // Erreurs génériques (errors.js)
+  'Données invalides': 'Invalid data',
+  'Ressource non trouvée': 'Resource not found',
+  'Valeur invalide pour {path} ({kind} attendu).': 'Invalid value for {path} ({kind} expected).',
+  'La ressource a été modifiée entre-temps, veuillez réessayer': 'The resource was modified in the meantime, please try again',
+  'Valeur déjà utilisée : {fields}': 'Value already in use: {fields}',
+  'Valeur déjà utilisée': 'Value already in use',
+  'Corps de requête JSON invalide': 'Invalid JSON request body',
+  'Corps de requête trop volumineux': 'Request body too large',
+  'Erreur interne du serveur': 'Internal server error',
+  'Route inconnue : {method} {path}': 'Unknown route: {method} {path}',
+  'Trop de requêtes, veuillez réessayer plus tard.': 'Too many requests, please try again later.',
+
+  // Authentification et droits
+  'Token d’authentification manquant ou invalide': 'Missing or invalid authentication token',
+  'Jeton expiré, veuillez le renouveler via /auth/refresh.': 'Token expired, please renew it via /auth/refresh.',
+  'Jeton non valide.': 'Invalid token.',
+  'Session révoquée, veuillez vous reconnecter.': 'Session revoked, please log in again.',
+  'Accès refusé : rôle insuffisant.': 'Access denied: insufficient role.',
+  'Accès refusé : permission insuffisante.': 'Access denied: insufficient permission.',
+  'Clé d’API invalide ou révoquée.': 'Invalid or revoked API key.',
+  'Clé d’API expirée.': 'API key expired.',
+  'Portée de la clé d’API insuffisante : {scope} requise.': 'Insufficient API key scope: {scope} required.',
+  'Action réservée aux sessions utilisateur, clé d’API refusée.': 'Action reserved for user sessions, API key refused.',
+
+  // Comptes (/auth, /admin)
+  'Nom ou e-mail déjà utilisé': 'Name or e-mail already in use',
+  'Le nom d’utilisateur est requis.': 'Username is required.',
+  'Doit faire entre 3 et 30 caractères.': 'Must be between 3 and 30 characters.',
+  'Le mot de passe est requis.': 'Password is required.',
+  'Minimum 6 caractères.': 'At least 6 characters.',
+  'Adresse e-mail invalide.': 'Invalid e-mail address.',
+  'Langue non prise en charge (fr ou en).': 'Unsupported language (fr or en).',
+  'Utilisateur créé': 'User created',
+  'Compte temporairement verrouillé après plusieurs échecs de connexion.': 'Account temporarily locked after several failed login attempts.',
+  'Identifiants invalides': 'Invalid credentials',
+  'Connecté avec succès': 'Logged in successfully',
+  'Session expirée, veuillez vous reconnecter.': 'Session expired, please log in again.',
+  'Réutilisation de jeton détectée, session révoquée.': 'Token reuse detected, session revoked.',
+  'Jeton renouvelé': 'Token renewed',
+  'Déconnecté': 'Logged out',
+  'Session non trouvée': 'Session not found',
+  'Session révoquée': 'Session revoked',
+  'Clé d’API non trouvée': 'API key not found',
+  'Clé d’API révoquée': 'API key revoked',
+  'Le libellé de la clé est requis.': 'The key label is required.',
+  'Le libellé ne doit pas dépasser 100 caractères.': 'The label must not exceed 100 characters.',
+  'Portée inconnue : {VALUE}.': 'Unknown scope: {VALUE}.',
+  'Au moins une portée est requise.': 'At least one scope is required.',
+  'La date d’expiration doit être une date future.': 'The expiry date must be in the future.',
+  'Utilisateur non trouvé': 'User not found',
+  'Mode invalide (anonymize ou delete)': 'Invalid mode (anonymize or delete)',
+  'Mot de passe incorrect': 'Incorrect password',
+  'Le dernier administrateur ne peut pas supprimer son compte.': 'The last administrator cannot delete their account.',
+  'Compte supprimé': 'Account deleted',
+  'Le mot de passe actuel est requis.': 'Current password is required.',
+  'Mot de passe actuel incorrect': 'Incorrect current password',
+  'Mot de passe modifié': 'Password changed',
+  'Le nom ou l’e-mail est requis.': 'Name or e-mail is required.',
+  'Si un compte correspond, un e-mail de réinitialisation a été envoyé.': 'If an account matches, a reset e-mail has been sent.',
+  'Le jeton est requis.': 'Token is required.',
+  'Jeton invalide ou expiré': 'Invalid or expired token',
+  'Mot de passe réinitialisé': 'Password reset',
+  'Réinitialisation de votre mot de passe': 'Reset your password',
+  ['Bonjour {name},\n\nVoici votre jeton de réinitialisation, valable {minutes} minutes '
+    + 'et utilisable une seule fois via POST /auth/reset-password :\n\n{token}{link}\n\n'
+    + 'Si vous n’êtes pas à l’origine de cette demande, ignorez ce message.']:
+    'Hello {name},\n\nHere is your reset token, valid for {minutes} minutes '
+    + 'and usable only once via POST /auth/reset-password:\n\n{token}{link}\n\n'
+    + 'If you did not make this request, please ignore this message.',
+  'Le rôle doit être l’un de : {roles}.': 'Role must be one of: {roles}.',
+  'vendor_id doit être l’ID d’un vendeur.': 'vendor_id must be the ID of a vendor.',
+  'Impossible de rétrograder le dernier administrateur.': 'The last administrator cannot be demoted.',
+
+  // Potions
+  'Potion non trouvée': 'Potion not found',
+  'Cette potion appartient à un autre vendeur.': 'This potion belongs to another vendor.',
+  'Potion supprimée définitivement': 'Potion permanently deleted',
+  'Potion mise à la corbeille': 'Potion moved to trash',
+  'La potion n’est pas dans la corbeille': 'The potion is not in the trash',
+  'La potion est dans la corbeille : la restaurer d’abord': 'The potion is in the trash: restore it first',
+  'La potion a été modifiée depuis sa lecture (If-Match)': 'The potion was modified since it was read (If-Match)',
+  'La potion doit être un objet JSON': 'The potion must be a JSON object',
+  'Type de contenu non supporté (application/merge-patch+json ou application/json-patch+json)':
+    'Unsupported content type (application/merge-patch+json or application/json-patch+json)',
+  'Corps vide ou Content-Type non pris en charge': 'Empty body or unsupported Content-Type',
+  'Version non trouvée': 'Version not found',
+  'Le nom de l’ingrédient est requis.': 'Ingredient name is required.',
+  'Le nom de l’ingrédient ne doit pas dépasser 100 caractères.': 'Ingredient name must not exceed 100 characters.',
+  'La quantité ne peut pas être négative.': 'Quantity cannot be negative.',
+  'Unité inconnue : {VALUE}.': 'Unknown unit: {VALUE}.',
+  'Rareté inconnue : {VALUE}.': 'Unknown rarity: {VALUE}.',
+  'Le nom de la potion est requis.': 'Potion name is required.',
+  'Le nom doit faire au moins 2 caractères.': 'Name must be at least 2 characters.',
+  'Le nom ne doit pas dépasser 100 caractères.': 'Name must not exceed 100 characters.',
+  'Le prix ne peut pas être négatif.': 'Price cannot be negative.',
+  'Le score doit être compris entre 0 et 5.': 'Score must be between 0 and 5.',
+  'La force doit être comprise entre 0 et 10.': 'Strength must be between 0 and 10.',
+  'L’arôme doit être compris entre 0 et 10.': 'Aroma must be between 0 and 10.',
+  'Une catégorie ne peut pas être vide.': 'A category cannot be empty.',
+  'Une catégorie ne doit pas dépasser 40 caractères.': 'A category must not exceed 40 characters.',
+  'Pas plus de {max} catégories par potion.': 'No more than {max} categories per potion.',
+
+  // Paramètres de liste, de recherche et d’analyse
+  'Paramètres de requête invalides': 'Invalid query parameters',
+  'Paramètre de filtre invalide': 'Invalid filter parameter',
+  'Champ de filtre inconnu : {path}': 'Unknown filter field: {path}',
+  'Opérateur « {op} » non supporté pour {path}': 'Operator "{op}" is not supported for {path}',
+  'Paramètre répété non autorisé': 'Repeated parameter not allowed',
+  'Valeur invalide pour {path} ({type} attendu)': 'Invalid value for {path} ({type} expected)',
+  'Tri impossible sur {path}': 'Cannot sort on {path}',
+  'Champ inconnu : {path}': 'Unknown field: {path}',
+  'Relation inconnue : {name}': 'Unknown relation: {name}',
+  'limit doit être un entier entre 1 et {max}': 'limit must be an integer between 1 and {max}',
+  'limit doit être un entier entre 1 et 1000': 'limit must be an integer between 1 and 1000',
+  'Curseur invalide ou incompatible avec le tri demandé': 'Invalid cursor or cursor incompatible with the requested sort',
+  '{key} doit être un entier entre {min} et {max}': '{key} must be an integer between {min} and {max}',
+  'mode doit valoir full ou autocomplete': 'mode must be full or autocomplete',
+  'Le paramètre q est requis': 'The q parameter is required',
+  'Pas plus de {max} mots par recherche': 'No more than {max} words per search',
+  'Fuseau horaire inconnu : {timezone}': 'Unknown time zone: {timezone}',
+  'priceBands doit être une liste croissante d’au moins deux bornes positives':
+    'priceBands must be an increasing list of at least two positive bounds',
+  'Dimension non autorisée : {name} (autorisées : {allowed})': 'Dimension not allowed: {name} (allowed: {allowed})',
+  'La dimension {name} n’accepte pas de granularité': 'Dimension {name} does not accept a granularity',
+  'Granularité inconnue pour {name} : {unit} (autorisées : {allowed})': 'Unknown granularity for {name}: {unit} (allowed: {allowed})',
+  'Dimension répétée : {name}': 'Repeated dimension: {name}',
+  'Mesure inconnue : {op} (autorisées : {allowed}, p1…p99)': 'Unknown measure: {op} (allowed: {allowed}, p1…p99)',
+  'count ne prend pas de champ': 'count does not take a field',
+  'La mesure {op} nécessite un champ (ex. {op}:score)': 'Measure {op} requires a field (e.g. {op}:score)',
+  'Champ non mesurable : {field} (autorisés : {allowed})': 'Field cannot be measured: {field} (allowed: {allowed})',
+  'Le percentile doit être compris entre p1 et p99': 'Percentile must be between p1 and p99',
+  'Condition invalide : {token} (ex. having=count>=3)': 'Invalid condition: {token} (e.g. having=count>=3)',
+  'having porte sur une mesure non demandée : {alias}': 'having refers to a measure that was not requested: {alias}',
+  'Tri impossible sur {key} (dimension ou mesure demandée attendue)': 'Cannot sort on {key} (requested dimension or measure expected)',
+  'minReviews doit être un entier positif': 'minReviews must be a positive integer',
+  'prior doit être un nombre positif': 'prior must be a positive number',
+  'Granularité inconnue (autorisées : {allowed})': 'Unknown granularity (allowed: {allowed})',
+  'Date invalide pour {key}': 'Invalid date for {key}',
+  'to doit être postérieur à from': 'to must be later than from',
+  'window doit être un entier entre 2 et {max}': 'window must be an integer between 2 and {max}',
+  'Plus de {max} périodes : réduisez l’intervalle ou choisissez une granularité plus large':
+    'More than {max} periods: narrow the range or choose a coarser granularity',
+  'actor doit être un ID ou un nom d’utilisateur': 'actor must be a user ID or name',
+  'Action inconnue (autorisées : {allowed})': 'Unknown action (allowed: {allowed})',
+
+  // Import / export
+  'Format inconnu (autorisés : {allowed})': 'Unknown format (allowed: {allowed})',
+  'Clé inconnue (autorisées : {allowed})': 'Unknown key (allowed: {allowed})',
+  'Plus de colonnes que dans l’en-tête': 'More columns than in the header',
+  'Colonne inconnue : {column}': 'Unknown column: {column}',
+  'JSON invalide : {error}': 'Invalid JSON: {error}',
+  'Le corps doit être un tableau de potions': 'The body must be an array of potions',
+  'Chaque ligne doit être un objet': 'Each row must be an object',
+  'Clé d’import manquante : {key}': 'Missing import key: {key}',
+  'Identifiant invalide': 'Invalid identifier',
+  'Clé déjà présente plus haut dans le fichier': 'Key already present earlier in the file',
+  'Plusieurs potions correspondent à cette clé': 'Several potions match this key',
+  'Cette potion est dans la corbeille (la restaurer avant de la modifier)': 'This potion is in the trash (restore it before modifying it)',
+  'Pas plus de {max} lignes par import': 'No more than {max} rows per import',
+
+  // Patchs (json-patch.js)
+  'Patch invalide': 'Invalid patch',
+  'Une opération « test » du patch a échoué': 'A "test" operation of the patch failed',
+  'Pointeur JSON invalide': 'Invalid JSON pointer',
+  'Un JSON Patch doit être un tableau d’opérations': 'A JSON Patch must be an array of operations',
+  'Chaque opération doit être un objet': 'Each operation must be an object',
+  'Opération inconnue (autorisées : {allowed})': 'Unknown operation (allowed: {allowed})',
+  'Champ « value » requis': '"value" field required',
+  'Impossible de supprimer la racine du document': 'Cannot remove the document root',
+  'Chemin inexistant': 'Path does not exist',
+  'Chemin parent inexistant': 'Parent path does not exist',
+  'Index de tableau invalide': 'Invalid array index',
+  'Impossible de déplacer un champ dans l’un de ses enfants': 'Cannot move a field into one of its children',
+  'Chemin source inexistant': 'Source path does not exist',
+  'Test en échec sur {path}': 'Test failed on {path}',
+
+  // Avis
+  'Le score est requis.': 'Score is required.',
+  'Le commentaire ne doit pas dépasser 2000 caractères.': 'Comment must not exceed 2000 characters.',
+  'Avis non trouvé': 'Review not found',
+  'Vous avez déjà donné votre avis sur cette potion': 'You have already reviewed this potion',
+  'Vous ne pouvez modifier que vos propres avis.': 'You can only edit your own reviews.',
+  'Vous ne pouvez supprimer que vos propres avis.': 'You can only delete your own reviews.',
+  'Avis supprimé': 'Review deleted',
+
+  // Vendeurs
+  'Le nom du vendeur est requis.': 'Vendor name is required.',
+  'Numéro de téléphone trop long.': 'Phone number too long.',
+  'URL trop longue.': 'URL too long.',
+  'Statut inconnu : {VALUE}.': 'Unknown status: {VALUE}.',
+  'Statut inconnu.': 'Unknown status.',
+  'Vendeur inconnu : {VALUE}.': 'Unknown vendor: {VALUE}.',
+  'Un vendeur porte déjà ce nom': 'A vendor with this name already exists',
+  'Vendeur non trouvé': 'Vendor not found',
+  'Accès refusé : ce vendeur est géré par un autre compte.': 'Access denied: this vendor is managed by another account.',
+  'Vendeur encore utilisé par {potions} potion(s) et {users} compte(s)': 'Vendor still used by {potions} potion(s) and {users} account(s)',
+  'Vendeur supprimé': 'Vendor deleted',
+
+  // Stock
+  'Le seuil de réapprovisionnement ne peut pas être négatif.': 'Reorder threshold cannot be negative.',
+  'Le seuil de réapprovisionnement doit être un entier.': 'Reorder threshold must be an integer.',
+  'Le seuil de réapprovisionnement doit être un entier positif ou nul.': 'Reorder threshold must be a non-negative integer.',
+  'Le type de mouvement est requis.': 'Movement type is required.',
+  'Type de mouvement inconnu : {VALUE}.': 'Unknown movement type: {VALUE}.',
+  'Type de mouvement inconnu (autorisés : {allowed})': 'Unknown movement type (allowed: {allowed})',
+  'La quantité doit être un entier non nul.': 'Quantity must be a non-zero integer.',
+  'La quantité doit être un entier positif.': 'Quantity must be a positive integer.',
+  'La note doit être une chaîne de caractères.': 'Note must be a string.',
+  'La note ne doit pas dépasser 500 caractères.': 'Note must not exceed 500 characters.',
+  'Stock insuffisant : {available} unité(s) disponible(s).': 'Insufficient stock: {available} unit(s) available.',
+
+  // Panier et commandes
+  'La quantité est requise.': 'Quantity is required.',
+  'La quantité doit être comprise entre 1 et 100.': 'Quantity must be between 1 and 100.',
+  'La quantité doit être un entier.': 'Quantity must be an integer.',
+  'Le panier est vide.': 'The cart is empty.',
+  'Potion indisponible': 'Potion unavailable',
+  'Une commande contient au moins une potion.': 'An order contains at least one potion.',
+  'Stock insuffisant pour {name} : {available} unité(s) disponible(s).': 'Insufficient stock for {name}: {available} unit(s) available.',
+  'Commande non trouvée': 'Order not found',
+  'Transition impossible : {from} → {to}.': 'Transition not allowed: {from} → {to}.',
+  'Seul l’acheteur peut effectuer cette action.': 'Only the buyer can perform this action.',
+  'Cette commande contient des potions d’un autre vendeur.': 'This order contains potions of another vendor.',
+  'La source de paiement est requise.': 'Payment source is required.',
+  'Paiement refusé par la passerelle.': 'Payment declined by the gateway.',
+  'Remboursement refusé par la passerelle.': 'Refund declined by the gateway.',
+
+  // Prix et promotions
+  'Le prix est requis.': 'Price is required.',
+  'La date d’effet est requise.': 'Effective date is required.',
+  'Le prix doit être un nombre positif.': 'Price must be a non-negative number.',
+  'La date d’effet doit être une date ISO 8601.': 'Effective date must be an ISO 8601 date.',
+  'La date d’effet doit être dans le futur (PATCH /potions/{id} pour un changement immédiat).':
+    'Effective date must be in the future (PATCH /potions/{id} for an immediate change).',
+  'Changement de prix non trouvé': 'Price change not found',
+  'Ce changement de prix n’est plus programmé (statut : {status})': 'This price change is no longer scheduled (status: {status})',
+  'Base de prix inconnue (autorisées : {allowed})': 'Unknown price basis (allowed: {allowed})',
+  'Le nom de la promotion est requis.': 'Promotion name is required.',
+  'Le type de remise est requis.': 'Discount type is required.',
+  'Type de remise inconnu : {VALUE}.': 'Unknown discount type: {VALUE}.',
+  'Le montant de la remise est requis.': 'Discount amount is required.',
+  'La remise doit être positive (100 % au plus).': 'Discount must be positive (at most 100%).',
+  'La fin de la promotion doit suivre son début.': 'Promotion end must follow its start.',
+  'Un compte vendeur doit être rattaché à un vendeur pour gérer des promotions.': 'A vendor account must be linked to a vendor to manage promotions.',
+  'Promotion non trouvée': 'Promotion not found',
+  'Cette promotion appartient à un autre vendeur.': 'This promotion belongs to another vendor.',
+  'Promotion supprimée': 'Promotion deleted',
+
+  // Supervision
+  'Jeton de métriques manquant ou invalide': 'Missing or invalid metrics token',
+  'Base de données indisponible, veuillez réessayer plus tard.': 'Database unavailable, please try again later.'
+};
@@ -0,0 +1,126 @@
+/**
+ * Messages de l’API en français (langue source) et en anglais.
+ * Les messages sont écrits en français dans le code et servent de clé ; i18n.en.js
+ * en donne la traduction. `{nom}` est remplacé par le paramètre correspondant.
+ *
+ * Langue d’une requête : préférence du compte (User.locale), sinon en-tête Accept-Language,
+ * sinon le français.
+ */
+
+const LOCALES = ['fr', 'en'];
+const DEFAULT_LOCALE = 'fr';
+
+const CATALOGS = {
+  en: require('./i18n.en')
+};
+
+function interpolate(text, params) {
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, key) => (params[key] === undefined ? match : String(params[key])));
+}
+
+function translate(locale, message, params) {
+  const text = CATALOGS[locale]?.[message] ?? message;
+  return interpolate(text, params);
+}
+
+// Clés du catalogue comportant des `{nom}`, reconnues dans un texte déjà formaté
+const TEMPLATES = Object.keys(CATALOGS.en)
+  .filter(key => /\{\w+\}/.test(key))
+  .map(key => {
+    const names = [...key.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+    const source = key.split(/\{\w+\}/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('(.+?)');
+    return { key, names, pattern: new RegExp(`^${source}$`) };
+  });
+
+/**
+ * Retrouve la clé et les paramètres d’un message formaté ailleurs (ex. « Unité inconnue : kg. »
+ * produit par Mongoose -> « Unité inconnue : {VALUE}. », { VALUE: 'kg' }).
+ */
+function parseMessage(text) {
+  if (typeof text !== 'string' || CATALOGS.en[text] !== undefined) return { message: text };
+  for (const { key, names, pattern } of TEMPLATES) {
+    const match = pattern.exec(text);
+    if (match) return { message: key, params: Object.fromEntries(names.map((name, i) => [name, match[i + 1]])) };
+  }
+  return { message: text };
+}
+
+/**
+ * « en-US,en;q=0.9,fr;q=0.8 » -> première langue supportée par ordre de préférence.
+ * Renvoie null si aucune ne l’est.
+ */
+function negotiate(header) {
+  if (!header) return null;
+  const ranges = header.split(',')
+    .map((part, index) => {
+      const [tag, ...attrs] = part.trim().split(';');
+      const q = attrs.map(a => a.trim()).find(a => a.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(r => r.tag && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of ranges) {
+    if (tag === '*') return DEFAULT_LOCALE;
+    const language = tag.split('-')[0];
+    if (LOCALES.includes(language)) return language;
+  }
+  return null;
+}
+
+// Préférence du compte connecté (portée par le JWT), puis Accept-Language
+function localeOf(req) {
+  if (LOCALES.includes(req.user?.locale)) return req.user.locale;
+  return negotiate(req.get('Accept-Language')) || DEFAULT_LOCALE;
+}
+
+// Erreurs champ par champ : traduit `msg` avec ses `params` (retirés de la réponse)
+function localizeErrors(req, errors) {
+  return errors.map(({ params, ...error }) => ({
+    ...error,
+    msg: typeof error.msg === 'string' ? req.t(error.msg, params) : error.msg
+  }));
+}
+
+/**
+ * Ajoute req.t(message, params). La langue est déterminée à l’appel,
+ * une fois l’utilisateur éventuellement authentifié.
+ */
+function localize(req, res, next) {
+  req.t = (message, params) => translate(localeOf(req), message, params);
+  res.vary('Accept-Language');
+  next();
+}
+
+/**
+ * Copie d’une spec OpenAPI dont les `summary` et `description` sont traduits
+ * avec `catalog` (texte français -> traduction) ; les textes absents restent en français.
+ */
+function translateSpec(spec, catalog) {
+  const walk = value => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      copy[key] = (key === 'summary' || key === 'description') && typeof child === 'string'
+        ? catalog[child] ?? child
+        : walk(child);
+    }
+    return copy;
+  };
+  return walk(spec);
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  translate,
+  interpolate,
+  parseMessage,
+  negotiate,
+  localeOf,
+  localizeErrors,
+  localize,
+  translateSpec
+};
@@ -0,0 +1,185 @@
+/**
+ * JSON Merge Patch (RFC 7396) et JSON Patch (RFC 6902) sur des objets JSON simples.
+ * Les documents sont copiés : l’objet cible n’est jamais modifié.
+ */
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+class PatchError extends Error {
+  // status : 400 (document de patch invalide) ou 409 (opération « test » en échec)
+  constructor(errors, status = 400) {
+    super('Patch invalide');
+    this.name = 'PatchError';
+    this.errors = errors;
+    this.status = status;
+  }
+}
+
+function patchError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'body' };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// RFC 7396 : null supprime un champ, un objet est fusionné récursivement, le reste remplace
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) return clone(patch);
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+}
+
+// « /ingredients/0/name » -> ['ingredients', '0', 'name'] (~1 = « / », ~0 = « ~ »)
+function parsePointer(pointer, index, field) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new PatchError([patchError(`${index}.${field}`, pointer, 'Pointeur JSON invalide')]);
+  }
+  return pointer === '' ? [] : pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(array, token, { append = false } = {}) {
+  if (append && token === '-') return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) return -1;
+  const i = Number(token);
+  return i < array.length + (append ? 1 : 0) ? i : -1;
+}
+
+// Parent et dernier segment d’un chemin ; null si le parent n’existe pas
+function locate(doc, tokens) {
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(parent)) parent = parent[arrayIndex(parent, token)];
+    else if (isObject(parent) && Object.hasOwn(parent, token)) parent = parent[token];
+    else return null;
+    if (parent === undefined) return null;
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, tokens) {
+  if (!tokens.length) return { found: true, value: doc };
+  const loc = locate(doc, tokens);
+  if (!loc) return { found: false };
+  const { parent, key } = loc;
+  if (Array.isArray(parent)) {
+    const i = arrayIndex(parent, key);
+    return i === -1 ? { found: false } : { found: true, value: parent[i] };
+  }
+  if (isObject(parent) && Object.hasOwn(parent, key)) return { found: true, value: parent[key] };
+  return { found: false };
+}
+
+// Ordre des clés sans importance, comme le prévoit l’opération « test »
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => Object.hasOwn(b, k) && deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+/**
+ * Applique une liste d’opérations RFC 6902 et renvoie le nouveau document.
+ * Toute opération invalide annule l’ensemble du patch (PatchError).
+ */
+function applyJsonPatch(doc, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError([patchError('', operations, 'Un JSON Patch doit être un tableau d’opérations')]);
+  }
+
+  let result = clone(doc);
+  operations.forEach((operation, index) => {
+    const fail = (msg, field = 'path', params) => {
+      throw new PatchError([patchError(`${index}.${field}`, operation?.[field], msg, params)]);
+    };
+    if (!isObject(operation)) fail('Chaque opération doit être un objet', 'op');
+    const { op } = operation;
+    if (!OPERATIONS.includes(op)) fail('Opération inconnue (autorisées : {allowed})', 'op', { allowed: OPERATIONS.join(', ') });
+    if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operation, 'value')) fail('Champ « value » requis', 'value');
+
+    const path = parsePointer(operation.path, index, 'path');
+    const from = ['move', 'copy'].includes(op) ? parsePointer(operation.from, index, 'from') : null;
+
+    const remove = tokens => {
+      if (!tokens.length) fail('Impossible de supprimer la racine du document');
+      const loc = locate(result, tokens);
+      const { parent, key } = loc || {};
+      if (Array.isArray(parent) && arrayIndex(parent, key) !== -1) return parent.splice(arrayIndex(parent, key), 1)[0];
+      if (isObject(parent) && Object.hasOwn(parent, key)) {
+        const value = parent[key];
+        delete parent[key];
+        return value;
+      }
+      return fail('Chemin inexistant');
+    };
+    const add = (tokens, value) => {
+      if (!tokens.length) {
+        result = value;
+        return;
+      }
+      const loc = locate(result, tokens);
+      if (!loc) fail('Chemin parent inexistant');
+      const { parent, key } = loc;
+      if (Array.isArray(parent)) {
+        const i = arrayIndex(parent, key, { append: true });
+        if (i === -1) fail('Index de tableau invalide');
+        parent.splice(i, 0, value);
+      } else if (isObject(parent)) {
+        parent[key] = value;
+      } else {
+        fail('Chemin parent inexistant');
+      }
+    };
+
+    switch (op) {
+      case 'add':
+        add(path, clone(operation.value));
+        break;
+      case 'remove':
+        remove(path);
+        break;
+      case 'replace':
+        if (!getValue(result, path).found) fail('Chemin inexistant');
+        if (path.length) remove(path);
+        add(path, clone(operation.value));
+        break;
+      case 'move': {
+        if (path.length > from.length && from.every((t, i) => t === path[i])) {
+          fail('Impossible de déplacer un champ dans l’un de ses enfants', 'from');
+        }
+        if (!getValue(result, from).found) fail('Chemin source inexistant', 'from');
+        add(path, remove(from));
+        break;
+      }
+      case 'copy': {
+        const source = getValue(result, from);
+        if (!source.found) fail('Chemin source inexistant', 'from');
+        add(path, clone(source.value));
+        break;
+      }
+      case 'test': {
+        const current = getValue(result, path);
+        if (!current.found || !deepEqual(current.value, operation.value)) {
+          throw new PatchError([patchError(`${index}.value`, operation.value, 'Test en échec sur {path}', { path: operation.path })], 409);
+        }
+        break;
+      }
+    }
+  });
+  return result;
+}
+
+module.exports = { applyMergePatch, applyJsonPatch, PatchError };
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { AppError } = require('./errors');
+
+/**
+ * Cycle de vie du process : connexion à MongoDB avec reprises, état de disponibilité
+ * et arrêt propre sur SIGTERM / SIGINT.
+ *
+ *   MONGO_CONNECT_MAX_ATTEMPTS   tentatives de connexion au démarrage (0 = illimité, défaut)
+ *   MONGO_CONNECT_TIMEOUT_MS     délai de sélection du serveur par tentative (5 s)
+ *   MONGO_RETRY_MAX_DELAY_MS     attente maximale entre deux tentatives (30 s)
+ *   SHUTDOWN_TIMEOUT_MS          délai laissé aux requêtes en cours à l’arrêt (10 s)
+ * (lues et validées par config.js)
+ */
+
+const SHUTDOWN_TIMEOUT_MS = config.shutdownTimeoutMs;
+
+const state = {
+  startedAt: new Date(),
+  shuttingDown: false
+};
+
+const MONGO_STATES = { 0: 'disconnected', 1: 'connected', 2: 'connecting', 3: 'disconnecting' };
+
+function databaseState(connection = mongoose.connection) {
+  return MONGO_STATES[connection.readyState] || 'unknown';
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 1 s, 2 s, 4 s... plafonné, avec ±20 % d’aléa pour étaler les reconnexions de plusieurs instances
+function backoffDelay(attempt, maxDelayMs = config.mongo.retryMaxDelayMs) {
+  const base = Math.min(1000 * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Connexion initiale : réessaie avec un délai croissant tant que MongoDB est injoignable.
+ * Rejette après MONGO_CONNECT_MAX_ATTEMPTS échecs (si > 0) ou si l’arrêt a été demandé.
+ */
+async function connectWithRetry(uri, options = {}, { maxAttempts = config.mongo.connectMaxAttempts } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await mongoose.connect(uri, { serverSelectionTimeoutMS: config.mongo.connectTimeoutMs, ...options });
+      logger.info('connecté à MongoDB', { attempt });
+      return mongoose.connection;
+    } catch (err) {
+      if (state.shuttingDown || (maxAttempts && attempt >= maxAttempts)) throw err;
+      const delayMs = backoffDelay(attempt);
+      logger.warn('MongoDB injoignable, nouvelle tentative', { attempt, delayMs, err: { name: err.name, message: err.message } });
+      await sleep(delayMs);
+    }
+  }
+}
+
+// Ping MongoDB avec un délai maximal ; renvoie la latence en millisecondes
+async function pingDatabase(timeoutMs = 1000, connection = mongoose.connection) {
+  if (connection.readyState !== 1) throw new Error(`MongoDB ${databaseState(connection)}`);
+  const start = process.hrtime.bigint();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Pas de réponse de MongoDB en ${timeoutMs} ms`)), timeoutMs);
+  });
+  try {
+    await Promise.race([connection.db.admin().ping(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+}
+
+/**
+ * Refuse les requêtes (503) tant que MongoDB n’est pas connecté, plutôt que de les laisser
+ * attendre la reconnexion. Les routes /health et /metrics sont montées avant.
+ */
+function requireDatabase(req, res, next) {
+  if (mongoose.connection.readyState === 1) return next();
+  next(new AppError(503, 'database-unavailable', 'Base de données indisponible, veuillez réessayer plus tard.', {
+    headers: { 'Retry-After': '5' }
+  }));
+}
+
+// Pendant l’arrêt, les connexions keep-alive sont fermées après chaque réponse
+function closeConnectionsWhenDraining(req, res, next) {
+  if (state.shuttingDown) res.set('Connection', 'close');
+  next();
+}
+
+/**
+ * Arrêt propre : ne prend plus de nouvelles connexions, laisse les requêtes en cours se terminer
+ * (au plus SHUTDOWN_TIMEOUT_MS), puis exécute les `cleanups` (timers...) et ferme MongoDB.
+ * Un second signal force l’arrêt immédiat.
+ */
+function handleShutdown(server, { timeoutMs = SHUTDOWN_TIMEOUT_MS, cleanups = [], exit = code => process.exit(code) } = {}) {
+  const shutdown = async signal => {
+    if (state.shuttingDown) {
+      logger.warn('second signal reçu, arrêt immédiat', { signal });
+      return exit(1);
+    }
+    state.shuttingDown = true;
+    logger.info('arrêt demandé', { signal, timeoutMs });
+
+    let timedOut = false;
+    const drained = new Promise(resolve => server.close(resolve));
+    // Les connexions keep-alive libérées par la fin d’une requête sont fermées au fil de l’eau
+    server.closeIdleConnections();
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        resolve();
+      }, timeoutMs);
+      timer.unref();
+    });
+    await Promise.race([drained, deadline]);
+    clearTimeout(timer);
+    clearInterval(idleSweep);
+    if (timedOut) {
+      logger.warn('requêtes encore en cours à l’expiration du délai, connexions coupées');
+      server.closeAllConnections();
+    }
+
+    let code = timedOut ? 1 : 0;
+    try {
+      for (const cleanup of cleanups) await cleanup();
+      await mongoose.connection.close();
+      logger.info('arrêt terminé');
+    } catch (err) {
+      logger.error('erreur pendant l’arrêt', { err });
+      code = 1;
+    }
+    exit(code);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  return shutdown;
+}
+
+module.exports = {
+  state,
+  databaseState,
+  backoffDelay,
+  connectWithRetry,
+  pingDatabase,
+  requireDatabase,
+  closeConnectionsWhenDraining,
+  handleShutdown,
+  SHUTDOWN_TIMEOUT_MS
+};
@@ -0,0 +1,107 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+/**
+ * Logs structurés : une ligne JSON par entrée ({ time, level, msg, requestId, ... }).
+ * LOG_LEVEL=debug | info (défaut) | warn | error | silent.
+ * L’ID de la requête en cours est ajouté automatiquement (contexte asynchrone posé par `requestContext`),
+ * y compris dans les logs émis par Mongoose et le driver MongoDB.
+ * Les mots de passe, cookies et jetons sont masqués.
+ */
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /pass(word)?|cookie|authorization|token|secret/i;
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function levelValue(name) {
+  return LEVELS[name] ?? LEVELS.info;
+}
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  if (err.stack) out.stack = err.stack;
+  if (err.cause instanceof Error) out.cause = serializeError(err.cause);
+  return out;
+}
+
+// Copie sans les valeurs sensibles (clés password, cookie, authorization, token, secret...)
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (typeof value.toJSON === 'function' && !Array.isArray(value)) return redact(value.toJSON(), depth);
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    out[key] = SENSITIVE_KEY.test(key) && child !== undefined && child !== null ? REDACTED : redact(child, depth + 1);
+  }
+  return out;
+}
+
+class Logger {
+  constructor({ level = config.log.level, bindings = {}, write } = {}) {
+    this.level = level;
+    this.bindings = bindings;
+    this.write = write || ((line, levelName) => {
+      (levelValue(levelName) >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+  }
+
+  // Logger héritant de la configuration, avec des champs ajoutés à chaque entrée
+  child(bindings) {
+    return new Logger({ level: this.level, bindings: { ...this.bindings, ...bindings }, write: this.write });
+  }
+
+  isEnabled(levelName) {
+    return levelValue(levelName) >= levelValue(this.level);
+  }
+
+  log(levelName, msg, fields = {}) {
+    if (!this.isEnabled(levelName)) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...(context.getStore() && { requestId: context.getStore().requestId }),
+      ...redact(this.bindings),
+      ...redact(fields instanceof Error ? { err: fields } : fields)
+    };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (err) {
+      line = JSON.stringify({ time: entry.time, level: levelName, msg, logError: err.message });
+    }
+    this.write(line, levelName);
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+/**
+ * Ouvre le contexte de la requête (ID repris par tous les logs émis pendant son traitement).
+ * À placer après les lecteurs de corps : leurs callbacks de flux perdraient le contexte.
+ */
+function requestContext(req, res, next) {
+  context.run({ requestId: req.id }, next);
+}
+
+module.exports = {
+  Logger,
+  logger,
+  LEVELS,
+  redact,
+  serializeError,
+  context,
+  requestContext
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+/**
+ * Envoi d’e-mails via un transport interchangeable.
+ * Un transport est un objet exposant `send({ to, subject, text })` (async).
+ * MAIL_TRANSPORT=console (défaut) | file ; un transport SMTP/API peut être branché avec setTransport().
+ */
+
+const consoleTransport = {
+  async send({ to, subject, text }) {
+    console.log(`[mail] À : ${to}\n[mail] Objet : ${subject}\n${text}`);
+  }
+};
+
+// Écrit chaque message dans MAIL_DIR (un fichier JSON par e-mail), pratique en local
+function fileTransport(dir = config.mail.dir || path.join(__dirname, 'mail-outbox')) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+    }
+  };
+}
+
+const transports = {
+  console: () => consoleTransport,
+  file: () => fileTransport()
+};
+
+let transport = transports[config.mail.transport]();
+
+function setTransport(custom) {
+  if (!custom || typeof custom.send !== 'function') {
+    throw new TypeError('Un transport doit exposer une méthode send()');
+  }
+  transport = custom;
+}
+
+function sendMail(message) {
+  return transport.send(message);
+}
+
+module.exports = { sendMail, setTransport, consoleTransport, fileTransport };
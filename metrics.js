@@ -0,0 +1,228 @@
+const { config } = require('./config');
+const { UnauthorizedError } = require('./errors');
+
+/**
+ * Métriques au format texte Prometheus (exposées sur GET /metrics).
+ * Un registre contient des compteurs, jauges et histogrammes ; chaque série est identifiée
+ * par ses labels. Les jauges peuvent être calculées au moment de la collecte (`collect`).
+ */
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Labels dans l’ordre déclaré ; un label absent vaut ''
+  labelsOf(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  seriesFor(labels, create) {
+    const normalized = this.labelsOf(labels);
+    const key = JSON.stringify(normalized);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: normalized, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  // collect : fonction appelée à chaque export pour mettre la jauge à jour
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  lines() {
+    if (this.collect) this.collect(this);
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+  }
+}
+
+// Secondes, de 5 ms à 10 s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Chronomètre : appeler la fonction renvoyée pour enregistrer la durée écoulée (en secondes)
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Métrique déjà enregistrée : ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // Texte d’exposition Prometheus (version 0.0.4)
+  expose() {
+    const blocks = [...this.metrics.values()].map(metric => [...metric.header(), ...metric.lines()].join('\n'));
+    return `${blocks.join('\n')}\n`;
+  }
+
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = new Registry();
+const startedAt = Date.now() / 1000;
+
+const httpRequestDuration = registry.histogram(
+  'http_request_duration_seconds',
+  'Durée des requêtes HTTP par route',
+  ['method', 'route', 'status']
+);
+const httpRequestsInFlight = registry.gauge('http_requests_in_flight', 'Requêtes HTTP en cours');
+const mongoCommandDuration = registry.histogram(
+  'mongodb_command_duration_seconds',
+  'Durée des commandes MongoDB',
+  ['command', 'collection', 'outcome'],
+  [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+);
+const authFailures = registry.counter(
+  'auth_failures_total',
+  'Échecs d’authentification (401 et comptes verrouillés) par motif',
+  ['reason']
+);
+
+registry.gauge('process_start_time_seconds', 'Date de démarrage du process (secondes Unix)', [], gauge => gauge.set({}, startedAt));
+registry.gauge('process_resident_memory_bytes', 'Mémoire résidente du process', [], gauge => gauge.set({}, process.memoryUsage().rss));
+registry.gauge('nodejs_heap_used_bytes', 'Tas V8 utilisé', [], gauge => gauge.set({}, process.memoryUsage().heapUsed));
+
+/**
+ * GET /metrics. Si METRICS_TOKEN est défini, l’en-tête `Authorization: Bearer <token>` est exigé
+ * (les métriques révèlent les routes et volumes de trafic).
+ */
+function metricsHandler(req, res) {
+  const token = config.metrics.token;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    throw new UnauthorizedError('Jeton de métriques manquant ou invalide', {
+      code: 'metrics-token-invalid',
+      headers: { 'WWW-Authenticate': 'Bearer' }
+    });
+  }
+  res.type(CONTENT_TYPE).send(registry.expose());
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  registry,
+  httpRequestDuration,
+  httpRequestsInFlight,
+  mongoCommandDuration,
+  authFailures,
+  metricsHandler,
+  CONTENT_TYPE
+};
@@ -1,28 +1,146 @@
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_change_me';
-const COOKIE_NAME = 'demo_node+mongo_token';
+const mongoose = require('mongoose');
+const { hasPermission, scopeForPermission } = require('./roles');
+const Session = require('./session.model');
+const User = require('./user.model');
+const ApiKey = require('./api-key.model');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+const { config } = require('./config');
+const { verifyAccessToken } = require('./auth.tokens');
+// lastSeenAt n’est réécrit qu’une fois par minute pour limiter les écritures
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
 
-function authMiddleware(req, res, next) {
-  const token = req.cookies?.[COOKIE_NAME];
+// Clé d’API : `Authorization: Bearer <clé>` ou `X-API-Key: <clé>` ; undefined si aucune n’est présentée
+function apiKeyOf(req) {
+  const [scheme, value] = (req.get('authorization') || '').trim().split(/\s+/);
+  if (/^bearer$/i.test(scheme)) return value || '';
+  return req.get('x-api-key');
+}
+
+// Authentifie la requête au nom du propriétaire de la clé, avec son rôle actuel
+async function authenticateApiKey(req, token, next) {
+  const apiKey = await ApiKey.findByToken(token);
+  if (!apiKey) {
+    return next(new UnauthorizedError('Clé d’API invalide ou révoquée.', { code: 'api-key-invalid' }));
+  }
+  if (apiKey.status === 'expired') {
+    return next(new UnauthorizedError('Clé d’API expirée.', { code: 'api-key-expired' }));
+  }
+  const user = await User.findById(apiKey.user);
+  if (!user || user.deletedAt) {
+    return next(new UnauthorizedError('Clé d’API invalide ou révoquée.', { code: 'api-key-invalid' }));
+  }
+
+  await apiKey.touch(req.ip);
+  req.user = {
+    id: String(user._id),
+    name: user.name,
+    role: user.role,
+    vendor_id: user.vendor_id ? String(user.vendor_id) : undefined,
+    locale: user.locale
+  };
+  req.apiKey = apiKey;
+  next();
+}
+
+// Cookie de session (navigateur) ou clé d’API (scripts, intégrations)
+async function authMiddleware(req, res, next) {
+  // Clé déjà vérifiée par optionalApiKey (routes /analytics)
+  if (req.apiKey) return next();
+  const apiKey = apiKeyOf(req);
+  if (apiKey !== undefined) return authenticateApiKey(req, apiKey, next);
+
+  const token = req.cookies?.[config.cookies.accessName];
 
   // Vérification de présence et format du token
   if (!token || typeof token !== 'string' || token.trim() === '') {
-    return res.status(401).json({ error: 'Token d’authentification manquant ou invalide' });
+    return next(new UnauthorizedError('Token d’authentification manquant ou invalide', { code: 'token-missing' }));
   }
 
   // Vérification du token JWT
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = verifyAccessToken(token);
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Session expirée, veuillez vous reconnecter.' });
+      return next(new UnauthorizedError('Jeton expiré, veuillez le renouveler via /auth/refresh.', { code: 'token-expired' }));
     }
     if (err.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Jeton non valide.' });
+      return next(new UnauthorizedError('Jeton non valide.', { code: 'token-invalid' }));
     }
-    return res.status(500).json({ error: 'Erreur d’authentification' });
+    return next(err);
+  }
+
+  // Le jeton doit appartenir à une session encore active (non révoquée)
+  const session = mongoose.isValidObjectId(payload.sid) ? await Session.findById(payload.sid) : null;
+  if (!session || !session.isActive || String(session.user) !== String(payload.id)) {
+    return next(new UnauthorizedError('Session révoquée, veuillez vous reconnecter.', { code: 'session-revoked' }));
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
   }
+
+  req.user = payload;
+  req.authSession = session;
+  next();
+}
+
+// À placer après authMiddleware : restreint la route à certains rôles
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ForbiddenError('Accès refusé : rôle insuffisant.', { code: 'role-required' }));
+    }
+    next();
+  };
+}
+
+// Routes publiques : authentifie la clé d’API si elle est présentée, sinon laisse passer
+function optionalApiKey(req, res, next) {
+  const apiKey = apiKeyOf(req);
+  if (apiKey === undefined) return next();
+  return authenticateApiKey(req, apiKey, next);
+}
+
+// Une clé d’API doit posséder la portée ; sans clé (session ou anonyme), rien à vérifier
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return next(new ForbiddenError('Portée de la clé d’API insuffisante : {scope} requise.', {
+        code: 'api-key-scope-missing',
+        params: { scope }
+      }));
+    }
+    next();
+  };
+}
+
+// À placer après authMiddleware : route du compte (sessions, mot de passe, clés d’API...), refusée aux clés d’API
+function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return next(new ForbiddenError('Action réservée aux sessions utilisateur, clé d’API refusée.', { code: 'api-key-not-allowed' }));
+  }
+  next();
+}
+
+// À placer après authMiddleware : vérifie une permission (voir roles.js), et la portée d’une clé d’API
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return next(new ForbiddenError('Accès refusé : permission insuffisante.', { code: 'permission-required' }));
+    }
+    if (req.apiKey) {
+      const scope = scopeForPermission(permission, req.method);
+      if (!scope) return requireSession(req, res, next);
+      return requireScope(scope)(req, res, next);
+    }
+    next();
+  };
 }
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
+module.exports.requireRole = requireRole;
+module.exports.requirePermission = requirePermission;
+module.exports.requireScope = requireScope;
+module.exports.requireSession = requireSession;
+module.exports.optionalApiKey = optionalApiKey;
\ No newline at end of file
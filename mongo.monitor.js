@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+/**
+ * Suivi des commandes MongoDB (connexion ouverte avec `monitorCommands: true`) :
+ * durée par commande et collection dans /metrics, log `debug` de chaque commande
+ * et `warn` des échecs, avec l’ID de la requête HTTP à l’origine de la commande.
+ */
+
+// Commandes internes du driver (handshake, surveillance, sessions) : ignorées
+const IGNORED_COMMANDS = new Set(['hello', 'ismaster', 'isMaster', 'ping', 'saslStart', 'saslContinue', 'endSessions', 'buildInfo']);
+
+function monitorMongo(connection = mongoose.connection, log = logger.child({ component: 'mongodb' })) {
+  // commandStarted -> { collection, filter }, retrouvé à la fin de la commande par son requestId driver
+  const pending = new Map();
+
+  connection.on('commandStarted', event => {
+    if (IGNORED_COMMANDS.has(event.commandName)) return;
+    const target = event.command?.[event.commandName];
+    pending.set(event.requestId, {
+      collection: typeof target === 'string' ? target : '',
+      filter: event.command?.filter ?? event.command?.query
+    });
+  });
+
+  const finish = (event, outcome) => {
+    const started = pending.get(event.requestId);
+    if (!started) return;
+    pending.delete(event.requestId);
+    const { collection, filter } = started;
+    metrics.mongoCommandDuration.observe({ command: event.commandName, collection, outcome }, event.duration / 1000);
+    const fields = { command: event.commandName, collection, durationMs: event.duration, filter };
+    if (outcome === 'error') log.warn('commande MongoDB en échec', { ...fields, err: event.failure });
+    else log.debug('commande MongoDB', fields);
+  };
+
+  connection.on('commandSucceeded', event => finish(event, 'ok'));
+  connection.on('commandFailed', event => finish(event, 'error'));
+}
+
+module.exports = { monitorMongo, IGNORED_COMMANDS };
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Cart = require('./cart.model');
+const Order = require('./order.model');
+const Potion = require('./potion.model');
+const { TRANSITIONS } = Order;
+const { config } = require('./config');
+const { canManagePotion, hasPermission } = require('./roles');
+const { reserveStock, releaseStock, commitStock } = require('./potion.stock');
+const { activeRules, pricingOf, cents } = require('./potion.pricing');
+const { AppError, ValidationFailedError, BadRequestError, ConflictError, ForbiddenError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Passage et cycle de vie des commandes. Chaque changement de statut est une mise à jour
+ * conditionnelle sur le statut courant : deux requêtes simultanées (double paiement,
+ * expédition pendant une annulation) ne peuvent pas appliquer la même transition.
+ * Les opérations sur plusieurs documents (stock de chaque potion, commande, panier) s’exécutent
+ * en transaction : MongoDB doit tourner en replica set (voir docker-compose.yml).
+ */
+
+function isBuyer(user, order) {
+  return String(order.user) === String(user.id);
+}
+
+// Un vendeur voit (et expédie) les commandes contenant ses potions ; il ne voit que ces lignes
+function sellsIn(user, order) {
+  return order.items.some(item => canManagePotion(user, item));
+}
+
+/**
+ * Filtre des commandes visibles : toutes pour un admin, ses commandes pour un acheteur,
+ * plus celles contenant ses potions pour un vendeur.
+ */
+function visibleOrdersFilter(user) {
+  if (hasPermission(user.role, 'orders:manage-all')) return {};
+  const visible = [{ user: user.id }];
+  if (user.role === 'vendor') {
+    visible.push({ 'items.owner': user.id });
+    if (user.vendor_id) visible.push({ 'items.vendor_id': user.vendor_id });
+  }
+  return { $or: visible };
+}
+
+function canView(user, order) {
+  return hasPermission(user.role, 'orders:manage-all') || isBuyer(user, order) || sellsIn(user, order);
+}
+
+// Représentation d’une commande : un vendeur qui n’en est pas l’acheteur ne voit que ses lignes
+function presentOrder(order, user) {
+  const json = typeof order.toJSON === 'function' ? order.toJSON() : { ...order };
+  if (hasPermission(user.role, 'orders:manage-all') || isBuyer(user, order)) return json;
+  json.items = json.items.filter(item => canManagePotion(user, item));
+  json.subtotal = json.items.reduce((sum, item) => sum + cents(item.lineTotal), 0) / 100;
+  delete json.total;
+  delete json.payment;
+  return json;
+}
+
+function invalidTransition(from, to) {
+  return new ConflictError('Transition impossible : {from} → {to}.', {
+    code: 'order-invalid-transition',
+    params: { from, to },
+    extensions: { status: from, allowed: TRANSITIONS[from] || [] }
+  });
+}
+
+/**
+ * Passe la commande de son statut courant à `to`, si la transition est permise et que le statut
+ * n’a pas changé entre-temps ; `set` complète la mise à jour (paiement...).
+ */
+async function transition(order, to, ctx, set = {}, { session } = {}) {
+  const from = order.status;
+  if (!Order.canTransition(from, to)) throw invalidTransition(from, to);
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    { $set: { status: to, ...set }, $push: { history: { status: to, actor: ctx.actor } } },
+    { new: true, session }
+  );
+  if (!updated) {
+    const current = await Order.findById(order._id).session(session);
+    throw invalidTransition(current?.status ?? from, to);
+  }
+  return updated;
+}
+
+// Expédition et remboursement (permission orders:fulfill) : un vendeur doit gérer toutes les potions de la commande
+function assertFulfiller(user, order) {
+  if (!order.items.every(item => canManagePotion(user, item))) {
+    throw new ForbiddenError('Cette commande contient des potions d’un autre vendeur.', { code: 'order-not-owned' });
+  }
+}
+
+function assertBuyer(user, order) {
+  if (!isBuyer(user, order)) {
+    throw new ForbiddenError('Seul l’acheteur peut effectuer cette action.', { code: 'order-not-buyer' });
+  }
+}
+
+/**
+ * Passe commande avec le contenu du panier : prix effectifs figés (promotions en cours comprises),
+ * stock réservé pour chaque ligne, commande créée et panier vidé dans une même transaction
+ * (tout ou rien). Renvoie la commande `pending`.
+ */
+async function placeOrder(user, ctx) {
+  const cart = await Cart.findOne({ user: user.id });
+  if (!cart?.items.length) throw new BadRequestError('Le panier est vide.', { code: 'cart-empty' });
+
+  const [potions, rules] = await Promise.all([
+    Potion.find({ _id: { $in: cart.items.map(item => item.potion) } }),
+    activeRules()
+  ]);
+  const byId = new Map(potions.map(p => [String(p._id), p]));
+  const errors = [];
+  const lines = cart.items.map((item, i) => {
+    const potion = byId.get(String(item.potion));
+    if (!potion) {
+      errors.push({ type: 'field', value: item.potion, msg: 'Potion indisponible', path: `items.${i}.potion`, location: 'cart' });
+      return null;
+    }
+    const { effectivePrice, promotion } = pricingOf(potion, rules);
+    return {
+      potion: potion._id,
+      name: potion.name,
+      vendor_id: potion.vendor_id,
+      owner: potion.owner,
+      unitPrice: effectivePrice,
+      basePrice: potion.price,
+      promotion: promotion ? { rule: promotion._id, name: promotion.name } : undefined,
+      quantity: item.quantity,
+      lineTotal: cents(effectivePrice) * item.quantity / 100
+    };
+  });
+  if (errors.length) throw new ValidationFailedError(errors, { code: 'cart-invalid' });
+
+  return mongoose.connection.transaction(async session => {
+    await reserveStock(lines, { session });
+    const [order] = await Order.create([{
+      user: user.id,
+      items: lines,
+      total: lines.reduce((sum, line) => sum + cents(line.lineTotal), 0) / 100,
+      currency: config.payments.currency,
+      history: [{ status: 'pending', actor: ctx.actor }]
+    }], { session });
+    await Cart.updateOne({ _id: cart._id }, { $set: { items: [] } }, { session });
+    return order;
+  });
+}
+
+/**
+ * Paiement par la passerelle (`payments`, voir payment.js) puis passage à `paid`.
+ * Un paiement refusé renvoie 402 ; si la commande a changé pendant le paiement, il est remboursé.
+ */
+async function payOrder(order, { source }, payments, ctx) {
+  if (!Order.canTransition(order.status, 'paid')) throw invalidTransition(order.status, 'paid');
+  const amount = cents(order.total);
+  const reference = String(order._id);
+  const charge = await payments.charge({ amount, currency: order.currency, source, reference });
+  if (charge.status !== 'succeeded') {
+    throw new AppError(402, 'payment-declined', 'Paiement refusé par la passerelle.', { extensions: { reason: charge.reason } });
+  }
+
+  try {
+    return await transition(order, 'paid', ctx, { payment: { provider: payments.name, id: charge.id, status: 'succeeded' } });
+  } catch (err) {
+    // Paiement rejoué (idempotent) d’une commande déjà payée : rien à rembourser
+    const current = await Order.findById(order._id);
+    if (current?.payment?.id !== charge.id) {
+      await payments.refund({ paymentId: charge.id, amount, reference: `${reference}:paid` }).catch(refundErr =>
+        logger.error('remboursement d’un paiement orphelin impossible', { order: reference, payment: charge.id, err: refundErr }));
+    }
+    throw err;
+  }
+}
+
+async function cancelOrder(order, ctx) {
+  return mongoose.connection.transaction(async session => {
+    const updated = await transition(order, 'cancelled', ctx, {}, { session });
+    await releaseStock(order.items, { session });
+    return updated;
+  });
+}
+
+async function shipOrder(order, ctx) {
+  const updated = await transition(order, 'shipped', ctx);
+  try {
+    await commitStock(order.items, order._id, ctx);
+  } catch (err) {
+    // La commande est expédiée : l’écart de stock se corrige par un mouvement `adjustment`
+    logger.error('sortie de stock d’une commande expédiée impossible', { order: String(order._id), err });
+  }
+  return updated;
+}
+
+/**
+ * Remboursement : la commande passe d’abord à `refunding` (une annulation ou une expédition
+ * simultanée échoue alors), puis la passerelle rembourse et la commande passe à `refunded` ;
+ * avant expédition, le stock réservé est libéré. Si la passerelle refuse, la commande reprend
+ * son statut précédent.
+ */
+async function refundOrder(order, payments, ctx) {
+  const from = order.status;
+  if (!Order.canTransition(from, 'refunded')) throw invalidTransition(from, 'refunded');
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    { $set: { status: 'refunding' }, $push: { history: { status: 'refunding', actor: ctx.actor } } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Order.findById(order._id);
+    throw invalidTransition(current?.status ?? from, 'refunded');
+  }
+
+  const reference = String(order._id);
+  const rollback = () => transition(claimed, from, ctx).catch(err =>
+    logger.error('retour d’une commande à son statut après un remboursement refusé impossible', { order: reference, err }));
+  let refund;
+  try {
+    refund = await payments.refund({ paymentId: order.payment?.id, amount: cents(order.total), reference });
+  } catch (err) {
+    await rollback();
+    throw err;
+  }
+  if (refund.status !== 'succeeded') {
+    await rollback();
+    throw new AppError(502, 'refund-failed', 'Remboursement refusé par la passerelle.', { extensions: { reason: refund.reason } });
+  }
+
+  try {
+    return await mongoose.connection.transaction(async session => {
+      const updated = await transition(claimed, 'refunded', ctx, { 'payment.status': 'refunded', 'payment.refundId': refund.id }, { session });
+      if (from === 'paid') await releaseStock(order.items, { session });
+      return updated;
+    });
+  } catch (err) {
+    // Le client est remboursé : la commande reste `refunding` jusqu’à sa reprise
+    logger.error('commande remboursée restée en cours de remboursement', { order: reference, refund: refund.id, err });
+    throw err;
+  }
+}
+
+module.exports = {
+  visibleOrdersFilter, canView, presentOrder, assertBuyer, assertFulfiller,
+  placeOrder, payOrder, cancelOrder, shipOrder, refundOrder
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'refunding', 'cancelled', 'refunded'];
+
+/**
+ * Cycle de vie d’une commande : toute transition absente de ce tableau est refusée.
+ *   pending   -> paid (paiement) | cancelled (annulation, le stock réservé est libéré)
+ *   paid      -> shipped (expédition, le stock réservé sort du stock) | refunded (stock libéré)
+ *   shipped   -> refunded (les unités expédiées ne reviennent pas en stock)
+ * Un remboursement passe par `refunding` le temps de l’appel à la passerelle, puis aboutit
+ * à `refunded` ou revient au statut précédent (voir order.checkout.js).
+ */
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'refunded'],
+  shipped: ['refunded'],
+  refunding: ['refunded', 'paid', 'shipped'],
+  cancelled: [],
+  refunded: []
+};
+
+// Ligne figée au passage de la commande : nom, vendeur et prix de la potion à cet instant
+const orderItemSchema = new mongoose.Schema({
+  potion: { type: mongoose.Schema.Types.ObjectId, ref: 'potion', required: true },
+  name: { type: String, required: true },
+  vendor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Prix effectif payé ; prix de base et promotion appliquée pour mémoire
+  unitPrice: { type: Number, required: true, min: 0 },
+  basePrice: { type: Number, min: 0 },
+  promotion: {
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+    name: String
+  },
+  quantity: { type: Number, required: true, min: 1 },
+  lineTotal: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Même forme d’auteur que le journal d’audit
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    role: String,
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  items: {
+    type: [orderItemSchema],
+    validate: { validator: items => items.length > 0, message: 'Une commande contient au moins une potion.' }
+  },
+  total: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true },
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
+  history: [statusChangeSchema],
+  payment: {
+    provider: String,
+    id: String,
+    status: { type: String, enum: ['succeeded', 'refunded'] },
+    refundId: String
+  }
+}, { timestamps: true });
+
+orderSchema.index({ user: 1, createdAt: -1 });
+// Commandes visibles par un vendeur (voir order.checkout.js)
+orderSchema.index({ 'items.vendor_id': 1, createdAt: -1 });
+orderSchema.index({ 'items.owner': 1, createdAt: -1 });
+
+orderSchema.statics.canTransition = function (from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,394 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Orders
+ *   description: Panier, commandes et paiement
+ */
+
+const express = require('express');
+const Order = require('./order.model');
+const authMiddleware = require('./middleware');
+const { requirePermission, requireSession } = authMiddleware;
+const { hasPermission } = require('./roles');
+const { parseListQuery, findPage, pageLinkBuilder } = require('./potion.query');
+const { auditContext } = require('./audit');
+const { NotFoundError, ValidationFailedError, assertObjectId } = require('./errors');
+const {
+  visibleOrdersFilter, canView, presentOrder, assertBuyer, assertFulfiller,
+  placeOrder, payOrder, cancelOrder, shipOrder, refundOrder
+} = require('./order.checkout');
+
+// Commandes : sessions uniquement
+const router = express.Router();
+router.use(authMiddleware, requireSession);
+
+// Commande visible par l’utilisateur (404 sinon, sans révéler son existence)
+async function findOrder(req) {
+  assertObjectId(req.params.id, 'Commande non trouvée', { code: 'order-not-found' });
+  const order = await Order.findById(req.params.id);
+  if (!order || !canView(req.user, order)) throw new NotFoundError('Commande non trouvée', { code: 'order-not-found' });
+  return order;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: Acheteur
+ *         items:
+ *           type: array
+ *           description: Lignes figées au passage de la commande (un vendeur ne voit que les siennes)
+ *           items:
+ *             type: object
+ *             properties:
+ *               potion:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: Potion de soin
+ *               vendor_id:
+ *                 type: string
+ *               unitPrice:
+ *                 type: number
+ *                 description: Prix payé, promotion comprise
+ *                 example: 10
+ *               basePrice:
+ *                 type: number
+ *                 description: Prix de base au passage de la commande
+ *                 example: 12.5
+ *               promotion:
+ *                 type: object
+ *                 description: Promotion appliquée (absente sans remise)
+ *                 properties:
+ *                   rule:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               lineTotal:
+ *                 type: number
+ *                 example: 20
+ *         total:
+ *           type: number
+ *           description: Acheteur et admin uniquement
+ *           example: 45
+ *         subtotal:
+ *           type: number
+ *           description: Vendeur uniquement, total de ses lignes
+ *         currency:
+ *           type: string
+ *           example: EUR
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, shipped, refunding, cancelled, refunded]
+ *           description: "`refunding` : remboursement en cours auprès de la passerelle"
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               actor:
+ *                 type: object
+ *         payment:
+ *           type: object
+ *           description: Acheteur et admin uniquement
+ *           properties:
+ *             provider:
+ *               type: string
+ *               example: fake
+ *             id:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [succeeded, refunded]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /orders:
+ *   post:
+ *     summary: Passer commande avec le contenu du panier
+ *     description: |
+ *       Fige le prix effectif de chaque potion (promotion en cours comprise) et réserve le stock de toutes les lignes (tout ou rien),
+ *       puis vide le panier. La commande est `pending` jusqu’au paiement (`POST /orders/{id}/pay`).
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       201:
+ *         description: Commande créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Panier vide ou potion retirée de la vente
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       409:
+ *         description: Stock insuffisant pour une potion (`insufficient-stock`)
+ */
+router.post('/', async (req, res) => {
+  const order = await placeOrder(req.user, auditContext(req));
+  res.status(201).location(`${req.baseUrl}/${order._id}`).json(presentOrder(order, req.user));
+});
+
+/**
+ * @swagger
+ * /orders:
+ *   get:
+ *     summary: Lister les commandes
+ *     description: |
+ *       Ses propres commandes ; pour un vendeur, aussi celles contenant ses potions ; toutes pour un admin.
+ *       Filtres (ex. `status=paid`) et pagination par curseur comme `GET /potions` ; les plus récentes d’abord.
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Page de commandes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 paging:
+ *                   type: object
+ *       400:
+ *         description: Paramètre de requête invalide
+ */
+router.get('/', async (req, res) => {
+  const query = { sort: '-createdAt', ...req.query };
+  const parsed = parseListQuery(query, Order);
+  parsed.filter = { $and: [parsed.filter, visibleOrdersFilter(req.user)] };
+
+  const page = await findPage(Order, parsed, pageLinkBuilder(req, query));
+  page.data = page.data.map(order => presentOrder(order, req.user));
+  res.json(page);
+});
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Consulter une commande
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Commande
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Commande non trouvée
+ */
+router.get('/:id', async (req, res) => {
+  res.json(presentOrder(await findOrder(req), req.user));
+});
+
+/**
+ * @swagger
+ * /orders/{id}/pay:
+ *   post:
+ *     summary: Payer une commande
+ *     description: |
+ *       Acheteur uniquement, commande `pending`. Le paiement passe par la passerelle configurée
+ *       (PAYMENT_PROVIDER) ; avec la passerelle locale `fake`, la source `tok_declined` est refusée.
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: Moyen de paiement tokenisé fourni par la passerelle
+ *                 example: tok_visa
+ *     responses:
+ *       200:
+ *         description: Commande payée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Source de paiement manquante
+ *       402:
+ *         description: Paiement refusé (`payment-declined`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Seul l’acheteur peut payer
+ *       409:
+ *         description: Transition impossible depuis le statut actuel (`order-invalid-transition`)
+ */
+router.post('/:id/pay', async (req, res) => {
+  const current = await findOrder(req);
+  assertBuyer(req.user, current);
+  const source = req.body?.source;
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ValidationFailedError([{
+      type: 'field', value: source, msg: 'La source de paiement est requise.', path: 'source', location: 'body'
+    }]);
+  }
+  const order = await payOrder(current, { source }, req.app.locals.payments, auditContext(req));
+  res.json(presentOrder(order, req.user));
+});
+
+/**
+ * @swagger
+ * /orders/{id}/cancel:
+ *   post:
+ *     summary: Annuler une commande non payée
+ *     description: Acheteur ou admin, commande `pending` ; le stock réservé est libéré.
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Commande annulée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: Ni l’acheteur ni un admin
+ *       409:
+ *         description: Transition impossible depuis le statut actuel
+ */
+router.post('/:id/cancel', async (req, res) => {
+  const current = await findOrder(req);
+  if (!hasPermission(req.user.role, 'orders:manage-all')) assertBuyer(req.user, current);
+  const order = await cancelOrder(current, auditContext(req));
+  res.json(presentOrder(order, req.user));
+});
+
+/**
+ * @swagger
+ * /orders/{id}/ship:
+ *   post:
+ *     summary: Expédier une commande payée
+ *     description: |
+ *       Rôles : `admin`, `vendor` (si toutes les potions de la commande sont les siennes).
+ *       Les unités réservées sortent du stock (une vente par ligne au journal des mouvements).
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Commande expédiée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: Rôle insuffisant ou potions d’un autre vendeur
+ *       409:
+ *         description: Transition impossible depuis le statut actuel
+ */
+router.post('/:id/ship', requirePermission('orders:fulfill'), async (req, res) => {
+  const current = await findOrder(req);
+  assertFulfiller(req.user, current);
+  const order = await shipOrder(current, auditContext(req));
+  res.json(presentOrder(order, req.user));
+});
+
+/**
+ * @swagger
+ * /orders/{id}/refund:
+ *   post:
+ *     summary: Rembourser une commande payée ou expédiée
+ *     description: |
+ *       Rôles : `admin`, `vendor` (si toutes les potions de la commande sont les siennes).
+ *       Avant expédition, le stock réservé est libéré ; après, les unités expédiées ne reviennent pas
+ *       en stock (mouvement `restock` si elles sont retournées). La commande reste `refunding` pendant
+ *       l’appel à la passerelle et reprend son statut si le remboursement est refusé.
+ *     tags: [Orders]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Commande remboursée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: Rôle insuffisant ou potions d’un autre vendeur
+ *       409:
+ *         description: Transition impossible depuis le statut actuel
+ *       502:
+ *         description: Remboursement refusé par la passerelle (`refund-failed`)
+ */
+router.post('/:id/refund', requirePermission('orders:fulfill'), async (req, res) => {
+  const current = await findOrder(req);
+  assertFulfiller(req.user, current);
+  const order = await refundOrder(current, req.app.locals.payments, auditContext(req));
+  res.json(presentOrder(order, req.user));
+});
+
+module.exports = router;
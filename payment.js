@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+/**
+ * Passerelles de paiement des commandes. Une passerelle est un objet
+ *   { name, charge({ amount, currency, source, reference }), refund({ paymentId, amount, reference }) }
+ * dont les méthodes renvoient { id, status } (`succeeded` ou `declined`, avec `reason`).
+ * Les montants sont en centimes ; `reference` (ID de la commande) rend les appels idempotents :
+ * un paiement ou un remboursement rejoué renvoie le résultat du premier.
+ * PAYMENT_PROVIDER choisit la passerelle ; createApp({ payments }) permet d’en fournir une autre.
+ */
+
+// Source de paiement refusée par la passerelle locale (pour tester les refus)
+const DECLINED_SOURCE = 'tok_declined';
+
+// Passerelle locale, sans appel réseau : accepte toute source sauf DECLINED_SOURCE
+function createFakeAdapter() {
+  const charges = new Map();
+  const refunds = new Map();
+  const id = prefix => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+  return {
+    name: 'fake',
+
+    async charge({ amount, currency, source, reference }) {
+      if (charges.has(reference)) return charges.get(reference);
+      if (source === DECLINED_SOURCE) return { id: id('fake_ch'), status: 'declined', reason: 'card_declined' };
+      const charge = { id: id('fake_ch'), status: 'succeeded', amount, currency };
+      charges.set(reference, charge);
+      return charge;
+    },
+
+    async refund({ paymentId, amount, reference }) {
+      if (refunds.has(reference)) return refunds.get(reference);
+      const charge = [...charges.values()].find(c => c.id === paymentId);
+      if (!charge) return { id: id('fake_re'), status: 'declined', reason: 'unknown_payment' };
+      const refund = { id: id('fake_re'), status: 'succeeded', amount: amount ?? charge.amount };
+      refunds.set(reference, refund);
+      return refund;
+    }
+  };
+}
+
+const ADAPTERS = {
+  fake: createFakeAdapter
+};
+
+const PAYMENT_PROVIDERS = Object.keys(ADAPTERS);
+
+function createPaymentAdapter(provider) {
+  const create = ADAPTERS[provider];
+  if (!create) throw new Error(`Passerelle de paiement inconnue : ${provider}`);
+  return create();
+}
+
+module.exports = { PAYMENT_PROVIDERS, DECLINED_SOURCE, createPaymentAdapter, createFakeAdapter };
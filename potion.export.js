@@ -0,0 +1,92 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Potion = require('./potion.model');
+const { parseFilter, QueryError, RESERVED_PARAMS } = require('./potion.query');
+const { formatRow } = require('./csv');
+const { LIST_SEPARATOR } = require('./potion.import');
+
+/**
+ * Export en flux pour `GET /potions/export` : les potions sont lues avec un curseur
+ * et écrites au fil de l’eau, sans charger le catalogue en mémoire.
+ */
+
+const FORMATS = {
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+// Colonnes CSV ; les ingrédients sont exportés en JSON pour pouvoir être réimportés tels quels
+const CSV_COLUMNS = [
+  '_id', 'name', 'price', 'score', 'reviewCount', 'ratings.strength', 'ratings.flavor',
+  'tryDate', 'categories', 'ingredients', 'vendor_id', 'owner', 'createdAt', 'updatedAt'
+];
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+function parseExportQuery(query) {
+  const errors = [];
+
+  let filter = {};
+  try {
+    filter = parseFilter(query, Potion, { reserved: [...RESERVED_PARAMS, 'format'] });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+
+  const format = query.format ?? 'json';
+  if (!Object.hasOwn(FORMATS, format)) {
+    errors.push(queryError('format', format, 'Format inconnu (autorisés : {allowed})', { allowed: Object.keys(FORMATS).join(', ') }));
+  }
+
+  if (errors.length) throw new QueryError(errors);
+  return { filter, format };
+}
+
+function csvCell(potion, column) {
+  if (column === 'categories') return (potion.categories || []).join(LIST_SEPARATOR);
+  if (column === 'ingredients') return potion.ingredients?.length ? JSON.stringify(potion.ingredients) : '';
+  return column.split('.').reduce((value, key) => value?.[key], potion);
+}
+
+async function* exportChunks(cursor, format) {
+  if (format === 'csv') yield formatRow(CSV_COLUMNS);
+  if (format === 'json') yield '[';
+
+  let first = true;
+  for await (const potion of cursor) {
+    delete potion.__v;
+    if (format === 'csv') {
+      yield formatRow(CSV_COLUMNS.map(column => csvCell(potion, column)));
+    } else if (format === 'ndjson') {
+      yield `${JSON.stringify(potion)}\n`;
+    } else {
+      yield `${first ? '' : ','}\n${JSON.stringify(potion)}`;
+    }
+    first = false;
+  }
+
+  if (format === 'json') yield '\n]\n';
+}
+
+/**
+ * Écrit l’export dans la réponse. Le flux respecte la contre-pression du client
+ * et le curseur est fermé si la connexion est interrompue.
+ */
+async function streamExport(res, { filter, format }) {
+  const cursor = Potion.find(filter).sort({ _id: 1 }).lean().cursor();
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set('Content-Type', FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="potions-${date}.${format}"`);
+  try {
+    await pipeline(Readable.from(exportChunks(cursor, format)), res);
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = { streamExport, parseExportQuery, exportChunks, CSV_COLUMNS };
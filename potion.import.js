@@ -0,0 +1,277 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { config } = require('./config');
+const Potion = require('./potion.model');
+const { QueryError } = require('./potion.query');
+const { canManagePotion, hasPermission } = require('./roles');
+const { validationErrors } = require('./validation');
+const { parseCsv, unescapeFormula } = require('./csv');
+const { recordPotionChanges } = require('./audit');
+const { recordPriceChanges } = require('./potion.pricing');
+
+/**
+ * Import en masse pour `POST /potions/import` (JSON, NDJSON ou CSV).
+ * Chaque ligne est validée avec le schéma Potion : les lignes valides sont enregistrées
+ * par lots, les autres sont listées dans le rapport avec leurs erreurs.
+ */
+
+const IMPORT_MAX_BYTES = config.imports.maxBytes;
+const IMPORT_MAX_ROWS = config.imports.maxRows;
+const BATCH_SIZE = 500;
+
+const FORMATS = {
+  json: ['application/json'],
+  ndjson: ['application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+  csv: ['text/csv']
+};
+const UPSERT_KEYS = ['_id', 'name'];
+
+// Séparateur des listes (categories, ingredients) dans une cellule CSV
+const LIST_SEPARATOR = '|';
+
+// Gérés par l’API, jamais repris du fichier
+const IGNORED_FIELDS = ['owner', 'createdAt', 'updatedAt', '__v', 'id'];
+
+// Corps brut (texte) pour toutes les variantes acceptées, avec une limite propre à l’import
+const importBodyParser = express.text({ type: Object.values(FORMATS).flat(), limit: IMPORT_MAX_BYTES });
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+function bodyError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'body' };
+}
+
+function parseImportQuery(req) {
+  const errors = [];
+  const { query } = req;
+
+  let format = query.format;
+  if (format === undefined) format = Object.keys(FORMATS).find(f => req.is(FORMATS[f]));
+  if (!Object.hasOwn(FORMATS, format)) {
+    errors.push(queryError('format', query.format ?? req.get('Content-Type'),
+      'Format inconnu (autorisés : {allowed})', { allowed: Object.keys(FORMATS).join(', ') }));
+  }
+
+  const upsertBy = query.upsertBy;
+  if (upsertBy !== undefined && !UPSERT_KEYS.includes(upsertBy)) {
+    errors.push(queryError('upsertBy', upsertBy, 'Clé inconnue (autorisées : {allowed})', { allowed: UPSERT_KEYS.join(', ') }));
+  }
+
+  const dryRun = query.dryRun === 'true' || query.dryRun === '1';
+
+  if (errors.length) throw new QueryError(errors);
+  return { format, upsertBy, dryRun };
+}
+
+// Affecte une valeur à un chemin pointé (ex. ratings.strength)
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let target = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function splitList(cell) {
+  return cell.split(LIST_SEPARATOR).map(s => s.trim()).filter(Boolean);
+}
+
+// Colonne CSV reconnue : chemin propre au schéma Potion (ex. ratings.strength), jamais `__proto__` ou `constructor`
+function isKnownColumn(column) {
+  return Object.hasOwn(Potion.schema.paths, column);
+}
+
+// Une ligne CSV -> objet potion (colonnes aplaties, listes séparées par « | »)
+function csvRecordToPotion(header, values) {
+  if (values.length > header.length) throw new Error('Plus de colonnes que dans l’en-tête');
+  const potion = {};
+  header.forEach((column, i) => {
+    const cell = values[i] === undefined ? undefined : unescapeFormula(values[i]).trim();
+    if (!column || cell === undefined || cell === '') return;
+    if (column === 'categories') return setPath(potion, column, splitList(cell));
+    // Ingrédients : JSON (tel qu’exporté) ou simple liste de noms
+    if (column === 'ingredients') return setPath(potion, column, cell.startsWith('[') ? JSON.parse(cell) : splitList(cell));
+    setPath(potion, column, cell);
+  });
+  return potion;
+}
+
+// Ligne JSON / NDJSON : seul un objet peut décrire une potion (ni null, ni nombre, ni tableau)
+function objectRow(row, data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) return { row, error: 'Chaque ligne doit être un objet' };
+  return { row, data };
+}
+
+/**
+ * Découpe le corps selon le format. Chaque ligne vaut { row, data } ou { row, error }
+ * (row : position dans le tableau JSON, ou numéro de ligne du fichier).
+ */
+function parseRows(text, format) {
+  if (format === 'json') {
+    let list;
+    try {
+      list = JSON.parse(text);
+    } catch (err) {
+      throw new QueryError([bodyError('', undefined, 'JSON invalide : {error}', { error: err.message })]);
+    }
+    if (!Array.isArray(list)) throw new QueryError([bodyError('', undefined, 'Le corps doit être un tableau de potions')]);
+    return list.map((data, i) => objectRow(i + 1, data));
+  }
+
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/)
+      .map((line, i) => ({ row: i + 1, line: line.trim() }))
+      .filter(({ line }) => line)
+      .map(({ row, line }) => {
+        try {
+          return objectRow(row, JSON.parse(line));
+        } catch (err) {
+          return { row, error: 'JSON invalide : {error}', params: { error: err.message } };
+        }
+      });
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.values.map(c => c.trim());
+  // Colonnes vides tolérées (séparateur final), les autres doivent désigner un champ
+  const unknown = columns.filter(column => column && !isKnownColumn(column));
+  if (unknown.length) {
+    throw new QueryError(unknown.map(column => bodyError(column, column, 'Colonne inconnue : {column}', { column })));
+  }
+  return records.map(({ line, values }) => {
+    try {
+      return { row: line, data: csvRecordToPotion(columns, values) };
+    } catch (err) {
+      return { row: line, error: err.message };
+    }
+  });
+}
+
+// Champs repris du fichier pour une ligne donnée
+function importFields(data, user) {
+  const fields = Potion.writableFields(data);
+  for (const key of [...IGNORED_FIELDS, '_id']) delete fields[key];
+  if (!hasPermission(user.role, 'potions:manage-all')) delete fields.vendor_id;
+  return fields;
+}
+
+// Potions existantes pour les clés d’un lot (clé -> liste de potions)
+async function findExisting(rows, upsertBy) {
+  const keys = rows.map(r => r.data[upsertBy]).filter(k => k != null && (upsertBy !== '_id' || mongoose.isValidObjectId(k)));
+  const existing = new Map();
+  if (!keys.length) return existing;
+  const query = Potion.find({ [upsertBy]: { $in: keys.map(String) } });
+  // Un _id peut désigner une potion de la corbeille (refusée) ; un nom ne vise que les potions actives
+  if (upsertBy === '_id') query.withDeleted();
+  for (const potion of await query) {
+    const key = String(potion[upsertBy]);
+    existing.set(key, [...(existing.get(key) || []), potion]);
+  }
+  return existing;
+}
+
+/**
+ * Prépare le document d’une ligne (nouvelle potion ou potion existante modifiée)
+ * et le valide. Renvoie { doc } ou { errors }.
+ */
+async function prepareRow({ data }, { upsertBy, user, existing, seenKeys }) {
+  const fields = importFields(data, user);
+  let doc;
+  let before;
+  if (upsertBy) {
+    const key = data[upsertBy];
+    if (key == null || key === '') return { errors: [bodyError(upsertBy, key, 'Clé d’import manquante : {key}', { key: upsertBy })] };
+    if (upsertBy === '_id' && !mongoose.isValidObjectId(key)) return { errors: [bodyError('_id', key, 'Identifiant invalide')] };
+    if (seenKeys.has(String(key))) return { errors: [bodyError(upsertBy, key, 'Clé déjà présente plus haut dans le fichier')] };
+    seenKeys.add(String(key));
+
+    const matches = existing.get(String(key)) || [];
+    if (matches.length > 1) return { errors: [bodyError(upsertBy, key, 'Plusieurs potions correspondent à cette clé')] };
+    if (matches.length === 1) {
+      if (matches[0].deletedAt) return { errors: [bodyError(upsertBy, key, 'Cette potion est dans la corbeille (la restaurer avant de la modifier)')] };
+      if (!canManagePotion(user, matches[0])) return { errors: [bodyError(upsertBy, key, 'Cette potion appartient à un autre vendeur.')] };
+      doc = matches[0];
+      before = doc.toObject();
+      doc.set(fields);
+    } else if (upsertBy === '_id') {
+      fields._id = key;
+    }
+  }
+
+  if (!doc) {
+    doc = new Potion({ ...fields, owner: user.id });
+    if (!hasPermission(user.role, 'potions:manage-all')) doc.vendor_id = user.vendor_id;
+  }
+
+  try {
+    await doc.validate();
+  } catch (err) {
+    const errors = validationErrors(err);
+    if (!errors) throw err;
+    return { errors: errors.map(e => ({ ...e, location: 'body' })) };
+  }
+  return { doc, before };
+}
+
+async function importPotions(text, { format, upsertBy, dryRun, user, audit }) {
+  const rows = parseRows(text, format);
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new QueryError([bodyError('', rows.length, 'Pas plus de {max} lignes par import', { max: IMPORT_MAX_ROWS })]);
+  }
+
+  const report = {
+    format,
+    dryRun,
+    upsertBy: upsertBy ?? null,
+    total: rows.length,
+    accepted: 0,
+    created: 0,
+    updated: 0,
+    rejected: 0,
+    rejectedRows: []
+  };
+  const reject = (row, errors) => {
+    report.rejected++;
+    report.rejectedRows.push({ row, errors });
+  };
+
+  const seenKeys = new Set();
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = rows.slice(start, start + BATCH_SIZE);
+    const parsed = batch.filter(r => !r.error);
+    const existing = upsertBy ? await findExisting(parsed, upsertBy) : new Map();
+
+    const docs = [];
+    const changes = [];
+    for (const row of batch) {
+      if (row.error) {
+        reject(row.row, [bodyError('', undefined, row.error, row.params)]);
+        continue;
+      }
+      const { doc, before, errors } = await prepareRow(row, { upsertBy, user, existing, seenKeys });
+      if (errors) {
+        reject(row.row, errors);
+        continue;
+      }
+      report.accepted++;
+      report[doc.isNew ? 'created' : 'updated']++;
+      changes.push({ action: doc.isNew ? 'potion.create' : 'potion.update', before, after: doc });
+      docs.push(doc);
+    }
+
+    if (!dryRun && docs.length) {
+      await Potion.bulkSave(docs);
+      if (audit) await recordPotionChanges(audit, changes, { import: format });
+      await recordPriceChanges(audit, changes.map(change => ({ ...change, source: 'import' })));
+    }
+  }
+
+  return report;
+}
+
+module.exports = { importPotions, importBodyParser, parseImportQuery, parseRows, csvRecordToPotion, LIST_SEPARATOR };
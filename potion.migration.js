@@ -0,0 +1,79 @@
+/**
+ * Migration des documents existants vers le schéma Potion strict.
+ *
+ *   node potion.migration.js            applique la migration
+ *   node potion.migration.js --dry-run  affiche le rapport sans rien écrire
+ *
+ * - ingrédients sous forme de chaîne -> sous-document { name, quantity, unit }
+ * - catégories normalisées (minuscules, dédoublonnées)
+ * - createdAt / updatedAt déduits de l’ObjectId quand ils sont absents
+ * Les documents qui restent invalides après conversion ne sont pas modifiés et sont listés.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Potion = require('./potion.model');
+
+function upgrade(raw) {
+  const doc = { ...raw };
+
+  if (Array.isArray(doc.ingredients)) {
+    doc.ingredients = doc.ingredients
+      .filter(item => item !== null && item !== '')
+      .map(item => (typeof item === 'string' ? { name: item } : item));
+  }
+  if (Array.isArray(doc.categories)) {
+    doc.categories = [...new Set(doc.categories.filter(c => typeof c === 'string' && c.trim() !== '').map(Potion.normalizeCategory))];
+  }
+  if (!doc.createdAt) doc.createdAt = raw._id.getTimestamp();
+  if (!doc.updatedAt) doc.updatedAt = doc.createdAt;
+
+  return doc;
+}
+
+async function migrate({ dryRun = false } = {}) {
+  const report = { scanned: 0, migrated: 0, invalid: [] };
+  const cursor = Potion.collection.find({});
+
+  for await (const raw of cursor) {
+    report.scanned++;
+    const potion = new Potion(upgrade(raw));
+    const error = potion.validateSync();
+    if (error) {
+      report.invalid.push({
+        _id: String(raw._id),
+        name: raw.name,
+        errors: Object.values(error.errors).map(e => `${e.path}: ${e.message}`)
+      });
+      continue;
+    }
+
+    if (!dryRun) {
+      // $set plutôt que replaceOne : les champs hors schéma éventuels sont conservés
+      const { _id, ...fields } = potion.toObject({ depopulate: true });
+      await Potion.collection.updateOne({ _id }, { $set: fields });
+    }
+    report.migrated++;
+  }
+
+  return report;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => migrate({ dryRun }))
+    .then(report => {
+      console.log(`${dryRun ? '[dry-run] ' : ''}${report.migrated}/${report.scanned} potion(s) migrée(s)`);
+      if (report.invalid.length) {
+        console.log(`${report.invalid.length} potion(s) à corriger manuellement :`);
+        console.log(JSON.stringify(report.invalid, null, 2));
+      }
+    })
+    .catch(err => {
+      console.error('Erreur de migration :', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrate, upgrade };
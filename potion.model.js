@@ -1,14 +1,250 @@
 const mongoose = require('mongoose');
+const { vendorExists } = require('./vendor.model');
+
+const UNITS = ['g', 'kg', 'ml', 'cl', 'l', 'goutte', 'pincée', 'cuillère', 'pièce', 'unité'];
+const RARITIES = ['commune', 'peu commune', 'rare', 'épique', 'légendaire'];
+const MAX_SCORE = 5;
+const MAX_RATING = 10;
+const MAX_CATEGORIES = 10;
+
+// Vocabulaire normalisé : minuscules, sans espaces superflus, forme Unicode NFC
+function normalizeCategory(value) {
+  return typeof value === 'string'
+    ? value.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase()
+    : value;
+}
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom de l’ingrédient est requis.'],
+    trim: true,
+    maxlength: [100, 'Le nom de l’ingrédient ne doit pas dépasser 100 caractères.']
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'La quantité ne peut pas être négative.']
+  },
+  unit: {
+    type: String,
+    default: 'unité',
+    enum: { values: UNITS, message: 'Unité inconnue : {VALUE}.' }
+  },
+  rarity: {
+    type: String,
+    enum: { values: RARITIES, message: 'Rareté inconnue : {VALUE}.' }
+  }
+}, { _id: false });
+
+// Stock d’une potion : modifié uniquement par les mouvements du journal (voir potion.stock.js)
+const stockSchema = new mongoose.Schema({
+  // Unités en réserve, dont `reserved` déjà promises (disponible = onHand - reserved)
+  onHand: { type: Number, default: 0, min: 0 },
+  reserved: { type: Number, default: 0, min: 0 },
+  // Seuil d’alerte de GET /potions/low-stock (0 : pas d’alerte)
+  reorderThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le seuil de réapprovisionnement ne peut pas être négatif.'],
+    validate: { validator: Number.isInteger, message: 'Le seuil de réapprovisionnement doit être un entier.' }
+  }
+}, { _id: false });
 
 const potionSchema = new mongoose.Schema({
-  name: String,
-  price: Number,
-  score: Number,
-  ingredients: [mongoose.Schema.Types.Mixed],
-  ratings: { strength: Number, flavor: Number },
-  tryDate: Date,
-  categories: [String],
-  vendor_id: String
+  name: {
+    type: String,
+    required: [true, 'Le nom de la potion est requis.'],
+    trim: true,
+    minlength: [2, 'Le nom doit faire au moins 2 caractères.'],
+    maxlength: [100, 'Le nom ne doit pas dépasser 100 caractères.']
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le prix ne peut pas être négatif.']
+  },
+  // Date d’effet du prix actuel (historique : GET /potions/:id/price-history)
+  priceSince: Date,
+  score: {
+    type: Number,
+    min: [0, 'Le score doit être compris entre 0 et 5.'],
+    max: [MAX_SCORE, 'Le score doit être compris entre 0 et 5.']
+  },
+  ingredients: {
+    type: [ingredientSchema],
+    default: [],
+    // Compatibilité : un ingrédient envoyé sous forme de chaîne devient { name }
+    set: list => (Array.isArray(list)
+      ? list.map(item => (typeof item === 'string' ? { name: item } : item))
+      : list)
+  },
+  ratings: {
+    strength: {
+      type: Number,
+      min: [0, 'La force doit être comprise entre 0 et 10.'],
+      max: [MAX_RATING, 'La force doit être comprise entre 0 et 10.']
+    },
+    flavor: {
+      type: Number,
+      min: [0, 'L’arôme doit être compris entre 0 et 10.'],
+      max: [MAX_RATING, 'L’arôme doit être compris entre 0 et 10.']
+    }
+  },
+  // Nombre d’avis : score et ratings sont les moyennes de ces avis (voir review.model.js)
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tryDate: {
+    type: Date,
+    default: Date.now
+  },
+  categories: {
+    type: [{
+      type: String,
+      set: normalizeCategory,
+      minlength: [1, 'Une catégorie ne peut pas être vide.'],
+      maxlength: [40, 'Une catégorie ne doit pas dépasser 40 caractères.']
+    }],
+    default: [],
+    set: list => (Array.isArray(list) ? [...new Set(list.map(normalizeCategory))] : list),
+    validate: {
+      validator: list => list.length <= MAX_CATEGORIES,
+      message: `Pas plus de ${MAX_CATEGORIES} catégories par potion.`
+    }
+  },
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    validate: vendorExists
+  },
+  // Utilisateur ayant créé la potion
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Masqué des lectures publiques : .select('+stock') pour l’inventaire
+  stock: {
+    type: stockSchema,
+    select: false
+  },
+  // Corbeille : une potion supprimée garde ses données jusqu’à la purge
+  deletedAt: {
+    type: Date,
+    default: null,
+    filterable: false
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    filterable: false
+  }
+}, {
+  timestamps: true,
+  // __v incrémenté à chaque enregistrement : une écriture concurrente échoue (VersionError)
+  optimisticConcurrency: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Détails du vendeur, chargés à la demande (?expand=vendor)
+potionSchema.virtual('vendor', {
+  ref: 'Vendor',
+  localField: 'vendor_id',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Recherche plein texte (GET /potions/search) : le français ignore accents et pluriels
+potionSchema.index(
+  { name: 'text', categories: 'text', 'ingredients.name': 'text' },
+  {
+    name: 'potion_text',
+    default_language: 'french',
+    weights: { name: 10, categories: 4, 'ingredients.name': 2 }
+  }
+);
+
+// Le filtre (ou une de ses branches $and / $or) porte-t-il déjà sur deletedAt ?
+function mentionsDeletedAt(filter) {
+  if (!filter || typeof filter !== 'object') return false;
+  if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return true;
+  return [...(filter.$and || []), ...(filter.$or || [])].some(mentionsDeletedAt);
+}
+
+// Purge de la corbeille (potion.purge.js)
+potionSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Potion.find(...).withDeleted() : inclut les potions de la corbeille
+potionSchema.query.withDeleted = function () {
+  this._withDeleted = true;
+  return this;
+};
+
+/**
+ * Les potions supprimées sont exclues de toutes les lectures et mises à jour,
+ * sauf avec .withDeleted() ou un filtre explicite sur deletedAt (corbeille, purge).
+ */
+potionSchema.pre([
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'countDocuments',
+  'distinct', 'updateOne', 'updateMany', 'replaceOne'
+], function () {
+  if (this._withDeleted || mentionsDeletedAt(this.getFilter())) return;
+  this.where({ deletedAt: null });
 });
 
-module.exports = mongoose.model('potion', potionSchema);
\ No newline at end of file
+// Idem pour les agrégations (le $match initial est complété : $text doit rester en tête)
+potionSchema.pre('aggregate', function () {
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  if (first?.$match) {
+    if (!mentionsDeletedAt(first.$match)) first.$match = { ...first.$match, deletedAt: null };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Un nouveau prix prend effet à son enregistrement (les changements programmés fixent eux-mêmes leur date)
+potionSchema.pre('validate', function () {
+  if (this.price != null && this.isModified('price') && !this.isModified('priceSince')) this.priceSince = new Date();
+});
+
+// Les validateurs du schéma s’appliquent aussi aux mises à jour (findByIdAndUpdate...)
+potionSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  this.setOptions({ runValidators: true, context: 'query' });
+});
+
+const Potion = mongoose.model('potion', potionSchema);
+
+// Champs calculés à partir des avis : jamais modifiables directement
+const REVIEW_FIELDS = ['score', 'ratings', 'reviewCount'];
+
+// Gérés par la corbeille (DELETE /potions/:id, POST /potions/:id/restore)
+const TRASH_FIELDS = ['deletedAt', 'deletedBy'];
+
+// Géré par les mouvements de stock (POST /potions/:id/stock/movements)
+const STOCK_FIELDS = ['stock'];
+
+// Géré par les changements de prix (voir potion.pricing.js)
+const PRICING_FIELDS = ['priceSince'];
+
+// Retire d’un corps de requête les champs calculés, de corbeille, de stock ou de prix (et les opérateurs de mise à jour)
+function writableFields(body) {
+  const fields = {};
+  for (const [key, value] of Object.entries(body || {})) {
+    const root = key.split('.')[0];
+    if (key.startsWith('$') || [...REVIEW_FIELDS, ...TRASH_FIELDS, ...STOCK_FIELDS, ...PRICING_FIELDS].includes(root)) continue;
+    fields[key] = value;
+  }
+  return fields;
+}
+
+module.exports = Potion;
+module.exports.REVIEW_FIELDS = REVIEW_FIELDS;
+module.exports.writableFields = writableFields;
+module.exports.UNITS = UNITS;
+module.exports.RARITIES = RARITIES;
+module.exports.normalizeCategory = normalizeCategory;
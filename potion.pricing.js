@@ -0,0 +1,254 @@
+const Potion = require('./potion.model');
+const PriceChange = require('./price-change.model');
+const PricingRule = require('./pricing-rule.model');
+const { entityTag } = require('./etag');
+const { ValidationFailedError, NotFoundError, ConflictError, assertObjectId } = require('./errors');
+const { recordPotionChange, SYSTEM } = require('./audit');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Prix des potions. `price` est le prix de base ; le prix effectif en retire la meilleure
+ * promotion en cours (pricing-rule.model.js), évaluée à chaque lecture : les réponses portent
+ * `price`, `effectivePrice` et `promotion`. Tout changement du prix de base est inscrit à
+ * l’historique (price-change.model.js) ; les changements programmés arrivés à échéance sont
+ * appliqués toutes les PRICE_SCHEDULE_INTERVAL_MS (voir startPriceScheduleJob).
+ */
+
+// Base des filtres et agrégations de prix (?priceBasis=)
+const PRICE_BASES = ['base', 'effective'];
+
+// Montant en centimes, arrondi de la même façon en JavaScript, dans les agrégations ($floor de x + 0,5)
+// et pour les totaux des paniers et commandes
+const cents = amount => Math.floor(amount * 100 + 0.5);
+
+const PRICE_CENTS = { $floor: { $add: [{ $multiply: [{ $ifNull: ['$price', 0] }, 100] }, 0.5] } };
+
+function ruleApplies(rule, potion) {
+  if (rule.categories?.length && !(potion.categories || []).some(c => rule.categories.includes(c))) return false;
+  if (rule.vendors?.length && !rule.vendors.some(v => potion.vendor_id != null && String(v) === String(potion.vendor_id))) return false;
+  return true;
+}
+
+function discountedCents(priceCents, rule) {
+  return rule.kind === 'percentage'
+    ? Math.floor(priceCents * (100 - rule.value) / 100 + 0.5)
+    : Math.max(0, priceCents - cents(rule.value));
+}
+
+// Promotions en cours (chargées une fois par requête)
+function activeRules(now = new Date()) {
+  return PricingRule.activeAt(now);
+}
+
+/**
+ * Prix effectif d’une potion (document ou objet simple) : la remise la plus avantageuse
+ * parmi les promotions `rules` qui la ciblent. Renvoie { effectivePrice, promotion }.
+ */
+function pricingOf(potion, rules) {
+  const base = cents(potion.price ?? 0);
+  let best = base;
+  let promotion = null;
+  for (const rule of rules) {
+    if (!ruleApplies(rule, potion)) continue;
+    const discounted = discountedCents(base, rule);
+    if (discounted < best) {
+      best = discounted;
+      promotion = rule;
+    }
+  }
+  return {
+    effectivePrice: best / 100,
+    promotion: promotion && {
+      _id: promotion._id,
+      name: promotion.name,
+      kind: promotion.kind,
+      value: promotion.value,
+      endsAt: promotion.endsAt ?? null
+    }
+  };
+}
+
+// Représentation JSON d’une potion avec son prix effectif (inchangée si le prix n’a pas été sélectionné)
+function priced(potion, rules) {
+  const json = typeof potion.toJSON === 'function' ? potion.toJSON() : { ...potion };
+  if (json.price == null) return json;
+  return { ...json, ...pricingOf(potion, rules) };
+}
+
+// ETag d’une potion : l’état enregistré et la promotion du moment (qui change sa représentation)
+function pricedTag(potion, rules) {
+  const { effectivePrice, promotion } = pricingOf(potion, rules);
+  return entityTag({ ...potion.toObject({ depopulate: true, virtuals: false }), effectivePrice, promotion: promotion?._id });
+}
+
+function appliesExpr(rule) {
+  const conditions = [];
+  if (rule.categories?.length) {
+    conditions.push({ $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$categories', []] }, rule.categories] } }, 0] });
+  }
+  if (rule.vendors?.length) conditions.push({ $in: ['$vendor_id', rule.vendors] });
+  return conditions.length ? { $and: conditions } : true;
+}
+
+function discountedCentsExpr(rule) {
+  return rule.kind === 'percentage'
+    ? { $floor: { $add: [{ $divide: [{ $multiply: [PRICE_CENTS, 100 - rule.value] }, 100] }, 0.5] } }
+    : { $max: [0, { $subtract: [PRICE_CENTS, cents(rule.value)] }] };
+}
+
+// Prix effectif en expression d’agrégation (mêmes règles et arrondis que pricingOf)
+function effectivePriceExpr(rules) {
+  if (!rules.length) return '$price';
+  const candidates = rules.map(rule => ({ $cond: [appliesExpr(rule), discountedCentsExpr(rule), PRICE_CENTS] }));
+  return { $divide: [{ $min: [PRICE_CENTS, ...candidates] }, 100] };
+}
+
+// ?priceBasis=base|effective (base par défaut) ; une valeur inconnue est ajoutée à `errors`
+function parsePriceBasis(raw, errors) {
+  if (raw === undefined) return 'base';
+  if (PRICE_BASES.includes(raw)) return raw;
+  errors.push({
+    type: 'field', value: raw, msg: 'Base de prix inconnue (autorisées : {allowed})', params: { allowed: PRICE_BASES.join(', ') },
+    path: 'priceBasis', location: 'query'
+  });
+  return 'base';
+}
+
+// Entrée d’historique pour un prix de base nouveau ou modifié (before absent à la création)
+function priceEntry(ctx, source, before, after) {
+  if (after?.price == null || (before && before.price === after.price)) return null;
+  return {
+    potion: after._id,
+    price: after.price,
+    previousPrice: before?.price,
+    effectiveFrom: after.priceSince ?? new Date(),
+    source,
+    actor: ctx?.actor
+  };
+}
+
+/**
+ * Inscrit les changements de prix d’une liste [{ source, before, after }] (import...).
+ * Comme le journal d’audit, l’écriture est « au mieux » : une erreur est journalisée
+ * sans annuler la modification déjà enregistrée.
+ */
+async function recordPriceChanges(ctx, changes) {
+  const entries = changes.map(({ source, before, after }) => priceEntry(ctx, source, before, after)).filter(Boolean);
+  if (!entries.length) return;
+  try {
+    await PriceChange.insertMany(entries);
+  } catch (err) {
+    logger.error('erreur d’historique des prix', { err });
+  }
+}
+
+function recordPriceChange(ctx, source, before, after) {
+  return recordPriceChanges(ctx, [{ source, before, after }]);
+}
+
+// Corps de POST /potions/:id/price-history -> { price, effectiveFrom } (date d’effet future)
+function parseScheduledPrice(body = {}) {
+  const { price, effectiveFrom } = body;
+  const errors = [];
+  if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+    errors.push({ type: 'field', value: price, msg: 'Le prix doit être un nombre positif.', path: 'price', location: 'body' });
+  }
+  const date = new Date(effectiveFrom);
+  if (typeof effectiveFrom !== 'string' || Number.isNaN(date.getTime())) {
+    errors.push({ type: 'field', value: effectiveFrom, msg: 'La date d’effet doit être une date ISO 8601.', path: 'effectiveFrom', location: 'body' });
+  } else if (date <= new Date()) {
+    errors.push({
+      type: 'field', value: effectiveFrom, msg: 'La date d’effet doit être dans le futur (PATCH /potions/{id} pour un changement immédiat).',
+      path: 'effectiveFrom', location: 'body'
+    });
+  }
+  if (errors.length) throw new ValidationFailedError(errors);
+  return { price, effectiveFrom: date };
+}
+
+function schedulePriceChange(potion, { price, effectiveFrom }, ctx) {
+  return PriceChange.create({
+    potion: potion._id, price, effectiveFrom, status: 'scheduled', source: 'schedule', actor: ctx.actor
+  });
+}
+
+// Annule un changement programmé ; 409 s’il a déjà été appliqué (ou annulé)
+async function cancelScheduledPrice(potion, changeId) {
+  assertObjectId(changeId, 'Changement de prix non trouvé', { code: 'price-change-not-found' });
+  const cancelled = await PriceChange.findOneAndUpdate(
+    { _id: changeId, potion: potion._id, status: 'scheduled' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (cancelled) return cancelled;
+
+  const change = await PriceChange.findOne({ _id: changeId, potion: potion._id });
+  if (!change) throw new NotFoundError('Changement de prix non trouvé', { code: 'price-change-not-found' });
+  throw new ConflictError('Ce changement de prix n’est plus programmé (statut : {status})', {
+    code: 'price-change-not-scheduled',
+    params: { status: change.status }
+  });
+}
+
+/**
+ * Applique les changements programmés arrivés à échéance, dans l’ordre de leurs dates d’effet.
+ * Chaque changement est d’abord réservé (scheduled -> applied) : deux requêtes simultanées
+ * ne l’appliquent qu’une fois. Un prix enregistré après sa date d’effet l’emporte sur lui
+ * (le changement passe à `superseded`). Renvoie le nombre de prix modifiés.
+ */
+async function applyDuePriceChanges(now = new Date()) {
+  const due = await PriceChange.find({ status: 'scheduled', effectiveFrom: { $lte: now } }).sort({ effectiveFrom: 1, _id: 1 });
+  let applied = 0;
+  for (const change of due) {
+    const claimed = await PriceChange.findOneAndUpdate({ _id: change._id, status: 'scheduled' }, { $set: { status: 'applied' } });
+    if (!claimed) continue;
+
+    const before = await Potion.findOneAndUpdate(
+      { _id: change.potion, $or: [{ priceSince: null }, { priceSince: { $lte: change.effectiveFrom } }] },
+      { $set: { price: change.price, priceSince: change.effectiveFrom } }
+    ).withDeleted();
+    await PriceChange.updateOne(
+      { _id: change._id },
+      { $set: before ? { previousPrice: before.price } : { status: 'superseded' } }
+    );
+    if (!before) continue;
+    // Nouvelle version de la potion, comme toute autre modification de prix (restaurable depuis l’historique)
+    const after = { ...before.toObject(), price: change.price, priceSince: change.effectiveFrom };
+    await recordPotionChange(SYSTEM, 'potion.update', before, after, { priceChange: change._id });
+    applied++;
+  }
+  return applied;
+}
+
+// Application périodique des changements programmés (unref : ne bloque pas l’arrêt du process)
+function startPriceScheduleJob({ intervalMs = config.pricing.scheduleIntervalMs } = {}) {
+  if (!intervalMs) return null;
+  const timer = setInterval(() => {
+    applyDuePriceChanges()
+      .then(count => {
+        if (count) logger.info('changements de prix programmés appliqués', { count });
+      })
+      .catch(err => logger.error('application des changements de prix programmés impossible', { err }));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  PRICE_BASES,
+  cents,
+  activeRules,
+  pricingOf,
+  priced,
+  pricedTag,
+  effectivePriceExpr,
+  parsePriceBasis,
+  recordPriceChange,
+  recordPriceChanges,
+  parseScheduledPrice,
+  schedulePriceChange,
+  cancelScheduledPrice,
+  applyDuePriceChanges,
+  startPriceScheduleJob
+};
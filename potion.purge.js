@@ -0,0 +1,82 @@
+/**
+ * Purge de la corbeille : supprime définitivement les potions supprimées
+ * depuis plus de TRASH_RETENTION_DAYS jours (30 par défaut), ainsi que leurs avis.
+ *
+ *   node potion.purge.js                 purge selon la rétention configurée
+ *   node potion.purge.js --days 7        rétention ponctuelle
+ *   node potion.purge.js --dry-run       affiche le nombre de potions concernées
+ *
+ * Au démarrage de l’API, la purge tourne aussi toutes les TRASH_PURGE_INTERVAL_MS
+ * (1 h par défaut, 0 pour la désactiver).
+ */
+const { config } = require('./config');
+const mongoose = require('mongoose');
+const Potion = require('./potion.model');
+const Review = require('./review.model');
+const { recordEvents, SYSTEM } = require('./audit');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_RETENTION_DAYS = config.trash.retentionDays;
+const TRASH_PURGE_INTERVAL_MS = config.trash.purgeIntervalMs;
+
+/**
+ * Suppression définitive des potions correspondant au filtre (corbeille comprise) et de leurs avis.
+ * `ctx` : auteur pour le journal d’audit (tâche système par défaut).
+ */
+async function hardDeletePotions(filter, ctx = SYSTEM) {
+  const ids = await Potion.find(filter).withDeleted().distinct('_id');
+  if (!ids.length) return 0;
+  await Review.deleteMany({ potion: { $in: ids } });
+  const { deletedCount } = await Potion.deleteMany({ _id: { $in: ids } });
+  await recordEvents(ctx, 'potion.purge', ids.map(id => ({ entity: { type: 'potion', id } })));
+  return deletedCount;
+}
+
+function purgeFilter(retentionDays, now = new Date()) {
+  return { deletedAt: { $ne: null, $lte: new Date(now.getTime() - retentionDays * DAY_MS) } };
+}
+
+async function purgeTrash({ retentionDays = TRASH_RETENTION_DAYS, dryRun = false } = {}) {
+  const filter = purgeFilter(retentionDays);
+  return dryRun ? Potion.countDocuments(filter) : hardDeletePotions(filter);
+}
+
+// Purge périodique (unref : ne bloque pas l’arrêt du process)
+function startPurgeJob({ intervalMs = TRASH_PURGE_INTERVAL_MS, retentionDays = TRASH_RETENTION_DAYS } = {}) {
+  if (!intervalMs) return null;
+  const timer = setInterval(() => {
+    purgeTrash({ retentionDays })
+      .then(count => {
+        if (count) logger.info('corbeille purgée', { count, retentionDays });
+      })
+      .catch(err => logger.error('erreur de purge de la corbeille', { err }));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const daysIndex = args.indexOf('--days');
+  const retentionDays = daysIndex === -1 ? TRASH_RETENTION_DAYS : Number(args[daysIndex + 1]);
+
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    console.error('--days doit être un nombre positif');
+    process.exitCode = 1;
+  } else {
+    mongoose.connect(config.mongoUri)
+      .then(() => purgeTrash({ retentionDays, dryRun }))
+      .then(count => console.log(`${dryRun ? '[dry-run] ' : ''}${count} potion(s) supprimée(s) définitivement`
+        + ` (dans la corbeille depuis plus de ${retentionDays} jour(s))`))
+      .catch(err => {
+        console.error('Erreur de purge :', err);
+        process.exitCode = 1;
+      })
+      .finally(() => mongoose.disconnect());
+  }
+}
+
+module.exports = { purgeTrash, hardDeletePotions, startPurgeJob, TRASH_RETENTION_DAYS };
@@ -0,0 +1,402 @@
+const mongoose = require('mongoose');
+
+// Paramètres réservés à la pagination / mise en forme (jamais traités comme filtres)
+const RESERVED_PARAMS = ['sort', 'fields', 'limit', 'cursor', 'count', 'expand'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const OPERATORS = {
+  String: ['eq', 'ne', 'in', 'nin', 'contains'],
+  Number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'],
+  Date: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  ObjectId: ['eq', 'ne', 'in', 'nin'],
+  Boolean: ['eq', 'ne'],
+  StringArray: ['eq', 'in', 'nin', 'all', 'contains']
+};
+
+const SCALAR_TYPES = ['String', 'Number', 'Date', 'ObjectId', 'Boolean'];
+
+class QueryError extends Error {
+  constructor(errors) {
+    super('Paramètres de requête invalides');
+    this.name = 'QueryError';
+    this.errors = errors;
+  }
+}
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+/**
+ * Construit la liste des champs interrogeables à partir du schéma Mongoose.
+ * Les champs masqués (`select: false`) ou marqués `filterable: false` sont exclus.
+ */
+function describeFields(model) {
+  return describeSchema(model.schema, '', false);
+}
+
+function describeSchema(schema, prefix, inArray) {
+  const fields = {};
+  schema.eachPath((path, schemaType) => {
+    if (path === '__v' || schemaType.options.select === false || schemaType.options.filterable === false) return;
+    const fullPath = prefix + path;
+
+    // Sous-documents (ex. ingredients) : leurs champs sont filtrables, mais pas triables
+    if (schemaType.$isMongooseDocumentArray) {
+      Object.assign(fields, describeSchema(schemaType.schema, `${fullPath}.`, true));
+      return;
+    }
+
+    let type = schemaType.instance;
+    let elementType = schemaType;
+    if (type === 'Array') {
+      if (schemaType.caster?.instance !== 'String') return;
+      type = 'StringArray';
+      elementType = schemaType.caster;
+    }
+    if (!OPERATORS[type]) return;
+
+    fields[fullPath] = { type, schemaType: elementType, sortable: !inArray && SCALAR_TYPES.includes(type) };
+  });
+  return fields;
+}
+
+function castValue(type, raw) {
+  switch (type) {
+    case 'Number': {
+      const n = Number(raw);
+      return raw.trim() === '' || Number.isNaN(n) ? undefined : n;
+    }
+    case 'Date': {
+      const d = new Date(raw);
+      return Number.isNaN(d.getTime()) ? undefined : d;
+    }
+    // ObjectId réel (et non chaîne) : le filtre reste valable dans un $match d’agrégation
+    case 'ObjectId':
+      return mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : undefined;
+    case 'Boolean':
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      return undefined;
+    default:
+      return raw;
+  }
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Traduit `champ` ou `champ[op]` en filtre Mongo.
+ * Seuls les champs du schéma et les opérateurs autorisés pour leur type sont acceptés,
+ * ce qui empêche toute injection d’opérateur (`$where`, `$ne`...).
+ */
+function parseFilter(query, model, options = {}) {
+  const fields = options.fields || describeFields(model);
+  const reserved = options.reserved || RESERVED_PARAMS;
+  const filter = {};
+  const errors = [];
+
+  for (const [key, rawValue] of Object.entries(query)) {
+    if (reserved.includes(key)) continue;
+
+    const match = /^([A-Za-z_][\w.]*)(?:\[([a-z]+)\])?$/.exec(key);
+    if (!match) {
+      errors.push(queryError(key, rawValue, 'Paramètre de filtre invalide'));
+      continue;
+    }
+    const [, path, op = 'eq'] = match;
+    // Propriété propre seulement : `constructor` ou `__proto__` ne désignent pas un champ
+    const field = Object.hasOwn(fields, path) ? fields[path] : undefined;
+    if (!field) {
+      errors.push(queryError(key, rawValue, 'Champ de filtre inconnu : {path}', { path }));
+      continue;
+    }
+    if (!OPERATORS[field.type].includes(op)) {
+      errors.push(queryError(key, rawValue, 'Opérateur « {op} » non supporté pour {path}', { op, path }));
+      continue;
+    }
+
+    const isList = ['in', 'nin', 'all'].includes(op) || (op === 'eq' && Array.isArray(rawValue));
+    if (Array.isArray(rawValue) && !isList) {
+      errors.push(queryError(key, rawValue, 'Paramètre répété non autorisé'));
+      continue;
+    }
+
+    const elementType = field.type === 'StringArray' ? 'String' : field.type;
+    const rawValues = isList
+      ? [].concat(rawValue).flatMap(v => String(v).split(',')).filter(v => v !== '')
+      : [String(rawValue)];
+    const values = rawValues.map(v => castValue(elementType, v));
+    if (values.length === 0 || values.some(v => v === undefined)) {
+      errors.push(queryError(key, rawValue, 'Valeur invalide pour {path} ({type} attendu)', { path, type: elementType }));
+      continue;
+    }
+    // Normalisation du schéma (trim, catégories en minuscules...) : un $match d’agrégation ne l’applique pas
+    if (elementType === 'String' && field.schemaType) {
+      values.forEach((v, i) => { values[i] = field.schemaType.applySetters(v, null); });
+    }
+
+    let condition;
+    if (op === 'contains') {
+      const regex = { $regex: escapeRegex(values[0]), $options: 'i' };
+      condition = field.type === 'StringArray' ? { $elemMatch: regex } : regex;
+    } else if (isList) {
+      condition = { [op === 'eq' ? '$in' : `$${op}`]: values };
+    } else {
+      condition = { [`$${op}`]: values[0] };
+    }
+
+    filter[path] = { ...(filter[path] || {}), ...condition };
+  }
+
+  if (errors.length) throw new QueryError(errors);
+  return filter;
+}
+
+function parseSort(raw, fields, errors) {
+  const sort = [];
+  if (raw === undefined) return [['_id', 1]];
+  if (Array.isArray(raw)) {
+    errors.push(queryError('sort', raw, 'Paramètre répété non autorisé'));
+    return [];
+  }
+  for (const token of String(raw).split(',').map(s => s.trim()).filter(Boolean)) {
+    const dir = token.startsWith('-') ? -1 : 1;
+    const path = token.replace(/^[-+]/, '');
+    if (!Object.hasOwn(fields, path) || !fields[path].sortable) {
+      errors.push(queryError('sort', raw, 'Tri impossible sur {path}', { path }));
+      continue;
+    }
+    if (!sort.some(([p]) => p === path)) sort.push([path, dir]);
+  }
+  // _id sert de départage pour garantir un ordre total (nécessaire aux curseurs)
+  if (!sort.some(([p]) => p === '_id')) sort.push(['_id', 1]);
+  return sort;
+}
+
+function parseFields(raw, fields, errors) {
+  if (raw === undefined) return null;
+  const selected = [];
+  for (const path of [].concat(raw).flatMap(v => String(v).split(',')).map(s => s.trim()).filter(Boolean)) {
+    if (!Object.hasOwn(fields, path) && !isParentPath(path, fields)) {
+      errors.push(queryError('fields', raw, 'Champ inconnu : {path}', { path }));
+      continue;
+    }
+    selected.push(path);
+  }
+  return selected;
+}
+
+function isParentPath(path, fields) {
+  return Object.keys(fields).some(f => f.startsWith(`${path}.`));
+}
+
+// expand=vendor : virtuels « populate » déclarés sur le modèle (ref + localField)
+function parseExpand(raw, model, errors) {
+  const expand = [];
+  for (const name of [].concat(raw ?? []).flatMap(v => String(v).split(',')).map(s => s.trim()).filter(Boolean)) {
+    const virtual = model.schema.virtualpath(name);
+    if (!virtual?.options?.ref) {
+      errors.push(queryError('expand', raw, 'Relation inconnue : {name}', { name }));
+      continue;
+    }
+    if (!expand.some(e => e.path === name)) expand.push({ path: name, localField: virtual.options.localField });
+  }
+  return expand;
+}
+
+function parseLimit(raw, errors) {
+  if (raw === undefined) return DEFAULT_LIMIT;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(queryError('limit', raw, 'limit doit être un entier entre 1 et {max}', { max: MAX_LIMIT }));
+    return DEFAULT_LIMIT;
+  }
+  return limit;
+}
+
+// Les curseurs sont opaques pour le client : base64url d’un JSON { d: direction, v: valeurs de tri }
+function encodeCursor(direction, values) {
+  const encoded = values.map(v => (v instanceof Date ? { $date: v.toISOString() } : v));
+  return Buffer.from(JSON.stringify({ d: direction, v: encoded })).toString('base64url');
+}
+
+function decodeCursor(raw, sort, errors) {
+  try {
+    const { d, v } = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (!['next', 'prev'].includes(d) || !Array.isArray(v) || v.length !== sort.length) throw new Error();
+    const values = v.map(x => {
+      if (x && typeof x === 'object') {
+        // seul objet admis : une date encodée (évite toute réinjection d’opérateur via le curseur)
+        const date = typeof x.$date === 'string' && Object.keys(x).length === 1 ? new Date(x.$date) : null;
+        if (!date || Number.isNaN(date.getTime())) throw new Error();
+        return date;
+      }
+      return x;
+    });
+    return { direction: d, values };
+  } catch {
+    errors.push(queryError('cursor', raw, 'Curseur invalide ou incompatible avec le tri demandé'));
+    return null;
+  }
+}
+
+/**
+ * Condition « strictement après » pour une pagination par jeu de clés.
+ * Mongo trie les valeurs nulles/absentes en premier : elles sont traitées à part.
+ */
+function keysetCondition(sort, values) {
+  const or = [];
+  sort.forEach(([path, dir], i) => {
+    const value = values[i];
+    let after;
+    if (value === null || value === undefined) {
+      if (dir === -1) return;
+      after = { [path]: { $ne: null } };
+    } else if (dir === 1) {
+      after = { [path]: { $gt: value } };
+    } else {
+      after = { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+    }
+    const equals = sort.slice(0, i).map(([p], j) => ({ [p]: values[j] ?? null }));
+    or.push(equals.length ? { $and: [...equals, after] } : after);
+  });
+  return or.length ? { $or: or } : { _id: { $exists: false } };
+}
+
+/**
+ * Analyse complète des paramètres de `GET /potions`.
+ * Lève une QueryError contenant toutes les erreurs rencontrées.
+ */
+function parseListQuery(query, model) {
+  const fields = describeFields(model);
+  const errors = [];
+
+  let filter = {};
+  try {
+    filter = parseFilter(query, model, { fields });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+
+  const sort = parseSort(query.sort, fields, errors);
+  const fieldsSelected = parseFields(query.fields, fields, errors);
+  const limit = parseLimit(query.limit, errors);
+  const cursor = query.cursor !== undefined ? decodeCursor(query.cursor, sort, errors) : null;
+  const count = query.count === 'true' || query.count === '1';
+  const expand = parseExpand(query.expand, model, errors);
+
+  if (errors.length) throw new QueryError(errors);
+  return { filter, sort, fields: fieldsSelected, limit, cursor, count, expand };
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+}
+
+// Retire un champ ajouté uniquement pour calculer le curseur (et son parent s’il devient vide)
+function unsetPath(obj, path) {
+  const keys = path.split('.');
+  const parent = getPath(obj, keys.slice(0, -1).join('.')) ?? obj;
+  if (keys.length === 1) return delete obj[path];
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+  if (parent && Object.keys(parent).length === 0) unsetPath(obj, keys.slice(0, -1).join('.'));
+}
+
+function cursorValues(doc, sort) {
+  return sort.map(([path]) => {
+    const value = getPath(doc, path);
+    if (value === undefined || value === null) return null;
+    return path === '_id' || value instanceof mongoose.Types.ObjectId ? String(value) : value;
+  });
+}
+
+/**
+ * `buildLink` de findPage pour la requête en cours : même chemin, mêmes paramètres (`query`,
+ * valeurs par défaut comprises), avec le curseur de la page voulue.
+ */
+function pageLinkBuilder(req, query = req.query) {
+  const path = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+  return cursor => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (key === 'cursor') continue;
+      [].concat(value).forEach(v => params.append(key, v));
+    }
+    params.set('cursor', cursor);
+    return `${path}?${params}`;
+  };
+}
+
+/**
+ * Exécute une requête paginée par curseur et renvoie `{ data, paging }`.
+ * `buildLink(cursor)` fabrique l’URL des pages suivante/précédente.
+ * `present(json)` complète chaque élément ; `extraFields` sont chargés pour ce calcul
+ * même hors de `fields`, puis retirés de la réponse.
+ */
+async function findPage(model, parsed, buildLink, { present = json => json, extraFields = [] } = {}) {
+  const { filter, sort, fields, limit, cursor, count, expand = [] } = parsed;
+  const backwards = cursor?.direction === 'prev';
+  const effectiveSort = sort.map(([p, d]) => [p, backwards ? -d : d]);
+
+  const conditions = [filter];
+  if (cursor) conditions.push(keysetCondition(effectiveSort, cursor.values));
+  const mongoFilter = conditions.length > 1 ? { $and: conditions } : filter;
+
+  // Champs chargés pour le curseur, les relations ou `present`, absents de la réponse s’ils ne sont pas demandés
+  const extra = [...sort.map(([p]) => p), ...expand.map(e => e.localField), ...extraFields];
+  let projection;
+  if (fields) {
+    projection = [...new Set([...fields, ...extra])].join(' ');
+  }
+
+  const query = model.find(mongoFilter).select(projection).sort(Object.fromEntries(effectiveSort)).limit(limit + 1);
+  for (const { path } of expand) query.populate(path);
+
+  const [docs, total] = await Promise.all([
+    query,
+    count ? model.countDocuments(filter) : undefined
+  ]);
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  const data = page.map(doc => {
+    const json = present(doc.toJSON());
+    if (fields) {
+      for (const path of extra) {
+        if (path !== '_id' && !fields.some(f => f === path || path.startsWith(`${f}.`))) unsetPath(json, path);
+      }
+    }
+    return json;
+  });
+
+  const paging = {
+    limit,
+    next: hasNext && last ? buildLink(encodeCursor('next', cursorValues(last, sort))) : null,
+    prev: hasPrev && first ? buildLink(encodeCursor('prev', cursorValues(first, sort))) : null
+  };
+  if (count) paging.total = total;
+
+  return { data, paging };
+}
+
+module.exports = {
+  QueryError,
+  RESERVED_PARAMS,
+  describeFields,
+  parseFilter,
+  parseListQuery,
+  findPage,
+  pageLinkBuilder
+};
@@ -0,0 +1,289 @@
+const Potion = require('./potion.model');
+const Vendor = require('./vendor.model');
+const { parseFilter, QueryError } = require('./potion.query');
+const { DIMENSIONS, DEFAULT_PRICE_BANDS } = require('./analytics.query');
+const { activeRules, priced, effectivePriceExpr } = require('./potion.pricing');
+
+/**
+ * Recherche de potions pour `GET /potions/search`.
+ *   - plein texte : index texte français sur name, categories et ingredients.name
+ *     (insensible aux accents et aux pluriels), trié par pertinence ;
+ *   - tolérance aux fautes : chaque terme absent du vocabulaire est complété par les mots
+ *     connus à une ou deux lettres près (distance de Damerau-Levenshtein) ;
+ *   - autocomplétion : préfixe d’un mot du nom, sans tenir compte des accents.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_OFFSET = 1000;
+const AUTOCOMPLETE_LIMIT = 10;
+const MAX_TERMS = 10;
+const FACET_SIZE = 20;
+const VOCABULARY_TTL_MS = 60 * 1000;
+
+const RESERVED_PARAMS = ['q', 'mode', 'limit', 'offset', 'fuzzy'];
+
+// Variantes accentuées des lettres latines, pour les expressions régulières d’autocomplétion
+const ACCENTS = {
+  a: 'àâäáãå', c: 'ç', e: 'éèêë', i: 'îïíì', n: 'ñ', o: 'ôöóòõ', u: 'ùûüú', y: 'ÿý'
+};
+
+function queryError(path, value, msg, params) {
+  return { type: 'field', value, msg, params, path, location: 'query' };
+}
+
+// « Défense » -> « defense »
+function foldAccents(text) {
+  return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokenize(text) {
+  return foldAccents(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Distance d’édition avec transpositions, interrompue dès que `max` est dépassé
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    rows.push(row);
+  }
+  return rows[a.length][b.length];
+}
+
+// Fautes tolérées selon la longueur du mot
+function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+// Vocabulaire des champs indexés, mis en cache pour éviter un distinct à chaque frappe
+let vocabulary = null;
+async function getVocabulary() {
+  if (vocabulary && vocabulary.expiresAt > Date.now()) return vocabulary.words;
+  const [names, categories, ingredients] = await Promise.all([
+    Potion.distinct('name'),
+    Potion.distinct('categories'),
+    Potion.distinct('ingredients.name')
+  ]);
+  const words = new Set([...names, ...categories, ...ingredients].flatMap(tokenize));
+  vocabulary = { words, expiresAt: Date.now() + VOCABULARY_TTL_MS };
+  return words;
+}
+
+/**
+ * Termes envoyés à $text : ceux de la requête, plus les mots du vocabulaire
+ * proches de chaque terme inconnu.
+ */
+async function expandTerms(terms, fuzzy) {
+  const expanded = new Set(terms);
+  if (!fuzzy) return [...expanded];
+
+  const words = await getVocabulary();
+  for (const term of terms) {
+    const max = allowedTypos(term);
+    if (!max || words.has(term)) continue;
+    for (const word of words) {
+      if (editDistance(term, word, max) <= max) expanded.add(word);
+    }
+  }
+  return [...expanded];
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Entoure de <em> les mots correspondant à un terme (à l’accent et au pluriel près).
+ * Avec `prefix`, tout mot commençant par un terme correspond. Renvoie null si rien ne correspond.
+ * Le résultat est du HTML : le reste du texte est échappé.
+ */
+function highlight(text, terms, { prefix = false } = {}) {
+  if (typeof text !== 'string') return null;
+  let found = false;
+  const html = text.replace(/([\p{L}\p{N}]+)|[^\p{L}\p{N}]+/gu, (chunk, word) => {
+    if (!word) return escapeHtml(chunk);
+    const folded = foldAccents(word);
+    const match = terms.some(t => folded === t
+      || ((prefix || t.length >= 3) && folded.startsWith(t))
+      || (folded.length >= 3 && t.startsWith(folded)));
+    if (!match) return escapeHtml(word);
+    found = true;
+    return `<em>${escapeHtml(word)}</em>`;
+  });
+  return found ? html : null;
+}
+
+function highlightPotion(potion, terms) {
+  const result = {};
+  const name = highlight(potion.name, terms);
+  if (name) result.name = name;
+  const categories = (potion.categories || []).map(c => highlight(c, terms)).filter(Boolean);
+  if (categories.length) result.categories = categories;
+  const ingredients = (potion.ingredients || []).map(i => highlight(i.name, terms)).filter(Boolean);
+  if (ingredients.length) result.ingredients = ingredients;
+  return result;
+}
+
+function parseInteger(query, key, { min, max, fallback }, errors) {
+  if (query[key] === undefined) return fallback;
+  const value = Number(query[key]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(queryError(key, query[key], '{key} doit être un entier entre {min} et {max}', { key, min, max }));
+    return fallback;
+  }
+  return value;
+}
+
+function parseSearchQuery(query) {
+  const errors = [];
+
+  let filter = {};
+  try {
+    filter = parseFilter(query, Potion, { reserved: RESERVED_PARAMS });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(...err.errors);
+  }
+
+  const mode = query.mode ?? 'full';
+  if (!['full', 'autocomplete'].includes(mode)) {
+    errors.push(queryError('mode', query.mode, 'mode doit valoir full ou autocomplete'));
+  }
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const terms = [...new Set(tokenize(q))];
+  if (!terms.length) {
+    errors.push(queryError('q', query.q, 'Le paramètre q est requis'));
+  } else if (terms.length > MAX_TERMS) {
+    errors.push(queryError('q', query.q, 'Pas plus de {max} mots par recherche', { max: MAX_TERMS }));
+  }
+
+  const autocomplete = mode === 'autocomplete';
+  const limit = parseInteger(query, 'limit', {
+    min: 1,
+    max: MAX_LIMIT,
+    fallback: autocomplete ? AUTOCOMPLETE_LIMIT : DEFAULT_LIMIT
+  }, errors);
+  const offset = parseInteger(query, 'offset', { min: 0, max: MAX_OFFSET, fallback: 0 }, errors);
+  const fuzzy = !['false', '0'].includes(query.fuzzy);
+
+  if (errors.length) throw new QueryError(errors);
+  return { q, terms, filter, mode, limit, offset, fuzzy };
+}
+
+// Préfixe insensible aux accents, au début du nom ou d’un de ses mots
+function prefixRegex(prefix) {
+  const source = [...foldAccents(prefix)].map(char => {
+    const variants = ACCENTS[char];
+    if (!variants) return escapeRegex(char);
+    return `[${char}${variants}${variants.toUpperCase()}]`;
+  }).join('');
+  return new RegExp(`(^|[\\s'’(-])${source}`, 'i');
+}
+
+async function autocomplete({ q, filter, limit }) {
+  const folded = foldAccents(q);
+  const candidates = await Potion.find({ $and: [filter, { name: prefixRegex(q) }] })
+    .select('name')
+    .sort({ reviewCount: -1, _id: 1 })
+    .limit(limit * 5);
+
+  // Les noms qui commencent par la saisie passent devant ceux où elle débute un mot
+  const suggestions = candidates
+    .map(p => ({ _id: p._id, name: p.name, starts: foldAccents(p.name).startsWith(folded) }))
+    .sort((a, b) => (b.starts - a.starts) || a.name.localeCompare(b.name, 'fr'))
+    .slice(0, limit)
+    .map(({ _id, name }) => ({ _id, name, highlight: highlight(name, tokenize(q), { prefix: true }) }));
+
+  return { mode: 'autocomplete', q, data: suggestions };
+}
+
+async function fullText({ q, terms, filter, limit, offset, fuzzy }) {
+  const searchTerms = await expandTerms(terms, fuzzy);
+  const match = { ...filter, $text: { $search: searchTerms.join(' ') } };
+
+  // Les promotions sont chargées d’abord : les tranches de prix portent sur le prix effectif affiché
+  const rules = await activeRules();
+  const [result] = await Potion.aggregate([
+    { $match: match },
+    // Une agrégation ignore `select: false` : le stock reste hors des résultats publics
+    { $project: { stock: 0 } },
+    { $addFields: { relevance: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        data: [
+          { $sort: { relevance: -1, _id: 1 } },
+          { $skip: offset },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $unwind: '$categories' },
+          { $group: { _id: '$categories', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_SIZE }
+        ],
+        vendors: [
+          { $group: { _id: '$vendor_id', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_SIZE },
+          { $lookup: { from: Vendor.collection.name, localField: '_id', foreignField: '_id', as: 'vendor' } },
+          { $project: { count: 1, name: { $first: '$vendor.name' } } }
+        ],
+        priceBands: [
+          { $set: { price: effectivePriceExpr(rules) } },
+          { $group: { _id: DIMENSIONS.priceBand.expr({ bands: DEFAULT_PRICE_BANDS }), count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  // Tranches dans l’ordre des bornes
+  const bandOrder = label => (label === null ? Infinity : parseFloat(label));
+  const priceBands = result.priceBands
+    .sort((a, b) => bandOrder(a._id) - bandOrder(b._id))
+    .map(b => ({ band: b._id, count: b.count }));
+
+  return {
+    mode: 'full',
+    q,
+    terms: searchTerms,
+    data: result.data.map(potion => ({
+      ...priced(Potion.hydrate(potion), rules),
+      relevance: potion.relevance,
+      highlight: highlightPotion(potion, searchTerms)
+    })),
+    facets: {
+      categories: result.categories.map(c => ({ value: c._id, count: c.count })),
+      vendors: result.vendors.map(v => ({ _id: v._id, name: v.name ?? null, count: v.count })),
+      priceBands
+    },
+    paging: { limit, offset, total: result.total[0]?.count ?? 0 }
+  };
+}
+
+async function searchPotions(query) {
+  const parsed = parseSearchQuery(query);
+  return parsed.mode === 'autocomplete' ? autocomplete(parsed) : fullText(parsed);
+}
+
+module.exports = { searchPotions, parseSearchQuery, expandTerms, highlight, foldAccents, editDistance, prefixRegex };
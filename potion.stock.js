@@ -0,0 +1,210 @@
+const Potion = require('./potion.model');
+const StockMovement = require('./stock-movement.model');
+const { MOVEMENT_TYPES } = StockMovement;
+const { ValidationFailedError, NotFoundError, ConflictError } = require('./errors');
+const { managedPotionsFilter } = require('./roles');
+const { logger } = require('./logger');
+
+/**
+ * Inventaire des potions. Toute variation de `stock.onHand` passe par applyMovement :
+ * le contrôle du disponible et le $inc forment une seule opération MongoDB, si bien que
+ * deux ventes simultanées ne peuvent pas faire passer le stock sous zéro.
+ * Le stock ne fait pas partie de la représentation publique d’une potion (select: false)
+ * et ne modifie ni `updatedAt` ni l’ETag.
+ */
+
+const DEFAULT_LOW_STOCK_LIMIT = 100;
+const MAX_LOW_STOCK_LIMIT = 1000;
+
+// Les sorties diminuent onHand ; adjustment porte son propre signe
+const OUTGOING_TYPES = ['sale', 'spoilage'];
+
+// Unités vendables : en stock moins réservées (les potions créées avant l’inventaire n’ont pas de stock)
+const AVAILABLE = {
+  $subtract: [{ $ifNull: ['$stock.onHand', 0] }, { $ifNull: ['$stock.reserved', 0] }]
+};
+
+function fieldError(path, value, msg, params, location = 'body') {
+  return { type: 'field', value, msg, params, path, location };
+}
+
+// Vue du stock renvoyée par l’API
+function stockView(potion) {
+  const { onHand = 0, reserved = 0, reorderThreshold = 0 } = potion.stock || {};
+  const available = onHand - reserved;
+  return {
+    potion: potion._id,
+    onHand,
+    reserved,
+    available,
+    reorderThreshold,
+    lowStock: reorderThreshold > 0 && available <= reorderThreshold
+  };
+}
+
+async function findStock(potionId) {
+  const potion = await Potion.findById(potionId).select('+stock');
+  if (!potion) throw new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+  return potion;
+}
+
+/**
+ * Corps d’un mouvement -> { type, delta, note }.
+ * `quantity` est un entier positif pour restock, sale et spoilage (le sens découle du type),
+ * un entier signé non nul pour adjustment.
+ */
+function parseMovement(body = {}) {
+  const { type, quantity, note } = body;
+  const errors = [];
+  if (!MOVEMENT_TYPES.includes(type)) {
+    errors.push(fieldError('type', type, 'Type de mouvement inconnu (autorisés : {allowed})', { allowed: MOVEMENT_TYPES.join(', ') }));
+  }
+  const signed = type === 'adjustment';
+  if (!Number.isSafeInteger(quantity) || quantity === 0 || (!signed && quantity < 0)) {
+    errors.push(fieldError('quantity', quantity, signed
+      ? 'La quantité doit être un entier non nul.'
+      : 'La quantité doit être un entier positif.'));
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    errors.push(fieldError('note', note, 'La note doit être une chaîne de caractères.'));
+  }
+  if (errors.length) throw new ValidationFailedError(errors);
+  return { type, delta: OUTGOING_TYPES.includes(type) ? -quantity : quantity, note: note ?? undefined };
+}
+
+/**
+ * Applique un mouvement à une potion (hors corbeille) et l’inscrit au journal.
+ * Une diminution n’est appliquée que si assez d’unités sont disponibles : 409 insufficient-stock sinon.
+ * Avec fromReserved (expédition d’une commande), les unités sortent du stock réservé,
+ * y compris pour une potion passée entre-temps à la corbeille.
+ * ctx : contexte d’audit (auditContext) ; renvoie { movement, stock }.
+ */
+async function applyMovement(potionId, { type, delta, note, order }, ctx = {}, { fromReserved = false } = {}) {
+  // Entrée validée avant de toucher au stock ; onHandAfter est connu après la mise à jour
+  const movement = new StockMovement({
+    potion: potionId, type, quantity: delta, onHandAfter: 0, note, order, actor: ctx.actor
+  });
+  await movement.validate();
+
+  const filter = { _id: potionId };
+  const inc = { 'stock.onHand': delta };
+  if (fromReserved) {
+    filter['stock.reserved'] = { $gte: -delta };
+    inc['stock.reserved'] = delta;
+  } else if (delta < 0) {
+    filter.$expr = { $gte: [AVAILABLE, -delta] };
+  }
+  const update = Potion.findOneAndUpdate(filter, { $inc: inc }, { new: true, timestamps: false }).select('+stock');
+  const potion = await (fromReserved ? update.withDeleted() : update);
+  if (!potion) {
+    const { available } = stockView(await findStock(potionId));
+    throw new ConflictError('Stock insuffisant : {available} unité(s) disponible(s).', {
+      code: 'insufficient-stock', params: { available }, extensions: { available }
+    });
+  }
+
+  movement.onHandAfter = potion.stock.onHand;
+  try {
+    await movement.save();
+  } catch (err) {
+    // Le journal fait foi : un mouvement non inscrit est annulé
+    const undo = Object.fromEntries(Object.entries(inc).map(([path, value]) => [path, -value]));
+    await Potion.updateOne({ _id: potionId }, { $inc: undo }, { timestamps: false }).withDeleted()
+      .catch(undoErr => logger.error('annulation du mouvement de stock impossible', { potion: String(potionId), delta, err: undoErr }));
+    throw err;
+  }
+  return { movement, stock: stockView(potion) };
+}
+
+/**
+ * Réserve les unités de chaque ligne ({ potion, name, quantity }) pour une commande, dans la
+ * transaction `session` : si une potion manque de stock (409 insufficient-stock), l’erreur annule
+ * la transaction et avec elle les réservations déjà faites.
+ */
+async function reserveStock(lines, { session } = {}) {
+  for (const line of lines) {
+    const potion = await Potion.findOneAndUpdate(
+      { _id: line.potion, $expr: { $gte: [AVAILABLE, line.quantity] } },
+      { $inc: { 'stock.reserved': line.quantity } },
+      { timestamps: false, session }
+    );
+    if (!potion) {
+      const current = await Potion.findById(line.potion).select('+stock').session(session);
+      const available = current ? stockView(current).available : 0;
+      throw new ConflictError('Stock insuffisant pour {name} : {available} unité(s) disponible(s).', {
+        code: 'insufficient-stock', params: { name: line.name, available }, extensions: { potion: line.potion, available }
+      });
+    }
+  }
+}
+
+// Libère les unités réservées (annulation, remboursement avant expédition), dans la transaction `session` s’il y en a une
+async function releaseStock(lines, { session } = {}) {
+  for (const line of lines) {
+    await Potion.updateOne(
+      { _id: line.potion, 'stock.reserved': { $gte: line.quantity } },
+      { $inc: { 'stock.reserved': -line.quantity } },
+      { timestamps: false, session }
+    ).withDeleted();
+  }
+}
+
+// Expédition : les unités réservées sortent du stock, une vente par ligne au journal
+async function commitStock(lines, order, ctx) {
+  for (const line of lines) {
+    await applyMovement(line.potion, { type: 'sale', delta: -line.quantity, order }, ctx, { fromReserved: true });
+  }
+}
+
+// Seuil de réapprovisionnement (0 : pas d’alerte)
+async function setReorderThreshold(potionId, value) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new ValidationFailedError([
+      fieldError('reorderThreshold', value, 'Le seuil de réapprovisionnement doit être un entier positif ou nul.')
+    ]);
+  }
+  const potion = await Potion.findOneAndUpdate(
+    { _id: potionId },
+    { $set: { 'stock.reorderThreshold': value } },
+    { new: true, timestamps: false }
+  ).select('+stock');
+  if (!potion) throw new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+  return stockView(potion);
+}
+
+function parseLowStockLimit(raw) {
+  if (raw === undefined) return DEFAULT_LOW_STOCK_LIMIT;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOW_STOCK_LIMIT) {
+    throw new ValidationFailedError([fieldError('limit', raw, 'limit doit être un entier entre 1 et {max}', { max: MAX_LOW_STOCK_LIMIT }, 'query')]);
+  }
+  return limit;
+}
+
+/**
+ * Potions dont le disponible est au plus le seuil de réapprovisionnement, parmi celles
+ * gérées par l’utilisateur ; les plus gros manques d’abord.
+ */
+async function lowStock(user, { limit = DEFAULT_LOW_STOCK_LIMIT } = {}) {
+  const match = {
+    'stock.reorderThreshold': { $gt: 0 },
+    $expr: { $lte: [AVAILABLE, '$stock.reorderThreshold'] }
+  };
+  const mine = managedPotionsFilter(user);
+  if (mine) Object.assign(match, mine);
+
+  const data = await Potion.aggregate([
+    { $match: match },
+    { $set: { available: AVAILABLE } },
+    { $set: { shortfall: { $subtract: ['$stock.reorderThreshold', '$available'] } } },
+    { $sort: { shortfall: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { name: 1, vendor_id: 1, price: 1, stock: 1, available: 1, shortfall: 1 } }
+  ]);
+  return { count: data.length, data };
+}
+
+module.exports = {
+  AVAILABLE, stockView, findStock, parseMovement, applyMovement, reserveStock, releaseStock, commitStock,
+  setReorderThreshold, parseLowStockLimit, lowStock
+};
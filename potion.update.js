@@ -0,0 +1,52 @@
+const Potion = require('./potion.model');
+const { hasPermission } = require('./roles');
+const { applyMergePatch, applyJsonPatch, PatchError } = require('./json-patch');
+
+/**
+ * Modifications d’une potion existante : remplacement complet (PUT), JSON Merge Patch
+ * et JSON Patch (PATCH). Les patchs s’appliquent à la représentation JSON de la potion,
+ * puis le résultat la remplace ; les champs gérés par l’API y sont ignorés.
+ */
+
+// Gérés par l’API (en plus des champs calculés et de corbeille, voir Potion.writableFields)
+const MANAGED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+// Conservé lorsqu’il est absent d’un remplacement
+const KEPT_FIELDS = ['owner'];
+
+// Champs qu’un utilisateur peut modifier (vendor_id et owner : administrateurs uniquement)
+function updatableFields(body, user) {
+  const fields = Potion.writableFields(body);
+  const locked = hasPermission(user.role, 'potions:manage-all') ? MANAGED_FIELDS : [...MANAGED_FIELDS, 'vendor_id', 'owner'];
+  for (const key of Object.keys(fields)) {
+    if (locked.includes(key.split('.')[0])) delete fields[key];
+  }
+  return fields;
+}
+
+// État JSON de la potion, tel que renvoyé par l’API (sans relations chargées)
+function representation(potion) {
+  return JSON.parse(JSON.stringify(potion.toObject({ depopulate: true, virtuals: false })));
+}
+
+// Remplacement complet : un champ modifiable absent du corps est retiré
+function replacePotion(potion, body, user) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new PatchError([{ type: 'field', value: body, msg: 'La potion doit être un objet JSON', path: '', location: 'body' }]);
+  }
+  const fields = updatableFields(body, user);
+  for (const key of Object.keys(updatableFields(potion.toObject(), user))) {
+    if (!(key in fields) && !KEPT_FIELDS.includes(key)) fields[key] = undefined;
+  }
+  potion.set(fields);
+}
+
+function mergePatchPotion(potion, patch, user) {
+  replacePotion(potion, applyMergePatch(representation(potion), patch), user);
+}
+
+function jsonPatchPotion(potion, operations, user) {
+  replacePotion(potion, applyJsonPatch(representation(potion), operations), user);
+}
+
+module.exports = { updatableFields, replacePotion, mergePatchPotion, jsonPatchPotion };
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const PRICE_CHANGE_STATUSES = ['scheduled', 'applied', 'cancelled', 'superseded'];
+const PRICE_CHANGE_SOURCES = ['create', 'update', 'import', 'revert', 'schedule'];
+
+/**
+ * Historique des prix d’une potion : chaque entrée garde le prix, sa date d’effet et son auteur.
+ * Un changement programmé reste `scheduled` jusqu’à sa date d’effet, puis devient `applied`
+ * (ou `superseded` si un prix plus récent a été enregistré entre-temps) ; il peut être annulé avant.
+ */
+const priceChangeSchema = new mongoose.Schema({
+  potion: { type: mongoose.Schema.Types.ObjectId, ref: 'potion', required: true },
+  price: {
+    type: Number,
+    required: [true, 'Le prix est requis.'],
+    min: [0, 'Le prix ne peut pas être négatif.']
+  },
+  // Prix remplacé (absent pour la création de la potion et les changements encore programmés)
+  previousPrice: Number,
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'La date d’effet est requise.']
+  },
+  status: {
+    type: String,
+    enum: PRICE_CHANGE_STATUSES,
+    default: 'applied'
+  },
+  source: {
+    type: String,
+    enum: PRICE_CHANGE_SOURCES,
+    required: true
+  },
+  // Même forme que l’auteur d’une entrée d’audit ; absent pour les tâches système
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    role: String,
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }
+  }
+}, { timestamps: true });
+
+priceChangeSchema.index({ potion: 1, effectiveFrom: -1 });
+// Changements programmés arrivés à échéance (potion.pricing.js)
+priceChangeSchema.index({ effectiveFrom: 1 }, { partialFilterExpression: { status: 'scheduled' } });
+
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+
+module.exports = PriceChange;
+module.exports.PRICE_CHANGE_STATUSES = PRICE_CHANGE_STATUSES;
+module.exports.PRICE_CHANGE_SOURCES = PRICE_CHANGE_SOURCES;
@@ -0,0 +1,216 @@
+const express = require('express');
+const Potion = require('./potion.model');
+const PriceChange = require('./price-change.model');
+const authMiddleware = require('./middleware');
+const { requirePermission } = authMiddleware;
+const { canManagePotion } = require('./roles');
+const { parseListQuery, findPage, pageLinkBuilder } = require('./potion.query');
+const { NotFoundError, ForbiddenError, assertObjectId } = require('./errors');
+const { auditContext } = require('./audit');
+const { parseScheduledPrice, schedulePriceChange, cancelScheduledPrice } = require('./potion.pricing');
+
+// Monté sur /potions/:id/price-history : req.params.id est l’ID de la potion
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware, requirePermission('potions:update'), async (req, res, next) => {
+  assertObjectId(req.params.id, 'Potion non trouvée', { code: 'potion-not-found' });
+  // L’historique reste consultable pour une potion de la corbeille
+  const potion = await Potion.findById(req.params.id).withDeleted();
+  if (!potion) throw new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+  if (!canManagePotion(req.user, potion)) {
+    throw new ForbiddenError('Cette potion appartient à un autre vendeur.', { code: 'potion-not-owned' });
+  }
+  req.potion = potion;
+  next();
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceChange:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         potion:
+ *           type: string
+ *         price:
+ *           type: number
+ *           example: 15
+ *         previousPrice:
+ *           type: number
+ *           description: Prix remplacé (absent à la création de la potion et pour un changement encore programmé)
+ *           example: 12
+ *         effectiveFrom:
+ *           type: string
+ *           format: date-time
+ *           description: Date d’effet du prix
+ *         status:
+ *           type: string
+ *           enum: [scheduled, applied, cancelled, superseded]
+ *           description: "`superseded` : un prix enregistré après la date d’effet l’a emporté"
+ *         source:
+ *           type: string
+ *           enum: [create, update, import, revert, schedule]
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             role:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /potions/{id}/price-history:
+ *   get:
+ *     summary: Historique des prix d’une potion
+ *     description: |
+ *       Rôles : `admin`, `vendor` (ses propres potions). Prix successifs avec leur date d’effet et
+ *       leur auteur, les plus récents d’abord, changements programmés compris ; filtres
+ *       (ex. `status=scheduled`) et pagination par curseur comme `GET /potions`.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page de l’historique des prix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceChange'
+ *                 paging:
+ *                   type: object
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.get('/', async (req, res) => {
+  const query = { sort: '-effectiveFrom', ...req.query };
+  const parsed = parseListQuery(query, PriceChange);
+  parsed.filter = { ...parsed.filter, potion: req.potion._id };
+
+  res.json(await findPage(PriceChange, parsed, pageLinkBuilder(req, query)));
+});
+
+/**
+ * @swagger
+ * /potions/{id}/price-history:
+ *   post:
+ *     summary: Programmer un changement de prix
+ *     description: |
+ *       Rôles : `admin`, `vendor` (ses propres potions). Le prix de base prend la valeur `price`
+ *       à la date `effectiveFrom` (future), sauf si un autre prix est enregistré après cette date.
+ *       Un changement immédiat se fait avec `PATCH /potions/{id}`.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *               - effectiveFrom
+ *             properties:
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 18
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 example: '2026-12-01T00:00:00Z'
+ *     responses:
+ *       201:
+ *         description: Changement programmé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceChange'
+ *       400:
+ *         description: Prix invalide ou date d’effet passée
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.post('/', async (req, res) => {
+  const change = await schedulePriceChange(req.potion, parseScheduledPrice(req.body), auditContext(req));
+  res.status(201).json(change);
+});
+
+/**
+ * @swagger
+ * /potions/{id}/price-history/{changeId}:
+ *   delete:
+ *     summary: Annuler un changement de prix programmé
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: changeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Changement annulé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceChange'
+ *       404:
+ *         description: Changement de prix non trouvé
+ *       409:
+ *         description: Changement déjà appliqué ou annulé (`price-change-not-scheduled`)
+ */
+router.delete('/:changeId', async (req, res) => {
+  res.json(await cancelScheduledPrice(req.potion, req.params.changeId));
+});
+
+module.exports = router;
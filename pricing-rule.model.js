@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { normalizeCategory } = require('./potion.model');
+
+const DISCOUNT_KINDS = ['percentage', 'fixed'];
+
+/**
+ * Promotion : remise en pourcentage ou en montant fixe, appliquée au prix des potions
+ * ciblées (catégories et/ou vendeurs ; aucune cible : toutes les potions) pendant une fenêtre
+ * de dates optionnelle. Les remises ne se cumulent pas : la plus avantageuse l’emporte
+ * (voir potion.pricing.js).
+ */
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom de la promotion est requis.'],
+    trim: true,
+    minlength: [2, 'Le nom doit faire au moins 2 caractères.'],
+    maxlength: [100, 'Le nom ne doit pas dépasser 100 caractères.']
+  },
+  kind: {
+    type: String,
+    required: [true, 'Le type de remise est requis.'],
+    enum: { values: DISCOUNT_KINDS, message: 'Type de remise inconnu : {VALUE}.' }
+  },
+  // Pourcentage (0 à 100) ou montant retiré du prix
+  value: {
+    type: Number,
+    required: [true, 'Le montant de la remise est requis.'],
+    validate: {
+      validator(value) {
+        return value > 0 && (this.kind !== 'percentage' || value <= 100);
+      },
+      message: 'La remise doit être positive (100 % au plus).'
+    }
+  },
+  // La potion doit avoir une de ces catégories (vide : toutes)
+  categories: {
+    type: [{ type: String, set: normalizeCategory }],
+    default: [],
+    set: list => (Array.isArray(list) ? [...new Set(list.map(normalizeCategory))] : list)
+  },
+  // La potion doit appartenir à un de ces vendeurs (vide : tous)
+  vendors: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' }],
+    default: []
+  },
+  startsAt: Date,
+  endsAt: {
+    type: Date,
+    validate: {
+      validator(value) {
+        return value == null || this.startsAt == null || value > this.startsAt;
+      },
+      message: 'La fin de la promotion doit suivre son début.'
+    }
+  },
+  // Utilisateur ayant créé la promotion
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+pricingRuleSchema.index({ startsAt: 1, endsAt: 1 });
+
+/**
+ * Promotions en cours à l’instant `now` (fenêtre ouverte ou bornée autour de now),
+ * dans un ordre stable pour départager deux remises égales.
+ */
+pricingRuleSchema.statics.activeAt = function (now = new Date()) {
+  return this.find({
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    ]
+  }).sort({ _id: 1 }).lean();
+};
+
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+
+module.exports = PricingRule;
+module.exports.DISCOUNT_KINDS = DISCOUNT_KINDS;
@@ -0,0 +1,305 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Pricing
+ *   description: Promotions appliquées au prix des potions
+ */
+
+const express = require('express');
+const PricingRule = require('./pricing-rule.model');
+const authMiddleware = require('./middleware');
+const { requirePermission } = authMiddleware;
+const { hasPermission } = require('./roles');
+const { parseListQuery, findPage, pageLinkBuilder } = require('./potion.query');
+const { NotFoundError, ForbiddenError, assertObjectId } = require('./errors');
+
+// Promotions : admin (toutes), vendeur (celles limitées à son vendeur)
+const router = express.Router();
+router.use(authMiddleware, requirePermission('pricing:manage'));
+
+// Un vendeur ne gère que des promotions ciblant son seul vendor_id
+function vendorScope(user) {
+  if (hasPermission(user.role, 'pricing:manage-all')) return null;
+  if (!user.vendor_id) {
+    throw new ForbiddenError('Un compte vendeur doit être rattaché à un vendeur pour gérer des promotions.', { code: 'vendor-required' });
+  }
+  return [user.vendor_id];
+}
+
+function canManageRule(user, rule) {
+  const scope = vendorScope(user);
+  return !scope || (rule.vendors.length === 1 && String(rule.vendors[0]) === String(scope[0]));
+}
+
+async function findRule(req) {
+  assertObjectId(req.params.id, 'Promotion non trouvée', { code: 'pricing-rule-not-found' });
+  const rule = await PricingRule.findById(req.params.id);
+  if (!rule) throw new NotFoundError('Promotion non trouvée', { code: 'pricing-rule-not-found' });
+  if (!canManageRule(req.user, rule)) {
+    throw new ForbiddenError('Cette promotion appartient à un autre vendeur.', { code: 'pricing-rule-not-owned' });
+  }
+  return rule;
+}
+
+// Champs modifiables par le client (les vendeurs ciblés sont imposés pour un vendeur)
+function ruleFields(body, user) {
+  const fields = {};
+  for (const key of ['name', 'kind', 'value', 'categories', 'startsAt', 'endsAt']) {
+    if (body?.[key] !== undefined) fields[key] = body[key];
+  }
+  const scope = vendorScope(user);
+  if (scope) fields.vendors = scope;
+  else if (body?.vendors !== undefined) fields.vendors = body.vendors;
+  return fields;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PricingRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - kind
+ *         - value
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Soldes d’hiver
+ *         kind:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *           description: "Remise en pourcentage du prix de base ou montant retiré"
+ *         value:
+ *           type: number
+ *           description: Pourcentage (100 au plus) ou montant, strictement positif
+ *           example: 20
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: La potion doit avoir une de ces catégories (vide ou absent pour toutes)
+ *           example: [soin]
+ *         vendors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: La potion doit appartenir à un de ces vendeurs (imposé pour un vendeur)
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Début de la promotion (absent pour immédiat)
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fin de la promotion, exclue (absent pour sans fin)
+ *         owner:
+ *           type: string
+ *           readOnly: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /pricing-rules:
+ *   get:
+ *     summary: Lister les promotions
+ *     description: |
+ *       Rôles : `admin` (toutes), `vendor` (celles de son vendeur). Filtres (ex. `kind=fixed`,
+ *       `endsAt[gte]=2026-01-01`) et pagination par curseur comme `GET /potions` ; les plus récentes d’abord.
+ *     tags: [Pricing]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Page de promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PricingRule'
+ *                 paging:
+ *                   type: object
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       403:
+ *         description: Rôle insuffisant
+ */
+router.get('/', async (req, res) => {
+  const query = { sort: '-createdAt', ...req.query };
+  const parsed = parseListQuery(query, PricingRule);
+  const scope = vendorScope(req.user);
+  if (scope) parsed.filter = { ...parsed.filter, vendors: scope };
+
+  res.json(await findPage(PricingRule, parsed, pageLinkBuilder(req, query)));
+});
+
+/**
+ * @swagger
+ * /pricing-rules:
+ *   post:
+ *     summary: Créer une promotion
+ *     description: |
+ *       Rôles : `admin`, `vendor` (la promotion ne cible alors que ses potions). Les remises ne se
+ *       cumulent pas : chaque potion prend la plus avantageuse des promotions en cours qui la ciblent.
+ *     tags: [Pricing]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRule'
+ *     responses:
+ *       201:
+ *         description: Promotion créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PricingRule'
+ *       400:
+ *         description: Erreur de validation, détaillée champ par champ
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Rôle insuffisant ou compte vendeur sans vendeur
+ */
+router.post('/', async (req, res) => {
+  const rule = await PricingRule.create({ ...ruleFields(req.body, req.user), owner: req.user.id });
+  res.status(201).location(`${req.baseUrl}/${rule._id}`).json(rule);
+});
+
+/**
+ * @swagger
+ * /pricing-rules/{id}:
+ *   get:
+ *     summary: Consulter une promotion
+ *     tags: [Pricing]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PricingRule'
+ *       403:
+ *         description: Promotion d’un autre vendeur
+ *       404:
+ *         description: Promotion non trouvée
+ */
+router.get('/:id', async (req, res) => {
+  res.json(await findRule(req));
+});
+
+/**
+ * @swagger
+ * /pricing-rules/{id}:
+ *   patch:
+ *     summary: Modifier une promotion
+ *     description: Les champs envoyés sont modifiés, les autres conservés ; `null` retire une date.
+ *     tags: [Pricing]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRule'
+ *     responses:
+ *       200:
+ *         description: Promotion modifiée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PricingRule'
+ *       400:
+ *         description: Erreur de validation, détaillée champ par champ
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Promotion d’un autre vendeur
+ *       404:
+ *         description: Promotion non trouvée
+ */
+router.patch('/:id', async (req, res) => {
+  const rule = await findRule(req);
+  rule.set(ruleFields(req.body, req.user));
+  // La remise dépend du type, la fin du début : revalidées si l’autre change
+  if (rule.isModified('kind')) rule.markModified('value');
+  if (rule.isModified('startsAt')) rule.markModified('endsAt');
+  await rule.save();
+  res.json(rule);
+});
+
+/**
+ * @swagger
+ * /pricing-rules/{id}:
+ *   delete:
+ *     summary: Supprimer une promotion
+ *     description: Les prix effectifs n’en tiennent plus compte dès la suppression ; les commandes passées gardent leur prix.
+ *     tags: [Pricing]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion supprimée
+ *       403:
+ *         description: Promotion d’un autre vendeur
+ *       404:
+ *         description: Promotion non trouvée
+ */
+router.delete('/:id', async (req, res) => {
+  const rule = await findRule(req);
+  await rule.deleteOne();
+  res.json({ message: req.t('Promotion supprimée') });
+});
+
+module.exports = router;
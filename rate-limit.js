@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { config } = require('./config');
+const { AppError } = require('./errors');
+
+/**
+ * Limitation de débit par fenêtre fixe.
+ * Un store expose `increment(key, windowMs)` -> { count, resetAt } et `reset(key)`.
+ *   - MemoryStore : une seule instance de l’API
+ *   - MongoStore  : compteurs partagés entre plusieurs instances (collection ratelimits)
+ * RATE_LIMIT_STORE=memory (défaut) | mongo choisit le store par défaut.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    // Nettoyage périodique des fenêtres expirées (unref : ne bloque pas l’arrêt du process)
+    this.timer = setInterval(() => this.prune(), 60 * 1000);
+    this.timer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count++;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+const rateLimitSchema = new mongoose.Schema({
+  _id: String,
+  count: Number,
+  resetAt: Date
+}, { versionKey: false });
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+class MongoStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+    const stillOpen = { $gt: ['$resetAt', now] };
+    // Mise à jour atomique : incrémente dans la fenêtre courante, sinon en ouvre une nouvelle
+    const doc = await RateLimit.collection.findOneAndUpdate(
+      { _id: key },
+      [{
+        $set: {
+          count: { $cond: [stillOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [stillOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+    return { count: doc.count, resetAt: doc.resetAt };
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ _id: key });
+  }
+}
+
+const stores = { memory: MemoryStore, mongo: MongoStore };
+let defaultStore;
+function getDefaultStore() {
+  if (!defaultStore) defaultStore = new stores[config.rateLimit.store]();
+  return defaultStore;
+}
+
+// Politiques par routeur (seuils lus par config.js, surchargeables par variables d’environnement)
+const limits = config.rateLimit;
+
+// Écritures seules : les lectures d’un routeur ne consomment pas son compteur
+function writePolicy(name, { windowMs, max }) {
+  return { name, windowMs, max, skip: req => ['GET', 'HEAD', 'OPTIONS'].includes(req.method) };
+}
+
+const policies = {
+  auth: {
+    name: 'auth',
+    windowMs: limits.auth.windowMs,
+    max: limits.auth.max
+  },
+  login: {
+    name: 'login',
+    windowMs: limits.login.windowMs,
+    max: limits.login.max
+  },
+  loginAccount: {
+    name: 'login-account',
+    windowMs: limits.login.windowMs,
+    max: limits.login.accountMax,
+    keyGenerator: req => (typeof req.body?.name === 'string' ? req.body.name.trim().toLowerCase() : null)
+  },
+  potionWrites: writePolicy('potions-write', limits.potions),
+  vendorWrites: writePolicy('vendors-write', limits.vendors),
+  orderWrites: writePolicy('orders-write', limits.orders),
+  pricingWrites: writePolicy('pricing-write', limits.pricing),
+  analytics: {
+    name: 'analytics',
+    windowMs: limits.analytics.windowMs,
+    max: limits.analytics.max,
+    // Une clé d’API a son propre compteur, indépendant de l’adresse IP
+    keyGenerator: req => (req.apiKey ? `api-key:${req.apiKey._id}` : req.ip)
+  }
+};
+
+// Erreur 429 avec Retry-After (en secondes jusqu’à resetAt)
+function tooManyRequests(resetAt, message, code = 'too-many-requests') {
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  return new AppError(429, code, message, { headers: { 'Retry-After': String(retryAfter) }, extensions: { retryAfter } });
+}
+
+/**
+ * Middleware de limitation. Par défaut la clé est l’adresse IP ;
+ * un keyGenerator renvoyant null désactive la limite pour la requête.
+ */
+function rateLimit({
+  name,
+  windowMs,
+  max,
+  store = getDefaultStore(),
+  keyGenerator = req => req.ip,
+  skip = () => false,
+  message = 'Trop de requêtes, veuillez réessayer plus tard.'
+}) {
+  return async (req, res, next) => {
+    // createApp({ rateLimit: false }) : limites désactivées (tests)
+    if (req.app.locals.rateLimit === false || skip(req)) return next();
+    const key = keyGenerator(req);
+    if (key == null) return next();
+
+    const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt.getTime() - Date.now()) / 1000))));
+
+    if (count > max) return next(tooManyRequests(resetAt, message));
+    next();
+  };
+}
+
+module.exports = { rateLimit, policies, MemoryStore, MongoStore, tooManyRequests };
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Potion = require('./potion.model');
+
+const reviewSchema = new mongoose.Schema({
+  potion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'potion',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: [true, 'Le score est requis.'],
+    min: [0, 'Le score doit être compris entre 0 et 5.'],
+    max: [5, 'Le score doit être compris entre 0 et 5.']
+  },
+  ratings: {
+    strength: {
+      type: Number,
+      min: [0, 'La force doit être comprise entre 0 et 10.'],
+      max: [10, 'La force doit être comprise entre 0 et 10.']
+    },
+    flavor: {
+      type: Number,
+      min: [0, 'L’arôme doit être compris entre 0 et 10.'],
+      max: [10, 'L’arôme doit être compris entre 0 et 10.']
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Le commentaire ne doit pas dépasser 2000 caractères.']
+  }
+}, {
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Un seul avis par utilisateur et par potion
+reviewSchema.index({ potion: 1, user: 1 }, { unique: true });
+reviewSchema.index({ potion: 1, createdAt: -1 });
+
+// Auteur de l’avis, chargé à la demande (?expand=author) sans exposer le reste du compte
+reviewSchema.virtual('author', {
+  ref: 'User',
+  localField: 'user',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+/**
+ * Recalcule les agrégats d’une potion (score, ratings, reviewCount) à partir de ses avis.
+ * Sans avis, le score et les notes sont retirés.
+ * Lecture des avis et écriture de la potion forment une transaction : de deux recalculs simultanés,
+ * celui qui a lu les avis avant l’autre échoue sur un conflit d’écriture et recommence avec les avis à jour.
+ */
+reviewSchema.statics.recompute = function (potionId) {
+  return mongoose.connection.transaction(async session => {
+    const [stats] = await this.aggregate([
+      { $match: { potion: new mongoose.Types.ObjectId(String(potionId)) } },
+      {
+        $group: {
+          _id: null,
+          reviewCount: { $sum: 1 },
+          score: { $avg: '$score' },
+          strength: { $avg: '$ratings.strength' },
+          flavor: { $avg: '$ratings.flavor' }
+        }
+      }
+    ]).session(session);
+
+    const update = stats
+      ? {
+        $set: {
+          reviewCount: stats.reviewCount,
+          score: stats.score,
+          'ratings.strength': stats.strength,
+          'ratings.flavor': stats.flavor
+        }
+      }
+      : { $set: { reviewCount: 0 }, $unset: { score: 1, ratings: 1 } };
+    // timestamps: false : un nouvel avis ne modifie pas la fiche de la potion elle-même
+    await Potion.updateOne({ _id: potionId }, update, { timestamps: false, session });
+  });
+};
+
+// Supprime tous les avis d’un utilisateur et met à jour les potions concernées
+reviewSchema.statics.removeForUser = async function (userId) {
+  const potions = await this.distinct('potion', { user: userId });
+  await this.deleteMany({ user: userId });
+  for (const potionId of potions) await this.recompute(potionId);
+  return potions.length;
+};
+
+// Toute écriture d’avis met à jour les agrégats de la potion
+reviewSchema.post('save', async function () {
+  await this.constructor.recompute(this.potion);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function () {
+  await this.constructor.recompute(this.potion);
+});
+
+reviewSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  this.setOptions({ runValidators: true, context: 'query' });
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,337 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Avis des utilisateurs sur les potions
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Potion = require('./potion.model');
+const Review = require('./review.model');
+const authMiddleware = require('./middleware');
+const { requireSession } = authMiddleware;
+const { hasPermission } = require('./roles');
+const { parseListQuery, findPage, pageLinkBuilder } = require('./potion.query');
+const { NotFoundError, ForbiddenError, ConflictError } = require('./errors');
+
+// Monté sur /potions/:id/reviews : req.params.id est l’ID de la potion
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       required:
+ *         - score
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *           example: 66a1f0c2b4d5e6f7a8b9c0d1
+ *         potion:
+ *           type: string
+ *           readOnly: true
+ *           example: 660bcf5fca6e9f06b8a2eecd
+ *         user:
+ *           type: string
+ *           readOnly: true
+ *           example: 6437b61e5db11573cfe933b0
+ *         author:
+ *           type: object
+ *           readOnly: true
+ *           description: Auteur de l’avis, présent uniquement avec ?expand=author
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *               example: harrypotter
+ *         score:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *           example: 4
+ *         ratings:
+ *           type: object
+ *           properties:
+ *             strength:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 10
+ *               example: 7
+ *             flavor:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 10
+ *               example: 5
+ *         comment:
+ *           type: string
+ *           maxLength: 2000
+ *           example: Efficace, mais un arrière-goût de soufre.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+
+// Champs modifiables par l’auteur de l’avis
+function reviewFields(body) {
+  const fields = {};
+  for (const key of ['score', 'ratings', 'comment']) {
+    if (body?.[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+async function findPotion(id) {
+  const potion = mongoose.isValidObjectId(id) ? await Potion.findById(id).select('_id') : null;
+  if (!potion) throw new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+  return potion;
+}
+
+async function findReview(req) {
+  const review = mongoose.isValidObjectId(req.params.id) && mongoose.isValidObjectId(req.params.reviewId)
+    ? await Review.findOne({ _id: req.params.reviewId, potion: req.params.id })
+    : null;
+  if (!review) throw new NotFoundError('Avis non trouvé', { code: 'review-not-found' });
+  return review;
+}
+
+/**
+ * @swagger
+ * /potions/{id}/reviews:
+ *   get:
+ *     summary: Lister les avis d’une potion (pagination par curseur)
+ *     description: |
+ *       Même grammaire que `GET /potions` pour les filtres (ex. `score[gte]=4`), `sort`, `limit` et `cursor`.
+ *       Tri par défaut : les plus récents d’abord.
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la potion
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         example: -score
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           enum: [author]
+ *         description: Inclure le nom de l’auteur (`author`)
+ *     responses:
+ *       200:
+ *         description: Page d’avis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 paging:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     next:
+ *                       type: string
+ *                       nullable: true
+ *                     prev:
+ *                       type: string
+ *                       nullable: true
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Paramètre de requête invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.get('/', async (req, res) => {
+  const query = { sort: '-createdAt', ...req.query };
+  const parsed = parseListQuery(query, Review);
+
+  const potion = await findPotion(req.params.id);
+  parsed.filter = { ...parsed.filter, potion: potion._id };
+  res.json(await findPage(Review, parsed, pageLinkBuilder(req, query)));
+});
+
+/**
+ * @swagger
+ * /potions/{id}/reviews:
+ *   post:
+ *     summary: Donner son avis sur une potion
+ *     description: |
+ *       Un seul avis par utilisateur et par potion. Le score, les notes et le nombre d’avis
+ *       de la potion sont recalculés.
+ *     tags: [Reviews]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       201:
+ *         description: Avis créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Erreur de validation
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       404:
+ *         description: Potion non trouvée
+ *       409:
+ *         description: Avis déjà donné sur cette potion
+ */
+router.post('/', authMiddleware, requireSession, async (req, res) => {
+  const potion = await findPotion(req.params.id);
+  try {
+    const review = await Review.create({ ...reviewFields(req.body), potion: potion._id, user: req.user.id });
+    res.status(201).json(review);
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ConflictError('Vous avez déjà donné votre avis sur cette potion', { code: 'review-exists', cause: err });
+    }
+    throw err;
+  }
+});
+
+/**
+ * @swagger
+ * /potions/{id}/reviews/{reviewId}:
+ *   patch:
+ *     summary: Modifier son avis
+ *     tags: [Reviews]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       200:
+ *         description: Avis mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Erreur de validation
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Avis d’un autre utilisateur
+ *       404:
+ *         description: Avis non trouvé
+ */
+router.patch('/:reviewId', authMiddleware, requireSession, async (req, res) => {
+  const review = await findReview(req);
+  if (String(review.user) !== String(req.user.id)) {
+    throw new ForbiddenError('Vous ne pouvez modifier que vos propres avis.', { code: 'review-not-owned' });
+  }
+
+  review.set(reviewFields(req.body));
+  await review.save();
+  res.json(review);
+});
+
+/**
+ * @swagger
+ * /potions/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Supprimer un avis
+ *     description: "Rôles : l’auteur de l’avis, ou `admin` (modération)."
+ *     tags: [Reviews]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Avis supprimé
+ *       403:
+ *         description: Avis d’un autre utilisateur
+ *       404:
+ *         description: Avis non trouvé
+ */
+router.delete('/:reviewId', authMiddleware, requireSession, async (req, res) => {
+  const review = await findReview(req);
+  if (String(review.user) !== String(req.user.id) && !hasPermission(req.user.role, 'reviews:moderate')) {
+    throw new ForbiddenError('Vous ne pouvez supprimer que vos propres avis.', { code: 'review-not-owned' });
+  }
+
+  await review.deleteOne();
+  res.json({ message: req.t('Avis supprimé') });
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Rôles utilisateurs, du plus au moins privilégié
+const ROLES = ['admin', 'vendor', 'reader'];
+
+// Permission -> rôles autorisés
+const PERMISSIONS = {
+  'potions:create': ['admin', 'vendor'],
+  'potions:update': ['admin', 'vendor'],
+  'potions:delete': ['admin', 'vendor'],
+  'potions:manage-all': ['admin'],
+  'potions:purge': ['admin'],
+  'stock:manage': ['admin', 'vendor'],
+  'pricing:manage': ['admin', 'vendor'],
+  'pricing:manage-all': ['admin'],
+  'orders:fulfill': ['admin', 'vendor'],
+  'orders:manage-all': ['admin'],
+  'vendors:manage': ['admin'],
+  'reviews:moderate': ['admin'],
+  'audit:read': ['admin'],
+  'users:manage': ['admin']
+};
+
+// Portées des clés d’API ; le rôle du propriétaire de la clé s’applique en plus
+const API_KEY_SCOPES = ['potions:read', 'potions:write', 'analytics:read'];
+
+// Permission -> ressource accessible avec une clé d’API (absente : réservée aux sessions)
+const PERMISSION_RESOURCES = {
+  'potions:create': 'potions',
+  'potions:update': 'potions',
+  'potions:delete': 'potions',
+  'stock:manage': 'potions',
+  'pricing:manage': 'potions'
+};
+
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Portée qu’une clé d’API doit posséder pour exercer une permission :
+ * `<ressource>:read` pour GET / HEAD (corbeille, historique), `<ressource>:write` sinon.
+ * Renvoie null si la permission n’est pas accessible aux clés d’API.
+ */
+function scopeForPermission(permission, method) {
+  const resource = PERMISSION_RESOURCES[permission];
+  if (!resource) return null;
+  return `${resource}:${['GET', 'HEAD'].includes(method) ? 'read' : 'write'}`;
+}
+
+/**
+ * Un admin gère toutes les potions ; un vendeur uniquement celles de son vendor_id
+ * ou celles qu’il a créées.
+ */
+function canManagePotion(user, potion) {
+  if (!user) return false;
+  if (hasPermission(user.role, 'potions:manage-all')) return true;
+  if (user.role !== 'vendor') return false;
+  return (Boolean(user.vendor_id) && potion.vendor_id != null && String(potion.vendor_id) === String(user.vendor_id))
+    || (potion.owner != null && String(potion.owner) === String(user.id));
+}
+
+/**
+ * Filtre MongoDB des potions gérées par l’utilisateur (mêmes règles que canManagePotion),
+ * null pour un admin. Les identifiants sont convertis pour servir aussi dans un $match d’agrégation.
+ */
+function managedPotionsFilter(user) {
+  if (hasPermission(user.role, 'potions:manage-all')) return null;
+  const mine = [{ owner: new mongoose.Types.ObjectId(String(user.id)) }];
+  if (user.role === 'vendor' && user.vendor_id) {
+    mine.push({ vendor_id: new mongoose.Types.ObjectId(String(user.vendor_id)) });
+  }
+  return { $or: mine };
+}
+
+module.exports = {
+  ROLES, PERMISSIONS, API_KEY_SCOPES, hasPermission, scopeForPermission, canManagePotion, managedPotionsFilter
+};
@@ -6,33 +6,145 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Potion = require('./potion.model');
+const Review = require('./review.model');
+const reviews = require('./review.routes');
+const history = require('./history.routes');
+const stock = require('./stock.routes');
+const priceHistory = require('./price-history.routes');
 const authMiddleware = require('./middleware')
+const { requirePermission } = authMiddleware;
+const { canManagePotion, hasPermission, managedPotionsFilter } = require('./roles');
+const { parseListQuery, findPage, pageLinkBuilder, QueryError } = require('./potion.query');
+const { searchPotions } = require('./potion.search');
+const { importPotions, parseImportQuery } = require('./potion.import');
+const { streamExport, parseExportQuery } = require('./potion.export');
+const { hardDeletePotions } = require('./potion.purge');
+const { lowStock, parseLowStockLimit } = require('./potion.stock');
+const { activeRules, priced, pricedTag, effectivePriceExpr, parsePriceBasis, recordPriceChange } = require('./potion.pricing');
+const { auditContext, recordPotionChange } = require('./audit');
+const { updatableFields, replacePotion, mergePatchPotion, jsonPatchPotion } = require('./potion.update');
+const { ifMatch } = require('./etag');
+const { localizeErrors } = require('./i18n');
+const {
+  AppError, ValidationFailedError, NotFoundError, ForbiddenError, ConflictError, PreconditionFailedError, assertObjectId
+} = require('./errors');
+
+router.use('/:id/reviews', reviews);
+router.use('/:id/history', history);
+router.use('/:id/stock', stock);
+router.use('/:id/price-history', priceHistory);
 /**
  * @swagger
  * /potions:
  *   get:
- *     summary: Récupérer toutes les potions
+ *     summary: Récupérer les potions (filtres, tri, projection et pagination par curseur)
+ *     description: |
+ *       Tout champ du schéma Potion peut être filtré avec `champ=valeur` ou `champ[op]=valeur`.
+ *       Opérateurs : `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in`, `nin` (listes séparées par des virgules),
+ *       `all` et `contains` (tableaux de chaînes, ex. `categories[contains]=soin`).
+ *       Exemples : `price[gte]=10&price[lt]=50`, `tryDate[gte]=2025-01-01`, `ratings.strength[gte]=4`.
+ *       Un champ ou un opérateur inconnu renvoie une erreur 400.
  *     tags: [Potions]
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         example: -score,price
+ *         description: Clés de tri séparées par des virgules, préfixées par `-` pour un tri décroissant
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         example: name,price
+ *         description: Champs à retourner
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Nombre de potions par page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Curseur opaque issu des liens `next` / `prev`
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: boolean
+ *         description: Ajoute le nombre total de résultats (`paging.total`)
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           enum: [vendor]
+ *         description: Inclure les détails du vendeur dans chaque potion (`vendor`)
  *     responses:
  *       200:
- *         description: Liste des potions
+ *         description: Page de potions
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Potion'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Potion'
+ *                 paging:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     next:
+ *                       type: string
+ *                       nullable: true
+ *                       example: /potions?sort=-score&cursor=eyJkIjoibmV4dCIsInYiOls0LCI2NjBiY2Y1ZmNhNmU5ZjA2YjhhMmVlY2QiXX0
+ *                     prev:
+ *                       type: string
+ *                       nullable: true
+ *                     total:
+ *                       type: integer
+ *                       example: 42
+ *       400:
+ *         description: Paramètres de requête invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         example: "Champ de filtre inconnu : password"
+ *                       path:
+ *                         type: string
+ *                         example: password
+ *                       location:
+ *                         type: string
+ *                         example: query
  */
 
 router.get('/', async (req, res) => {
-    try {
-      const potions = await Potion.find();
-      res.json(potions);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+    const parsed = parseListQuery(req.query, Potion);
+
+    // Catégories et vendeur déterminent les promotions applicables, même hors de ?fields=
+    const rules = await activeRules();
+    res.json(await findPage(Potion, parsed, pageLinkBuilder(req), {
+      present: json => priced(json, rules),
+      extraFields: parsed.fields?.includes('price') ? ['categories', 'vendor_id'] : []
+    }));
   });
 /**
  * @swagger
@@ -53,13 +165,435 @@ router.get('/', async (req, res) => {
  */
 
   router.get('/names', async (req, res) => {
-    try {
-        const names = await Potion.find({}, 'name');
-        res.json(names.map(p => p.name)); 
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
+      const names = await Potion.find({}, 'name');
+      res.json(names.map(p => p.name)); 
 });
+/**
+ * @swagger
+ * /potions/search:
+ *   get:
+ *     summary: Rechercher des potions (plein texte, tolérant aux fautes) ou compléter un nom
+ *     description: |
+ *       `mode=full` (défaut) cherche dans le nom, les catégories et les ingrédients, sans tenir compte
+ *       des accents ni des pluriels, et tolère une faute de frappe par mot (deux au-delà de 7 lettres).
+ *       Les résultats sont triés par pertinence, avec les passages trouvés entourés de `<em>`
+ *       et le décompte par catégorie, vendeur et tranche de prix.
+ *       `mode=autocomplete` propose les noms dont un mot commence par `q`.
+ *       Les autres paramètres filtrent les potions avec la grammaire de `GET /potions` (ex. `price[lte]=20`).
+ *     tags: [Potions]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: larmes de phenix
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [full, autocomplete]
+ *           default: full
+ *       - in: query
+ *         name: fuzzy
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Tolérance aux fautes de frappe
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: "Défaut : 20 (10 en autocomplétion)"
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 1000
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Résultats de la recherche
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mode:
+ *                   type: string
+ *                   example: full
+ *                 q:
+ *                   type: string
+ *                   example: larmes de phenx
+ *                 terms:
+ *                   type: array
+ *                   description: Termes recherchés, corrections comprises
+ *                   items:
+ *                     type: string
+ *                   example: [larmes, de, phenx, phenix]
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Potion'
+ *                       - type: object
+ *                         properties:
+ *                           relevance:
+ *                             type: number
+ *                             example: 12.5
+ *                           highlight:
+ *                             type: object
+ *                             example:
+ *                               name: Élixir de <em>phénix</em>
+ *                               ingredients: [<em>Larmes</em> de <em>phénix</em>]
+ *                 facets:
+ *                   type: object
+ *                   description: Absent en autocomplétion
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                             example: soin
+ *                           count:
+ *                             type: number
+ *                             example: 4
+ *                     vendors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                             nullable: true
+ *                           count:
+ *                             type: number
+ *                     priceBands:
+ *                       type: array
+ *                       description: Tranches du prix effectif (promotions comprises)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           band:
+ *                             type: string
+ *                             example: 10-25
+ *                           count:
+ *                             type: number
+ *                 paging:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Paramètre manquant ou invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+
+router.get('/search', async (req, res) => {
+    res.json(await searchPotions(req.query));
+  });
+
+/**
+ * @swagger
+ * /potions/export:
+ *   get:
+ *     summary: Exporter les potions (JSON, NDJSON ou CSV)
+ *     description: |
+ *       Export en flux de toutes les potions correspondant aux filtres de `GET /potions`
+ *       (ex. `categories=soin&price[lte]=20`). En CSV, les champs imbriqués sont aplatis
+ *       (`ratings.strength`), les catégories séparées par `|` et les ingrédients écrits en JSON.
+ *     tags: [Potions]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Fichier d’export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Potion'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Format ou filtre invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+
+router.get('/export', async (req, res) => {
+    const parsed = parseExportQuery(req.query);
+
+    // Une fois l’envoi commencé, une erreur interrompt simplement la connexion (voir errorHandler)
+    await streamExport(res, parsed);
+  });
+
+/**
+ * @swagger
+ * /potions/import:
+ *   post:
+ *     summary: Importer des potions en masse (JSON, NDJSON ou CSV)
+ *     description: |
+ *       Rôles : `admin`, `vendor` (les potions importées sont rattachées à son vendeur).
+ *       Chaque ligne est validée comme un `POST /potions` ; les lignes valides sont enregistrées,
+ *       les autres listées dans le rapport avec leurs erreurs. Le format est déduit du `Content-Type`
+ *       (`application/json`, `application/x-ndjson`, `text/csv`) ou forcé par `format`.
+ *       En CSV : en-tête obligatoire, séparateur `,` ou `;`, colonnes imbriquées aplaties (`ratings.strength`),
+ *       `categories` et `ingredients` séparés par `|` (les ingrédients peuvent aussi être en JSON) ;
+ *       une colonne qui ne désigne aucun champ est refusée (400).
+ *       `score`, `ratings` et `reviewCount` sont ignorés (calculés à partir des avis).
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson, csv]
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Valide et produit le rapport sans rien enregistrer
+ *       - in: query
+ *         name: upsertBy
+ *         schema:
+ *           type: string
+ *           enum: [_id, name]
+ *         description: Met à jour la potion portant la même clé au lieu d’en créer une nouvelle
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Potion'
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"name":"Potion de soin","price":12,"categories":["soin"]}
+ *             {"name":"Élixir de feu","price":30}
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             name,price,categories,ingredients
+ *             Potion de soin,12,soin|commune,eau de source|racine de mandragore
+ *     responses:
+ *       200:
+ *         description: Rapport d’import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                   example: csv
+ *                 dryRun:
+ *                   type: boolean
+ *                 upsertBy:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *                   example: 120
+ *                 accepted:
+ *                   type: integer
+ *                   example: 118
+ *                 created:
+ *                   type: integer
+ *                   example: 100
+ *                 updated:
+ *                   type: integer
+ *                   example: 18
+ *                 rejected:
+ *                   type: integer
+ *                   example: 2
+ *                 rejectedRows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Position dans le tableau JSON, ou numéro de ligne du fichier
+ *                         example: 14
+ *                       errors:
+ *                         $ref: '#/components/schemas/Problem/properties/errors'
+ *       400:
+ *         description: Format, paramètre ou corps invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Rôle insuffisant
+ *       413:
+ *         description: Fichier trop volumineux (IMPORT_MAX_BYTES)
+ */
+
+router.post('/import', authMiddleware, requirePermission('potions:create'), async (req, res) => {
+    const options = parseImportQuery(req);
+    if (typeof req.body !== 'string') {
+      throw new ValidationFailedError(
+        [{ type: 'field', value: undefined, msg: 'Corps vide ou Content-Type non pris en charge', path: '', location: 'body' }]
+      );
+    }
+    const report = await importPotions(req.body, { ...options, user: req.user, audit: auditContext(req) });
+    report.rejectedRows = report.rejectedRows.map(({ row, errors }) => ({ row, errors: localizeErrors(req, errors) }));
+    res.json(report);
+  });
+
+/**
+ * @swagger
+ * /potions/trash:
+ *   get:
+ *     summary: Lister les potions de la corbeille
+ *     description: |
+ *       Rôles : `admin` (toute la corbeille), `vendor` (ses propres potions).
+ *       Mêmes paramètres que `GET /potions` ; tri par défaut : dernières modifiées d’abord.
+ *       Les potions sont purgées définitivement après TRASH_RETENTION_DAYS jours (30 par défaut).
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Page de potions supprimées (avec `deletedAt` et `deletedBy`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Potion'
+ *                 paging:
+ *                   type: object
+ *       400:
+ *         description: Paramètre de requête invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Rôle insuffisant
+ */
+router.get('/trash', authMiddleware, requirePermission('potions:delete'), async (req, res) => {
+    const query = { sort: '-updatedAt', ...req.query };
+    const parsed = parseListQuery(query, Potion);
+
+    const trash = [parsed.filter, { deletedAt: { $ne: null } }];
+    const mine = managedPotionsFilter(req.user);
+    if (mine) trash.push(mine);
+    parsed.filter = { $and: trash };
+
+    res.json(await findPage(Potion, parsed, pageLinkBuilder(req, query)));
+  });
+
+/**
+ * @swagger
+ * /potions/low-stock:
+ *   get:
+ *     summary: Lister les potions à réapprovisionner
+ *     description: |
+ *       Rôles : `admin` (toutes les potions), `vendor` (ses propres potions).
+ *       Potions dont le stock disponible (`onHand - reserved`) est inférieur ou égal à leur seuil
+ *       de réapprovisionnement (non nul), les plus gros manques (`shortfall`) d’abord.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Potions sous leur seuil de réapprovisionnement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       vendor_id:
+ *                         type: string
+ *                       price:
+ *                         type: number
+ *                       stock:
+ *                         type: object
+ *                       available:
+ *                         type: integer
+ *                       shortfall:
+ *                         type: integer
+ *                         description: Unités manquantes pour atteindre le seuil
+ *       400:
+ *         description: Paramètre limit invalide
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Rôle insuffisant
+ */
+router.get('/low-stock', authMiddleware, requirePermission('stock:manage'), async (req, res) => {
+    res.json(await lowStock(req.user, { limit: parseLowStockLimit(req.query.limit) }));
+  });
+
 /**
  * @swagger
  * /potions/vendor/{vendor_id}:
@@ -73,6 +607,12 @@ router.get('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID du vendeur
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           enum: [vendor]
+ *         description: Inclure les détails du vendeur dans chaque potion
  *     responses:
  *       200:
  *         description: Liste des potions du vendeur
@@ -85,14 +625,27 @@ router.get('/', async (req, res) => {
  */
 
 router.get('/vendor/:vendor_id', async (req, res) => {
-    try {
-        const potions = await Potion.find({ vendor_id: req.params.vendor_id });
-        console.log(potions);
-        res.json(potions);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
+    if (!mongoose.isValidObjectId(req.params.vendor_id)) return res.json([]);
+      const query = Potion.find({ vendor_id: req.params.vendor_id });
+      if (req.query.expand === 'vendor') query.populate('vendor');
+      const [potions, rules] = await Promise.all([query, activeRules()]);
+      res.json(potions.map(potion => priced(potion, rules)));
 });
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     PriceBasis:
+ *       in: query
+ *       name: priceBasis
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [base, effective]
+ *         default: base
+ *       description: Prix de base ou prix effectif (après la meilleure promotion en cours) pour les filtres et mesures de prix
+ */
+
 /**
  * @swagger
  * /potions/price-range:
@@ -100,6 +653,7 @@ router.get('/vendor/:vendor_id', async (req, res) => {
  *     summary: Récupérer les potions dans une fourchette de prix
  *     tags: [Potions]
  *     parameters:
+ *       - $ref: '#/components/parameters/PriceBasis'
  *       - in: query
  *         name: min
  *         schema:
@@ -126,20 +680,27 @@ router.get('/vendor/:vendor_id', async (req, res) => {
 router.get('/price-range', async (req, res) => {
     const min = parseFloat(req.query.min);
     const max = parseFloat(req.query.max);
+    const errors = [];
+    const basis = parsePriceBasis(req.query.priceBasis, errors);
+    if (errors.length) throw new QueryError(errors);
+    const rules = await activeRules();
 
     const priceFilter = {};
 
     if (!isNaN(min)) priceFilter.$gte = min;
     if (!isNaN(max)) priceFilter.$lte = max;
 
-    const query = Object.keys(priceFilter).length > 0 ? { price: priceFilter } : {};
-
-    try {
-        const potions = await Potion.find(query);
-        res.json(potions);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+    let query = {};
+    if (Object.keys(priceFilter).length > 0) {
+      // Prix effectif : calculé par MongoDB à partir des promotions en cours
+      const price = effectivePriceExpr(rules);
+      query = basis === 'effective'
+        ? { $expr: { $and: Object.entries(priceFilter).map(([op, bound]) => ({ [op]: [price, bound] })) } }
+        : { price: priceFilter };
     }
+
+      const potions = await Potion.find(query);
+      res.json(potions.map(potion => priced(potion, rules)));
 });
 
 // POST /potions : créer une nouvelle potion
@@ -148,74 +709,313 @@ router.get('/price-range', async (req, res) => {
  * /potions:
  *   post:
  *     summary: Crée une nouvelle potion.
+ *     description: |
+ *       Rôles : `admin`, `vendor`. Pour un vendeur, `vendor_id` est imposé par son compte
+ *       et il devient propriétaire (`owner`) de la potion.
+ *       `score`, `ratings` et `reviewCount` sont calculés à partir des avis et ignorés s’ils sont envoyés.
  *     tags:
  *       - Potions
  *     security:
  *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - name
  *             properties:
  *               name:
  *                 type: string
- *                 description: Nom de la potion.
+ *                 description: Nom de la potion (2 à 100 caractères).
  *               price:
  *                 type: number
+ *                 minimum: 0
  *                 description: Prix de la potion.
- *               score:
- *                 type: number
- *                 description: Score de la potion.
  *               ingredients:
  *                 type: array
  *                 items:
- *                   type: string
- *                 description: Ingrédients de la potion.
- *               ratings:
- *                 type: object
- *                 properties:
- *                   strength:
- *                     type: number
- *                   flavor:
- *                     type: number
+ *                   $ref: '#/components/schemas/Ingredient'
+ *                 description: Ingrédients de la potion (une chaîne seule est acceptée comme nom).
  *               tryDate:
  *                 type: string
  *                 format: date
  *               categories:
  *                 type: array
+ *                 maxItems: 10
  *                 items:
  *                   type: string
+ *                 description: Catégories, normalisées en minuscules et dédoublonnées.
  *               vendor_id:
  *                 type: string
  *     responses:
  *       201:
  *         description: Potion créée avec succès.
  *       400:
- *         description: Erreur de validation.
+ *         description: Erreur de validation, détaillée champ par champ.
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié.
+ *       403:
+ *         description: Rôle insuffisant.
  *       500:
  *         description: Erreur serveur.
  */
 
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('potions:create'), async (req, res) => {
+      const data = { ...Potion.writableFields(req.body), owner: req.user.id };
+      if (!hasPermission(req.user.role, 'potions:manage-all')) data.vendor_id = req.user.vendor_id;
+      const newPotion = new Potion(data);
+      const savedPotion = await newPotion.save();
+      const ctx = auditContext(req);
+      await recordPotionChange(ctx, 'potion.create', null, savedPotion);
+      await recordPriceChange(ctx, 'create', null, savedPotion);
+      res.status(201).json(priced(savedPotion, await activeRules()));
+});
+
+// Ancienne modification par POST /potions/:id, remplacée par PATCH (RFC 9745 : date de dépréciation)
+const POST_UPDATE_DEPRECATED_AT = Math.floor(Date.parse('2026-10-19T00:00:00Z') / 1000);
+
+function potionNotFound() {
+  return new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+}
+
+function potionChanged(cause) {
+  return new PreconditionFailedError('La potion a été modifiée depuis sa lecture (If-Match)', { code: 'potion-changed', cause });
+}
+
+// Potion de req.params.id que l’utilisateur peut gérer (withDeleted : corbeille comprise)
+async function findManagedPotion(req, { withDeleted = false } = {}) {
+    assertObjectId(req.params.id, 'Potion non trouvée', { code: 'potion-not-found' });
+    const query = Potion.findById(req.params.id);
+    if (withDeleted) query.withDeleted();
+    const potion = await query;
+    if (!potion) throw potionNotFound();
+    if (!canManagePotion(req.user, potion)) {
+      throw new ForbiddenError('Cette potion appartient à un autre vendeur.', { code: 'potion-not-owned' });
+    }
+    return potion;
+}
+
+/**
+ * Charge la potion, vérifie les droits et la précondition If-Match, applique `apply`
+ * puis enregistre. Un enregistrement concurrent entre la lecture et l’écriture
+ * (VersionError) est traité comme une précondition en échec.
+ */
+async function updatePotion(req, res, apply) {
+    const [potion, rules] = await Promise.all([findManagedPotion(req), activeRules()]);
+    if (!ifMatch(req, pricedTag(potion, rules))) throw potionChanged();
+
+    const before = potion.toObject();
+    apply(potion);
     try {
-        const newPotion = new Potion(req.body);
-        const savedPotion = await newPotion.save();
-        res.status(201).json(savedPotion);
+      await potion.save();
     } catch (err) {
-        res.status(400).json({ error: err.message });
+      if (err instanceof mongoose.Error.VersionError) throw potionChanged(err);
+      throw err;
     }
+    const ctx = auditContext(req);
+    await recordPotionChange(ctx, 'potion.update', before, potion);
+    await recordPriceChange(ctx, 'update', before, potion);
+
+    res.set('ETag', pricedTag(potion, rules)).json(priced(potion, rules));
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: ETag lu avec `GET /potions/{id}` ; la modification échoue (412) si la potion a changé depuis.
+ *       example: '"3q2-7wEAAAAAAAAAAAAAAAAAAAA"'
+ *   headers:
+ *     ETag:
+ *       description: Version courante de la potion, à renvoyer dans `If-Match`
+ *       schema:
+ *         type: string
+ */
+
+/**
+ * @swagger
+ * /potions/{id}:
+ *   put:
+ *     summary: Remplacer une potion
+ *     description: |
+ *       Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement ;
+ *       `vendor_id` et `owner` ne peuvent pas être modifiés).
+ *       Les champs modifiables absents du corps sont retirés. `_id`, dates, `score`, `ratings`,
+ *       `reviewCount` et champs de corbeille sont ignorés : le corps d’un `GET` peut être renvoyé tel quel.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Potion'
+ *     responses:
+ *       200:
+ *         description: Potion remplacée
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Erreur de validation, détaillée champ par champ
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
+ *       404:
+ *         description: Potion non trouvée
+ *       412:
+ *         description: La potion a été modifiée depuis la lecture de l’ETag envoyé dans `If-Match`
+ */
+router.put('/:id', authMiddleware, requirePermission('potions:update'), (req, res) =>
+  updatePotion(req, res, potion => replacePotion(potion, req.body, req.user)));
+
+/**
+ * @swagger
+ * /potions/{id}:
+ *   patch:
+ *     summary: Modifier une potion (JSON Merge Patch ou JSON Patch)
+ *     description: |
+ *       Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement ;
+ *       `vendor_id` et `owner` ne peuvent pas être modifiés).
+ *
+ *       - `application/merge-patch+json` (ou `application/json`) : RFC 7396, `null` retire un champ.
+ *       - `application/json-patch+json` : RFC 6902 (`add`, `remove`, `replace`, `move`, `copy`, `test`),
+ *         appliqué en entier ou pas du tout.
+ *
+ *       Les champs calculés ou gérés par l’API (`_id`, dates, `score`, `ratings`, `reviewCount`) sont ignorés.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             price: 15
+ *             rarity: null
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required: [op, path]
+ *               properties:
+ *                 op:
+ *                   type: string
+ *                   enum: [add, remove, replace, move, copy, test]
+ *                 path:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                 value: {}
+ *           example:
+ *             - op: test
+ *               path: /price
+ *               value: 12
+ *             - op: replace
+ *               path: /price
+ *               value: 15
+ *             - op: add
+ *               path: /categories/-
+ *               value: soin
+ *     responses:
+ *       200:
+ *         description: Potion modifiée
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Patch invalide ou erreur de validation
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
+ *       404:
+ *         description: Potion non trouvée
+ *       409:
+ *         description: Une opération `test` du JSON Patch a échoué
+ *       412:
+ *         description: La potion a été modifiée depuis la lecture de l’ETag envoyé dans `If-Match`
+ *       415:
+ *         description: Type de contenu non supporté
+ */
+router.patch('/:id', authMiddleware, requirePermission('potions:update'), (req, res) => {
+  if (req.is('application/json-patch+json')) {
+    return updatePotion(req, res, potion => jsonPatchPotion(potion, req.body, req.user));
+  }
+  if (req.is(['application/merge-patch+json', 'application/json'])) {
+    return updatePotion(req, res, potion => mergePatchPotion(potion, req.body, req.user));
+  }
+  throw new AppError(415, 'unsupported-media-type',
+    'Type de contenu non supporté (application/merge-patch+json ou application/json-patch+json)');
 });
 
 /**
  * @swagger
  * /potions/{id}:
  *   post:
- *     summary: Modifier une potion (via POST)
+ *     summary: Modifier une potion (via POST, obsolète)
+ *     deprecated: true
+ *     description: |
+ *       Remplacé par `PATCH /potions/{id}` ; les réponses portent les en-têtes `Deprecation`
+ *       et `Link` (`rel="successor-version"`). Les champs envoyés sont modifiés, les autres conservés.
  *     tags: [Potions]
  *     security:
  *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -223,6 +1023,7 @@ router.post('/', authMiddleware, async (req, res) => {
  *         schema:
  *           type: string
  *         description: ID de la potion à modifier
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -237,37 +1038,43 @@ router.post('/', authMiddleware, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Potion'
+ *       400:
+ *         description: Erreur de validation, détaillée champ par champ
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
  *       404:
  *         description: Potion non trouvée
+ *       412:
+ *         description: La potion a été modifiée depuis la lecture de l’ETag envoyé dans `If-Match`
  *       500:
  *         description: Erreur serveur
  */
-router.post('/:id', authMiddleware, async (req, res) => {
-    try {
-      const updatedPotion = await Potion.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true } // retourne la potion mise à jour
-      );
-  
-      if (!updatedPotion) {
-        return res.status(404).json({ error: 'Potion non trouvée' });
-      }
-  
-      res.json(updatedPotion);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
-  });
+router.post('/:id', authMiddleware, requirePermission('potions:update'), (req, res) => {
+  res.set('Deprecation', `@${POST_UPDATE_DEPRECATED_AT}`);
+  res.append('Link', `<${req.baseUrl}/${encodeURIComponent(req.params.id)}>; rel="successor-version"`);
+  return updatePotion(req, res, potion => potion.set(updatableFields(req.body, req.user)));
+});
 
   /**
  * @swagger
  * /potions/{id}:
  *   delete:
- *     summary: Supprimer une potion
+ *     summary: Mettre une potion à la corbeille (ou la supprimer définitivement)
+ *     description: |
+ *       Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement).
+ *       La potion part à la corbeille (`GET /potions/trash`) et peut être restaurée jusqu’à sa purge.
+ *       `hard=true` (admin uniquement) la supprime définitivement avec ses avis, y compris depuis la corbeille.
  *     tags: [Potions]
  *     security:
  *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -275,22 +1082,93 @@ router.post('/:id', authMiddleware, async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID de la potion à supprimer
+ *       - in: query
+ *         name: hard
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Suppression définitive (admin)
  *     responses:
  *       200:
- *         description: Potion supprimée
+ *         description: Potion mise à la corbeille ou supprimée
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
  *       404:
  *         description: Potion non trouvée
  *       500:
  *         description: Erreur serveur
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
-    try {
-      const deleted = await Potion.findByIdAndDelete(req.params.id);
-      if (!deleted) return res.status(404).json({ error: "Potion non trouvée" });
-      res.json({ message: 'Potion supprimée' });
-    } catch (err) {
-      res.status(500).json({ error: err.message });
+router.delete('/:id', authMiddleware, requirePermission('potions:delete'), async (req, res) => {
+    const hard = req.query.hard === 'true' || req.query.hard === '1';
+    if (hard && !hasPermission(req.user.role, 'potions:purge')) {
+      throw new ForbiddenError('Accès refusé : permission insuffisante.', { code: 'permission-required' });
     }
+
+    if (hard) {
+      assertObjectId(req.params.id, 'Potion non trouvée', { code: 'potion-not-found' });
+      const deleted = await hardDeletePotions({ _id: req.params.id }, auditContext(req));
+      if (!deleted) throw potionNotFound();
+      return res.json({ message: req.t('Potion supprimée définitivement') });
+    }
+
+    const potion = await findManagedPotion(req);
+
+    const before = potion.toObject();
+    potion.deletedAt = new Date();
+    potion.deletedBy = req.user.id;
+    await potion.save();
+    await recordPotionChange(auditContext(req), 'potion.delete', before, potion);
+    res.json({ message: req.t('Potion mise à la corbeille'), deletedAt: potion.deletedAt });
+  });
+
+/**
+ * @swagger
+ * /potions/{id}/restore:
+ *   post:
+ *     summary: Restaurer une potion depuis la corbeille
+ *     description: "Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement)."
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Potion restaurée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Potion'
+ *       401:
+ *         description: Non authentifié
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
+ *       404:
+ *         description: Potion non trouvée
+ *       409:
+ *         description: La potion n’est pas dans la corbeille
+ */
+router.post('/:id/restore', authMiddleware, requirePermission('potions:delete'), async (req, res) => {
+    const potion = await findManagedPotion(req, { withDeleted: true });
+    if (!potion.deletedAt) throw new ConflictError('La potion n’est pas dans la corbeille', { code: 'potion-not-in-trash' });
+
+    const before = potion.toObject();
+    potion.deletedAt = null;
+    potion.deletedBy = undefined;
+    await potion.save();
+    // Des avis ont pu être retirés pendant le passage en corbeille (comptes supprimés)
+    await Review.recompute(potion._id);
+    const restored = await Potion.findById(potion._id);
+    await recordPotionChange(auditContext(req), 'potion.restore', before, restored);
+    res.json(priced(restored, await activeRules()));
   });
 
   /**
@@ -306,28 +1184,37 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  *         description: ID de la potion à récupérer
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           enum: [vendor]
+ *         description: Inclure les détails du vendeur (`vendor`)
  *     responses:
  *       200:
  *         description: Détails de la potion
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Potion'
+ *       304:
+ *         description: Potion inchangée depuis l’ETag envoyé dans `If-None-Match`
  *       404:
  *         description: Potion non trouvée
  *       500:
  *         description: Erreur serveur
  */
 router.get('/:id', async (req, res) => {
-    try {
-      const potion = await Potion.findById(req.params.id);
-      if (!potion) {
-        return res.status(404).json({ error: 'Potion non trouvée' });
-      }
-      res.json(potion);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
+    assertObjectId(req.params.id, 'Potion non trouvée', { code: 'potion-not-found' });
+    const query = Potion.findById(req.params.id);
+    if (req.query.expand === 'vendor') query.populate('vendor');
+    const [potion, rules] = await Promise.all([query, activeRules()]);
+    if (!potion) throw potionNotFound();
+    // If-None-Match correspondant : 304 géré par Express
+    res.set('ETag', pricedTag(potion, rules)).json(priced(potion, rules));
   });
   
 
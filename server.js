@@ -1,107 +1,34 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors')
+// En premier : charge .env et valide la configuration (arrêt immédiat si elle est invalide)
+const { config, warnings } = require('./config');
 const mongoose = require('mongoose');
-const routes = require('./router');
-const analytics = require('./analytics');
-const swaggerUi = require('swagger-ui-express');
-const swaggerJsdoc = require('swagger-jsdoc');
+const { createApp } = require('./app');
+const { logger } = require('./logger');
+const { monitorMongo } = require('./mongo.monitor');
+const { connectWithRetry, handleShutdown } = require('./lifecycle');
 
-const app = express();
-app.use(express.json());
-app.use(cors())
-const cookieParser = require('cookie-parser');
+const app = createApp();
+for (const warning of warnings) logger.warn(warning);
 
-app.use(cookieParser());
-app.use(require('sanitize').middleware);
-app.use('/auth', require('./auth.routes'));
-mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log('Connecté à MongoDB'))
-    .catch(err => console.error('Erreur MongoDB :', err));
-
-app.use('/potions', routes);
-app.use('/analytics', analytics);
-const PORT = process.env.PORT || 3000;
-const swaggerOptions = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'API Auth & Potions',
-      version: '1.0.0',
-      description: 'Doc de l’API pour l’authentification et gestion des potions 🧪',
-    },
-    servers: [
-      {
-        url: 'http://localhost:3000',
-      },
-    ],
-    components: {
-      securitySchemes: {
-        cookieAuth: {
-          type: 'apiKey',
-          in: 'cookie',
-          name: 'demo_node+mongo_token'
-        }
-      },
-      schemas: {
-        Potion: {
-          type: 'object',
-          properties: {
-            _id: {
-              type: 'string',
-              example: '660bcf5fca6e9f06b8a2eecd'
-            },
-            name: {
-              type: 'string',
-              example: 'Potion de soin ultime'
-            },
-            price: {
-              type: 'number',
-              example: 99.99
-            },
-            score: {
-              type: 'number',
-              example: 5
-            },
-            ingredients: {
-              type: 'array',
-              items: { type: 'string' },
-              example: ['larmes de phénix', 'poussière de fée']
-            },
-            ratings: {
-              type: 'object',
-              properties: {
-                strength: { type: 'number', example: 4 },
-                flavor: { type: 'number', example: 3 }
-              }
-            },
-            tryDate: {
-              type: 'string',
-              format: 'date',
-              example: '2025-04-02'
-            },
-            categories: {
-              type: 'array',
-              items: { type: 'string' },
-              example: ['soin', 'rare']
-            },
-            vendor_id: {
-              type: 'string',
-              example: '660bceefa25c4f1234abcd12'
-            }
-          }
-        }
-      }
-    }
-     
-  },
-  apis: ['./*.js'], 
-};
-
-const swaggerSpec = swaggerJsdoc(swaggerOptions);
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-app.listen(PORT, () => {
-  console.log(`Serveur lancé sur http://localhost:${PORT}`);
+// Le serveur écoute tout de suite (sondes /health) ; la connexion à MongoDB est réessayée en arrière-plan
+const server = app.listen(config.port, () => {
+  logger.info('serveur lancé', { url: `http://localhost:${config.port}`, env: config.env });
 });
 
+let purgeTimer = null;
+let priceScheduleTimer = null;
+// Commandes MongoDB suivies (durées dans /metrics, logs en LOG_LEVEL=debug)
+monitorMongo(mongoose.connection);
+mongoose.connection.on('disconnected', () => logger.warn('déconnecté de MongoDB'));
+mongoose.connection.on('reconnected', () => logger.info('reconnecté à MongoDB'));
+connectWithRetry(config.mongoUri, { monitorCommands: true })
+    .then(() => {
+        purgeTimer = require('./potion.purge').startPurgeJob();
+        priceScheduleTimer = require('./potion.pricing').startPriceScheduleJob();
+    })
+    .catch(err => {
+        logger.error('erreur de connexion MongoDB, abandon', { err });
+        process.exit(1);
+    });
+
+// SIGTERM / SIGINT : fin des requêtes en cours puis fermeture de MongoDB
+handleShutdown(server, { cleanups: [() => clearInterval(purgeTimer), () => clearInterval(priceScheduleTimer)] });
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Une session = une famille de refresh tokens issue d’une connexion.
+// Seul le hash du refresh token courant est stocké ; chaque rafraîchissement le remplace.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String
+}, { timestamps: true });
+
+// Purge automatique par Mongo des sessions expirées
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Le refresh token a la forme "<sessionId>.<secret>"
+function parseRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+  const [sessionId, secret] = token.split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// Ouvre une nouvelle session et renvoie { session, refreshToken }
+sessionSchema.statics.open = async function (user, { userAgent, ip, ttlMs }) {
+  const secret = newSecret();
+  const session = await this.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Échange atomique du refresh token : renvoie le nouveau token,
+ * ou null si le secret présenté n’est plus le secret courant (réutilisation).
+ */
+sessionSchema.methods.rotate = async function (secret, { userAgent, ip }) {
+  const next = newSecret();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, tokenHash: hashToken(secret), revokedAt: null },
+    { tokenHash: hashToken(next), lastSeenAt: new Date(), userAgent, ip },
+    { new: true }
+  );
+  return updated ? `${updated._id}.${next}` : null;
+};
+
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
+module.exports.parseRefreshToken = parseRefreshToken;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['restock', 'sale', 'adjustment', 'spoilage'];
+
+/**
+ * Journal des mouvements de stock, en ajout seul : chaque entrée garde la variation appliquée,
+ * le stock obtenu et son auteur. Une erreur de saisie se corrige par un mouvement `adjustment`.
+ */
+const stockMovementSchema = new mongoose.Schema({
+  potion: { type: mongoose.Schema.Types.ObjectId, ref: 'potion', required: true },
+  type: {
+    type: String,
+    required: [true, 'Le type de mouvement est requis.'],
+    enum: { values: MOVEMENT_TYPES, message: 'Type de mouvement inconnu : {VALUE}.' }
+  },
+  // Variation de onHand : positive pour restock, négative pour sale et spoilage, signée pour adjustment
+  quantity: { type: Number, required: true },
+  onHandAfter: { type: Number, required: true },
+  note: { type: String, trim: true, maxlength: [500, 'La note ne doit pas dépasser 500 caractères.'] },
+  // Commande à l’origine d’une vente (expédition)
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  // Même forme que l’auteur d’une entrée d’audit ; absent pour les tâches système
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    role: String,
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ potion: 1, createdAt: -1 });
+
+const READ_ONLY = 'Le journal des mouvements de stock est en ajout seul.';
+
+stockMovementSchema.pre('save', function () {
+  if (!this.isNew) throw new Error(READ_ONLY);
+});
+
+stockMovementSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], function () {
+  throw new Error(READ_ONLY);
+});
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
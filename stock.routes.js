@@ -0,0 +1,298 @@
+const express = require('express');
+const Potion = require('./potion.model');
+const StockMovement = require('./stock-movement.model');
+const authMiddleware = require('./middleware');
+const { requirePermission } = authMiddleware;
+const { canManagePotion } = require('./roles');
+const { parseListQuery, findPage, pageLinkBuilder } = require('./potion.query');
+const { NotFoundError, ForbiddenError, assertObjectId } = require('./errors');
+const { auditContext } = require('./audit');
+const { stockView, parseMovement, applyMovement, setReorderThreshold } = require('./potion.stock');
+
+// Monté sur /potions/:id/stock : req.params.id est l’ID de la potion
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware, requirePermission('stock:manage'), async (req, res, next) => {
+  assertObjectId(req.params.id, 'Potion non trouvée', { code: 'potion-not-found' });
+  const potion = await Potion.findById(req.params.id).select('+stock');
+  if (!potion) throw new NotFoundError('Potion non trouvée', { code: 'potion-not-found' });
+  if (!canManagePotion(req.user, potion)) {
+    throw new ForbiddenError('Cette potion appartient à un autre vendeur.', { code: 'potion-not-owned' });
+  }
+  req.potion = potion;
+  next();
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Stock:
+ *       type: object
+ *       properties:
+ *         potion:
+ *           type: string
+ *         onHand:
+ *           type: integer
+ *           description: Unités en stock
+ *           example: 12
+ *         reserved:
+ *           type: integer
+ *           description: Unités réservées par des commandes en cours
+ *           example: 2
+ *         available:
+ *           type: integer
+ *           description: Unités vendables (onHand - reserved)
+ *           example: 10
+ *         reorderThreshold:
+ *           type: integer
+ *           description: "Seuil de réapprovisionnement (0 : pas d’alerte)"
+ *           example: 5
+ *         lowStock:
+ *           type: boolean
+ *           description: Disponible inférieur ou égal au seuil
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         potion:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [restock, sale, adjustment, spoilage]
+ *         quantity:
+ *           type: integer
+ *           description: Variation appliquée au stock (négative pour une sortie)
+ *           example: -3
+ *         onHandAfter:
+ *           type: integer
+ *           description: Stock après le mouvement
+ *           example: 9
+ *         note:
+ *           type: string
+ *           example: Vente au marché de Pré-au-Lard
+ *         order:
+ *           type: string
+ *           description: Commande expédiée, pour une vente issue d’une commande
+ *         actor:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             role:
+ *               type: string
+ *             apiKey:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /potions/{id}/stock:
+ *   get:
+ *     summary: Consulter le stock d’une potion
+ *     description: "Rôles : `admin`, `vendor` (ses propres potions)."
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock de la potion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stock'
+ *       403:
+ *         description: Potion appartenant à un autre vendeur ou rôle insuffisant
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.get('/', (req, res) => {
+  res.json(stockView(req.potion));
+});
+
+/**
+ * @swagger
+ * /potions/{id}/stock:
+ *   patch:
+ *     summary: Modifier le seuil de réapprovisionnement
+ *     description: |
+ *       Seul `reorderThreshold` se modifie ici : les quantités ne changent que par des mouvements
+ *       (`POST /potions/{id}/stock/movements`).
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reorderThreshold
+ *             properties:
+ *               reorderThreshold:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 5
+ *     responses:
+ *       200:
+ *         description: Stock mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stock'
+ *       400:
+ *         description: Seuil invalide
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.patch('/', async (req, res) => {
+  res.json(await setReorderThreshold(req.potion._id, req.body?.reorderThreshold));
+});
+
+/**
+ * @swagger
+ * /potions/{id}/stock/movements:
+ *   get:
+ *     summary: Journal des mouvements de stock d’une potion
+ *     description: |
+ *       Les plus récents d’abord ; filtres (ex. `type=sale`) et pagination par curseur
+ *       comme `GET /potions`.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page de mouvements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 paging:
+ *                   type: object
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       404:
+ *         description: Potion non trouvée
+ */
+router.get('/movements', async (req, res) => {
+  const query = { sort: '-createdAt', ...req.query };
+  const parsed = parseListQuery(query, StockMovement);
+  parsed.filter = { ...parsed.filter, potion: req.potion._id };
+
+  res.json(await findPage(StockMovement, parsed, pageLinkBuilder(req, query)));
+});
+
+/**
+ * @swagger
+ * /potions/{id}/stock/movements:
+ *   post:
+ *     summary: Enregistrer un mouvement de stock
+ *     description: |
+ *       `restock` ajoute `quantity` unités ; `sale` et `spoilage` en retirent ; `adjustment`
+ *       applique `quantity` signée (correction d’inventaire). Une sortie qui dépasserait les unités
+ *       disponibles est refusée (409) : le stock ne devient jamais négatif, même en cas de requêtes
+ *       simultanées. Le mouvement est inscrit au journal avec son auteur.
+ *     tags: [Potions]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [restock, sale, adjustment, spoilage]
+ *               quantity:
+ *                 type: integer
+ *                 description: Entier positif (entier signé non nul pour `adjustment`)
+ *                 example: 3
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Mouvement enregistré
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movement:
+ *                   $ref: '#/components/schemas/StockMovement'
+ *                 stock:
+ *                   $ref: '#/components/schemas/Stock'
+ *       400:
+ *         description: Type, quantité ou note invalides
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Potion non trouvée
+ *       409:
+ *         description: Stock disponible insuffisant (`insufficient-stock`, avec `available`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/movements', async (req, res) => {
+  const movement = parseMovement(req.body);
+  res.status(201).json(await applyMovement(req.potion._id, movement, auditContext(req)));
+});
+
+module.exports = router;
@@ -0,0 +1,869 @@
+/**
+ * Traduction anglaise de la documentation Swagger (/api-docs/en) : texte français des
+ * `summary` et `description` -> traduction. Un texte absent reste en français.
+ */
+module.exports = {
+  'Doc de l’API pour l’authentification et gestion des potions 🧪':
+    'API documentation for authentication and potion management 🧪',
+  'JWT obtenu via /auth/login. Il porte le rôle de l’utilisateur : `admin` (tous les droits), `vendor` (gestion de ses propres potions), `reader` (lecture seule).':
+    'JWT obtained via /auth/login. It carries the user\'s role: `admin` (all rights), `vendor` (manages their own potions), `reader` (read-only).',
+  'Trop de requêtes (limite de débit ou compte temporairement verrouillé)':
+    'Too many requests (rate limit or account temporarily locked)',
+  'Délai en secondes avant de réessayer':
+    'Delay in seconds before retrying',
+  'Moyenne des scores des avis':
+    'Average score of the reviews',
+  'Moyennes de force et d’arôme des avis':
+    'Average strength and flavor from the reviews',
+  'ID d’un vendeur existant':
+    'ID of an existing vendor',
+  'Détails du vendeur, présents uniquement avec ?expand=vendor':
+    'Vendor details, only present with ?expand=vendor',
+  'Date de mise à la corbeille (null pour une potion active)':
+    'Date the potion was moved to the trash (null for an active potion)',
+  'Utilisateur ayant mis la potion à la corbeille':
+    'User who moved the potion to the trash',
+  'Erreur au format RFC 7807 (application/problem+json)':
+    'Error in RFC 7807 format (application/problem+json)',
+  'Identifiant stable de l’erreur':
+    'Stable error identifier',
+  'Identique à l’en-tête X-Request-Id de la réponse':
+    'Same as the X-Request-Id response header',
+  'Détail champ par champ (erreurs de validation)':
+    'Field-by-field details (validation errors)',
+  'Langue préférée (absente = selon Accept-Language)':
+    'Preferred language (absent = based on Accept-Language)',
+  'Administrateurs uniquement':
+    'Administrators only',
+  'Numéro de version de la potion après l’action':
+    'Potion version number after the action',
+  'Auteur de l’avis, présent uniquement avec ?expand=author':
+    'Review author, only present with ?expand=author',
+  'Nombre de potions rattachées (lecture seule)':
+    'Number of attached potions (read-only)',
+  'ETag lu avec `GET /potions/{id}` ; la modification échoue (412) si la potion a changé depuis.':
+    'ETag read with `GET /potions/{id}`; the update fails (412) if the potion has changed since.',
+  'Version courante de la potion, à renvoyer dans `If-Match`':
+    'Current version of the potion, to send back in `If-Match`',
+  'Lister les utilisateurs et leur rôle':
+    'List users and their role',
+  'Rôle requis : `admin`.':
+    'Required role: `admin`.',
+  'Liste des utilisateurs':
+    'List of users',
+  'Non authentifié':
+    'Not authenticated',
+  'Rôle insuffisant':
+    'Insufficient role',
+  'Promouvoir ou rétrograder un utilisateur':
+    'Promote or demote a user',
+  'Rôle requis : `admin`. Le nouveau rôle est pris en compte au prochain renouvellement\ndu JWT de l’utilisateur (`POST /auth/refresh`). Le dernier administrateur ne peut pas être rétrogradé.\n':
+    'Required role: `admin`. The new role takes effect at the user\'s next JWT renewal\n(`POST /auth/refresh`). The last administrator cannot be demoted.\n',
+  'ID de l’utilisateur':
+    'User ID',
+  'ID du vendeur représenté (rôle vendor)':
+    'ID of the represented vendor (vendor role)',
+  'Rôle mis à jour':
+    'Role updated',
+  'Rôle ou vendeur invalide':
+    'Invalid role or vendor',
+  'Utilisateur non trouvé':
+    'User not found',
+  'Impossible de rétrograder le dernier administrateur':
+    'The last administrator cannot be demoted',
+  'Récupère toutes les catégories uniques de potions':
+    'Get all unique potion categories',
+  'Catégories distinctes retournées avec leur nombre':
+    'Distinct categories returned with their count',
+  'Score moyen et nombre de potions par vendeur':
+    'Average score and number of potions per vendor',
+  '`bayesianScore` pondère le score des avis du vendeur par la moyenne générale,\npour ne pas favoriser un vendeur n’ayant reçu que quelques avis.\n':
+    '`bayesianScore` weights the vendor\'s review score with the overall average,\nso that a vendor with only a few reviews is not favored.\n',
+  'Liste des vendeurs avec score moyen':
+    'List of vendors with their average score',
+  'Score moyen des potions par catégorie':
+    'Average potion score per category',
+  'Score moyen pour chaque catégorie':
+    'Average score for each category',
+  'Calcule le ratio force/arôme pour chaque potion':
+    'Compute the strength/flavor ratio for each potion',
+  'Liste des potions avec leur ratio':
+    'List of potions with their ratio',
+  'Agrégation déclarative sur des dimensions et mesures autorisées':
+    'Declarative aggregation over allowed dimensions and measures',
+  'Regroupe les potions selon des dimensions en liste blanche et calcule des mesures.\nLes autres paramètres sont des filtres appliqués avant l’agrégation, avec la même grammaire\nque `GET /potions` (ex. `price[gte]=10`, `categories[contains]=soin`).\nToute combinaison invalide est détaillée dans une réponse 400.\nL’ancienne forme `groupBy=vendor_id&metric=avg&field=score` reste acceptée.\n':
+    'Groups potions by allow-listed dimensions and computes measures.\nOther parameters are filters applied before the aggregation, with the same grammar\nas `GET /potions` (e.g. `price[gte]=10`, `categories[contains]=soin`).\nAny invalid combination is detailed in a 400 response.\nThe legacy form `groupBy=vendor_id&metric=avg&field=score` is still accepted.\n',
+  'Dimensions séparées par des virgules : vendor_id, categories (dépliées automatiquement), tryDate:day|week|month|year, priceBand':
+    'Comma-separated dimensions: vendor_id, categories (automatically unwound), tryDate:day|week|month|year, priceBand',
+  'Mesures op:champ parmi count, avg, sum, min, max, median, stdDev, p1 à p99 ; champs : price, score, ratings.strength, ratings.flavor, reviewCount. Défaut : count':
+    'op:field measures among count, avg, sum, min, max, median, stdDev, p1 to p99; fields: price, score, ratings.strength, ratings.flavor, reviewCount. Default: count',
+  'Seuils sur les mesures calculées (alias op_champ, ex. avg_score>4)':
+    'Thresholds on the computed measures (op_field alias, e.g. avg_score>4)',
+  'Tri sur une dimension ou une mesure, préfixé par `-` pour un tri décroissant':
+    'Sort on a dimension or a measure, prefixed with `-` for descending order',
+  'Nombre maximum de groupes retournés (top N)':
+    'Maximum number of groups returned (top N)',
+  'Fuseau horaire utilisé pour découper tryDate':
+    'Time zone used to split tryDate',
+  'Tranches du prix effectif (promotions comprises)': 'Effective price bands (promotions included)',
+  'Bornes des tranches de prix pour la dimension priceBand':
+    'Price band bounds for the priceBand dimension',
+  'Ancienne forme (avg, sum, count...), remplacée par measures':
+    'Legacy form (avg, sum, count...), replaced by measures',
+  'Ancienne forme, champ mesuré avec metric':
+    'Legacy form, field measured with metric',
+  'Un objet par groupe (_id vaut la dimension, ou un objet si plusieurs dimensions)':
+    'One object per group (_id is the dimension, or an object for several dimensions)',
+  'Dimension, mesure, filtre ou combinaison invalide':
+    'Invalid dimension, measure, filter or combination',
+  'Potions les mieux notées (moyenne bayésienne des avis)':
+    'Top-rated potions (Bayesian average of reviews)',
+  'Classe les potions par `bayesianScore = (C × m + Σ scores) / (C + nombre d’avis)`,\noù `m` est le score moyen de tous les avis et `C` le poids de cet a priori\n(par défaut, le nombre moyen d’avis par potion notée).\nLes autres paramètres filtrent les potions avec la grammaire de `GET /potions`.\n':
+    'Ranks potions by `bayesianScore = (C × m + Σ scores) / (C + number of reviews)`,\nwhere `m` is the average score of all reviews and `C` the weight of this prior\n(by default, the average number of reviews per rated potion).\nOther parameters filter potions with the `GET /potions` grammar.\n',
+  'Nombre minimum d’avis pour figurer au classement':
+    'Minimum number of reviews to be ranked',
+  'Poids C de la moyenne générale (nombre d’avis « virtuels »)':
+    'Weight C of the overall average (number of "virtual" reviews)',
+  'Classement':
+    'Ranking',
+  'Paramètre invalide':
+    'Invalid parameter',
+  'Évolution des potions testées dans le temps (tryDate)':
+    'Trend of tested potions over time (tryDate)',
+  'Séries par période : nombre d’essais, score moyen, prix moyen, force et arôme moyens,\navec variations par rapport à la période précédente et moyennes mobiles optionnelles.\nLes autres paramètres filtrent les potions avec la grammaire de `GET /potions`\n(ex. `vendor_id=Mystic Waters`, `categories=soin`).\n':
+    'Series per period: number of tries, average score, average price, average strength and flavor,\nwith changes from the previous period and optional moving averages.\nOther parameters filter potions with the `GET /potions` grammar\n(e.g. `vendor_id=Mystic Waters`, `categories=soin`).\n',
+  'Fuseau horaire IANA utilisé pour découper les périodes':
+    'IANA time zone used to split periods',
+  'Début de l’intervalle (inclus)':
+    'Start of the range (inclusive)',
+  'Fin de l’intervalle (exclue)':
+    'End of the range (exclusive)',
+  'Ajoute les périodes sans essai (count à 0, moyennes nulles)':
+    'Adds periods without tries (count of 0, null averages)',
+  'Taille de la moyenne mobile, en nombre de périodes':
+    'Moving average size, in number of periods',
+  'Série temporelle':
+    'Time series',
+  'Moyennes mobiles des mêmes indicateurs (si window est fourni)':
+    'Moving averages of the same indicators (if window is provided)',
+  'Variation par indicateur vs période précédente : { change, percent }':
+    'Change per indicator vs the previous period: { change, percent }',
+  'Paramètres invalides':
+    'Invalid parameters',
+  'Consulter le journal d’audit':
+    'View the audit log',
+  'Rôle requis : `admin`. Les plus récentes d’abord ; pagination par curseur et\nfiltres génériques (`entity.type`, `entity.id`, `version[gte]`...) comme `GET /potions`.\nL’état complet des potions (`snapshot`) n’est renvoyé que par `GET /potions/{id}/history/{version}`.\n':
+    'Required role: `admin`. Most recent first; cursor pagination and\ngeneric filters (`entity.type`, `entity.id`, `version[gte]`...) as in `GET /potions`.\nThe full potion state (`snapshot`) is only returned by `GET /potions/{id}/history/{version}`.\n',
+  'ID ou nom de l’auteur':
+    'Author ID or name',
+  'Actions séparées par des virgules ; `auth.*` pour toutes les actions d’une famille':
+    'Comma-separated actions; `auth.*` for every action in a family',
+  'Date de début (incluse)':
+    'Start date (inclusive)',
+  'Date de fin (exclue)':
+    'End date (exclusive)',
+  'Page d’entrées du journal':
+    'Page of log entries',
+  'Enregistrer un nouvel utilisateur':
+    'Register a new user',
+  'Nom d\'utilisateur (3 à 30 caractères)':
+    'Username (3 to 30 characters)',
+  'Mot de passe (au moins 6 caractères)':
+    'Password (at least 6 characters)',
+  'Adresse e-mail (facultative, nécessaire pour réinitialiser le mot de passe)':
+    'E-mail address (optional, required to reset the password)',
+  'Langue des messages de l’API (facultative, sinon selon Accept-Language)':
+    'Language of API messages (optional, otherwise based on Accept-Language)',
+  'Utilisateur créé avec succès':
+    'User created successfully',
+  'Données invalides ou incomplètes':
+    'Invalid or incomplete data',
+  'Nom ou e-mail déjà utilisé':
+    'Name or e-mail already in use',
+  'Connexion d’un utilisateur (JWT envoyé en cookie)':
+    'User login (JWT sent as a cookie)',
+  'Connexion réussie. Deux cookies HTTP-only sont posés : un JWT de courte durée (15 min,\ncontenant le rôle et le vendor_id de l’utilisateur) et un refresh token (30 jours,\nlimité aux routes /auth) à échanger via `POST /auth/refresh`.\n':
+    'Login successful. Two HTTP-only cookies are set: a short-lived JWT (15 min,\ncontaining the user\'s role and vendor_id) and a refresh token (30 days,\nrestricted to /auth routes) to exchange via `POST /auth/refresh`.\n',
+  'Cookies d’authentification (JWT) et de renouvellement (refresh token)':
+    'Authentication (JWT) and renewal (refresh token) cookies',
+  'Identifiants invalides':
+    'Invalid credentials',
+  'Renouveler le JWT à partir du refresh token':
+    'Renew the JWT from the refresh token',
+  'Le refresh token est à usage unique : chaque appel en délivre un nouveau.\nPrésenter un refresh token déjà utilisé révoque toute la session (détection de vol).\n':
+    'The refresh token is single-use: each call issues a new one.\nPresenting a refresh token that was already used revokes the whole session (theft detection).\n',
+  'Nouveaux cookies JWT et refresh token posés':
+    'New JWT and refresh token cookies set',
+  'Refresh token absent, expiré, révoqué ou réutilisé':
+    'Refresh token missing, expired, revoked or reused',
+  'Déconnecter un utilisateur (révoque la session et supprime les cookies)':
+    'Log a user out (revokes the session and clears the cookies)',
+  'Déconnexion réussie':
+    'Logout successful',
+  'Lister les sessions actives de l’utilisateur connecté':
+    'List the active sessions of the logged-in user',
+  'Sessions actives':
+    'Active sessions',
+  'Session utilisée pour cette requête':
+    'Session used for this request',
+  'Déconnecter tous les appareils':
+    'Log out from all devices',
+  'Conserver la session courante et ne révoquer que les autres':
+    'Keep the current session and revoke only the others',
+  'Sessions révoquées':
+    'Sessions revoked',
+  'Révoquer une session (déconnecter un appareil)':
+    'Revoke a session (log a device out)',
+  'ID de la session':
+    'Session ID',
+  'Session révoquée':
+    'Session revoked',
+  'Session non trouvée':
+    'Session not found',
+  'Profil de l’utilisateur connecté':
+    'Profile of the logged-in user',
+  'Profil':
+    'Profile',
+  'Modifier son profil (nom, e-mail, langue)':
+    'Update your profile (name, e-mail, language)',
+  '`locale` fixe la langue des messages de l’API pour ce compte, quel que soit l’en-tête\nAccept-Language ; `null` revient à la négociation par Accept-Language.\n':
+    '`locale` sets the language of API messages for this account, regardless of the\nAccept-Language header; `null` falls back to Accept-Language negotiation.\n',
+  'Profil mis à jour':
+    'Profile updated',
+  'Données invalides':
+    'Invalid data',
+  'Supprimer son compte':
+    'Delete your account',
+  'Nécessite le mot de passe actuel. `mode=anonymize` (défaut) conserve les potions créées\net les avis mais efface les données personnelles du compte ; `mode=delete` supprime le compte,\nses potions et ses avis (les scores des potions concernées sont recalculés).\nToutes les sessions sont révoquées.\n':
+    'Requires the current password. `mode=anonymize` (default) keeps the created potions\nand reviews but erases the account\'s personal data; `mode=delete` deletes the account,\nits potions and its reviews (scores of the affected potions are recomputed).\nAll sessions are revoked.\n',
+  'Compte supprimé':
+    'Account deleted',
+  'Mode invalide':
+    'Invalid mode',
+  'Non authentifié ou mot de passe incorrect':
+    'Not authenticated or incorrect password',
+  'Le dernier administrateur ne peut pas supprimer son compte':
+    'The last administrator cannot delete their account',
+  'Changer son mot de passe':
+    'Change your password',
+  'Les autres sessions de l’utilisateur sont révoquées ; la session courante reste active.':
+    'The user\'s other sessions are revoked; the current session stays active.',
+  'Nouveau mot de passe (au moins 6 caractères)':
+    'New password (at least 6 characters)',
+  'Mot de passe modifié':
+    'Password changed',
+  'Nouveau mot de passe invalide':
+    'Invalid new password',
+  'Non authentifié ou mot de passe actuel incorrect':
+    'Not authenticated or incorrect current password',
+  'Demander un e-mail de réinitialisation du mot de passe':
+    'Request a password reset e-mail',
+  'Répond toujours 200 pour ne pas révéler l’existence d’un compte. Si le compte possède\nune adresse e-mail, un jeton à usage unique valable 1 h y est envoyé.\n':
+    'Always responds 200 so as not to reveal whether an account exists. If the account has\nan e-mail address, a single-use token valid for 1 h is sent to it.\n',
+  'Demande prise en compte':
+    'Request accepted',
+  'Réinitialiser le mot de passe avec le jeton reçu par e-mail':
+    'Reset the password with the token received by e-mail',
+  'Le jeton est à usage unique ; toutes les sessions de l’utilisateur sont révoquées.':
+    'The token is single-use; all of the user\'s sessions are revoked.',
+  'Mot de passe réinitialisé':
+    'Password reset',
+  'Jeton invalide, expiré ou déjà utilisé, ou mot de passe invalide':
+    'Invalid, expired or already used token, or invalid password',
+  'Historique des modifications d’une potion':
+    'Change history of a potion',
+  'Rôles : `admin`, `vendor` (ses propres potions). Les plus récentes d’abord ;\npagination par curseur comme `GET /potions`. L’état complet d’une version\ns’obtient avec `GET /potions/{id}/history/{version}`.\n':
+    'Roles: `admin`, `vendor` (their own potions). Most recent first;\ncursor pagination as in `GET /potions`. The full state of a version\nis available with `GET /potions/{id}/history/{version}`.\n',
+  'Page d’entrées d’historique':
+    'Page of history entries',
+  'Potion appartenant à un autre vendeur ou rôle insuffisant':
+    'Potion belonging to another vendor or insufficient role',
+  'Potion non trouvée':
+    'Potion not found',
+  'Consulter une version passée d’une potion':
+    'View a past version of a potion',
+  'Entrée d’historique avec l’état complet de la potion (`snapshot`)':
+    'History entry with the full state of the potion (`snapshot`)',
+  'Potion ou version non trouvée':
+    'Potion or version not found',
+  'Restaurer une version passée d’une potion':
+    'Restore a past version of a potion',
+  'Réapplique les champs modifiables de la version (les champs absents de cette version sont retirés).\n`score`, `ratings` et `reviewCount` restent ceux calculés à partir des avis ; pour un vendeur,\n`vendor_id` n’est pas modifié. La restauration crée elle-même une nouvelle version.\n':
+    'Reapplies the editable fields of the version (fields absent from that version are removed).\n`score`, `ratings` and `reviewCount` stay as computed from the reviews; for a vendor,\n`vendor_id` is not changed. The restore itself creates a new version.\n',
+  'Potion restaurée':
+    'Potion restored',
+  'La version n’est plus valide (ex. vendeur supprimé depuis)':
+    'The version is no longer valid (e.g. vendor deleted since)',
+  'Potion dans la corbeille (la restaurer d’abord) ou modifiée pendant la restauration':
+    'Potion in the trash (restore it first) or modified during the restore',
+  'Lister les avis d’une potion (pagination par curseur)':
+    'List the reviews of a potion (cursor pagination)',
+  'Même grammaire que `GET /potions` pour les filtres (ex. `score[gte]=4`), `sort`, `limit` et `cursor`.\nTri par défaut : les plus récents d’abord.\n':
+    'Same grammar as `GET /potions` for filters (e.g. `score[gte]=4`), `sort`, `limit` and `cursor`.\nDefault sort: most recent first.\n',
+  'ID de la potion':
+    'Potion ID',
+  'Inclure le nom de l’auteur (`author`)':
+    'Include the author\'s name (`author`)',
+  'Page d’avis':
+    'Page of reviews',
+  'Paramètre de requête invalide':
+    'Invalid query parameter',
+  'Donner son avis sur une potion':
+    'Review a potion',
+  'Un seul avis par utilisateur et par potion. Le score, les notes et le nombre d’avis\nde la potion sont recalculés.\n':
+    'One review per user and per potion. The potion\'s score, ratings and review count\nare recomputed.\n',
+  'Avis créé':
+    'Review created',
+  'Erreur de validation':
+    'Validation error',
+  'Avis déjà donné sur cette potion':
+    'Potion already reviewed',
+  'Modifier son avis':
+    'Edit your review',
+  'Avis mis à jour':
+    'Review updated',
+  'Avis d’un autre utilisateur':
+    'Review by another user',
+  'Avis non trouvé':
+    'Review not found',
+  'Supprimer un avis':
+    'Delete a review',
+  'Rôles : l’auteur de l’avis, ou `admin` (modération).':
+    'Roles: the review\'s author, or `admin` (moderation).',
+  'Avis supprimé':
+    'Review deleted',
+  'Récupérer les potions (filtres, tri, projection et pagination par curseur)':
+    'Get potions (filters, sorting, projection and cursor pagination)',
+  'Tout champ du schéma Potion peut être filtré avec `champ=valeur` ou `champ[op]=valeur`.\nOpérateurs : `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in`, `nin` (listes séparées par des virgules),\n`all` et `contains` (tableaux de chaînes, ex. `categories[contains]=soin`).\nExemples : `price[gte]=10&price[lt]=50`, `tryDate[gte]=2025-01-01`, `ratings.strength[gte]=4`.\nUn champ ou un opérateur inconnu renvoie une erreur 400.\n':
+    'Any field of the Potion schema can be filtered with `field=value` or `field[op]=value`.\nOperators: `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in`, `nin` (comma-separated lists),\n`all` and `contains` (string arrays, e.g. `categories[contains]=soin`).\nExamples: `price[gte]=10&price[lt]=50`, `tryDate[gte]=2025-01-01`, `ratings.strength[gte]=4`.\nAn unknown field or operator returns a 400 error.\n',
+  'Clés de tri séparées par des virgules, préfixées par `-` pour un tri décroissant':
+    'Comma-separated sort keys, prefixed with `-` for descending order',
+  'Champs à retourner':
+    'Fields to return',
+  'Nombre de potions par page':
+    'Number of potions per page',
+  'Curseur opaque issu des liens `next` / `prev`':
+    'Opaque cursor taken from the `next` / `prev` links',
+  'Ajoute le nombre total de résultats (`paging.total`)':
+    'Adds the total number of results (`paging.total`)',
+  'Inclure les détails du vendeur dans chaque potion (`vendor`)':
+    'Include vendor details in each potion (`vendor`)',
+  'Page de potions':
+    'Page of potions',
+  'Paramètres de requête invalides':
+    'Invalid query parameters',
+  'Crée une nouvelle potion.':
+    'Creates a new potion.',
+  'Rôles : `admin`, `vendor`. Pour un vendeur, `vendor_id` est imposé par son compte\net il devient propriétaire (`owner`) de la potion.\n`score`, `ratings` et `reviewCount` sont calculés à partir des avis et ignorés s’ils sont envoyés.\n':
+    'Roles: `admin`, `vendor`. For a vendor, `vendor_id` is set from their account\nand they become the potion\'s owner (`owner`).\n`score`, `ratings` and `reviewCount` are computed from the reviews and ignored if sent.\n',
+  'Nom de la potion (2 à 100 caractères).':
+    'Potion name (2 to 100 characters).',
+  'Prix de la potion.':
+    'Potion price.',
+  'Ingrédients de la potion (une chaîne seule est acceptée comme nom).':
+    'Potion ingredients (a single string is accepted as a name).',
+  'Catégories, normalisées en minuscules et dédoublonnées.':
+    'Categories, normalized to lowercase and deduplicated.',
+  'Potion créée avec succès.':
+    'Potion created successfully.',
+  'Erreur de validation, détaillée champ par champ.':
+    'Validation error, detailed field by field.',
+  'Non authentifié.':
+    'Not authenticated.',
+  'Rôle insuffisant.':
+    'Insufficient role.',
+  'Erreur serveur.':
+    'Server error.',
+  'Récupérer uniquement les noms des potions':
+    'Get potion names only',
+  'Liste des noms':
+    'List of names',
+  'Rechercher des potions (plein texte, tolérant aux fautes) ou compléter un nom':
+    'Search potions (full-text, typo-tolerant) or complete a name',
+  '`mode=full` (défaut) cherche dans le nom, les catégories et les ingrédients, sans tenir compte\ndes accents ni des pluriels, et tolère une faute de frappe par mot (deux au-delà de 7 lettres).\nLes résultats sont triés par pertinence, avec les passages trouvés entourés de `<em>`\net le décompte par catégorie, vendeur et tranche de prix.\n`mode=autocomplete` propose les noms dont un mot commence par `q`.\nLes autres paramètres filtrent les potions avec la grammaire de `GET /potions` (ex. `price[lte]=20`).\n':
+    '`mode=full` (default) searches the name, categories and ingredients, ignoring\naccents and plurals, and tolerates one typo per word (two beyond 7 letters).\nResults are sorted by relevance, with matched passages wrapped in `<em>`\nand counts per category, vendor and price band.\n`mode=autocomplete` suggests names with a word starting with `q`.\nOther parameters filter potions with the `GET /potions` grammar (e.g. `price[lte]=20`).\n',
+  'Tolérance aux fautes de frappe':
+    'Typo tolerance',
+  'Défaut : 20 (10 en autocomplétion)':
+    'Default: 20 (10 for autocompletion)',
+  'Résultats de la recherche':
+    'Search results',
+  'Termes recherchés, corrections comprises':
+    'Searched terms, including corrections',
+  'Absent en autocomplétion':
+    'Absent for autocompletion',
+  'Paramètre manquant ou invalide':
+    'Missing or invalid parameter',
+  'Exporter les potions (JSON, NDJSON ou CSV)':
+    'Export potions (JSON, NDJSON or CSV)',
+  'Export en flux de toutes les potions correspondant aux filtres de `GET /potions`\n(ex. `categories=soin&price[lte]=20`). En CSV, les champs imbriqués sont aplatis\n(`ratings.strength`), les catégories séparées par `|` et les ingrédients écrits en JSON.\n':
+    'Streamed export of all potions matching the `GET /potions` filters\n(e.g. `categories=soin&price[lte]=20`). In CSV, nested fields are flattened\n(`ratings.strength`), categories are separated by `|` and ingredients are written as JSON.\n',
+  'Fichier d’export':
+    'Export file',
+  'Format ou filtre invalide':
+    'Invalid format or filter',
+  'Importer des potions en masse (JSON, NDJSON ou CSV)':
+    'Bulk import potions (JSON, NDJSON or CSV)',
+  'Rôles : `admin`, `vendor` (les potions importées sont rattachées à son vendeur).\nChaque ligne est validée comme un `POST /potions` ; les lignes valides sont enregistrées,\nles autres listées dans le rapport avec leurs erreurs. Le format est déduit du `Content-Type`\n(`application/json`, `application/x-ndjson`, `text/csv`) ou forcé par `format`.\nEn CSV : en-tête obligatoire, séparateur `,` ou `;`, colonnes imbriquées aplaties (`ratings.strength`),\n`categories` et `ingredients` séparés par `|` (les ingrédients peuvent aussi être en JSON) ;\nune colonne qui ne désigne aucun champ est refusée (400).\n`score`, `ratings` et `reviewCount` sont ignorés (calculés à partir des avis).\n':
+    'Roles: `admin`, `vendor` (imported potions are attached to their vendor).\nEach row is validated like a `POST /potions`; valid rows are saved,\nthe others are listed in the report with their errors. The format is inferred from the `Content-Type`\n(`application/json`, `application/x-ndjson`, `text/csv`) or forced with `format`.\nIn CSV: header required, `,` or `;` separator, nested columns flattened (`ratings.strength`),\n`categories` and `ingredients` separated by `|` (ingredients may also be JSON);\na column that matches no field is rejected (400).\n`score`, `ratings` and `reviewCount` are ignored (computed from the reviews).\n',
+  'Valide et produit le rapport sans rien enregistrer':
+    'Validates and produces the report without saving anything',
+  'Met à jour la potion portant la même clé au lieu d’en créer une nouvelle':
+    'Updates the potion with the same key instead of creating a new one',
+  'Rapport d’import':
+    'Import report',
+  'Position dans le tableau JSON, ou numéro de ligne du fichier':
+    'Position in the JSON array, or line number in the file',
+  'Format, paramètre ou corps invalide':
+    'Invalid format, parameter or body',
+  'Fichier trop volumineux (IMPORT_MAX_BYTES)':
+    'File too large (IMPORT_MAX_BYTES)',
+  'Lister les potions de la corbeille':
+    'List the potions in the trash',
+  'Rôles : `admin` (toute la corbeille), `vendor` (ses propres potions).\nMêmes paramètres que `GET /potions` ; tri par défaut : dernières modifiées d’abord.\nLes potions sont purgées définitivement après TRASH_RETENTION_DAYS jours (30 par défaut).\n':
+    'Roles: `admin` (the whole trash), `vendor` (their own potions).\nSame parameters as `GET /potions`; default sort: most recently modified first.\nPotions are permanently purged after TRASH_RETENTION_DAYS days (30 by default).\n',
+  'Page de potions supprimées (avec `deletedAt` et `deletedBy`)':
+    'Page of deleted potions (with `deletedAt` and `deletedBy`)',
+  'Récupérer les potions par vendeur':
+    'Get potions by vendor',
+  'ID du vendeur':
+    'Vendor ID',
+  'Inclure les détails du vendeur dans chaque potion':
+    'Include vendor details in each potion',
+  'Liste des potions du vendeur':
+    'List of the vendor\'s potions',
+  'Récupérer les potions dans une fourchette de prix':
+    'Get potions within a price range',
+  'Prix minimum':
+    'Minimum price',
+  'Prix maximum':
+    'Maximum price',
+  'Potions dans la fourchette demandée':
+    'Potions within the requested range',
+  'Remplacer une potion':
+    'Replace a potion',
+  'Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement ;\n`vendor_id` et `owner` ne peuvent pas être modifiés).\nLes champs modifiables absents du corps sont retirés. `_id`, dates, `score`, `ratings`,\n`reviewCount` et champs de corbeille sont ignorés : le corps d’un `GET` peut être renvoyé tel quel.\n':
+    'Roles: `admin` (all potions), `vendor` (their own potions only;\n`vendor_id` and `owner` cannot be changed).\nEditable fields absent from the body are removed. `_id`, dates, `score`, `ratings`,\n`reviewCount` and trash fields are ignored: the body of a `GET` can be sent back as is.\n',
+  'Potion remplacée':
+    'Potion replaced',
+  'Erreur de validation, détaillée champ par champ':
+    'Validation error, detailed field by field',
+  'La potion a été modifiée depuis la lecture de l’ETag envoyé dans `If-Match`':
+    'The potion was modified since the ETag sent in `If-Match` was read',
+  'Modifier une potion (JSON Merge Patch ou JSON Patch)':
+    'Update a potion (JSON Merge Patch or JSON Patch)',
+  'Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement ;\n`vendor_id` et `owner` ne peuvent pas être modifiés).\n\n- `application/merge-patch+json` (ou `application/json`) : RFC 7396, `null` retire un champ.\n- `application/json-patch+json` : RFC 6902 (`add`, `remove`, `replace`, `move`, `copy`, `test`),\n  appliqué en entier ou pas du tout.\n\nLes champs calculés ou gérés par l’API (`_id`, dates, `score`, `ratings`, `reviewCount`) sont ignorés.\n':
+    'Roles: `admin` (all potions), `vendor` (their own potions only;\n`vendor_id` and `owner` cannot be changed).\n\n- `application/merge-patch+json` (or `application/json`): RFC 7396, `null` removes a field.\n- `application/json-patch+json`: RFC 6902 (`add`, `remove`, `replace`, `move`, `copy`, `test`),\n  applied entirely or not at all.\n\nFields computed or managed by the API (`_id`, dates, `score`, `ratings`, `reviewCount`) are ignored.\n',
+  'Potion modifiée':
+    'Potion updated',
+  'Patch invalide ou erreur de validation':
+    'Invalid patch or validation error',
+  'Une opération `test` du JSON Patch a échoué':
+    'A `test` operation of the JSON Patch failed',
+  'Type de contenu non supporté':
+    'Unsupported content type',
+  'Modifier une potion (via POST, obsolète)':
+    'Update a potion (via POST, deprecated)',
+  'Remplacé par `PATCH /potions/{id}` ; les réponses portent les en-têtes `Deprecation`\net `Link` (`rel="successor-version"`). Les champs envoyés sont modifiés, les autres conservés.\n':
+    'Replaced by `PATCH /potions/{id}`; responses carry the `Deprecation`\nand `Link` (`rel="successor-version"`) headers. Sent fields are updated, the others are kept.\n',
+  'ID de la potion à modifier':
+    'ID of the potion to update',
+  'Champs de la potion à modifier (partiels ou complets)':
+    'Potion fields to update (partial or complete)',
+  'Potion mise à jour avec succès':
+    'Potion updated successfully',
+  'Erreur serveur':
+    'Server error',
+  'Mettre une potion à la corbeille (ou la supprimer définitivement)':
+    'Move a potion to the trash (or delete it permanently)',
+  'Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement).\nLa potion part à la corbeille (`GET /potions/trash`) et peut être restaurée jusqu’à sa purge.\n`hard=true` (admin uniquement) la supprime définitivement avec ses avis, y compris depuis la corbeille.\n':
+    'Roles: `admin` (all potions), `vendor` (their own potions only).\nThe potion goes to the trash (`GET /potions/trash`) and can be restored until it is purged.\n`hard=true` (admin only) deletes it permanently with its reviews, including from the trash.\n',
+  'ID de la potion à supprimer':
+    'ID of the potion to delete',
+  'Suppression définitive (admin)':
+    'Permanent deletion (admin)',
+  'Potion mise à la corbeille ou supprimée':
+    'Potion moved to the trash or deleted',
+  'Récupérer une potion par son ID':
+    'Get a potion by its ID',
+  'ID de la potion à récupérer':
+    'ID of the potion to get',
+  'Inclure les détails du vendeur (`vendor`)':
+    'Include vendor details (`vendor`)',
+  'Détails de la potion':
+    'Potion details',
+  'Potion inchangée depuis l’ETag envoyé dans `If-None-Match`':
+    'Potion unchanged since the ETag sent in `If-None-Match`',
+  'Restaurer une potion depuis la corbeille':
+    'Restore a potion from the trash',
+  'Rôles : `admin` (toutes les potions), `vendor` (ses propres potions uniquement).':
+    'Roles: `admin` (all potions), `vendor` (their own potions only).',
+  'La potion n’est pas dans la corbeille':
+    'The potion is not in the trash',
+  'Lister les vendeurs avec leur nombre de potions':
+    'List vendors with their number of potions',
+  'Filtrer par statut':
+    'Filter by status',
+  'Liste des vendeurs':
+    'List of vendors',
+  'Créer un vendeur':
+    'Create a vendor',
+  'Vendeur créé':
+    'Vendor created',
+  'Un vendeur porte déjà ce nom':
+    'A vendor with this name already exists',
+  'Récupérer un vendeur':
+    'Get a vendor',
+  'Détails du vendeur':
+    'Vendor details',
+  'Vendeur non trouvé':
+    'Vendor not found',
+  'Modifier un vendeur':
+    'Update a vendor',
+  'Rôles : `admin`, ou `vendor` rattaché à ce vendeur (sans pouvoir modifier `status`).\n':
+    'Roles: `admin`, or a `vendor` attached to this vendor (without being able to change `status`).\n',
+  'Vendeur mis à jour':
+    'Vendor updated',
+  'Vendeur géré par un autre compte':
+    'Vendor managed by another account',
+  'Supprimer un vendeur':
+    'Delete a vendor',
+  'Rôle requis : `admin`. Refusé tant que des potions (corbeille comprise) ou des comptes\nsont rattachés au vendeur (passer plutôt son statut à `inactive`).\n':
+    'Required role: `admin`. Refused while potions (including in the trash) or accounts\nare attached to the vendor (set its status to `inactive` instead).\n',
+  'Vendeur supprimé':
+    'Vendor deleted',
+  'Des potions ou des comptes sont encore rattachés au vendeur':
+    'Potions or accounts are still attached to the vendor',
+  'Administration des utilisateurs (rôle admin requis)':
+    'User administration (admin role required)',
+  'Statistiques et agrégations sur les potions, en accès libre.\nUne clé d’API présentée doit avoir la portée `analytics:read` ; la limite de débit est alors comptée par clé.\n':
+    'Statistics and aggregations on potions, publicly accessible.\nAn API key, if presented, must have the `analytics:read` scope; the rate limit is then counted per key.\n',
+  'Journal d’audit (rôle admin requis)':
+    'Audit log (admin role required)',
+  'Avis des utilisateurs sur les potions':
+    'User reviews of potions',
+  'Gestion des potions magiques':
+    'Magic potion management',
+  'Vendeurs de potions':
+    'Potion vendors',
+  'Sonde de vie':
+    'Liveness probe',
+  'Répond 200 tant que le process tourne, même sans base de données (un échec signifie qu’il faut redémarrer le conteneur).':
+    'Returns 200 as long as the process is running, even without a database (a failure means the container must be restarted).',
+  'Process en vie':
+    'Process alive',
+  'Secondes depuis le démarrage':
+    'Seconds since startup',
+  'Sonde de disponibilité':
+    'Readiness probe',
+  'Répond 200 si MongoDB est connecté et répond au ping, 503 sinon ou pendant l’arrêt du serveur (le trafic doit alors être dirigé ailleurs).':
+    'Returns 200 if MongoDB is connected and answers the ping, 503 otherwise or while the server is shutting down (traffic should then be routed elsewhere).',
+  'Prêt à recevoir du trafic':
+    'Ready to receive traffic',
+  'Base de données indisponible ou arrêt en cours':
+    'Database unavailable or shutdown in progress',
+  'Sondes de vie et de disponibilité (orchestrateurs, docker-compose)':
+    'Liveness and readiness probes (orchestrators, docker-compose)',
+  'Clé d’API (`pk_...`) créée via POST /auth/api-keys, avec le rôle de son propriétaire. Portées : `potions:read` (corbeille, historique), `potions:write` (création, modification, suppression, import), `analytics:read` (limite de débit propre à la clé).':
+    'API key (`pk_...`) created via POST /auth/api-keys, with its owner’s role. Scopes: `potions:read` (trash, history), `potions:write` (create, update, delete, import), `analytics:read` (per-key rate limit).',
+  'La même clé d’API, dans l’en-tête X-API-Key.':
+    'The same API key, in the X-API-Key header.',
+  'Clés d’API pour les scripts et intégrations (alternative au cookie de session)':
+    'API keys for scripts and integrations (alternative to the session cookie)',
+  '4 derniers caractères de la clé':
+    'Last 4 characters of the key',
+  'Créer une clé d’API':
+    'Create an API key',
+  'La clé (`pk_...`) n’est renvoyée qu’une fois : seul son hash est conservé.\nElle s’envoie dans `Authorization: Bearer <clé>` ou `X-API-Key: <clé>` et agit au nom de\nl’utilisateur, avec son rôle, dans la limite de ses portées.\n':
+    'The key (`pk_...`) is returned only once: only its hash is stored.\nSend it in `Authorization: Bearer <key>` or `X-API-Key: <key>`; it acts on behalf of\nthe user, with their role, within the limits of its scopes.\n',
+  'Date d’expiration (facultative)':
+    'Expiry date (optional)',
+  'Clé créée':
+    'Key created',
+  'Libellé, portées ou date d’expiration invalides':
+    'Invalid label, scopes or expiry date',
+  'Requête authentifiée par une clé d’API':
+    'Request authenticated with an API key',
+  'Lister ses clés d’API non révoquées':
+    'List your non-revoked API keys',
+  'Clés de l’utilisateur, les plus récentes d’abord':
+    'The user’s keys, most recent first',
+  'Renommer une clé d’API ou changer ses portées':
+    'Rename an API key or change its scopes',
+  'Clé mise à jour':
+    'Key updated',
+  'Libellé ou portées invalides':
+    'Invalid label or scopes',
+  'Clé d’API non trouvée':
+    'API key not found',
+  'Révoquer une clé d’API':
+    'Revoke an API key',
+  'La clé est refusée dès la requête suivante.':
+    'The key is refused from the next request on.',
+  'Clé révoquée':
+    'Key revoked',
+  'Accessible aussi avec une clé d’API (profil de son propriétaire).':
+    'Also available with an API key (profile of its owner).',
+  'Unités en stock':
+    'Units on hand',
+  'Unités réservées par des commandes en cours':
+    'Units reserved by pending orders',
+  'Unités vendables (onHand - reserved)':
+    'Sellable units (onHand - reserved)',
+  'Seuil de réapprovisionnement (0 : pas d’alerte)':
+    'Reorder threshold (0: no alert)',
+  'Disponible inférieur ou égal au seuil':
+    'Available units at or below the threshold',
+  'Variation appliquée au stock (négative pour une sortie)':
+    'Change applied to the stock (negative for an outgoing movement)',
+  'Stock après le mouvement':
+    'Stock after the movement',
+  'Valeur du stock par vendeur':
+    'Stock value per vendor',
+  'Rôles : `admin` (toutes les potions), `vendor` (ses propres potions) ; contrairement aux autres\nstatistiques, authentification requise. Valeur = unités en stock × prix, potions en stock uniquement ;\nles plus grosses valeurs d’abord.\n':
+    'Roles: `admin` (all potions), `vendor` (own potions); unlike the other\nstatistics, authentication is required. Value = units on hand × price, potions in stock only;\nhighest values first.\n',
+  'Valeur du stock de chaque vendeur':
+    'Stock value of each vendor',
+  'Unités réservées':
+    'Reserved units',
+  'Valeur du stock par catégorie':
+    'Stock value per category',
+  'Mêmes règles que `/analytics/stock-value-by-vendor` ; une potion compte dans chacune\nde ses catégories.\n':
+    'Same rules as `/analytics/stock-value-by-vendor`; a potion counts in each\nof its categories.\n',
+  'Valeur du stock de chaque catégorie':
+    'Stock value of each category',
+  'Lister les potions à réapprovisionner':
+    'List potions to restock',
+  'Rôles : `admin` (toutes les potions), `vendor` (ses propres potions).\nPotions dont le stock disponible (`onHand - reserved`) est inférieur ou égal à leur seuil\nde réapprovisionnement (non nul), les plus gros manques (`shortfall`) d’abord.\n':
+    'Roles: `admin` (all potions), `vendor` (own potions).\nPotions whose available stock (`onHand - reserved`) is at or below their (non-zero)\nreorder threshold, largest shortfalls (`shortfall`) first.\n',
+  'Potions sous leur seuil de réapprovisionnement':
+    'Potions below their reorder threshold',
+  'Unités manquantes pour atteindre le seuil':
+    'Units missing to reach the threshold',
+  'Paramètre limit invalide':
+    'Invalid limit parameter',
+  'Consulter le stock d’une potion':
+    'Get the stock of a potion',
+  'Rôles : `admin`, `vendor` (ses propres potions).':
+    'Roles: `admin`, `vendor` (own potions).',
+  'Stock de la potion':
+    'Stock of the potion',
+  'Modifier le seuil de réapprovisionnement':
+    'Update the reorder threshold',
+  'Seul `reorderThreshold` se modifie ici : les quantités ne changent que par des mouvements\n(`POST /potions/{id}/stock/movements`).\n':
+    'Only `reorderThreshold` can be changed here: quantities only change through movements\n(`POST /potions/{id}/stock/movements`).\n',
+  'Stock mis à jour':
+    'Stock updated',
+  'Seuil invalide':
+    'Invalid threshold',
+  'Journal des mouvements de stock d’une potion':
+    'Stock movement ledger of a potion',
+  'Les plus récents d’abord ; filtres (ex. `type=sale`) et pagination par curseur\ncomme `GET /potions`.\n':
+    'Most recent first; filters (e.g. `type=sale`) and cursor pagination\nlike `GET /potions`.\n',
+  'Page de mouvements':
+    'Page of movements',
+  'Enregistrer un mouvement de stock':
+    'Record a stock movement',
+  '`restock` ajoute `quantity` unités ; `sale` et `spoilage` en retirent ; `adjustment`\napplique `quantity` signée (correction d’inventaire). Une sortie qui dépasserait les unités\ndisponibles est refusée (409) : le stock ne devient jamais négatif, même en cas de requêtes\nsimultanées. Le mouvement est inscrit au journal avec son auteur.\n':
+    '`restock` adds `quantity` units; `sale` and `spoilage` remove them; `adjustment`\napplies a signed `quantity` (stock-take correction). An outgoing movement exceeding the available\nunits is refused (409): stock never goes negative, even with concurrent\nrequests. The movement is recorded in the ledger with its author.\n',
+  'Entier positif (entier signé non nul pour `adjustment`)':
+    'Positive integer (non-zero signed integer for `adjustment`)',
+  'Mouvement enregistré':
+    'Movement recorded',
+  'Type, quantité ou note invalides':
+    'Invalid type, quantity or note',
+  'Stock disponible insuffisant (`insufficient-stock`, avec `available`)':
+    'Insufficient available stock (`insufficient-stock`, with `available`)',
+  'Potion au prix actuel (null si elle n’est plus en vente)':
+    'Potion at its current price (null if no longer on sale)',
+  'Total indicatif ; le prix est figé au passage de la commande':
+    'Indicative total; the price is locked in when the order is placed',
+  'Acheteur':
+    'Buyer',
+  'Lignes figées au passage de la commande (un vendeur ne voit que les siennes)':
+    'Lines locked in when the order was placed (a vendor only sees their own)',
+  'Acheteur et admin uniquement':
+    'Buyer and admin only',
+  'Vendeur uniquement, total de ses lignes':
+    'Vendor only, total of their lines',
+  'Commande expédiée, pour une vente issue d’une commande':
+    'Shipped order, for a sale coming from an order',
+  'Consulter son panier':
+    'Get your cart',
+  'Panier (vide s’il n’existe pas encore)':
+    'Cart (empty if it does not exist yet)',
+  'Vider son panier':
+    'Empty your cart',
+  'Panier vidé':
+    'Cart emptied',
+  'Ajouter une potion au panier ou changer sa quantité':
+    'Add a potion to the cart or change its quantity',
+  'Panier mis à jour':
+    'Cart updated',
+  'Quantité invalide':
+    'Invalid quantity',
+  'Retirer une potion du panier':
+    'Remove a potion from the cart',
+  'Passer commande avec le contenu du panier':
+    'Place an order with the cart contents',
+  'Fige le prix effectif de chaque potion (promotion en cours comprise) et réserve le stock de toutes les lignes (tout ou rien),\npuis vide le panier. La commande est `pending` jusqu’au paiement (`POST /orders/{id}/pay`).\n':
+    'Locks in the effective price of each potion (current promotion included) and reserves stock for every line (all or nothing),\nthen empties the cart. The order is `pending` until payment (`POST /orders/{id}/pay`).\n',
+  'Commande créée':
+    'Order created',
+  'Panier vide ou potion retirée de la vente':
+    'Empty cart or potion withdrawn from sale',
+  'Stock insuffisant pour une potion (`insufficient-stock`)':
+    'Insufficient stock for a potion (`insufficient-stock`)',
+  'Lister les commandes':
+    'List orders',
+  'Ses propres commandes ; pour un vendeur, aussi celles contenant ses potions ; toutes pour un admin.\nFiltres (ex. `status=paid`) et pagination par curseur comme `GET /potions` ; les plus récentes d’abord.\n':
+    'Your own orders; for a vendor, also those containing their potions; all of them for an admin.\nFilters (e.g. `status=paid`) and cursor pagination like `GET /potions`; most recent first.\n',
+  'Page de commandes':
+    'Page of orders',
+  'Consulter une commande':
+    'Get an order',
+  'Commande':
+    'Order',
+  'Commande non trouvée':
+    'Order not found',
+  'Payer une commande':
+    'Pay for an order',
+  'Acheteur uniquement, commande `pending`. Le paiement passe par la passerelle configurée\n(PAYMENT_PROVIDER) ; avec la passerelle locale `fake`, la source `tok_declined` est refusée.\n':
+    'Buyer only, `pending` order. Payment goes through the configured gateway\n(PAYMENT_PROVIDER); with the local `fake` gateway, the `tok_declined` source is declined.\n',
+  'Moyen de paiement tokenisé fourni par la passerelle':
+    'Tokenized payment method provided by the gateway',
+  'Commande payée':
+    'Order paid',
+  'Source de paiement manquante':
+    'Missing payment source',
+  'Paiement refusé (`payment-declined`)':
+    'Payment declined (`payment-declined`)',
+  'Seul l’acheteur peut payer':
+    'Only the buyer can pay',
+  'Transition impossible depuis le statut actuel (`order-invalid-transition`)':
+    'Transition not allowed from the current status (`order-invalid-transition`)',
+  'Annuler une commande non payée':
+    'Cancel an unpaid order',
+  'Acheteur ou admin, commande `pending` ; le stock réservé est libéré.':
+    'Buyer or admin, `pending` order; the reserved stock is released.',
+  'Commande annulée':
+    'Order cancelled',
+  'Ni l’acheteur ni un admin':
+    'Neither the buyer nor an admin',
+  'Transition impossible depuis le statut actuel':
+    'Transition not allowed from the current status',
+  'Expédier une commande payée':
+    'Ship a paid order',
+  'Rôles : `admin`, `vendor` (si toutes les potions de la commande sont les siennes).\nLes unités réservées sortent du stock (une vente par ligne au journal des mouvements).\n':
+    'Roles: `admin`, `vendor` (if all potions of the order are theirs).\nThe reserved units leave the stock (one sale per line in the movement ledger).\n',
+  'Commande expédiée':
+    'Order shipped',
+  'Rôle insuffisant ou potions d’un autre vendeur':
+    'Insufficient role or potions of another vendor',
+  'Rembourser une commande payée ou expédiée':
+    'Refund a paid or shipped order',
+  'Rôles : `admin`, `vendor` (si toutes les potions de la commande sont les siennes).\nAvant expédition, le stock réservé est libéré ; après, les unités expédiées ne reviennent pas\nen stock (mouvement `restock` si elles sont retournées). La commande reste `refunding` pendant\nl’appel à la passerelle et reprend son statut si le remboursement est refusé.\n':
+    'Roles: `admin`, `vendor` (if all potions of the order are theirs).\nBefore shipping, the reserved stock is released; afterwards, shipped units do not return\nto stock (`restock` movement if they are returned). The order stays `refunding` during\nthe gateway call and gets its status back if the refund is declined.\n',
+  '`refunding` : remboursement en cours auprès de la passerelle':
+    '`refunding`: refund in progress with the gateway',
+  'Commande remboursée':
+    'Order refunded',
+  'Remboursement refusé par la passerelle (`refund-failed`)':
+    'Refund declined by the gateway (`refund-failed`)',
+  'Panier, commandes et paiement':
+    'Cart, orders and payment',
+  'Prix de base':
+    'Base price',
+  'Date d’effet du prix de base (historique : GET /potions/{id}/price-history)':
+    'Effective date of the base price (history: GET /potions/{id}/price-history)',
+  'Prix après la meilleure promotion en cours (égal au prix de base sans promotion)':
+    'Price after the best current promotion (equal to the base price without promotion)',
+  'Promotion appliquée au prix effectif':
+    'Promotion applied to the effective price',
+  'Prix après promotion, utilisé pour le total':
+    'Price after promotion, used for the total',
+  'Prix payé, promotion comprise':
+    'Price paid, promotion included',
+  'Prix de base au passage de la commande':
+    'Base price when the order was placed',
+  'Promotion appliquée (absente sans remise)':
+    'Applied promotion (absent without discount)',
+  'Prix de base ou prix effectif (après la meilleure promotion en cours) pour les filtres et mesures de prix':
+    'Base price or effective price (after the best current promotion) for price filters and measures',
+  'Historique des prix d’une potion':
+    'Price history of a potion',
+  'Rôles : `admin`, `vendor` (ses propres potions). Prix successifs avec leur date d’effet et\nleur auteur, les plus récents d’abord, changements programmés compris ; filtres\n(ex. `status=scheduled`) et pagination par curseur comme `GET /potions`.\n':
+    'Roles: `admin`, `vendor` (own potions). Successive prices with their effective date and\ntheir author, most recent first, scheduled changes included; filters\n(e.g. `status=scheduled`) and cursor pagination as in `GET /potions`.\n',
+  'Page de l’historique des prix':
+    'Page of the price history',
+  'Prix remplacé (absent à la création de la potion et pour un changement encore programmé)':
+    'Replaced price (absent when the potion was created and for a change still scheduled)',
+  'Date d’effet du prix':
+    'Effective date of the price',
+  '`superseded` : un prix enregistré après la date d’effet l’a emporté':
+    '`superseded`: a price saved after the effective date prevailed',
+  'Programmer un changement de prix':
+    'Schedule a price change',
+  'Rôles : `admin`, `vendor` (ses propres potions). Le prix de base prend la valeur `price`\nà la date `effectiveFrom` (future), sauf si un autre prix est enregistré après cette date.\nUn changement immédiat se fait avec `PATCH /potions/{id}`.\n':
+    'Roles: `admin`, `vendor` (own potions). The base price takes the value `price`\nat the (future) `effectiveFrom` date, unless another price is saved after that date.\nAn immediate change is made with `PATCH /potions/{id}`.\n',
+  'Changement programmé':
+    'Change scheduled',
+  'Prix invalide ou date d’effet passée':
+    'Invalid price or past effective date',
+  'Annuler un changement de prix programmé':
+    'Cancel a scheduled price change',
+  'Changement annulé':
+    'Change cancelled',
+  'Changement de prix non trouvé':
+    'Price change not found',
+  'Changement déjà appliqué ou annulé (`price-change-not-scheduled`)':
+    'Change already applied or cancelled (`price-change-not-scheduled`)',
+  'Remise en pourcentage du prix de base ou montant retiré':
+    'Percentage of the base price or amount taken off',
+  'Pourcentage (100 au plus) ou montant, strictement positif':
+    'Percentage (at most 100) or amount, strictly positive',
+  'La potion doit avoir une de ces catégories (vide ou absent pour toutes)':
+    'The potion must have one of these categories (empty or absent for all)',
+  'La potion doit appartenir à un de ces vendeurs (imposé pour un vendeur)':
+    'The potion must belong to one of these vendors (enforced for a vendor)',
+  'Début de la promotion (absent pour immédiat)':
+    'Start of the promotion (absent for immediate)',
+  'Fin de la promotion, exclue (absent pour sans fin)':
+    'End of the promotion, exclusive (absent for open-ended)',
+  'Lister les promotions':
+    'List promotions',
+  'Rôles : `admin` (toutes), `vendor` (celles de son vendeur). Filtres (ex. `kind=fixed`,\n`endsAt[gte]=2026-01-01`) et pagination par curseur comme `GET /potions` ; les plus récentes d’abord.\n':
+    'Roles: `admin` (all), `vendor` (those of their vendor). Filters (e.g. `kind=fixed`,\n`endsAt[gte]=2026-01-01`) and cursor pagination as in `GET /potions`; most recent first.\n',
+  'Page de promotions':
+    'Page of promotions',
+  'Créer une promotion':
+    'Create a promotion',
+  'Rôles : `admin`, `vendor` (la promotion ne cible alors que ses potions). Les remises ne se\ncumulent pas : chaque potion prend la plus avantageuse des promotions en cours qui la ciblent.\n':
+    'Roles: `admin`, `vendor` (the promotion then only targets their potions). Discounts do not\nstack: each potion gets the best of the current promotions targeting it.\n',
+  'Promotion créée':
+    'Promotion created',
+  'Rôle insuffisant ou compte vendeur sans vendeur':
+    'Insufficient role or vendor account without a vendor',
+  'Consulter une promotion':
+    'Get a promotion',
+  'Promotion':
+    'Promotion',
+  'Promotion d’un autre vendeur':
+    'Promotion of another vendor',
+  'Promotion non trouvée':
+    'Promotion not found',
+  'Modifier une promotion':
+    'Update a promotion',
+  'Les champs envoyés sont modifiés, les autres conservés ; `null` retire une date.':
+    'Sent fields are updated, the others kept; `null` removes a date.',
+  'Promotion modifiée':
+    'Promotion updated',
+  'Supprimer une promotion':
+    'Delete a promotion',
+  'Les prix effectifs n’en tiennent plus compte dès la suppression ; les commandes passées gardent leur prix.':
+    'Effective prices ignore it as soon as it is deleted; past orders keep their price.',
+  'Promotion supprimée':
+    'Promotion deleted',
+  'Promotions appliquées au prix des potions':
+    'Promotions applied to potion prices'
+};
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer, Client } = require('./helpers');
+const { seedCatalog } = require('./fixtures');
+
+useTestServer();
+
+const client = new Client();
+
+// Valeurs attendues calculées à la main à partir du catalogue de fixtures.js
+describe('/analytics', () => {
+  beforeEach(seedCatalog);
+
+  it('GET /distinct-categories', async () => {
+    const res = await client.get('/analytics/distinct-categories');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 4);
+    assert.deepEqual(res.body.categories.sort(), ['attaque', 'rare', 'soin', 'sommeil']);
+  });
+
+  it('GET /average-score-by-vendor', async () => {
+    const res = await client.get('/analytics/average-score-by-vendor');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(({ name, potionCount, averageScore, reviewCount }) => ({ name, potionCount, averageScore, reviewCount })), [
+      { name: 'Alchimie & Co', potionCount: 2, averageScore: 5, reviewCount: 1 },
+      { name: 'Mystic Waters', potionCount: 2, averageScore: 3.75, reviewCount: 6 }
+    ]);
+    // a priori : m = 29 / 7, C = 7 / 3
+    const mystic = res.body.find(v => v.name === 'Mystic Waters');
+    assert.ok(Math.abs(mystic.bayesianScore - (29 / 3 + 24) / (7 / 3 + 6)) < 1e-9);
+  });
+
+  it('GET /average-score-by-category', async () => {
+    const res = await client.get('/analytics/average-score-by-category');
+    assert.equal(res.status, 200);
+    const byCategory = Object.fromEntries(res.body.map(c => [c._id, c.averageScore]));
+    assert.deepEqual(byCategory, { soin: 4.75, attaque: 3, rare: 3, sommeil: 5 });
+  });
+
+  it('GET /strength-flavor-ratio', async () => {
+    const res = await client.get('/analytics/strength-flavor-ratio');
+    assert.equal(res.status, 200);
+    const ratios = Object.fromEntries(res.body.map(p => [p.name, p.strengthFlavorRatio]));
+    assert.deepEqual(ratios, {
+      'Potion de soin': 2,
+      'Élixir de force': 3,
+      'Philtre de sommeil': 0.2,
+      'Potion de vitesse': null
+    });
+  });
+
+  describe('GET /search', () => {
+    it('regroupe par vendeur avec plusieurs mesures', async () => {
+      const res = await client.get('/analytics/search?groupBy=vendor_id&measures=count,avg:price,max:ratings.strength&sort=-avg_price');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map(({ vendorName, count, avg_price, max_ratings_strength }) => (
+        { vendorName, count, avg_price, max_ratings_strength }
+      )), [
+        { vendorName: 'Alchimie & Co', count: 2, avg_price: 85, max_ratings_strength: 1 },
+        { vendorName: 'Mystic Waters', count: 2, avg_price: 17.5, max_ratings_strength: 9 }
+      ]);
+    });
+
+    it('déplie les catégories, filtre et applique having', async () => {
+      const res = await client.get('/analytics/search?groupBy=categories&having=count>=2&price[lt]=100');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, [{ _id: 'soin', count: 2 }]);
+    });
+
+    it('accepte l’ancienne forme metric / field', async () => {
+      const res = await client.get('/analytics/search?groupBy=vendor_id&metric=sum&field=price');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map(r => r.result).sort((a, b) => a - b), [35, 170]);
+    });
+
+    it('détaille les paramètres invalides', async () => {
+      const res = await client.get('/analytics/search?groupBy=couleur&measures=avg:password');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'invalid-query');
+      assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['groupBy', 'measures']);
+    });
+
+    it('refuse les membres d’Object.prototype comme dimension ou mesure', async () => {
+      const res = await client.get('/analytics/search?groupBy=constructor&measures=constructor:price');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'invalid-query');
+      assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['groupBy', 'measures']);
+    });
+  });
+
+  describe('GET /top-rated', () => {
+    it('classe par moyenne bayésienne', async () => {
+      const res = await client.get('/analytics/top-rated');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.prior, { mean: 4.143, weight: 2.333 });
+      assert.deepEqual(res.body.data.map(p => [p.name, p.bayesianScore]), [
+        ['Philtre de sommeil', 4.4],
+        ['Potion de soin', 4.368],
+        ['Élixir de force', 3.615]
+      ]);
+    });
+
+    it('filtre par nombre d’avis minimum et limite le classement', async () => {
+      const res = await client.get('/analytics/top-rated?minReviews=2&limit=1');
+      assert.deepEqual(res.body.data.map(p => p.name), ['Potion de soin']);
+    });
+
+    it('refuse une limite invalide', async () => {
+      const res = await client.get('/analytics/top-rated?limit=0');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'limit');
+    });
+  });
+
+  describe('GET /trends', () => {
+    it('calcule une série mensuelle avec périodes vides et variations', async () => {
+      const res = await client.get('/analytics/trends?granularity=month&from=2024-12-01&to=2025-04-01&window=2');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.granularity, 'month');
+      assert.equal(res.body.timezone, 'UTC');
+      assert.deepEqual(res.body.series.map(p => [p.label, p.count]), [
+        ['2024-12', 0],
+        ['2025-01', 1],
+        ['2025-02', 1],
+        ['2025-03', 2]
+      ]);
+      const march = res.body.series[3];
+      assert.equal(march.avgPrice, 85);
+      assert.deepEqual(march.delta.avgPrice, { change: 60, percent: 240 });
+      assert.equal(march.movingAverage.avgPrice, 55);
+    });
+
+    it('refuse une granularité ou une fenêtre invalide', async () => {
+      const res = await client.get('/analytics/trends?granularity=hour&window=1');
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['granularity', 'window']);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer, Client, loginAs } = require('./helpers');
+const { seedCatalog, PASSWORD } = require('./fixtures');
+const ApiKey = require('../api-key.model');
+const AuditLog = require('../audit.model');
+
+useTestServer();
+
+// Crée une clé depuis la session `client` et renvoie { key, body }
+async function createKey(client, fields) {
+  const res = await client.post('/auth/api-keys', { label: 'Import nocturne', ...fields });
+  assert.equal(res.status, 201, res.text);
+  return { key: res.body.key, body: res.body };
+}
+
+const bearer = key => new Client({ headers: { Authorization: `Bearer ${key}` } });
+
+describe('/auth/api-keys', () => {
+  it('crée une clé affichée une seule fois, stockée hachée', async () => {
+    const { client } = await loginAs('vendor');
+    const { key, body } = await createKey(client, { scopes: ['potions:write'] });
+    assert.match(key, /^pk_[0-9a-f]{24}\.[\w-]{43}$/);
+    assert.equal(body.status, 'active');
+    assert.equal(body.hint, key.slice(-4));
+    assert.equal(body.tokenHash, undefined);
+
+    const stored = await ApiKey.findById(body._id);
+    assert.ok(!stored.tokenHash.includes(key.split('.')[1]));
+
+    const list = await client.get('/auth/api-keys');
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.map(k => [k.label, k.key]), [['Import nocturne', undefined]]);
+
+    const audit = await AuditLog.findOne({ action: 'auth.api-key-create' });
+    assert.equal(String(audit.meta.apiKey), body._id);
+  });
+
+  it('valide le libellé, les portées et l’expiration', async () => {
+    const { client } = await loginAs('reader');
+    const res = await client.post('/auth/api-keys', { label: '', scopes: ['potions:admin'] });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['label', 'scopes.0']);
+
+    const past = await client.post('/auth/api-keys', { label: 'x', scopes: ['analytics:read'], expiresAt: '2020-01-01' });
+    assert.equal(past.status, 400);
+    assert.equal(past.body.errors[0].path, 'expiresAt');
+  });
+
+  it('renomme, change les portées puis révoque une clé', async () => {
+    const { client } = await loginAs('vendor');
+    const { key, body } = await createKey(client, { scopes: ['potions:read'] });
+
+    const renamed = await client.patch(`/auth/api-keys/${body._id}`, { label: 'Partenaire', scopes: ['potions:read', 'potions:write'] });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.label, 'Partenaire');
+    assert.deepEqual(renamed.body.scopes, ['potions:read', 'potions:write']);
+
+    assert.equal((await client.delete(`/auth/api-keys/${body._id}`)).status, 200);
+    assert.equal((await client.delete(`/auth/api-keys/${body._id}`)).status, 404);
+    assert.deepEqual((await client.get('/auth/api-keys')).body, []);
+
+    const res = await bearer(key).get('/auth/me');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'api-key-invalid');
+  });
+
+  it('ne gère pas les clés d’un autre utilisateur', async () => {
+    const { client: owner } = await loginAs('vendor');
+    const { client: other } = await loginAs('vendor');
+    const { body } = await createKey(owner, { scopes: ['potions:read'] });
+    assert.equal((await other.delete(`/auth/api-keys/${body._id}`)).status, 404);
+    assert.deepEqual((await other.get('/auth/api-keys')).body, []);
+  });
+});
+
+describe('authentification par clé d’API', () => {
+  let vendors;
+  beforeEach(async () => {
+    ({ vendors } = await seedCatalog());
+  });
+
+  it('accepte Authorization: Bearer et X-API-Key avec le rôle du propriétaire', async () => {
+    const { client, user } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const { key, body } = await createKey(client, { scopes: ['potions:write'] });
+
+    const created = await bearer(key).post('/potions', { name: 'Potion de feu', price: 12 });
+    assert.equal(created.status, 201, created.text);
+    assert.equal(created.body.vendor_id, String(vendors.mystic._id));
+
+    const viaHeader = new Client({ headers: { 'X-API-Key': key } });
+    const me = await viaHeader.get('/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body._id, String(user._id));
+
+    const audit = await AuditLog.findOne({ action: 'potion.create' });
+    assert.equal(String(audit.actor.apiKey), body._id);
+    assert.ok((await ApiKey.findById(body._id)).lastUsedAt);
+  });
+
+  it('exige la portée correspondant à l’action', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const { key } = await createKey(client, { scopes: ['potions:read'] });
+
+    const write = await bearer(key).post('/potions', { name: 'Potion de feu' });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.code, 'api-key-scope-missing');
+
+    const trash = await bearer(key).get('/potions/trash');
+    assert.equal(trash.status, 200);
+  });
+
+  it('ne dépasse jamais le rôle du propriétaire', async () => {
+    const { client } = await loginAs('reader');
+    const { key } = await createKey(client, { scopes: ['potions:write'] });
+    const res = await bearer(key).post('/potions', { name: 'Potion de feu' });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'permission-required');
+  });
+
+  it('réserve la gestion du compte aux sessions', async () => {
+    const { client } = await loginAs('admin');
+    const { key } = await createKey(client, { scopes: ['potions:read', 'potions:write', 'analytics:read'] });
+
+    for (const [method, path, body] of [
+      ['post', '/auth/api-keys', { label: 'autre', scopes: ['potions:read'] }],
+      ['get', '/auth/sessions'],
+      ['post', '/auth/change-password', { currentPassword: PASSWORD, newPassword: 'nouveau123' }],
+      ['get', '/admin/users'],
+      ['get', '/audit']
+    ]) {
+      const res = method === 'get' ? await bearer(key).get(path) : await bearer(key)[method](path, body);
+      assert.equal(res.status, 403, `${method} ${path}`);
+      assert.equal(res.body.code, 'api-key-not-allowed');
+    }
+  });
+
+  it('refuse une clé expirée ou inconnue', async () => {
+    const { client } = await loginAs('vendor');
+    const { key, body } = await createKey(client, { scopes: ['potions:read'] });
+    await ApiKey.updateOne({ _id: body._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const expired = await bearer(key).get('/potions/trash');
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.code, 'api-key-expired');
+    assert.equal((await client.get('/auth/api-keys')).body[0].status, 'expired');
+
+    const unknown = await bearer(`${key.slice(0, -4)}AAAA`).get('/potions/trash');
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.code, 'api-key-invalid');
+  });
+
+  it('vérifie la portée analytics:read sur les statistiques publiques', async () => {
+    const { client } = await loginAs('reader');
+    const { key: potionsOnly } = await createKey(client, { scopes: ['potions:read'] });
+    const { key: analyticsKey } = await createKey(client, { scopes: ['analytics:read'] });
+
+    assert.equal((await new Client().get('/analytics/distinct-categories')).status, 200);
+    assert.equal((await bearer(analyticsKey).get('/analytics/distinct-categories')).status, 200);
+    const res = await bearer(potionsOnly).get('/analytics/distinct-categories');
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'api-key-scope-missing');
+  });
+
+  it('supprime les clés avec le compte', async () => {
+    const { client } = await loginAs('vendor');
+    const { key } = await createKey(client, { scopes: ['potions:read'] });
+    await client.delete('/auth/me', { body: { password: PASSWORD } });
+    assert.equal(await ApiKey.countDocuments(), 0);
+    assert.equal((await bearer(key).get('/auth/me')).status, 401);
+  });
+});
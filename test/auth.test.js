@@ -0,0 +1,283 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer, Client, login, loginAs, outbox } = require('./helpers');
+const { createUser, seedCatalog, PASSWORD } = require('./fixtures');
+const User = require('../user.model');
+const Potion = require('../potion.model');
+const Session = require('../session.model');
+const { config } = require('../config');
+
+useTestServer();
+
+const { accessName: ACCESS_COOKIE, refreshName: REFRESH_COOKIE } = config.cookies;
+
+// Rejoue des cookies capturés plus tôt (jeton volé, session révoquée...)
+function clientWith(cookies) {
+  const client = new Client();
+  client.cookies = new Map(cookies);
+  return client;
+}
+
+describe('POST /auth/register', () => {
+  it('crée un compte lecteur', async () => {
+    const client = new Client();
+    const res = await client.post('/auth/register', { name: 'harry', password: PASSWORD, email: 'Harry@Poudlard.fr', locale: 'en' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, 'Utilisateur créé');
+
+    const user = await User.findOne({ name: 'harry' });
+    assert.equal(user.role, 'reader');
+    assert.equal(user.email, 'harry@poudlard.fr');
+    assert.equal(user.locale, 'en');
+    assert.notEqual(user.password, PASSWORD);
+  });
+
+  it('valide les champs', async () => {
+    const res = await new Client().post('/auth/register', { name: 'hp', password: '123', locale: 'de' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation-failed');
+    assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['locale', 'name', 'password']);
+  });
+
+  it('refuse un nom déjà pris (409)', async () => {
+    await createUser({ name: 'harry' });
+    const res = await new Client().post('/auth/register', { name: 'harry', password: PASSWORD });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'user-exists');
+  });
+});
+
+describe('POST /auth/login', () => {
+  it('pose les cookies d’accès et de renouvellement', async () => {
+    await createUser({ name: 'harry' });
+    const client = new Client();
+    const res = await client.post('/auth/login', { name: 'harry', password: PASSWORD });
+    assert.equal(res.status, 200);
+    assert.ok(client.cookies.has(ACCESS_COOKIE));
+    assert.ok(client.cookies.has(REFRESH_COOKIE));
+    assert.equal((await client.get('/auth/me')).body.name, 'harry');
+  });
+
+  it('refuse des identifiants invalides', async () => {
+    await createUser({ name: 'harry' });
+    for (const credentials of [{ name: 'harry', password: 'mauvais' }, { name: 'ron', password: PASSWORD }]) {
+      const res = await new Client().post('/auth/login', credentials);
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'invalid-credentials');
+    }
+  });
+
+  it('verrouille le compte après 5 échecs', async () => {
+    await createUser({ name: 'harry' });
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await new Client().post('/auth/login', { name: 'harry', password: 'mauvais' })).status, 401);
+    }
+    const res = await new Client().post('/auth/login', { name: 'harry', password: PASSWORD });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'account-locked');
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+});
+
+describe('POST /auth/refresh', () => {
+  it('renouvelle les jetons et révoque la session si un ancien jeton est rejoué', async () => {
+    await createUser({ name: 'harry' });
+    const client = await login('harry');
+    const stolen = new Map(client.cookies);
+
+    const refreshed = await client.post('/auth/refresh');
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(client.cookies.get(REFRESH_COOKIE), stolen.get(REFRESH_COOKIE));
+
+    const replay = await clientWith(stolen).post('/auth/refresh');
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'refresh-token-reused');
+
+    const me = await client.get('/auth/me');
+    assert.equal(me.status, 401);
+    assert.equal(me.body.code, 'session-revoked');
+  });
+
+  it('répond 401 sans jeton de renouvellement', async () => {
+    const res = await new Client().post('/auth/refresh');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'session-expired');
+  });
+});
+
+describe('GET /auth/logout', () => {
+  it('révoque la session et efface les cookies', async () => {
+    await createUser({ name: 'harry' });
+    const client = await login('harry');
+    const before = new Map(client.cookies);
+
+    const res = await client.get('/auth/logout');
+    assert.equal(res.status, 200);
+    assert.equal(client.cookies.size, 0);
+
+    const replay = await clientWith(before).get('/auth/me');
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'session-revoked');
+  });
+});
+
+describe('/auth/sessions', () => {
+  it('liste les sessions actives et signale la session courante', async () => {
+    await createUser({ name: 'harry' });
+    const laptop = await login('harry');
+    await login('harry');
+
+    const res = await laptop.get('/auth/sessions');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 2);
+    assert.equal(res.body.filter(s => s.current).length, 1);
+  });
+
+  it('révoque une session précise, les autres ou toutes', async () => {
+    await createUser({ name: 'harry' });
+    const laptop = await login('harry');
+    const phone = await login('harry');
+    const tablet = await login('harry');
+
+    const sessions = (await laptop.get('/auth/sessions')).body;
+    const other = sessions.find(s => !s.current);
+    const revoked = await laptop.delete(`/auth/sessions/${other._id}`);
+    assert.equal(revoked.status, 200);
+    assert.equal((await laptop.delete(`/auth/sessions/${other._id}`)).status, 404);
+
+    const others = await laptop.delete('/auth/sessions?others=true');
+    assert.equal(others.status, 200);
+    assert.equal(others.body.revoked, 1);
+    assert.equal((await phone.get('/auth/me')).status, 401);
+    assert.equal((await tablet.get('/auth/me')).status, 401);
+    assert.equal((await laptop.get('/auth/me')).status, 200);
+
+    const all = await laptop.delete('/auth/sessions');
+    assert.equal(all.body.revoked, 1);
+    assert.equal((await laptop.get('/auth/me')).status, 401);
+  });
+});
+
+describe('/auth/me', () => {
+  it('renvoie le profil sans données sensibles', async () => {
+    const { client, user } = await loginAs('reader', { email: 'harry@poudlard.fr' });
+    const res = await client.get('/auth/me');
+    assert.equal(res.status, 200);
+    assert.equal(res.body._id, String(user._id));
+    assert.equal(res.body.email, 'harry@poudlard.fr');
+    assert.equal(res.body.password, undefined);
+    assert.equal(res.body.passwordReset, undefined);
+  });
+
+  it('exige une connexion', async () => {
+    const res = await new Client().get('/auth/me');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'token-missing');
+  });
+
+  it('modifie le profil et applique aussitôt la langue choisie', async () => {
+    const { client } = await loginAs('reader');
+    const res = await client.patch('/auth/me', { name: 'hermione', locale: 'en' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'hermione');
+    assert.equal(res.body.locale, 'en');
+
+    const missing = await client.delete('/auth/sessions/abc');
+    assert.equal(missing.body.detail, 'Session not found');
+
+    const invalid = await client.patch('/auth/me', { email: 'pas-un-email' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].msg, 'Invalid e-mail address.');
+  });
+
+  it('anonymise le compte en gardant ses potions au catalogue', async () => {
+    const { vendors } = await seedCatalog();
+    const { client, user } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    await client.post('/potions', { name: 'Potion de feu' });
+
+    const wrong = await client.delete('/auth/me', { body: { password: 'mauvais' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, 'invalid-password');
+
+    const res = await client.delete('/auth/me', { body: { password: PASSWORD } });
+    assert.equal(res.status, 200);
+    const anonymized = await User.findById(user._id);
+    assert.match(anonymized.name, /^utilisateur-supprime-/);
+    assert.equal(anonymized.role, 'reader');
+    assert.ok(anonymized.deletedAt);
+    const potion = await Potion.findOne({ name: 'Potion de feu' });
+    assert.equal(potion.owner, undefined);
+    assert.equal((await new Client().post('/auth/login', { name: user.name, password: PASSWORD })).status, 401);
+  });
+
+  it('supprime le compte et ses potions avec mode=delete', async () => {
+    const { vendors } = await seedCatalog();
+    const { client, user } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    await client.post('/potions', { name: 'Potion de feu' });
+
+    const res = await client.delete('/auth/me?mode=delete', { body: { password: PASSWORD } });
+    assert.equal(res.status, 200);
+    assert.equal(await User.countDocuments({ _id: user._id }), 0);
+    assert.equal(await Session.countDocuments({ user: user._id }), 0);
+    assert.equal(await Potion.countDocuments({ name: 'Potion de feu' }).withDeleted(), 0);
+  });
+
+  it('protège le dernier administrateur', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.delete('/auth/me', { body: { password: PASSWORD } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'last-admin');
+  });
+});
+
+describe('POST /auth/change-password', () => {
+  it('change le mot de passe et déconnecte les autres sessions', async () => {
+    await createUser({ name: 'harry' });
+    const current = await login('harry');
+    const other = await login('harry');
+
+    const wrong = await current.post('/auth/change-password', { currentPassword: 'mauvais', newPassword: 'nouveau123' });
+    assert.equal(wrong.status, 401);
+
+    const res = await current.post('/auth/change-password', { currentPassword: PASSWORD, newPassword: 'nouveau123' });
+    assert.equal(res.status, 200);
+    assert.equal((await current.get('/auth/me')).status, 200);
+    assert.equal((await other.get('/auth/me')).status, 401);
+    assert.equal((await new Client().post('/auth/login', { name: 'harry', password: PASSWORD })).status, 401);
+    await login('harry', 'nouveau123');
+  });
+});
+
+describe('POST /auth/forgot-password et /auth/reset-password', () => {
+  it('envoie un jeton à usage unique par e-mail', async () => {
+    await createUser({ name: 'harry', email: 'harry@poudlard.fr' });
+    const session = await login('harry');
+
+    const res = await new Client().post('/auth/forgot-password', { email: 'harry@poudlard.fr' });
+    assert.equal(res.status, 200);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'harry@poudlard.fr');
+    const token = /\n\n([\w-]{43})/.exec(outbox[0].text)[1];
+
+    const reset = await new Client().post('/auth/reset-password', { token, password: 'nouveau123' });
+    assert.equal(reset.status, 200);
+    assert.equal((await session.get('/auth/me')).status, 401);
+    await login('harry', 'nouveau123');
+
+    const reused = await new Client().post('/auth/reset-password', { token, password: 'encore123' });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'invalid-reset-token');
+  });
+
+  it('répond de la même façon pour un compte inconnu, sans envoyer d’e-mail', async () => {
+    const res = await new Client().post('/auth/forgot-password', { email: 'inconnu@poudlard.fr' });
+    assert.equal(res.status, 200);
+    assert.equal(outbox.length, 0);
+  });
+
+  it('exige un nom ou un e-mail', async () => {
+    const res = await new Client().post('/auth/forgot-password', {});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].path, 'email');
+  });
+});
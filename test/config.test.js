@@ -0,0 +1,122 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../config');
+
+const STRONG_SECRET = 'x'.repeat(40);
+const PRODUCTION = { NODE_ENV: 'production', MONGO_URI: 'mongodb://db/potions', JWT_SECRET: STRONG_SECRET };
+
+function problemsOf(env) {
+  try {
+    loadConfig(env);
+  } catch (err) {
+    assert.ok(err instanceof ConfigError);
+    return err.problems;
+  }
+  assert.fail('ConfigError attendue');
+}
+
+describe('loadConfig', () => {
+  it('applique les valeurs par défaut du profil development', () => {
+    const { config, warnings } = loadConfig({ MONGO_URI: 'mongodb://localhost/potions' });
+    assert.equal(config.env, 'development');
+    assert.equal(config.port, 3000);
+    assert.equal(config.publicUrl, 'http://localhost:3000');
+    assert.equal(config.cookies.secure, false);
+    assert.equal(config.cors.origins, '*');
+    assert.deepEqual(config.jwt.keys, [{ kid: 'default', secret: 'dev_change_me' }]);
+    assert.match(warnings[0], /JWT_SECRET absent/);
+    assert.ok(Object.isFrozen(config.jwt));
+  });
+
+  it('sécurise les cookies et ferme CORS par défaut en production', () => {
+    const { config, warnings } = loadConfig(PRODUCTION);
+    assert.equal(config.cookies.secure, true);
+    assert.deepEqual(config.cors.origins, []);
+    assert.deepEqual(warnings, ['PAYMENT_PROVIDER=fake en production : aucun paiement réel']);
+  });
+
+  it('refuse de démarrer en production avec un secret par défaut ou trop court', () => {
+    assert.deepEqual(problemsOf({ ...PRODUCTION, JWT_SECRET: undefined }), ['JWT_SECRET (ou JWT_KEYS) est obligatoire']);
+    assert.deepEqual(problemsOf({ ...PRODUCTION, JWT_SECRET: 'dev_secret' }),
+      ['Clé JWT default : secret par défaut interdit en production']);
+    assert.deepEqual(problemsOf({ ...PRODUCTION, JWT_SECRET: 'court' }),
+      ['Clé JWT default : au moins 32 caractères en production']);
+  });
+
+  it('liste toutes les valeurs invalides', () => {
+    const problems = problemsOf({
+      ...PRODUCTION,
+      PORT: 'abc',
+      JWT_ALGORITHM: 'none',
+      COOKIE_SECURE: 'false',
+      COOKIE_SAMESITE: 'none',
+      CORS_ORIGINS: 'https://app.example.com/,*.example.com'
+    });
+    assert.equal(problems.length, 5);
+    assert.ok(problems.some(p => p.startsWith('PORT ')));
+    assert.ok(problems.some(p => p.startsWith('JWT_ALGORITHM ')));
+    assert.ok(problems.includes('COOKIE_SAMESITE=none exige COOKIE_SECURE=true'));
+    assert.equal(problems.filter(p => p.startsWith('CORS_ORIGINS')).length, 2);
+  });
+
+  it('lit les origines CORS et l’URL publique', () => {
+    const { config } = loadConfig({
+      ...PRODUCTION,
+      CORS_ORIGINS: 'https://app.example.com, https://admin.example.com',
+      PUBLIC_URL: 'https://api.example.com/'
+    });
+    assert.deepEqual(config.cors.origins, ['https://app.example.com', 'https://admin.example.com']);
+    assert.equal(config.publicUrl, 'https://api.example.com');
+  });
+
+  it('accepte plusieurs clés JWT pour la rotation, la première signe', () => {
+    const { config } = loadConfig({
+      ...PRODUCTION,
+      JWT_SECRET: undefined,
+      JWT_KEYS: `2026-10:${STRONG_SECRET},2026-07:${'y'.repeat(40)}`
+    });
+    assert.deepEqual(config.jwt.keys.map(k => k.kid), ['2026-10', '2026-07']);
+    assert.equal(config.jwt.signingKey.kid, '2026-10');
+  });
+
+  it('valide la passerelle et la devise de paiement', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test', PAYMENT_CURRENCY: 'chf' });
+    assert.deepEqual({ ...config.payments }, { provider: 'fake', currency: 'CHF' });
+    const problems = problemsOf({ NODE_ENV: 'test', PAYMENT_PROVIDER: 'stripe', PAYMENT_CURRENCY: 'euros' });
+    assert.equal(problems.length, 2);
+    assert.ok(problems[0].startsWith('PAYMENT_PROVIDER '));
+  });
+
+  it('valide les réglages d’exploitation au lieu de retomber sur les valeurs par défaut', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test', IMPORT_MAX_BYTES: '2mb', RATE_LIMIT_STORE: 'mongo', MONGO_CONNECT_MAX_ATTEMPTS: '0' });
+    assert.equal(config.imports.maxBytes, 2 * 1024 * 1024);
+    assert.equal(config.rateLimit.store, 'mongo');
+    assert.deepEqual([config.rateLimit.orders.max, config.rateLimit.potions.max], [30, 30]);
+    assert.equal(loadConfig({ NODE_ENV: 'test', RATE_LIMIT_ORDERS_MAX: '5' }).config.rateLimit.orders.max, 5);
+    assert.equal(config.mongo.connectMaxAttempts, 0);
+    assert.equal(config.auth.lockoutThreshold, 5);
+
+    const problems = problemsOf({
+      NODE_ENV: 'test',
+      RATE_LIMIT_STORE: 'mongodb',
+      LOG_LEVEL: 'verbose',
+      MAIL_TRANSPORT: 'smtp',
+      IMPORT_MAX_BYTES: 'beaucoup',
+      RATE_LIMIT_LOGIN_MAX: '0',
+      TRASH_RETENTION_DAYS: '-1'
+    });
+    assert.deepEqual(problems.map(p => p.split(/[ =]/)[0]), [
+      'LOG_LEVEL', 'MAIL_TRANSPORT', 'RATE_LIMIT_STORE', 'RATE_LIMIT_LOGIN_MAX', 'IMPORT_MAX_BYTES', 'TRASH_RETENTION_DAYS'
+    ]);
+  });
+
+  it('rejette des clés JWT mal formées sans recopier les secrets', () => {
+    const problems = problemsOf({ NODE_ENV: 'test', JWT_KEYS: 'sans-separateur,k1:a,k1:b' });
+    assert.deepEqual(problems, [
+      'JWT_KEYS : entrée n°1 invalide, format attendu kid:secret',
+      'JWT_KEYS : identifiant de clé en double : k1'
+    ]);
+  });
+});
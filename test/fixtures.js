@@ -0,0 +1,78 @@
+/**
+ * Données de test : comptes et petit catalogue (deux vendeurs, quatre potions)
+ * aux valeurs choisies pour que les résultats des analytics se calculent à la main.
+ */
+
+const User = require('../user.model');
+const Vendor = require('../vendor.model');
+const Potion = require('../potion.model');
+
+const PASSWORD = 'secret123';
+
+function createUser({ name, password = PASSWORD, role = 'reader', ...fields }) {
+  return User.create({ name, password, role, ...fields });
+}
+
+/**
+ * Catalogue de référence. Les scores et notes sont enregistrés directement
+ * (en production, ils sont calculés à partir des avis).
+ *
+ *   potion   vendeur        prix  score  avis  force  arôme  catégories        essai
+ *   soin     Mystic Waters    10    4.5     4      4      2  soin              2025-01-15
+ *   force    Mystic Waters    25    3       2      9      3  attaque, rare     2025-02-10
+ *   sommeil  Alchimie & Co    50    5       1      1      5  soin, sommeil     2025-03-05
+ *   vitesse  Alchimie & Co   120    -       0      -      -  attaque           2025-03-20
+ */
+async function seedCatalog() {
+  const [mystic, alchimie] = await Vendor.create([
+    { name: 'Mystic Waters', location: { city: 'Brocéliande' } },
+    { name: 'Alchimie & Co', location: { city: 'Paris' } }
+  ]);
+
+  const [soin, force, sommeil, vitesse] = await Potion.create([
+    {
+      name: 'Potion de soin',
+      price: 10,
+      score: 4.5,
+      reviewCount: 4,
+      ratings: { strength: 4, flavor: 2 },
+      categories: ['soin'],
+      ingredients: [{ name: 'larmes de phénix', quantity: 3, unit: 'goutte', rarity: 'légendaire' }],
+      tryDate: new Date('2025-01-15T10:00:00Z'),
+      vendor_id: mystic._id
+    },
+    {
+      name: 'Élixir de force',
+      price: 25,
+      score: 3,
+      reviewCount: 2,
+      ratings: { strength: 9, flavor: 3 },
+      categories: ['attaque', 'rare'],
+      ingredients: [{ name: 'corne de troll' }],
+      tryDate: new Date('2025-02-10T10:00:00Z'),
+      vendor_id: mystic._id
+    },
+    {
+      name: 'Philtre de sommeil',
+      price: 50,
+      score: 5,
+      reviewCount: 1,
+      ratings: { strength: 1, flavor: 5 },
+      categories: ['soin', 'sommeil'],
+      ingredients: [{ name: 'pavot', quantity: 2, unit: 'pincée' }],
+      tryDate: new Date('2025-03-05T10:00:00Z'),
+      vendor_id: alchimie._id
+    },
+    {
+      name: 'Potion de vitesse',
+      price: 120,
+      categories: ['attaque'],
+      tryDate: new Date('2025-03-20T10:00:00Z'),
+      vendor_id: alchimie._id
+    }
+  ]);
+
+  return { vendors: { mystic, alchimie }, potions: { soin, force, sommeil, vitesse } };
+}
+
+module.exports = { PASSWORD, createUser, seedCatalog };
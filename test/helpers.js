@@ -0,0 +1,136 @@
+/**
+ * Outils communs aux tests d’intégration : MongoDB en mémoire (mongodb-memory-server, en replica set
+ * pour les transactions), API montée avec createApp() sur un port libre, client HTTP avec cookies
+ * et connexion par rôle.
+ *
+ * TEST_MONGO_URI désigne à la place un replica set existant (ex. celui de docker-compose.yml) :
+ * sa base est vidée avant chaque test, elle doit donc être dédiée aux tests.
+ */
+
+// Avant tout chargement de l’API : profil de configuration `test` (voir config.js), logs coupés
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { once } = require('events');
+const { before, after, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { createApp } = require('../app');
+const { setTransport } = require('../mailer');
+const { createUser, PASSWORD } = require('./fixtures');
+
+let mongod;
+let server;
+let baseUrl;
+
+// E-mails envoyés pendant le test en cours (voir useTestServer)
+const outbox = [];
+
+async function clearDatabase() {
+  await Promise.all(Object.values(mongoose.connection.collections).map(c => c.deleteMany({})));
+}
+
+/**
+ * À appeler en tête d’un fichier de test : démarre MongoDB et l’API avant les tests,
+ * vide la base et la boîte d’envoi avant chacun, arrête tout à la fin.
+ */
+function useTestServer() {
+  before(async () => {
+    const uri = process.env.TEST_MONGO_URI;
+    if (!uri) mongod = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(uri || mongod.getUri());
+    // Limites de débit désactivées : les tests enchaînent les connexions depuis la même IP
+    const app = createApp({ rateLimit: false, docs: false });
+    // Index (texte, unicité) créés avant le premier test
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+    setTransport({ send: async message => { outbox.push(message); } });
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    outbox.length = 0;
+    await clearDatabase();
+  });
+
+  after(async () => {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+}
+
+// Cookie supprimé par le serveur (res.clearCookie : valeur vide, date passée)
+function isCleared(attributes, value) {
+  return value === '' || /expires=thu, 01 jan 1970/i.test(attributes);
+}
+
+/**
+ * Client HTTP de test : garde les cookies d’une réponse à l’autre, comme un navigateur.
+ * Chaque réponse vaut { status, headers, text, body } (body : JSON décodé s’il y en a).
+ */
+class Client {
+  constructor({ headers = {} } = {}) {
+    this.headers = headers;
+    this.cookies = new Map();
+  }
+
+  storeCookies(setCookies) {
+    for (const line of setCookies) {
+      const [pair, ...attributes] = line.split(';');
+      const index = pair.indexOf('=');
+      const name = pair.slice(0, index).trim();
+      const value = pair.slice(index + 1).trim();
+      if (isCleared(attributes.join(';'), value)) this.cookies.delete(name);
+      else this.cookies.set(name, value);
+    }
+  }
+
+  async request(method, path, { body, type, headers = {} } = {}) {
+    const init = { method, headers: { ...this.headers, ...headers }, redirect: 'manual' };
+    if (this.cookies.size) {
+      init.headers.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    if (body !== undefined) {
+      const raw = typeof body === 'string';
+      init.headers['Content-Type'] = type || (raw ? 'text/plain' : 'application/json');
+      init.body = raw ? body : JSON.stringify(body);
+    }
+
+    const res = await fetch(`${baseUrl}${path}`, init);
+    this.storeCookies(res.headers.getSetCookie());
+    const text = await res.text();
+    const isJson = /[/+]json(;|$)/.test(res.headers.get('content-type') || '');
+    return { status: res.status, headers: res.headers, text, body: isJson && text ? JSON.parse(text) : undefined };
+  }
+
+  get(path, options) { return this.request('GET', path, options); }
+  post(path, body, options) { return this.request('POST', path, { ...options, body }); }
+  put(path, body, options) { return this.request('PUT', path, { ...options, body }); }
+  patch(path, body, options) { return this.request('PATCH', path, { ...options, body }); }
+  delete(path, options) { return this.request('DELETE', path, options); }
+}
+
+// Client connecté via POST /auth/login (compte existant)
+async function login(name, password = PASSWORD) {
+  const client = new Client();
+  const res = await client.post('/auth/login', { name, password });
+  if (res.status !== 200) throw new Error(`Connexion de ${name} impossible : ${res.status} ${res.text}`);
+  return client;
+}
+
+/**
+ * Crée un compte et renvoie un client connecté : loginAs('admin'), loginAs('vendor', { vendor_id }).
+ * Renvoie { client, user }.
+ */
+async function loginAs(role, fields = {}) {
+  const user = await createUser({ name: `${role}-${Math.random().toString(36).slice(2, 8)}`, role, ...fields });
+  return { client: await login(user.name), user };
+}
+
+module.exports = { useTestServer, clearDatabase, Client, login, loginAs, outbox };
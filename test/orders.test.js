@@ -0,0 +1,223 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer, loginAs } = require('./helpers');
+const { seedCatalog } = require('./fixtures');
+const Potion = require('../potion.model');
+const Order = require('../order.model');
+const StockMovement = require('../stock-movement.model');
+
+useTestServer();
+
+async function stockOf(potion) {
+  const { stock } = await Potion.findById(potion._id).select('+stock').withDeleted();
+  return { onHand: stock.onHand, reserved: stock.reserved };
+}
+
+// Remplit le panier du client puis passe commande
+async function order(client, lines) {
+  for (const [potion, quantity] of lines) {
+    const res = await client.put(`/cart/items/${potion._id}`, { quantity });
+    assert.equal(res.status, 200, res.text);
+  }
+  return client.post('/orders');
+}
+
+describe('/cart', () => {
+  let potions;
+  beforeEach(async () => {
+    ({ potions } = await seedCatalog());
+  });
+
+  it('ajoute, modifie et retire des potions au prix actuel', async () => {
+    const { client } = await loginAs('reader');
+    assert.deepEqual((await client.get('/cart')).body.items, []);
+
+    await client.put(`/cart/items/${potions.soin._id}`, { quantity: 2 });
+    await client.put(`/cart/items/${potions.force._id}`, { quantity: 1 });
+    const updated = await client.put(`/cart/items/${potions.soin._id}`, { quantity: 3 });
+    assert.deepEqual(updated.body.items.map(i => [i.potion.name, i.quantity, i.lineTotal]), [
+      ['Potion de soin', 3, 30], ['Élixir de force', 1, 25]
+    ]);
+    assert.equal(updated.body.total, 55);
+
+    const removed = await client.delete(`/cart/items/${potions.soin._id}`);
+    assert.deepEqual(removed.body.items.map(i => i.potion.name), ['Élixir de force']);
+  });
+
+  it('valide la quantité et la potion', async () => {
+    const { client } = await loginAs('reader');
+    const res = await client.put(`/cart/items/${potions.soin._id}`, { quantity: 0 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].path, 'quantity');
+    assert.equal((await client.put('/cart/items/6437b61e5db11573cfe933b0', { quantity: 1 })).status, 404);
+  });
+});
+
+describe('/orders', () => {
+  let vendors, potions;
+  beforeEach(async () => {
+    ({ vendors, potions } = await seedCatalog());
+    for (const potion of [potions.soin, potions.force, potions.sommeil]) {
+      await Potion.updateOne({ _id: potion._id }, { 'stock.onHand': 5, 'stock.reserved': 0 });
+    }
+  });
+
+  it('fige les prix, réserve le stock et vide le panier', async () => {
+    const { client, user } = await loginAs('reader');
+    const res = await order(client, [[potions.soin, 2], [potions.sommeil, 1]]);
+    assert.equal(res.status, 201, res.text);
+    assert.equal(res.body.status, 'pending');
+    assert.equal(res.body.user, String(user._id));
+    assert.equal(res.body.total, 70);
+    assert.equal(res.body.currency, 'EUR');
+    assert.deepEqual(res.body.items.map(i => [i.name, i.unitPrice, i.quantity, i.lineTotal]), [
+      ['Potion de soin', 10, 2, 20], ['Philtre de sommeil', 50, 1, 50]
+    ]);
+    assert.deepEqual(await stockOf(potions.soin), { onHand: 5, reserved: 2 });
+    assert.deepEqual((await client.get('/cart')).body.items, []);
+
+    await Potion.updateOne({ _id: potions.soin._id }, { price: 99 });
+    const stored = await client.get(`/orders/${res.body._id}`);
+    assert.equal(stored.body.items[0].unitPrice, 10);
+
+    const empty = await client.post('/orders');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.code, 'cart-empty');
+  });
+
+  it('ne réserve rien si une ligne manque de stock', async () => {
+    const { client } = await loginAs('reader');
+    const res = await order(client, [[potions.soin, 2], [potions.force, 6]]);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'insufficient-stock');
+    assert.equal(res.body.available, 5);
+    assert.deepEqual(await stockOf(potions.soin), { onHand: 5, reserved: 0 });
+    assert.equal((await client.get('/cart')).body.items.length, 2);
+  });
+
+  it('refuse une potion retirée de la vente depuis l’ajout au panier', async () => {
+    const { client } = await loginAs('reader');
+    await client.put(`/cart/items/${potions.soin._id}`, { quantity: 1 });
+    await Potion.updateOne({ _id: potions.soin._id }, { deletedAt: new Date() });
+    const res = await client.post('/orders');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'cart-invalid');
+    assert.equal(res.body.errors[0].path, 'items.0.potion');
+  });
+
+  it('paie une commande, refuse un paiement décliné ou rejoué', async () => {
+    const { client } = await loginAs('reader');
+    const { body: placed } = await order(client, [[potions.soin, 1]]);
+
+    const declined = await client.post(`/orders/${placed._id}/pay`, { source: 'tok_declined' });
+    assert.equal(declined.status, 402);
+    assert.equal(declined.body.code, 'payment-declined');
+
+    const paid = await client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' });
+    assert.equal(paid.status, 200, paid.text);
+    assert.equal(paid.body.status, 'paid');
+    assert.equal(paid.body.payment.provider, 'fake');
+    assert.deepEqual(paid.body.history.map(h => h.status), ['pending', 'paid']);
+
+    const again = await client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'order-invalid-transition');
+    assert.deepEqual(again.body.allowed, ['shipped', 'refunded']);
+  });
+
+  it('n’applique qu’une fois deux paiements simultanés', async () => {
+    const { client } = await loginAs('reader');
+    const { body: placed } = await order(client, [[potions.soin, 1]]);
+    const results = await Promise.all([1, 2].map(() => client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' })));
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  });
+
+  it('annule une commande en attente et libère le stock', async () => {
+    const { client } = await loginAs('reader');
+    const { body: placed } = await order(client, [[potions.soin, 2]]);
+    const cancelled = await client.post(`/orders/${placed._id}/cancel`);
+    assert.equal(cancelled.body.status, 'cancelled');
+    assert.deepEqual(await stockOf(potions.soin), { onHand: 5, reserved: 0 });
+    assert.equal((await client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' })).status, 409);
+  });
+
+  it('expédie une commande payée : le stock réservé sort au journal', async () => {
+    const { client } = await loginAs('reader');
+    const { client: vendor } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const { body: placed } = await order(client, [[potions.soin, 2], [potions.force, 1]]);
+
+    assert.equal((await vendor.post(`/orders/${placed._id}/ship`)).status, 409);
+    await client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' });
+    assert.equal((await client.post(`/orders/${placed._id}/ship`)).status, 403);
+
+    const shipped = await vendor.post(`/orders/${placed._id}/ship`);
+    assert.equal(shipped.status, 200, shipped.text);
+    assert.equal(shipped.body.status, 'shipped');
+    assert.deepEqual(await stockOf(potions.soin), { onHand: 3, reserved: 0 });
+    const sale = await StockMovement.findOne({ potion: potions.soin._id, type: 'sale' });
+    assert.equal(sale.quantity, -2);
+    assert.equal(String(sale.order), placed._id);
+
+    // Après expédition, le remboursement ne remet pas les unités en stock
+    const refunded = await vendor.post(`/orders/${placed._id}/refund`);
+    assert.equal(refunded.body.status, 'refunded');
+    assert.deepEqual(await stockOf(potions.soin), { onHand: 3, reserved: 0 });
+  });
+
+  it('rembourse une commande payée et libère le stock réservé', async () => {
+    const { client } = await loginAs('reader');
+    const { client: admin } = await loginAs('admin');
+    const { body: placed } = await order(client, [[potions.sommeil, 2]]);
+    await client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' });
+
+    const refunded = await admin.post(`/orders/${placed._id}/refund`);
+    assert.equal(refunded.status, 200, refunded.text);
+    assert.equal(refunded.body.payment.status, 'refunded');
+    assert.deepEqual(await stockOf(potions.sommeil), { onHand: 5, reserved: 0 });
+  });
+
+  it('rend son statut à une commande dont le remboursement est refusé', async () => {
+    const { client } = await loginAs('reader');
+    const { client: admin } = await loginAs('admin');
+    const { body: placed } = await order(client, [[potions.sommeil, 2]]);
+    await client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' });
+    await Order.updateOne({ _id: placed._id }, { 'payment.id': 'paiement-inconnu' });
+
+    const res = await admin.post(`/orders/${placed._id}/refund`);
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'refund-failed');
+    const current = await admin.get(`/orders/${placed._id}`);
+    assert.equal(current.body.status, 'paid');
+    assert.deepEqual(current.body.history.map(h => h.status), ['pending', 'paid', 'refunding', 'paid']);
+    assert.deepEqual(await stockOf(potions.sommeil), { onHand: 5, reserved: 2 });
+  });
+
+  it('réserve l’expédition aux vendeurs de toutes les lignes', async () => {
+    const { client } = await loginAs('reader');
+    const { client: vendor } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const { body: placed } = await order(client, [[potions.soin, 1], [potions.sommeil, 1]]);
+    await client.post(`/orders/${placed._id}/pay`, { source: 'tok_visa' });
+
+    const res = await vendor.post(`/orders/${placed._id}/ship`);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'order-not-owned');
+  });
+
+  it('montre à chacun ses commandes, à un vendeur ses seules lignes', async () => {
+    const { client } = await loginAs('reader');
+    const { client: other } = await loginAs('reader');
+    const { client: vendor } = await loginAs('vendor', { vendor_id: vendors.alchimie._id });
+    const { body: placed } = await order(client, [[potions.soin, 1], [potions.sommeil, 2]]);
+
+    assert.equal((await other.get(`/orders/${placed._id}`)).status, 404);
+    assert.deepEqual((await other.get('/orders')).body.data, []);
+    assert.equal((await client.get('/orders')).body.data.length, 1);
+
+    const seen = await vendor.get(`/orders/${placed._id}`);
+    assert.equal(seen.status, 200);
+    assert.deepEqual(seen.body.items.map(i => i.name), ['Philtre de sommeil']);
+    assert.equal(seen.body.subtotal, 100);
+    assert.equal(seen.body.total, undefined);
+    assert.equal((await vendor.get('/orders?status=pending')).body.data.length, 1);
+  });
+});
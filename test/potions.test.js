@@ -0,0 +1,529 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer, Client, loginAs } = require('./helpers');
+const { seedCatalog } = require('./fixtures');
+const Potion = require('../potion.model');
+const { CSV_COLUMNS } = require('../potion.export');
+
+useTestServer();
+
+const anonymous = new Client();
+const names = list => list.map(p => p.name);
+
+describe('GET /potions', () => {
+  let catalog;
+  beforeEach(async () => { catalog = await seedCatalog(); });
+
+  it('liste les potions par _id croissant', async () => {
+    const res = await anonymous.get('/potions');
+    assert.equal(res.status, 200);
+    assert.deepEqual(names(res.body.data), ['Potion de soin', 'Élixir de force', 'Philtre de sommeil', 'Potion de vitesse']);
+    assert.equal(res.body.paging.next, null);
+  });
+
+  it('filtre, trie et projette', async () => {
+    const res = await anonymous.get('/potions?price[gte]=20&price[lt]=100&sort=-price&fields=name,price');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(({ name, price }) => ({ name, price })), [
+      { name: 'Philtre de sommeil', price: 50 },
+      { name: 'Élixir de force', price: 25 }
+    ]);
+    assert.equal(res.body.data[0].categories, undefined);
+
+    const contains = await anonymous.get('/potions?categories[contains]=som');
+    assert.deepEqual(names(contains.body.data), ['Philtre de sommeil']);
+  });
+
+  it('pagine par curseur et compte le total', async () => {
+    const first = await anonymous.get('/potions?limit=2&count=true');
+    assert.deepEqual(names(first.body.data), ['Potion de soin', 'Élixir de force']);
+    assert.equal(first.body.paging.total, 4);
+    assert.match(first.body.paging.next, /^\/potions\?/);
+
+    const second = await anonymous.get(first.body.paging.next);
+    assert.deepEqual(names(second.body.data), ['Philtre de sommeil', 'Potion de vitesse']);
+    assert.equal(second.body.paging.next, null);
+
+    const back = await anonymous.get(second.body.paging.prev);
+    assert.deepEqual(names(back.body.data), ['Potion de soin', 'Élixir de force']);
+  });
+
+  it('inclut le vendeur avec expand=vendor', async () => {
+    const res = await anonymous.get('/potions?expand=vendor&limit=1');
+    assert.equal(res.body.data[0].vendor.name, catalog.vendors.mystic.name);
+  });
+
+  it('refuse un champ de filtre inconnu (400 invalid-query)', async () => {
+    const res = await anonymous.get('/potions?password=x');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid-query');
+    assert.equal(res.body.errors[0].path, 'password');
+    assert.match(res.headers.get('content-type'), /^application\/problem\+json/);
+  });
+
+  it('ne prend pas les membres d’Object.prototype pour des champs', async () => {
+    for (const query of ['constructor=1', 'toString=x', '__proto__[eq]=x', 'sort=constructor', 'fields=constructor']) {
+      const res = await anonymous.get(`/potions?${query}`);
+      assert.equal(res.status, 400, query);
+      assert.equal(res.body.code, 'invalid-query');
+    }
+  });
+});
+
+describe('GET /potions/names', () => {
+  it('renvoie les noms des potions actives', async () => {
+    const { potions } = await seedCatalog();
+    await Potion.updateOne({ _id: potions.vitesse._id }, { deletedAt: new Date() });
+
+    const res = await anonymous.get('/potions/names');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.sort(), ['Philtre de sommeil', 'Potion de soin', 'Élixir de force'].sort());
+  });
+});
+
+describe('GET /potions/search', () => {
+  beforeEach(seedCatalog);
+
+  it('recherche en plein texte, ingrédients compris, avec facettes', async () => {
+    const res = await anonymous.get(`/potions/search?q=${encodeURIComponent('phénix')}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mode, 'full');
+    assert.deepEqual(names(res.body.data), ['Potion de soin']);
+    assert.deepEqual(res.body.facets.categories, [{ value: 'soin', count: 1 }]);
+    assert.equal(res.body.paging.total, 1);
+  });
+
+  it('ne révèle pas le stock', async () => {
+    await Potion.updateOne({ name: 'Potion de soin' }, { 'stock.onHand': 5, 'stock.reserved': 1 });
+    const res = await anonymous.get(`/potions/search?q=${encodeURIComponent('phénix')}`);
+    assert.equal(res.status, 200);
+    assert.equal('stock' in res.body.data[0], false);
+  });
+
+  it('échappe le HTML des extraits surlignés', async () => {
+    await Potion.create({ name: 'Potion <img src=x onerror=alert(1)> & "soin"', price: 5 });
+    const res = await anonymous.get('/potions/search?q=pot&mode=autocomplete');
+    const [suggestion] = res.body.data.filter(p => p.name.includes('<img'));
+    assert.equal(suggestion.highlight, '<em>Potion</em> &lt;img src=x onerror=alert(1)&gt; &amp; &quot;soin&quot;');
+  });
+
+  it('propose des noms en autocomplétion', async () => {
+    const res = await anonymous.get('/potions/search?q=pot&mode=autocomplete');
+    assert.equal(res.status, 200);
+    assert.deepEqual(names(res.body.data), ['Potion de soin', 'Potion de vitesse']);
+  });
+
+  it('exige le paramètre q', async () => {
+    const res = await anonymous.get('/potions/search');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].path, 'q');
+  });
+});
+
+describe('GET /potions/export', () => {
+  beforeEach(seedCatalog);
+
+  it('exporte en CSV', async () => {
+    const res = await anonymous.get('/potions/export?format=csv');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="potions-\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = res.text.split(/\r?\n/).filter(Boolean);
+    assert.equal(lines[0], CSV_COLUMNS.join(','));
+    assert.equal(lines.length, 5);
+  });
+
+  it('exporte en JSON et NDJSON, filtres compris', async () => {
+    const json = await anonymous.get('/potions/export?categories=soin');
+    assert.deepEqual(names(json.body), ['Potion de soin', 'Philtre de sommeil']);
+
+    const ndjson = await anonymous.get('/potions/export?format=ndjson');
+    const rows = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(rows.length, 4);
+  });
+
+  it('neutralise les formules de tableur dans les cellules CSV', async () => {
+    await Potion.create({ name: '=HYPERLINK("http://x")', price: 5 });
+    const res = await anonymous.get('/potions/export?format=csv&price=5');
+    const [, line] = res.text.split(/\r?\n/);
+    assert.match(line, /^[0-9a-f]{24},"'=HYPERLINK\(""http:\/\/x""\)",5,/);
+  });
+
+  it('refuse un format inconnu', async () => {
+    for (const format of ['xml', 'constructor']) {
+      const res = await anonymous.get(`/potions/export?format=${format}`);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].path, 'format');
+    }
+  });
+});
+
+describe('POST /potions/import', () => {
+  const ndjson = [
+    '{"name":"Potion de feu","price":30,"categories":["attaque"]}',
+    '{"name": oups}',
+    '{"name":"Potion ruineuse","price":-5}',
+    '{"name":"Potion de glace","price":12}'
+  ].join('\n');
+
+  it('exige un compte autorisé à créer des potions', async () => {
+    const anon = await anonymous.post('/potions/import', ndjson, { type: 'application/x-ndjson' });
+    assert.equal(anon.status, 401);
+
+    const { client } = await loginAs('reader');
+    const reader = await client.post('/potions/import', ndjson, { type: 'application/x-ndjson' });
+    assert.equal(reader.status, 403);
+    assert.equal(reader.body.code, 'permission-required');
+  });
+
+  it('importe les lignes valides et rapporte les autres', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.post('/potions/import', ndjson, { type: 'application/x-ndjson' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.format, 'ndjson');
+    assert.equal(res.body.total, 4);
+    assert.equal(res.body.created, 2);
+    assert.equal(res.body.rejected, 2);
+    assert.deepEqual(res.body.rejectedRows.map(r => r.row), [2, 3]);
+    assert.equal(res.body.rejectedRows[1].errors[0].path, 'price');
+    assert.deepEqual((await Potion.find().sort({ name: 1 })).map(p => p.name), ['Potion de feu', 'Potion de glace']);
+  });
+
+  it('n’écrit rien en dryRun', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.post('/potions/import?dryRun=true', ndjson, { type: 'application/x-ndjson' });
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.created, 2);
+    assert.equal(await Potion.countDocuments(), 0);
+  });
+
+  it('met à jour les potions existantes avec upsertBy=name (CSV)', async () => {
+    const { potions } = await seedCatalog();
+    const { client } = await loginAs('admin');
+    const csv = 'name,price,categories\nPotion de soin,12,soin|rare\nPotion de feu,30,attaque\n';
+    const res = await client.post('/potions/import?upsertBy=name', csv, { type: 'text/csv' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.updated, 1);
+    assert.equal(res.body.created, 1);
+    const soin = await Potion.findById(potions.soin._id);
+    assert.equal(soin.price, 12);
+    assert.deepEqual([...soin.categories], ['soin', 'rare']);
+  });
+
+  it('refuse les colonnes CSV hors du schéma, dont __proto__', async () => {
+    const { client } = await loginAs('admin');
+    const csv = 'name,price,__proto__.polluted\nPotion de feu,30,oui\n';
+    const res = await client.post('/potions/import', csv, { type: 'text/csv' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(e => e.path), ['__proto__.polluted']);
+    assert.equal({}.polluted, undefined);
+    assert.equal(await Potion.countDocuments(), 0);
+  });
+
+  it('rejette les lignes JSON qui ne sont pas des objets, y compris avec upsertBy', async () => {
+    await seedCatalog();
+    const { client } = await loginAs('admin');
+    const res = await client.post('/potions/import?upsertBy=name', [null, 1, { name: 'Potion de soin', price: 12 }]);
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.updated, 1);
+    assert.deepEqual(res.body.rejectedRows.map(r => r.row), [1, 2]);
+  });
+
+  it('rattache les potions importées par un vendeur à son vendeur', async () => {
+    const { vendors } = await seedCatalog();
+    const { client } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const body = JSON.stringify([{ name: 'Potion pirate', vendor_id: String(vendors.alchimie._id) }]);
+    const res = await client.post('/potions/import', body, { type: 'application/json' });
+    assert.equal(res.body.created, 1);
+    const created = await Potion.findOne({ name: 'Potion pirate' });
+    assert.equal(String(created.vendor_id), String(vendors.mystic._id));
+  });
+});
+
+describe('GET /potions/trash', () => {
+  it('liste la corbeille, limitée à ses potions pour un vendeur', async () => {
+    const { vendors, potions } = await seedCatalog();
+    const admin = (await loginAs('admin')).client;
+    await admin.delete(`/potions/${potions.soin._id}`);
+    await admin.delete(`/potions/${potions.sommeil._id}`);
+
+    const all = await admin.get('/potions/trash');
+    assert.equal(all.status, 200);
+    assert.deepEqual(names(all.body.data).sort(), ['Philtre de sommeil', 'Potion de soin']);
+
+    const vendor = (await loginAs('vendor', { vendor_id: vendors.mystic._id })).client;
+    const mine = await vendor.get('/potions/trash');
+    assert.deepEqual(names(mine.body.data), ['Potion de soin']);
+
+    const reader = (await loginAs('reader')).client;
+    assert.equal((await reader.get('/potions/trash')).status, 403);
+  });
+});
+
+describe('GET /potions/vendor/:vendor_id', () => {
+  it('renvoie les potions d’un vendeur', async () => {
+    const { vendors } = await seedCatalog();
+    const res = await anonymous.get(`/potions/vendor/${vendors.mystic._id}?expand=vendor`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(names(res.body), ['Potion de soin', 'Élixir de force']);
+    assert.equal(res.body[0].vendor.name, 'Mystic Waters');
+
+    const invalid = await anonymous.get('/potions/vendor/inconnu');
+    assert.deepEqual(invalid.body, []);
+  });
+});
+
+describe('GET /potions/price-range', () => {
+  it('filtre par prix minimum et maximum', async () => {
+    await seedCatalog();
+    const res = await anonymous.get('/potions/price-range?min=20&max=60');
+    assert.equal(res.status, 200);
+    assert.deepEqual(names(res.body).sort(), ['Philtre de sommeil', 'Élixir de force'].sort());
+
+    const all = await anonymous.get('/potions/price-range');
+    assert.equal(all.body.length, 4);
+  });
+});
+
+describe('POST /potions', () => {
+  let catalog;
+  beforeEach(async () => { catalog = await seedCatalog(); });
+
+  it('crée une potion (admin) sans accepter les champs calculés', async () => {
+    const { client, user } = await loginAs('admin');
+    const res = await client.post('/potions', {
+      name: 'Potion de feu',
+      price: 30,
+      score: 5,
+      categories: ['Feu ', 'FEU', 'attaque'],
+      ingredients: ['braise'],
+      vendor_id: String(catalog.vendors.alchimie._id)
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.name, 'Potion de feu');
+    assert.equal(res.body.score, undefined);
+    assert.deepEqual(res.body.categories, ['feu', 'attaque']);
+    assert.deepEqual(res.body.ingredients, [{ name: 'braise', quantity: 1, unit: 'unité' }]);
+    assert.equal(res.body.owner, String(user._id));
+    assert.equal(res.body.vendor_id, String(catalog.vendors.alchimie._id));
+  });
+
+  it('rattache la potion d’un vendeur à son propre vendeur', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: catalog.vendors.mystic._id });
+    const res = await client.post('/potions', { name: 'Potion pirate', vendor_id: String(catalog.vendors.alchimie._id) });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.vendor_id, String(catalog.vendors.mystic._id));
+  });
+
+  it('valide les données', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.post('/potions', { name: 'X', price: -1 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation-failed');
+    assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['name', 'price']);
+
+    const unknownVendor = await client.post('/potions', { name: 'Potion orpheline', vendor_id: '660bceefa25c4f1234abcd12' });
+    assert.equal(unknownVendor.status, 400);
+    assert.equal(unknownVendor.body.errors[0].path, 'vendor_id');
+  });
+
+  it('refuse les visiteurs et les lecteurs', async () => {
+    const anon = await anonymous.post('/potions', { name: 'Potion de feu' });
+    assert.equal(anon.status, 401);
+    assert.equal(anon.body.code, 'token-missing');
+
+    const { client } = await loginAs('reader');
+    assert.equal((await client.post('/potions', { name: 'Potion de feu' })).status, 403);
+  });
+});
+
+describe('GET /potions/:id', () => {
+  let catalog;
+  beforeEach(async () => { catalog = await seedCatalog(); });
+
+  it('renvoie la potion avec son ETag, et 304 si elle n’a pas changé', async () => {
+    const path = `/potions/${catalog.potions.soin._id}`;
+    const res = await anonymous.get(`${path}?expand=vendor`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'Potion de soin');
+    assert.equal(res.body.vendor.name, 'Mystic Waters');
+    const etag = res.headers.get('etag');
+    assert.match(etag, /^".+"$/);
+
+    const cached = await anonymous.get(path, { headers: { 'If-None-Match': etag } });
+    assert.equal(cached.status, 304);
+  });
+
+  it('répond 404 pour un identifiant invalide, inconnu ou une potion à la corbeille', async () => {
+    for (const id of ['abc', '660bcf5fca6e9f06b8a2eecd']) {
+      const res = await anonymous.get(`/potions/${id}`);
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'potion-not-found');
+    }
+    await Potion.updateOne({ _id: catalog.potions.soin._id }, { deletedAt: new Date() });
+    assert.equal((await anonymous.get(`/potions/${catalog.potions.soin._id}`)).status, 404);
+  });
+
+  it('traduit les erreurs selon Accept-Language', async () => {
+    const res = await anonymous.get('/potions/abc', { headers: { 'Accept-Language': 'en' } });
+    assert.equal(res.body.detail, 'Potion not found');
+    assert.equal(res.headers.get('content-language'), 'en');
+  });
+});
+
+describe('PUT /potions/:id', () => {
+  let catalog;
+  beforeEach(async () => { catalog = await seedCatalog(); });
+
+  it('remplace la potion en conservant les champs calculés', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.put(`/potions/${catalog.potions.soin._id}`, { name: 'Potion de soin', price: 11 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.price, 11);
+    assert.ok(!res.body.categories?.length);
+    assert.ok(!res.body.ingredients?.length);
+    assert.equal(res.body.score, 4.5);
+    assert.equal(res.body.reviewCount, 4);
+  });
+
+  it('respecte If-Match', async () => {
+    const { client } = await loginAs('admin');
+    const path = `/potions/${catalog.potions.soin._id}`;
+    const stale = await client.put(path, { name: 'Potion de soin', price: 11 }, { headers: { 'If-Match': '"perime"' } });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.body.code, 'potion-changed');
+
+    const etag = (await client.get(path)).headers.get('etag');
+    const fresh = await client.put(path, { name: 'Potion de soin', price: 11 }, { headers: { 'If-Match': etag } });
+    assert.equal(fresh.status, 200);
+    assert.notEqual(fresh.headers.get('etag'), etag);
+  });
+
+  it('interdit à un vendeur de modifier la potion d’un autre vendeur', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: catalog.vendors.mystic._id });
+    const res = await client.put(`/potions/${catalog.potions.sommeil._id}`, { name: 'Philtre volé' });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'potion-not-owned');
+  });
+});
+
+describe('PATCH /potions/:id', () => {
+  let path;
+  let client;
+  beforeEach(async () => {
+    const { potions } = await seedCatalog();
+    path = `/potions/${potions.soin._id}`;
+    ({ client } = await loginAs('admin'));
+  });
+
+  it('applique un JSON Merge Patch', async () => {
+    const res = await client.patch(path, { price: 15, categories: ['soin', 'rare'] }, { type: 'application/merge-patch+json' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.price, 15);
+    assert.deepEqual(res.body.categories, ['soin', 'rare']);
+    assert.equal(res.body.name, 'Potion de soin');
+  });
+
+  it('applique un JSON Patch, opérations test comprises', async () => {
+    const ops = [{ op: 'test', path: '/price', value: 10 }, { op: 'replace', path: '/price', value: 12 }];
+    const res = await client.patch(path, ops, { type: 'application/json-patch+json' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.price, 12);
+
+    const failed = await client.patch(path, ops, { type: 'application/json-patch+json' });
+    assert.equal(failed.status, 409);
+    assert.equal(failed.body.code, 'patch-test-failed');
+  });
+
+  it('refuse les autres types de contenu', async () => {
+    const res = await client.patch(path, 'price=12', { type: 'text/plain' });
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, 'unsupported-media-type');
+  });
+});
+
+describe('POST /potions/:id (obsolète)', () => {
+  it('modifie la potion et signale la dépréciation', async () => {
+    const { potions } = await seedCatalog();
+    const { client } = await loginAs('admin');
+    const res = await client.post(`/potions/${potions.soin._id}`, { price: 9 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.price, 9);
+    assert.match(res.headers.get('deprecation'), /^@\d+$/);
+    assert.match(res.headers.get('link'), new RegExp(`</potions/${potions.soin._id}>; rel="successor-version"`));
+  });
+});
+
+describe('DELETE /potions/:id et POST /potions/:id/restore', () => {
+  let catalog;
+  beforeEach(async () => { catalog = await seedCatalog(); });
+
+  it('met une potion à la corbeille puis la restaure', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: catalog.vendors.mystic._id });
+    const path = `/potions/${catalog.potions.soin._id}`;
+
+    const deleted = await client.delete(path);
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.message, 'Potion mise à la corbeille');
+    assert.ok(deleted.body.deletedAt);
+    assert.equal((await anonymous.get(path)).status, 404);
+
+    const restored = await client.post(`${path}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.deletedAt, null);
+    assert.equal((await anonymous.get(path)).status, 200);
+
+    const again = await client.post(`${path}/restore`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'potion-not-in-trash');
+  });
+
+  it('limite un vendeur à ses potions et à la mise à la corbeille', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: catalog.vendors.mystic._id });
+    assert.equal((await client.delete(`/potions/${catalog.potions.sommeil._id}`)).status, 403);
+
+    const hard = await client.delete(`/potions/${catalog.potions.soin._id}?hard=true`);
+    assert.equal(hard.status, 403);
+    assert.equal(hard.body.code, 'permission-required');
+  });
+
+  it('supprime définitivement (admin), y compris depuis la corbeille', async () => {
+    const { client } = await loginAs('admin');
+    const path = `/potions/${catalog.potions.soin._id}`;
+    await client.delete(path);
+
+    const hard = await client.delete(`${path}?hard=true`);
+    assert.equal(hard.status, 200);
+    assert.equal(await Potion.countDocuments({ _id: catalog.potions.soin._id }).withDeleted(), 0);
+    assert.equal((await client.delete(`${path}?hard=true`)).status, 404);
+  });
+});
+
+describe('GET /potions/:id/history', () => {
+  it('numérote sans doublon des modifications simultanées', async () => {
+    const { potions } = await seedCatalog();
+    const { client } = await loginAs('admin');
+    const path = `/potions/${potions.soin._id}`;
+    const type = 'application/merge-patch+json';
+    await Promise.all([11, 12, 13, 14].map(price => client.patch(path, { price }, { type })));
+
+    const res = await client.get(`${path}/history`);
+    assert.equal(res.status, 200);
+    const versions = res.body.data.map(v => v.version);
+    assert.equal(new Set(versions).size, versions.length);
+  });
+});
+
+describe('POST /potions/:id/reviews', () => {
+  it('garde les agrégats à jour lors d’avis simultanés', async () => {
+    const { potions } = await seedCatalog();
+    const path = `/potions/${potions.vitesse._id}/reviews`;
+    const reviewers = await Promise.all([1, 2, 3, 4].map(() => loginAs('reader')));
+    const results = await Promise.all(reviewers.map(({ client }, i) => client.post(path, { score: i + 1 })));
+    assert.deepEqual(results.map(r => r.status), [201, 201, 201, 201]);
+
+    const potion = await Potion.findById(potions.vitesse._id);
+    assert.equal(potion.reviewCount, 4);
+    assert.equal(potion.score, 2.5);
+  });
+});
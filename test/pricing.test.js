@@ -0,0 +1,217 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer, Client, loginAs } = require('./helpers');
+const { seedCatalog } = require('./fixtures');
+const Potion = require('../potion.model');
+const PriceChange = require('../price-change.model');
+const AuditLog = require('../audit.model');
+const { applyDuePriceChanges } = require('../potion.pricing');
+
+useTestServer();
+
+const anonymous = new Client();
+
+const inOneHour = () => new Date(Date.now() + 3600 * 1000).toISOString();
+
+function names(list) {
+  return list.map(p => p.name).sort();
+}
+
+describe('/potions/:id/price-history', () => {
+  let vendors, potions;
+  beforeEach(async () => {
+    ({ vendors, potions } = await seedCatalog());
+  });
+
+  it('inscrit chaque changement de prix avec son auteur', async () => {
+    const { client, user } = await loginAs('admin');
+    const path = `/potions/${potions.soin._id}`;
+    const type = 'application/merge-patch+json';
+    assert.equal((await client.patch(path, { price: 12 }, { type })).status, 200);
+    assert.equal((await client.patch(path, { name: 'Potion de soin majeure' }, { type })).status, 200);
+
+    const res = await client.get(`${path}/price-history`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(c => [c.price, c.previousPrice, c.source, c.status, c.actor.name]), [
+      [12, 10, 'update', 'applied', user.name]
+    ]);
+    assert.equal((await client.get(path)).body.priceSince, res.body.data[0].effectiveFrom);
+  });
+
+  it('programme un changement, l’applique à sa date d’effet et refuse ensuite son annulation', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const path = `/potions/${potions.soin._id}/price-history`;
+
+    const past = await client.post(path, { price: 18, effectiveFrom: '2020-01-01T00:00:00Z' });
+    assert.equal(past.status, 400);
+    assert.equal(past.body.errors[0].path, 'effectiveFrom');
+
+    const scheduled = await client.post(path, { price: 18, effectiveFrom: inOneHour() });
+    assert.equal(scheduled.status, 201, scheduled.text);
+    assert.equal(scheduled.body.status, 'scheduled');
+    assert.equal((await anonymous.get(`/potions/${potions.soin._id}`)).body.price, 10);
+
+    // La date d’effet arrive : passage de la tâche périodique
+    const effectiveFrom = new Date();
+    await PriceChange.updateOne({ _id: scheduled.body._id }, { effectiveFrom });
+    assert.equal(await applyDuePriceChanges(), 1);
+    assert.equal(await applyDuePriceChanges(), 0);
+    const potion = await anonymous.get(`/potions/${potions.soin._id}`);
+    assert.equal(potion.body.price, 18);
+    assert.equal(potion.body.priceSince, effectiveFrom.toISOString());
+    const [applied] = (await client.get(`${path}?status=applied`)).body.data;
+    assert.deepEqual([applied.price, applied.previousPrice], [18, 10]);
+    const version = await AuditLog.findOne({ 'entity.id': potions.soin._id }).sort({ version: -1 });
+    assert.equal(version.action, 'potion.update');
+    assert.equal(version.actor?.id, undefined);
+    assert.equal(version.snapshot.price, 18);
+    const { from, to } = version.changes.find(c => c.path === 'price');
+    assert.deepEqual([from, to], [10, 18]);
+
+    const late = await client.delete(`${path}/${scheduled.body._id}`);
+    assert.equal(late.status, 409);
+    assert.equal(late.body.code, 'price-change-not-scheduled');
+
+    const other = await client.post(path, { price: 20, effectiveFrom: inOneHour() });
+    const cancelled = await client.delete(`${path}/${other.body._id}`);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.status, 'cancelled');
+  });
+
+  it('laisse un prix enregistré après la date d’effet l’emporter', async () => {
+    const { client } = await loginAs('admin');
+    const path = `/potions/${potions.soin._id}`;
+    const scheduled = await client.post(`${path}/price-history`, { price: 18, effectiveFrom: inOneHour() });
+    await PriceChange.updateOne({ _id: scheduled.body._id }, { effectiveFrom: new Date(Date.now() - 60 * 1000) });
+    await Potion.updateOne({ _id: potions.soin._id }, { price: 11, priceSince: new Date() });
+
+    assert.equal(await applyDuePriceChanges(), 0);
+    assert.equal((await client.get(path)).body.price, 11);
+    assert.equal((await PriceChange.findById(scheduled.body._id)).status, 'superseded');
+  });
+
+  it('réserve l’historique au vendeur de la potion', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: vendors.alchimie._id });
+    const res = await client.get(`/potions/${potions.soin._id}/price-history`);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'potion-not-owned');
+  });
+});
+
+describe('/pricing-rules', () => {
+  let vendors, potions;
+  beforeEach(async () => {
+    ({ vendors, potions } = await seedCatalog());
+  });
+
+  it('applique la promotion la plus avantageuse, sans cumul', async () => {
+    const { client } = await loginAs('admin');
+    const percent = await client.post('/pricing-rules', { name: 'Soins d’hiver', kind: 'percentage', value: 20, categories: ['Soin'] });
+    assert.equal(percent.status, 201, percent.text);
+    assert.deepEqual(percent.body.categories, ['soin']);
+    await client.post('/pricing-rules', { name: 'Mystic -5', kind: 'fixed', value: 5, vendors: [String(vendors.mystic._id)] });
+    await client.post('/pricing-rules', { name: 'Plus tard', kind: 'percentage', value: 90, startsAt: inOneHour() });
+
+    const list = await anonymous.get('/potions?sort=price');
+    assert.deepEqual(list.body.data.map(p => [p.name, p.price, p.effectivePrice, p.promotion?.name ?? null]), [
+      ['Potion de soin', 10, 5, 'Mystic -5'],
+      ['Élixir de force', 25, 20, 'Mystic -5'],
+      ['Philtre de sommeil', 50, 40, 'Soins d’hiver'],
+      ['Potion de vitesse', 120, 120, null]
+    ]);
+
+    const one = await anonymous.get(`/potions/${potions.sommeil._id}`);
+    assert.equal(one.body.effectivePrice, 40);
+    assert.equal(one.body.promotion.kind, 'percentage');
+  });
+
+  it('filtre et agrège sur le prix effectif avec priceBasis=effective', async () => {
+    const { client } = await loginAs('admin');
+    await client.post('/pricing-rules', { name: 'Soins d’hiver', kind: 'percentage', value: 20, categories: ['soin'] });
+
+    const base = await anonymous.get('/potions/price-range?min=40&max=45');
+    assert.deepEqual(base.body, []);
+    const effective = await anonymous.get('/potions/price-range?min=40&max=45&priceBasis=effective');
+    assert.deepEqual(names(effective.body), ['Philtre de sommeil']);
+    assert.equal(effective.body[0].effectivePrice, 40);
+
+    const invalid = await anonymous.get('/potions/price-range?priceBasis=promo');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].path, 'priceBasis');
+
+    const res = await anonymous.get('/analytics/search?groupBy=vendor_id&measures=sum:price&sort=-sum_price&priceBasis=effective');
+    assert.equal(res.status, 200, res.text);
+    assert.deepEqual(res.body.map(({ vendorName, sum_price }) => [vendorName, sum_price]), [
+      ['Alchimie & Co', 160], ['Mystic Waters', 33]
+    ]);
+  });
+
+  it('compte les tranches de prix de la recherche sur le prix effectif', async () => {
+    const { client } = await loginAs('admin');
+    await client.post('/pricing-rules', { name: 'Soins d’hiver', kind: 'percentage', value: 20, categories: ['soin'] });
+
+    const res = await anonymous.get(`/potions/search?q=${encodeURIComponent('phénix')}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].effectivePrice, 8);
+    assert.deepEqual(res.body.facets.priceBands, [{ band: '0-10', count: 1 }]);
+  });
+
+  it('limite un vendeur aux promotions de ses potions', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const created = await client.post('/pricing-rules', {
+      name: 'Tout à -10 %', kind: 'percentage', value: 10, vendors: [String(vendors.alchimie._id)]
+    });
+    assert.equal(created.status, 201, created.text);
+    assert.deepEqual(created.body.vendors, [String(vendors.mystic._id)]);
+    assert.equal((await anonymous.get(`/potions/${potions.vitesse._id}`)).body.effectivePrice, 120);
+
+    const { client: other } = await loginAs('vendor', { vendor_id: vendors.alchimie._id });
+    assert.deepEqual((await other.get('/pricing-rules')).body.data, []);
+    const denied = await other.patch(`/pricing-rules/${created.body._id}`, { value: 50 });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'pricing-rule-not-owned');
+
+    const { client: unattached } = await loginAs('vendor');
+    assert.equal((await unattached.get('/pricing-rules')).body.code, 'vendor-required');
+    const { client: reader } = await loginAs('reader');
+    assert.equal((await reader.get('/pricing-rules')).status, 403);
+  });
+
+  it('valide la remise et la fenêtre de dates', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.post('/pricing-rules', {
+      name: 'Trop', kind: 'percentage', value: 150, startsAt: '2026-02-01T00:00:00Z', endsAt: '2026-01-01T00:00:00Z'
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['endsAt', 'value']);
+  });
+});
+
+describe('prix effectif des paniers et commandes', () => {
+  let potions;
+  beforeEach(async () => {
+    ({ potions } = await seedCatalog());
+    await Potion.updateOne({ _id: potions.soin._id }, { 'stock.onHand': 5, 'stock.reserved': 0 });
+  });
+
+  it('fige le prix effectif, le prix de base et la promotion', async () => {
+    const { client: admin } = await loginAs('admin');
+    const rule = await admin.post('/pricing-rules', { name: 'Soins d’hiver', kind: 'percentage', value: 20, categories: ['soin'] });
+
+    const { client } = await loginAs('reader');
+    const cart = await client.put(`/cart/items/${potions.soin._id}`, { quantity: 2 });
+    assert.deepEqual(cart.body.items.map(i => [i.potion.price, i.potion.effectivePrice, i.lineTotal]), [[10, 8, 16]]);
+    assert.equal(cart.body.total, 16);
+
+    const res = await client.post('/orders');
+    assert.equal(res.status, 201, res.text);
+    assert.deepEqual(res.body.items.map(i => [i.unitPrice, i.basePrice, i.promotion.name, i.lineTotal]), [
+      [8, 10, 'Soins d’hiver', 16]
+    ]);
+    assert.equal(res.body.total, 16);
+
+    // La fin de la promotion ne change pas la commande passée
+    await admin.delete(`/pricing-rules/${rule.body._id}`);
+    assert.equal((await client.get(`/orders/${res.body._id}`)).body.items[0].unitPrice, 8);
+  });
+});
@@ -0,0 +1,200 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer, Client, loginAs } = require('./helpers');
+const { seedCatalog } = require('./fixtures');
+const Potion = require('../potion.model');
+const StockMovement = require('../stock-movement.model');
+
+useTestServer();
+
+async function move(client, potion, type, quantity, note) {
+  return client.post(`/potions/${potion._id}/stock/movements`, { type, quantity, note });
+}
+
+async function onHand(potion) {
+  return (await Potion.findById(potion._id).select('+stock')).stock.onHand;
+}
+
+describe('/potions/:id/stock', () => {
+  let vendors, potions;
+  beforeEach(async () => {
+    ({ vendors, potions } = await seedCatalog());
+  });
+
+  it('applique les mouvements et les inscrit au journal avec leur auteur', async () => {
+    const { client, user } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const restock = await move(client, potions.soin, 'restock', 10, 'Livraison du lundi');
+    assert.equal(restock.status, 201, restock.text);
+    const { potion, ...stock } = restock.body.stock;
+    assert.equal(potion, String(potions.soin._id));
+    assert.deepEqual(stock, { onHand: 10, reserved: 0, available: 10, reorderThreshold: 0, lowStock: false });
+
+    const sale = await move(client, potions.soin, 'sale', 3);
+    assert.equal(sale.body.movement.quantity, -3);
+    assert.equal(sale.body.movement.onHandAfter, 7);
+    assert.equal((await move(client, potions.soin, 'adjustment', -2)).body.stock.onHand, 5);
+
+    const ledger = await client.get(`/potions/${potions.soin._id}/stock/movements`);
+    assert.equal(ledger.status, 200);
+    assert.deepEqual(ledger.body.data.map(m => [m.type, m.quantity, m.onHandAfter]), [
+      ['adjustment', -2, 5], ['sale', -3, 7], ['restock', 10, 10]
+    ]);
+    assert.equal(ledger.body.data[2].note, 'Livraison du lundi');
+    assert.equal(ledger.body.data[0].actor.id, String(user._id));
+
+    const sales = await client.get(`/potions/${potions.soin._id}/stock/movements?type=sale`);
+    assert.equal(sales.body.data.length, 1);
+  });
+
+  it('ne modifie ni la représentation publique ni l’ETag de la potion', async () => {
+    const { client } = await loginAs('admin');
+    const before = await new Client().get(`/potions/${potions.soin._id}`);
+    await move(client, potions.soin, 'restock', 4);
+    const after = await new Client().get(`/potions/${potions.soin._id}`);
+    assert.equal(after.body.stock, undefined);
+    assert.equal(after.headers.get('etag'), before.headers.get('etag'));
+
+    const stock = await client.get(`/potions/${potions.soin._id}/stock`);
+    assert.equal(stock.body.onHand, 4);
+  });
+
+  it('refuse une sortie supérieure au disponible', async () => {
+    const { client } = await loginAs('admin');
+    await move(client, potions.soin, 'restock', 5);
+    await Potion.updateOne({ _id: potions.soin._id }, { 'stock.reserved': 2 });
+
+    const res = await move(client, potions.soin, 'sale', 4);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'insufficient-stock');
+    assert.equal(res.body.available, 3);
+    assert.equal(await onHand(potions.soin), 5);
+    assert.equal(await StockMovement.countDocuments({ type: 'sale' }), 0);
+  });
+
+  it('ne descend jamais sous zéro avec des ventes simultanées', async () => {
+    const { client } = await loginAs('admin');
+    await move(client, potions.force, 'restock', 5);
+
+    const results = await Promise.all(Array.from({ length: 12 }, () => move(client, potions.force, 'sale', 1)));
+    assert.equal(results.filter(r => r.status === 201).length, 5);
+    assert.ok(results.filter(r => r.status !== 201).every(r => r.status === 409));
+    assert.equal(await onHand(potions.force), 0);
+    assert.deepEqual(
+      (await StockMovement.find({ type: 'sale' })).map(m => m.onHandAfter).sort(),
+      [0, 1, 2, 3, 4]
+    );
+  });
+
+  it('valide le type, la quantité et le seuil', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.post(`/potions/${potions.soin._id}/stock/movements`, { type: 'vol', quantity: -1 });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(e => e.path), ['type', 'quantity']);
+
+    const negative = await move(client, potions.soin, 'restock', -1);
+    assert.equal(negative.status, 400);
+
+    const threshold = await client.patch(`/potions/${potions.soin._id}/stock`, { reorderThreshold: 2.5 });
+    assert.equal(threshold.status, 400);
+    assert.equal(threshold.body.errors[0].path, 'reorderThreshold');
+  });
+
+  it('garde le journal en ajout seul', async () => {
+    const { client } = await loginAs('admin');
+    const { body } = await move(client, potions.soin, 'restock', 1);
+    await assert.rejects(StockMovement.updateOne({ _id: body.movement._id }, { quantity: 100 }), /ajout seul/);
+    await assert.rejects(StockMovement.deleteOne({ _id: body.movement._id }), /ajout seul/);
+  });
+
+  it('réserve le stock aux gestionnaires de la potion', async () => {
+    const { client: reader } = await loginAs('reader');
+    assert.equal((await reader.get(`/potions/${potions.soin._id}/stock`)).status, 403);
+
+    const { client: other } = await loginAs('vendor', { vendor_id: vendors.alchimie._id });
+    const res = await move(other, potions.soin, 'restock', 1);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'potion-not-owned');
+  });
+
+  it('exige potions:write pour un mouvement avec une clé d’API', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: vendors.mystic._id });
+    const created = await client.post('/auth/api-keys', { label: 'Caisse', scopes: ['potions:read'] });
+    const key = new Client({ headers: { 'X-API-Key': created.body.key } });
+
+    assert.equal((await key.get(`/potions/${potions.soin._id}/stock`)).status, 200);
+    const res = await move(key, potions.soin, 'sale', 1);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'api-key-scope-missing');
+  });
+});
+
+describe('GET /potions/low-stock', () => {
+  let vendors, potions;
+  beforeEach(async () => {
+    ({ vendors, potions } = await seedCatalog());
+    const { client } = await loginAs('admin');
+    for (const [potion, quantity, threshold] of [
+      [potions.soin, 2, 5], [potions.force, 10, 5], [potions.sommeil, 1, 5], [potions.vitesse, 3, 0]
+    ]) {
+      await move(client, potion, 'restock', quantity);
+      await client.patch(`/potions/${potion._id}/stock`, { reorderThreshold: threshold });
+    }
+  });
+
+  it('liste les potions sous leur seuil, les plus gros manques d’abord', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.get('/potions/low-stock');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 2);
+    assert.deepEqual(res.body.data.map(p => [p.name, p.available, p.shortfall]), [
+      ['Philtre de sommeil', 1, 4], ['Potion de soin', 2, 3]
+    ]);
+    assert.equal((await client.get('/potions/low-stock?limit=0')).status, 400);
+  });
+
+  it('limite un vendeur à ses propres potions', async () => {
+    const { client } = await loginAs('vendor', { vendor_id: vendors.alchimie._id });
+    const res = await client.get('/potions/low-stock');
+    assert.deepEqual(res.body.data.map(p => p.name), ['Philtre de sommeil']);
+
+    const { client: reader } = await loginAs('reader');
+    assert.equal((await reader.get('/potions/low-stock')).status, 403);
+  });
+});
+
+describe('/analytics/stock-value-by-*', () => {
+  let vendors, potions;
+  beforeEach(async () => {
+    ({ vendors, potions } = await seedCatalog());
+    const { client } = await loginAs('admin');
+    await move(client, potions.soin, 'restock', 4);
+    await move(client, potions.force, 'restock', 2);
+    await move(client, potions.sommeil, 'restock', 1);
+  });
+
+  it('calcule la valeur du stock par vendeur', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.get('/analytics/stock-value-by-vendor');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(v => [v.name, v.potionCount, v.units, v.stockValue]), [
+      ['Mystic Waters', 2, 6, 90],
+      ['Alchimie & Co', 1, 1, 50]
+    ]);
+  });
+
+  it('calcule la valeur du stock par catégorie', async () => {
+    const { client } = await loginAs('admin');
+    const res = await client.get('/analytics/stock-value-by-category');
+    assert.deepEqual(res.body.map(c => [c._id, c.stockValue]), [
+      ['soin', 90], ['attaque', 50], ['rare', 50], ['sommeil', 50]
+    ]);
+  });
+
+  it('réserve les valeurs aux gestionnaires, limitées à leurs potions', async () => {
+    assert.equal((await new Client().get('/analytics/stock-value-by-vendor')).status, 401);
+
+    const { client } = await loginAs('vendor', { vendor_id: vendors.alchimie._id });
+    const res = await client.get('/analytics/stock-value-by-category');
+    assert.deepEqual(res.body.map(c => [c._id, c.stockValue]), [['soin', 50], ['sommeil', 50]]);
+  });
+});
@@ -1,15 +1,47 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { config } = require('./config');
+
+const { ROLES } = require('./roles');
+const { vendorExists } = require('./vendor.model');
+const { LOCALES } = require('./i18n');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, unique: true },
-  password: { type: String }
-});
+  password: { type: String },
+  role: { type: String, enum: ROLES, default: 'reader' },
+  // Vendeur représenté par l’utilisateur (rôle vendor uniquement)
+  vendor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', validate: vendorExists },
+  email: { type: String, trim: true, lowercase: true, unique: true, sparse: true },
+  // Langue des messages de l’API ; absente : négociée via Accept-Language
+  locale: { type: String, enum: LOCALES },
+  passwordChangedAt: Date,
+  // Jeton de réinitialisation : seul son hash est stocké, il est effacé après usage
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  // Compte supprimé par son titulaire puis anonymisé
+  deletedAt: Date,
+  // Verrouillage progressif après des échecs de connexion répétés
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: Date
+}, { timestamps: true });
+
+const LOCKOUT_THRESHOLD = config.auth.lockoutThreshold;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
 // Hash du mot de passe avant sauvegarde
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) this.passwordChangedAt = new Date();
   next();
 });
 
@@ -18,4 +50,44 @@ userSchema.methods.comparePassword = function (plainPwd) {
   return bcrypt.compare(plainPwd, this.password);
 };
 
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Au-delà du seuil, chaque échec double la durée du verrou (1 min, 2 min, 4 min... 1 h max)
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  const excess = updated.failedLoginAttempts - LOCKOUT_THRESHOLD;
+  if (excess >= 0) {
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** excess, LOCKOUT_MAX_MS);
+    updated.lockUntil = new Date(Date.now() + lockMs);
+    await updated.save();
+  }
+  return updated;
+};
+
+userSchema.methods.resetLoginFailures = function () {
+  return this.constructor.updateOne({ _id: this._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+};
+
+// Génère un jeton de réinitialisation (renvoyé en clair une seule fois, stocké haché)
+userSchema.methods.createPasswordResetToken = function (ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.passwordReset = { tokenHash: hashResetToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+  return token;
+};
+
+// Consomme un jeton de réinitialisation : l’effacement atomique le rend à usage unique
+userSchema.statics.consumePasswordResetToken = function (token) {
+  return this.findOneAndUpdate(
+    { 'passwordReset.tokenHash': hashResetToken(token), 'passwordReset.expiresAt': { $gt: new Date() } },
+    { $unset: { passwordReset: 1 } },
+    { new: true }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Attribue un rôle à un utilisateur depuis la ligne de commande
+ * (utile pour créer le premier administrateur).
+ *
+ *   node user.promote.js <name> <admin|vendor|reader> [vendor_id | nom du vendeur]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./user.model');
+const Vendor = require('./vendor.model');
+const { ROLES } = require('./roles');
+
+async function promote(name, role, vendorId) {
+  if (!ROLES.includes(role)) throw new Error(`Rôle inconnu : ${role} (${ROLES.join(', ')})`);
+  const update = { role };
+  if (vendorId) {
+    const vendor = await Vendor.findOne(mongoose.isValidObjectId(vendorId) ? { _id: vendorId } : { name: vendorId });
+    if (!vendor) throw new Error(`Vendeur introuvable : ${vendorId}`);
+    update.vendor_id = vendor._id;
+  }
+  const user = await User.findOneAndUpdate({ name }, update, { new: true });
+  if (!user) throw new Error(`Utilisateur introuvable : ${name}`);
+  return user;
+}
+
+if (require.main === module) {
+  const [name, role, vendorId] = process.argv.slice(2);
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => promote(name, role, vendorId))
+    .then(user => console.log(`${user.name} est maintenant ${user.role}`))
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { promote };
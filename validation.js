@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { parseMessage } = require('./i18n');
+
+/**
+ * Convertit une ValidationError Mongoose en tableau `errors[]`
+ * au même format que express-validator ({ type, value, msg, path, location }).
+ * Renvoie null si l’erreur n’est pas une erreur de validation.
+ * `msg` reste la clé de traduction, avec ses `params` (voir i18n.js).
+ */
+function validationErrors(err, location = 'body') {
+  if (!(err instanceof mongoose.Error.ValidationError)) return null;
+  return Object.values(err.errors).map(e => {
+    const { message, params } = e instanceof mongoose.Error.CastError
+      ? { message: 'Valeur invalide pour {path} ({kind} attendu).', params: { path: e.path, kind: e.kind } }
+      : parseMessage(e.message);
+    return { type: 'field', value: e.value, msg: message, params, path: e.path, location };
+  });
+}
+
+module.exports = { validationErrors };
@@ -0,0 +1,82 @@
+/**
+ * Migration des anciens `vendor_id` (chaînes libres) vers des documents Vendor.
+ *
+ *   node vendor.migration.js            applique la migration
+ *   node vendor.migration.js --dry-run  affiche le rapport sans rien écrire
+ *
+ * Pour chaque valeur distincte de vendor_id (potions et comptes vendeurs) :
+ * - un ObjectId déjà rattaché à un vendeur est laissé tel quel ;
+ * - un ObjectId sous forme de chaîne est converti (le vendeur est créé s’il n’existe pas) ;
+ * - un nom (ex. "Mystic Waters") devient un vendeur de ce nom, référencé par son _id.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vendor = require('./vendor.model');
+const Potion = require('./potion.model');
+const User = require('./user.model');
+
+async function resolveVendor(value, dryRun) {
+  if (value instanceof mongoose.Types.ObjectId || (typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value))) {
+    const _id = new mongoose.Types.ObjectId(String(value));
+    const existing = await Vendor.exists({ _id });
+    if (!existing && !dryRun) await Vendor.collection.insertOne({ _id, name: `Vendeur ${_id}`, status: 'active', createdAt: new Date(), updatedAt: new Date() });
+    return { _id, created: !existing };
+  }
+
+  const name = String(value).trim();
+  const existing = await Vendor.findOne({ name });
+  if (existing) return { _id: existing._id, created: false };
+  if (dryRun) return { _id: new mongoose.Types.ObjectId(), created: true };
+  const vendor = await Vendor.create({ name });
+  return { _id: vendor._id, created: true };
+}
+
+async function migrate({ dryRun = false } = {}) {
+  const report = { values: 0, vendorsCreated: 0, potionsUpdated: 0, usersUpdated: 0 };
+  const collections = [[Potion.collection, 'potionsUpdated'], [User.collection, 'usersUpdated']];
+
+  const values = new Map();
+  for (const [collection] of collections) {
+    for (const value of await collection.distinct('vendor_id')) {
+      if (value !== null && value !== '' && !values.has(String(value))) values.set(String(value), value);
+    }
+  }
+
+  for (const value of values.values()) {
+    // Déjà un ObjectId pointant vers un vendeur existant : rien à faire
+    if (value instanceof mongoose.Types.ObjectId && await Vendor.exists({ _id: value })) continue;
+
+    report.values++;
+    const { _id, created } = await resolveVendor(value, dryRun);
+    if (created) report.vendorsCreated++;
+
+    for (const [collection, key] of collections) {
+      if (dryRun) {
+        report[key] += await collection.countDocuments({ vendor_id: value });
+      } else {
+        const { modifiedCount } = await collection.updateMany({ vendor_id: value }, { $set: { vendor_id: _id } });
+        report[key] += modifiedCount;
+      }
+    }
+  }
+
+  return report;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => migrate({ dryRun }))
+    .then(report => {
+      console.log(`${dryRun ? '[dry-run] ' : ''}${report.values} valeur(s) de vendor_id traitée(s), `
+        + `${report.vendorsCreated} vendeur(s) créé(s), ${report.potionsUpdated} potion(s) `
+        + `et ${report.usersUpdated} compte(s) mis à jour`);
+    })
+    .catch(err => {
+      console.error('Erreur de migration :', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrate };
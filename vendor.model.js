@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const VENDOR_STATUSES = ['active', 'inactive', 'suspended'];
+
+const vendorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom du vendeur est requis.'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Le nom ne doit pas dépasser 100 caractères.']
+  },
+  contact: {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Adresse e-mail invalide.']
+    },
+    phone: { type: String, trim: true, maxlength: [30, 'Numéro de téléphone trop long.'] },
+    website: { type: String, trim: true, maxlength: [200, 'URL trop longue.'] }
+  },
+  location: {
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  status: {
+    type: String,
+    enum: { values: VENDOR_STATUSES, message: 'Statut inconnu : {VALUE}.' },
+    default: 'active'
+  }
+}, { timestamps: true });
+
+vendorSchema.pre(['findOneAndUpdate', 'updateOne'], function () {
+  this.setOptions({ runValidators: true, context: 'query' });
+});
+
+const Vendor = mongoose.model('Vendor', vendorSchema);
+
+/**
+ * Validateur réutilisable pour les champs `vendor_id` (intégrité référentielle) :
+ * la valeur doit désigner un vendeur existant.
+ */
+const vendorExists = {
+  validator: async value => value == null || Boolean(await Vendor.exists({ _id: value })),
+  message: 'Vendeur inconnu : {VALUE}.'
+};
+
+module.exports = Vendor;
+module.exports.VENDOR_STATUSES = VENDOR_STATUSES;
+module.exports.vendorExists = vendorExists;
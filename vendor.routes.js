@@ -0,0 +1,296 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Vendors
+ *   description: Vendeurs de potions
+ */
+
+const express = require('express');
+const Vendor = require('./vendor.model');
+const Potion = require('./potion.model');
+const User = require('./user.model');
+const authMiddleware = require('./middleware');
+const { requirePermission, requireSession } = authMiddleware;
+const { hasPermission } = require('./roles');
+const { ValidationFailedError, NotFoundError, ForbiddenError, ConflictError, assertObjectId } = require('./errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Vendor:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 660bceefa25c4f1234abcd12
+ *         name:
+ *           type: string
+ *           example: Mystic Waters
+ *         contact:
+ *           type: object
+ *           properties:
+ *             email:
+ *               type: string
+ *               example: contact@mysticwaters.fr
+ *             phone:
+ *               type: string
+ *               example: '+33 1 23 45 67 89'
+ *             website:
+ *               type: string
+ *               example: https://mysticwaters.fr
+ *         location:
+ *           type: object
+ *           properties:
+ *             address:
+ *               type: string
+ *               example: 4 allée des Embrumes
+ *             city:
+ *               type: string
+ *               example: Brocéliande
+ *             country:
+ *               type: string
+ *               example: France
+ *         status:
+ *           type: string
+ *           enum: [active, inactive, suspended]
+ *           default: active
+ *         potionCount:
+ *           type: number
+ *           description: Nombre de potions rattachées (lecture seule)
+ *           example: 12
+ */
+
+// Nombre de potions par vendeur, pour une liste d’identifiants
+async function potionCounts(ids) {
+  const rows = await Potion.aggregate([
+    { $match: { vendor_id: { $in: ids } } },
+    { $group: { _id: '$vendor_id', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(r => [String(r._id), r.count]));
+}
+
+// Nom déjà pris : 409 avec un message explicite
+function duplicateName(err) {
+  return err.code === 11000 ? new ConflictError('Un vendeur porte déjà ce nom', { code: 'vendor-name-taken', cause: err }) : err;
+}
+
+async function findVendor(id) {
+  assertObjectId(id, 'Vendeur non trouvé', { code: 'vendor-not-found' });
+  const vendor = await Vendor.findById(id);
+  if (!vendor) throw new NotFoundError('Vendeur non trouvé', { code: 'vendor-not-found' });
+  return vendor;
+}
+
+function withCount(vendor, counts) {
+  return { ...vendor.toJSON(), potionCount: counts.get(String(vendor._id)) || 0 };
+}
+
+// Champs modifiables par le client (le statut est réservé aux administrateurs)
+function vendorFields(body, isAdmin) {
+  const fields = {};
+  for (const key of ['name', 'contact', 'location']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (isAdmin && body.status !== undefined) fields.status = body.status;
+  return fields;
+}
+
+/**
+ * @swagger
+ * /vendors:
+ *   get:
+ *     summary: Lister les vendeurs avec leur nombre de potions
+ *     tags: [Vendors]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, suspended]
+ *         description: Filtrer par statut
+ *     responses:
+ *       200:
+ *         description: Liste des vendeurs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Vendor'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.status !== undefined) {
+    if (!Vendor.VENDOR_STATUSES.includes(req.query.status)) {
+      throw new ValidationFailedError(
+        [{ type: 'field', value: req.query.status, msg: 'Statut inconnu.', path: 'status', location: 'query' }],
+        { code: 'invalid-query' }
+      );
+    }
+    filter.status = req.query.status;
+  }
+
+  const vendors = await Vendor.find(filter).sort({ name: 1 });
+  const counts = await potionCounts(vendors.map(v => v._id));
+  res.json(vendors.map(v => withCount(v, counts)));
+});
+
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   get:
+ *     summary: Récupérer un vendeur
+ *     tags: [Vendors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Détails du vendeur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Vendor'
+ *       404:
+ *         description: Vendeur non trouvé
+ */
+router.get('/:id', async (req, res) => {
+  const vendor = await findVendor(req.params.id);
+  res.json(withCount(vendor, await potionCounts([vendor._id])));
+});
+
+/**
+ * @swagger
+ * /vendors:
+ *   post:
+ *     summary: Créer un vendeur
+ *     description: "Rôle requis : `admin`."
+ *     tags: [Vendors]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Vendor'
+ *     responses:
+ *       201:
+ *         description: Vendeur créé
+ *       400:
+ *         description: Erreur de validation
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Rôle insuffisant
+ *       409:
+ *         description: Un vendeur porte déjà ce nom
+ */
+router.post('/', authMiddleware, requirePermission('vendors:manage'), async (req, res) => {
+  const vendor = await Vendor.create(vendorFields(req.body, true)).catch(err => { throw duplicateName(err); });
+  res.status(201).json(vendor);
+});
+
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   patch:
+ *     summary: Modifier un vendeur
+ *     description: |
+ *       Rôles : `admin`, ou `vendor` rattaché à ce vendeur (sans pouvoir modifier `status`).
+ *     tags: [Vendors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Vendor'
+ *     responses:
+ *       200:
+ *         description: Vendeur mis à jour
+ *       400:
+ *         description: Erreur de validation
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Vendeur géré par un autre compte
+ *       404:
+ *         description: Vendeur non trouvé
+ *       409:
+ *         description: Un vendeur porte déjà ce nom
+ */
+router.patch('/:id', authMiddleware, requireSession, async (req, res) => {
+  const isAdmin = hasPermission(req.user.role, 'vendors:manage');
+  if (!isAdmin && !(req.user.role === 'vendor' && String(req.user.vendor_id) === req.params.id)) {
+    throw new ForbiddenError('Accès refusé : ce vendeur est géré par un autre compte.', { code: 'vendor-not-owned' });
+  }
+
+  const vendor = await findVendor(req.params.id);
+  vendor.set(vendorFields(req.body, isAdmin));
+  await vendor.save().catch(err => { throw duplicateName(err); });
+  res.json(vendor);
+});
+
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   delete:
+ *     summary: Supprimer un vendeur
+ *     description: |
+ *       Rôle requis : `admin`. Refusé tant que des potions (corbeille comprise) ou des comptes
+ *       sont rattachés au vendeur (passer plutôt son statut à `inactive`).
+ *     tags: [Vendors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vendeur supprimé
+ *       403:
+ *         description: Rôle insuffisant
+ *       404:
+ *         description: Vendeur non trouvé
+ *       409:
+ *         description: Des potions ou des comptes sont encore rattachés au vendeur
+ */
+router.delete('/:id', authMiddleware, requirePermission('vendors:manage'), async (req, res) => {
+  assertObjectId(req.params.id, 'Vendeur non trouvé', { code: 'vendor-not-found' });
+  const [potions, users] = await Promise.all([
+    Potion.countDocuments({ vendor_id: req.params.id }).withDeleted(),
+    User.countDocuments({ vendor_id: req.params.id })
+  ]);
+  if (potions || users) {
+    throw new ConflictError('Vendeur encore utilisé par {potions} potion(s) et {users} compte(s)', { code: 'vendor-in-use', params: { potions, users } });
+  }
+
+  const deleted = await Vendor.findByIdAndDelete(req.params.id);
+  if (!deleted) throw new NotFoundError('Vendeur non trouvé', { code: 'vendor-not-found' });
+  res.json({ message: req.t('Vendeur supprimé') });
+});
+
+module.exports = router;